@@ -3,11 +3,15 @@
 
 -- Table: naca_mortgage_rates
 -- Stores current mortgage rates scraped from NACA website
+-- *_year_rate columns hold priority member rates, *_non_priority_rate columns non-priority
 CREATE TABLE naca_mortgage_rates (
     id BIGSERIAL PRIMARY KEY,
     thirty_year_rate NUMERIC,
     twenty_year_rate NUMERIC,
     fifteen_year_rate NUMERIC,
+    thirty_year_non_priority_rate NUMERIC,
+    twenty_year_non_priority_rate NUMERIC,
+    fifteen_year_non_priority_rate NUMERIC,
     created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
     updated_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
 );
@@ -15,6 +19,19 @@ CREATE TABLE naca_mortgage_rates (
 -- Index for efficient latest-rate queries
 CREATE INDEX idx_rates_created_at ON naca_mortgage_rates(created_at DESC);
 
+-- Upgrade a naca_mortgage_rates table created before non-priority rates (no-op on a fresh table).
+-- Rows captured earlier get NACA's non-priority offset of +1%.
+ALTER TABLE naca_mortgage_rates
+    ADD COLUMN IF NOT EXISTS thirty_year_non_priority_rate NUMERIC,
+    ADD COLUMN IF NOT EXISTS twenty_year_non_priority_rate NUMERIC,
+    ADD COLUMN IF NOT EXISTS fifteen_year_non_priority_rate NUMERIC;
+
+UPDATE naca_mortgage_rates
+SET thirty_year_non_priority_rate = thirty_year_rate + 1,
+    twenty_year_non_priority_rate = twenty_year_rate + 1,
+    fifteen_year_non_priority_rate = fifteen_year_rate + 1
+WHERE thirty_year_non_priority_rate IS NULL;
+
 -- Table: ffeic_msa_tract_income_2024
 -- Stores MSA (Metropolitan Statistical Area) income data from FFEIC
 CREATE TABLE ffeic_msa_tract_income_2024 (
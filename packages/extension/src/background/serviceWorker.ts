@@ -0,0 +1,105 @@
+/**
+ * Background service worker
+ * Adds a context menu entry for selected text: a price opens the calculator with
+ * that price, an address opens the MSA lookup for it. Also refreshes NACA's rates
+ * on a schedule and alerts the user when they change.
+ */
+
+import { detectLocale, setLocale, t } from "../js/i18n";
+import {
+  checkForRateChanges,
+  formatRateChange,
+  showRateChangeBadge,
+  type RateChange,
+} from "../js/rateAlerts";
+import { parseSelection } from "../js/selection";
+import { savePendingSelection } from "../js/storage";
+
+// Alerts and menus follow the browser's language
+setLocale(detectLocale());
+
+const CALCULATE_SELECTION_MENU_ID = "calculateSelection";
+
+const RATE_REFRESH_ALARM = "refreshRates";
+const RATE_REFRESH_INTERVAL_MINUTES = 60;
+const RATE_CHANGE_NOTIFICATION_ID = "rateChange";
+
+// Sized to fit the popup when it has to open in its own window
+const POPUP_WINDOW_WIDTH = 400;
+const POPUP_WINDOW_HEIGHT = 640;
+
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.create({
+    id: CALCULATE_SELECTION_MENU_ID,
+    title: chrome.i18n.getMessage("contextMenuCalculate"),
+    contexts: ["selection"],
+  });
+  scheduleRateRefresh();
+});
+
+chrome.runtime.onStartup.addListener(scheduleRateRefresh);
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === RATE_REFRESH_ALARM) alertRateChanges();
+});
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+  if (notificationId !== RATE_CHANGE_NOTIFICATION_ID) return;
+  chrome.notifications.clear(notificationId);
+  openCalculator();
+});
+
+chrome.contextMenus.onClicked.addListener(async (info) => {
+  if (info.menuItemId !== CALCULATE_SELECTION_MENU_ID || !info.selectionText) return;
+
+  const selection = parseSelection(info.selectionText);
+  if (!selection) {
+    console.warn("Selection is not a price or an address:", info.selectionText);
+    return;
+  }
+
+  // The popup picks the selection up from storage when it opens
+  await savePendingSelection(selection);
+  await openCalculator();
+});
+
+// Alarms can be cleared when Chrome updates the extension, so set it again on every start
+function scheduleRateRefresh(): void {
+  chrome.alarms.create(RATE_REFRESH_ALARM, {
+    delayInMinutes: 1,
+    periodInMinutes: RATE_REFRESH_INTERVAL_MINUTES,
+  });
+}
+
+// Fetch the rates and flag any that changed since the last check
+async function alertRateChanges(): Promise<void> {
+  const changes = await checkForRateChanges();
+  if (changes.length === 0) return;
+
+  await showRateChangeBadge(changes);
+  notifyRateChanges(changes);
+}
+
+function notifyRateChanges(changes: RateChange[]): void {
+  chrome.notifications.create(RATE_CHANGE_NOTIFICATION_ID, {
+    type: "basic",
+    iconUrl: chrome.runtime.getURL("icons/icon128.png"),
+    title: t("ratesChanged"),
+    message: changes.map(formatRateChange).join("\n"),
+    priority: 2,
+  });
+}
+
+async function openCalculator(): Promise<void> {
+  try {
+    await chrome.action.openPopup();
+  } catch {
+    // Older Chrome versions can't open the popup from the background
+    await chrome.windows.create({
+      url: chrome.runtime.getURL("popup/popup.html"),
+      type: "popup",
+      width: POPUP_WINDOW_WIDTH,
+      height: POPUP_WINDOW_HEIGHT,
+    });
+  }
+}
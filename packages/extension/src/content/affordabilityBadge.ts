@@ -0,0 +1,177 @@
+/**
+ * Affordability badges - the estimated NACA payment shown next to each price
+ * on listing and search result pages, colored against the user's max payment
+ */
+
+import { t } from "../js/i18n";
+import { formatCurrency, recalculateMortgage } from "../js/mortgageService";
+import { toPropertyTaxRate, type ListingData } from "../js/listing";
+import { formatRateLabel, getTermRates, type InterestRates } from "../js/rates";
+import { DEFAULT_SETTINGS, type ExtensionSettings } from "../js/settings";
+import type { PopupState } from "../js/storage";
+import { extractListing, findListingPrices } from "./listingExtractors";
+
+export const BADGE_CLASS = "naca-affordability-badge";
+
+// Inline so the listing site's own stylesheet can't restyle the badge
+const BADGE_STYLE: Partial<CSSStyleDeclaration> = {
+  display: "inline-block",
+  marginLeft: "6px",
+  padding: "2px 8px",
+  borderRadius: "10px",
+  font: "600 12px/1.5 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif",
+  verticalAlign: "middle",
+  whiteSpace: "nowrap",
+};
+
+const BADGE_COLORS = {
+  affordable: { color: "#1b5e20", backgroundColor: "#e8f5e9" },
+  unaffordable: { color: "#b71c1c", backgroundColor: "#ffebee" },
+  neutral: { color: "#1f4f8b", backgroundColor: "#e8f0fb" },
+};
+
+export interface BadgeAssumptions {
+  term: number;
+  rate: number;
+  /** Describes the rate in the badge tooltip, e.g. "30-year non-priority" */
+  rateLabel: string;
+  tax: number;
+  insurance: number;
+  hoaFee: number;
+  /** Badges are green at or under this payment and red over it; null leaves them uncolored */
+  maxMonthlyPayment: number | null;
+}
+
+/**
+ * Build the badge assumptions from the current rates and the popup's last term and membership
+ * @param interestRates - The latest NACA rates
+ * @param popupState - The saved popup state, if the popup has been used
+ * @param maxMonthlyPayment - The user's max payment, if set
+ * @param settings - The options page defaults, used for search results where the page
+ * doesn't show costs
+ */
+export function buildBadgeAssumptions(
+  interestRates: InterestRates,
+  popupState: PopupState | null,
+  maxMonthlyPayment: number | null,
+  settings: ExtensionSettings = DEFAULT_SETTINGS
+): BadgeAssumptions {
+  const term = popupState?.term || String(settings.defaultTerm);
+  const membershipType = popupState?.membershipType || settings.defaultMembershipType;
+  return {
+    term: parseInt(term) || settings.defaultTerm,
+    rate: getTermRates(interestRates, term)[membershipType],
+    rateLabel: formatRateLabel(term, membershipType),
+    tax: settings.defaultTax,
+    insurance: settings.defaultInsurance,
+    hoaFee: settings.defaultHoaFee,
+    maxMonthlyPayment,
+  };
+}
+
+/**
+ * Whether a popup state change affects the badges, which only follow its term and
+ * membership; the popup saves its state on every keystroke
+ */
+export function popupStateChangesBadges(
+  previous: PopupState | null | undefined,
+  next: PopupState | null | undefined
+): boolean {
+  return (
+    previous?.term !== next?.term || previous?.membershipType !== next?.membershipType
+  );
+}
+
+/**
+ * Estimate the NACA monthly payment (PITI) for a price
+ * @param price - The listing price
+ * @param assumptions - Term, rate and default monthly costs
+ * @param listing - The listing's own costs, which replace the defaults when shown
+ */
+export function estimateMonthlyPayment(
+  price: number,
+  assumptions: BadgeAssumptions,
+  listing?: ListingData | null
+): number {
+  const tax =
+    listing?.annualPropertyTax !== undefined
+      ? toPropertyTaxRate(listing.annualPropertyTax, price)
+      : assumptions.tax;
+
+  return recalculateMortgage(
+    {
+      price,
+      term: assumptions.term,
+      rate: assumptions.rate,
+      tax,
+      insurance: listing?.monthlyInsurance ?? assumptions.insurance,
+      hoaFee: listing?.monthlyHoa ?? assumptions.hoaFee,
+      principalBuydown: 0,
+    },
+    "price"
+  ).monthlyPayment;
+}
+
+/**
+ * Create a badge for an estimated payment
+ */
+export function createBadge(
+  doc: Document,
+  monthlyPayment: number,
+  assumptions: BadgeAssumptions
+): HTMLElement {
+  const badge = doc.createElement("span");
+  badge.className = BADGE_CLASS;
+  badge.textContent = t("badgeText", { payment: formatCurrency(monthlyPayment, 0) });
+  badge.title = t("badgeTitle", { label: assumptions.rateLabel, rate: assumptions.rate });
+
+  let colors = BADGE_COLORS.neutral;
+  if (assumptions.maxMonthlyPayment !== null) {
+    const affordable = monthlyPayment <= assumptions.maxMonthlyPayment;
+    badge.dataset.affordable = String(affordable);
+    badge.title += t(affordable ? "badgeWithinMax" : "badgeOverMax", {
+      max: formatCurrency(assumptions.maxMonthlyPayment, 0),
+    });
+    colors = affordable ? BADGE_COLORS.affordable : BADGE_COLORS.unaffordable;
+  }
+
+  Object.assign(badge.style, BADGE_STYLE, colors);
+  return badge;
+}
+
+/**
+ * Add a badge after every price on the page that doesn't have one yet
+ * @param doc - A listing or search results page
+ * @param hostname - The page's hostname, which picks the site's extractor
+ * @param assumptions - Term, rate, default costs and max payment
+ * @returns - The number of badges added
+ */
+export function injectBadges(
+  doc: Document,
+  hostname: string,
+  assumptions: BadgeAssumptions
+): number {
+  const prices = findListingPrices(doc, hostname);
+  // Only the listing page itself shows the taxes, insurance and HOA for its price
+  const listing = prices.some(({ isListingPage }) => isListingPage)
+    ? extractListing(doc, hostname)
+    : null;
+
+  let added = 0;
+  for (const { element, price, isListingPage } of prices) {
+    if (element.nextElementSibling?.classList.contains(BADGE_CLASS)) continue;
+
+    const monthlyPayment = estimateMonthlyPayment(
+      price,
+      assumptions,
+      isListingPage ? listing : null
+    );
+    element.insertAdjacentElement("afterend", createBadge(doc, monthlyPayment, assumptions));
+    added++;
+  }
+  return added;
+}
+
+export function removeBadges(doc: Document): void {
+  doc.querySelectorAll(`.${BADGE_CLASS}`).forEach((badge) => badge.remove());
+}
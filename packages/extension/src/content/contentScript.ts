@@ -0,0 +1,109 @@
+/**
+ * Content script for listing pages on Zillow, Redfin and Homes.com
+ * Answers the popup's request for the listing shown in this tab, tells the side
+ * panel when the page moves to another listing, and shows an affordability badge
+ * next to every price on the page
+ */
+
+import { extractListing } from "./listingExtractors";
+import {
+  buildBadgeAssumptions,
+  injectBadges,
+  popupStateChangesBadges,
+  removeBadges,
+  type BadgeAssumptions,
+} from "./affordabilityBadge";
+import {
+  GET_LISTING_MESSAGE,
+  LISTING_CHANGED_MESSAGE,
+  type GetListingMessage,
+  type ListingChangedMessage,
+} from "../js/listing";
+import { detectLocale, setLocale } from "../js/i18n";
+import { getLatestMortgageRates } from "../js/rates";
+import { loadSettings, SETTINGS_KEY } from "../js/settings";
+import {
+  loadMaxMonthlyPayment,
+  loadPopupState,
+  MAX_MONTHLY_PAYMENT_KEY,
+  POPUP_STATE_KEY,
+  type PopupState,
+} from "../js/storage";
+
+// Badges follow the browser's language
+setLocale(detectLocale());
+
+// How long to wait for a burst of page changes to settle before updating
+const PAGE_UPDATE_DELAY_MS = 250;
+
+let assumptions: BadgeAssumptions | null = null;
+let pageUpdateTimer: ReturnType<typeof setTimeout> | undefined;
+let lastUrl = location.href;
+
+chrome.runtime.onMessage.addListener(
+  (message: GetListingMessage, _sender, sendResponse) => {
+    if (message?.type !== GET_LISTING_MESSAGE) return;
+
+    // Listing pages render client-side, so read the page when asked rather than on load
+    const listing = extractListing(document, location.hostname);
+    sendResponse(listing && { ...listing, url: location.href });
+  }
+);
+
+async function refreshBadges(): Promise<void> {
+  const [interestRates, popupState, maxMonthlyPayment, settings] = await Promise.all([
+    getLatestMortgageRates(),
+    loadPopupState(),
+    loadMaxMonthlyPayment(),
+    loadSettings(),
+  ]);
+  assumptions = buildBadgeAssumptions(
+    interestRates,
+    popupState,
+    maxMonthlyPayment,
+    settings
+  );
+
+  removeBadges(document);
+  injectBadges(document, location.hostname, assumptions);
+}
+
+// Search results load more homes as the user scrolls or pans the map, and
+// listing sites open other listings without reloading the page
+function schedulePageUpdate(): void {
+  if (pageUpdateTimer !== undefined) return;
+
+  pageUpdateTimer = setTimeout(() => {
+    pageUpdateTimer = undefined;
+    if (assumptions) injectBadges(document, location.hostname, assumptions);
+
+    if (location.href !== lastUrl) {
+      lastUrl = location.href;
+      const message: ListingChangedMessage = { type: LISTING_CHANGED_MESSAGE };
+      chrome.runtime.sendMessage(message).catch(() => {
+        // Only the side panel listens, and it may not be open
+      });
+    }
+  }, PAGE_UPDATE_DELAY_MS);
+}
+
+// Update the badges when the user changes their max payment, term, membership or defaults
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  const popupState = changes[POPUP_STATE_KEY];
+  const changed =
+    areaName === "sync"
+      ? SETTINGS_KEY in changes
+      : MAX_MONTHLY_PAYMENT_KEY in changes ||
+        (popupState !== undefined &&
+          popupStateChangesBadges(
+            popupState.oldValue as PopupState | undefined,
+            popupState.newValue as PopupState | undefined
+          ));
+  if (changed) refreshBadges();
+});
+
+new MutationObserver(schedulePageUpdate).observe(document.body, {
+  childList: true,
+  subtree: true,
+});
+refreshBadges();
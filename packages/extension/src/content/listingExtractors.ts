@@ -0,0 +1,266 @@
+/**
+ * Listing extractors - read price, address and monthly costs from listing pages
+ * Each site gets its own selectors and labels; everything else is shared.
+ * Pure functions of a Document so they can be tested against saved pages.
+ */
+
+import type { ListingData } from "../js/listing";
+
+type Period = "monthly" | "annual";
+
+interface LabeledAmount {
+  /** Regex source matching the label shown before the dollar amount */
+  label: string;
+  /** The period to assume when the page doesn't say (e.g. "/mo") */
+  period: Period;
+}
+
+interface SiteExtractor {
+  hosts: string[];
+  priceSelectors: string[];
+  /** Tried in order; a selector list joins the text of every match, e.g. street + city lines */
+  addressSelectors: string[][];
+  propertyTax: LabeledAmount[];
+  hoa: LabeledAmount[];
+  insurance: LabeledAmount[];
+  /** Search result cards and the price shown on each */
+  cards: { card: string; price: string };
+}
+
+export interface ListingPrice {
+  element: Element;
+  price: number;
+  /** True for the price of the listing page itself, false for a search result card */
+  isListingPage: boolean;
+}
+
+const SITE_EXTRACTORS: SiteExtractor[] = [
+  {
+    hosts: ["zillow.com"],
+    priceSelectors: ['[data-testid="price"]'],
+    addressSelectors: [['[data-testid="home-details-summary"] h1'], ["h1"]],
+    propertyTax: [
+      { label: "Annual tax amount", period: "annual" },
+      { label: "Property taxes", period: "monthly" },
+    ],
+    hoa: [{ label: "HOA fees?", period: "monthly" }],
+    insurance: [{ label: "Home insurance", period: "monthly" }],
+    cards: {
+      card: 'article[data-test="property-card"]',
+      price: '[data-test="property-card-price"]',
+    },
+  },
+  {
+    hosts: ["redfin.com"],
+    priceSelectors: ['[data-rf-test-id="abp-price"] .statsValue'],
+    addressSelectors: [
+      ['[data-rf-test-id="abp-streetLine"]', '[data-rf-test-id="abp-cityStateZip"]'],
+      [".full-address"],
+    ],
+    propertyTax: [
+      { label: "Tax Annual Amount", period: "annual" },
+      { label: "Property taxes", period: "monthly" },
+    ],
+    hoa: [{ label: "HOA [Dd]ues", period: "monthly" }],
+    insurance: [{ label: "Homeowners(?:'|’)? insurance", period: "monthly" }],
+    cards: { card: ".bp-Homecard", price: ".bp-Homecard__Price--value" },
+  },
+  {
+    hosts: ["homes.com"],
+    priceSelectors: ["#price", ".property-info-price"],
+    addressSelectors: [
+      [".property-info-address-main", ".property-info-address-citystatezip"],
+      [".property-info-address"],
+    ],
+    propertyTax: [
+      { label: "Annual Tax Amount", period: "annual" },
+      { label: "Property Tax", period: "monthly" },
+    ],
+    hoa: [{ label: "HOA Fee", period: "monthly" }],
+    insurance: [{ label: "Home Insurance", period: "monthly" }],
+    cards: { card: ".placard", price: ".price-container" },
+  },
+];
+
+// A dollar amount with an optional period, e.g. "$1,234", "$120/mo", "$3,600 annually"
+const AMOUNT_PATTERN =
+  String.raw`\s*:?\s*\$\s?([\d,]+(?:\.\d+)?)\s*(\/\s*(?:mo|month|yr|year)\b|(?:per\s+)?(?:monthly|month|annually|annual|year)\b)?`;
+
+/**
+ * Find the extractor for a listing site, matching subdomains (www.zillow.com)
+ */
+export function getSiteExtractor(hostname: string): SiteExtractor | null {
+  return (
+    SITE_EXTRACTORS.find((site) =>
+      site.hosts.some((host) => hostname === host || hostname.endsWith(`.${host}`))
+    ) || null
+  );
+}
+
+/**
+ * Extract listing data from a page on a supported listing site
+ * @param doc - The listing page
+ * @param hostname - The page's hostname, which picks the site's extractor
+ * @returns - Whatever the page shows, or null if it isn't a supported listing
+ */
+export function extractListing(doc: Document, hostname: string): ListingData | null {
+  const site = getSiteExtractor(hostname);
+  if (!site) return null;
+
+  const structured = readStructuredData(doc);
+  const text = normalizeWhitespace(doc.body?.textContent || "");
+
+  const listing: ListingData = {};
+  const price = readPrice(doc, site.priceSelectors) ?? structured.price;
+  if (price !== undefined) listing.price = price;
+
+  const address = readAddress(doc, site.addressSelectors) ?? structured.address;
+  if (address) listing.address = address;
+
+  const annualPropertyTax = findLabeledAmount(text, site.propertyTax, "annual");
+  if (annualPropertyTax !== undefined) listing.annualPropertyTax = annualPropertyTax;
+
+  const monthlyHoa = findLabeledAmount(text, site.hoa, "monthly");
+  if (monthlyHoa !== undefined) listing.monthlyHoa = monthlyHoa;
+
+  const monthlyInsurance = findLabeledAmount(text, site.insurance, "monthly");
+  if (monthlyInsurance !== undefined) listing.monthlyInsurance = monthlyInsurance;
+
+  return Object.keys(listing).length > 0 ? listing : null;
+}
+
+/**
+ * Find every price on the page: the listing's own price and each search result card's
+ * @param doc - A listing or search results page
+ * @param hostname - The page's hostname, which picks the site's extractor
+ * @returns - The elements showing prices, with the parsed price
+ */
+export function findListingPrices(doc: Document, hostname: string): ListingPrice[] {
+  const site = getSiteExtractor(hostname);
+  if (!site) return [];
+
+  const prices: ListingPrice[] = [];
+  const listingPrice = findPrice(doc, site.priceSelectors);
+  if (listingPrice) prices.push({ ...listingPrice, isListingPage: true });
+
+  doc.querySelectorAll(site.cards.card).forEach((card) => {
+    const cardPrice = findPrice(card, [site.cards.price]);
+    if (cardPrice) prices.push({ ...cardPrice, isListingPage: false });
+  });
+
+  return prices;
+}
+
+/**
+ * Parse a dollar amount such as "$425,000" or "$1.2M"
+ */
+export function parseAmount(text: string): number | undefined {
+  const match = text
+    .replace(/,/g, "")
+    .match(/\$?\s*(\d+(?:\.\d+)?)(?:\s*([KkMm])(?![A-Za-z]))?/);
+  if (!match) return undefined;
+
+  const multiplier = { k: 1000, m: 1000000 }[match[2]?.toLowerCase() as "k" | "m"] || 1;
+  return parseFloat(match[1]) * multiplier;
+}
+
+function normalizeWhitespace(text: string): string {
+  return text.replace(/\s+/g, " ").trim();
+}
+
+function readPrice(doc: Document, selectors: string[]): number | undefined {
+  return findPrice(doc, selectors)?.price;
+}
+
+function findPrice(
+  root: ParentNode,
+  selectors: string[]
+): { element: Element; price: number } | undefined {
+  for (const selector of selectors) {
+    const element = root.querySelector(selector);
+    const price = element?.textContent ? parseAmount(element.textContent) : undefined;
+    if (element && price !== undefined) return { element, price };
+  }
+  return undefined;
+}
+
+function readAddress(doc: Document, selectorLists: string[][]): string | undefined {
+  for (const selectors of selectorLists) {
+    const parts = selectors
+      .map((selector) => normalizeWhitespace(doc.querySelector(selector)?.textContent || ""))
+      .filter((part) => part !== "");
+    if (parts.length === selectors.length) {
+      return parts.join(", ").replace(/\s*,(\s*,)+/g, ",").replace(/,\s*$/, "");
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Find the first labeled dollar amount in the page text, converted to the wanted period
+ */
+function findLabeledAmount(
+  text: string,
+  labels: LabeledAmount[],
+  wanted: Period
+): number | undefined {
+  for (const { label, period } of labels) {
+    const match = text.match(new RegExp(`\\b${label}${AMOUNT_PATTERN}`));
+    if (!match) continue;
+
+    const amount = parseFloat(match[1].replace(/,/g, ""));
+    const stated = match[2]
+      ? /mo|month/i.test(match[2])
+        ? "monthly"
+        : "annual"
+      : period;
+    if (stated === wanted) return amount;
+    return wanted === "monthly" ? amount / 12 : amount * 12;
+  }
+  return undefined;
+}
+
+/**
+ * Listing sites embed schema.org JSON-LD; use it when the page layout has changed
+ */
+function readStructuredData(doc: Document): { price?: number; address?: string } {
+  const scripts = doc.querySelectorAll('script[type="application/ld+json"]');
+  for (const script of Array.from(scripts)) {
+    let data: unknown;
+    try {
+      data = JSON.parse(script.textContent || "");
+    } catch {
+      continue;
+    }
+
+    for (const item of flattenGraph(data)) {
+      const offers = Array.isArray(item.offers) ? item.offers[0] : item.offers;
+      const rawPrice = offers?.price ?? item.price;
+      const price = rawPrice === undefined ? undefined : parseAmount(String(rawPrice));
+      const address = formatPostalAddress(item.address);
+      if (price !== undefined || address) return { price, address };
+    }
+  }
+  return {};
+}
+
+// JSON-LD can be a single object, an array or an @graph of objects
+function flattenGraph(data: unknown): Record<string, any>[] {
+  if (Array.isArray(data)) return data.flatMap(flattenGraph);
+  if (data && typeof data === "object") {
+    const item = data as Record<string, any>;
+    return item["@graph"] ? flattenGraph(item["@graph"]) : [item];
+  }
+  return [];
+}
+
+function formatPostalAddress(address: unknown): string | undefined {
+  if (typeof address === "string") return normalizeWhitespace(address) || undefined;
+  if (!address || typeof address !== "object") return undefined;
+
+  const { streetAddress, addressLocality, addressRegion, postalCode } =
+    address as Record<string, string | undefined>;
+  const region = [addressRegion, postalCode].filter(Boolean).join(" ");
+  const parts = [streetAddress, addressLocality, region].filter(Boolean);
+  return parts.length > 0 ? parts.join(", ") : undefined;
+}
@@ -1,10 +1,12 @@
 // API Configuration for NACA Calculator
-// Railway production base URL
+// Railway production base URL; the options page can point the extension at another server
 
-const API_BASE_URL =
+export const DEFAULT_API_BASE_URL =
   "https://naca-mortgage-calc-extension-production.up.railway.app";
 
-export const API_ENDPOINTS = {
-  rates: `${API_BASE_URL}/api/rates`,
-  msaLookup: `${API_BASE_URL}/api/msa-lookup`,
-};
+export function getApiEndpoints(apiBaseUrl: string) {
+  return {
+    rates: `${apiBaseUrl}/api/rates`,
+    msaLookup: `${apiBaseUrl}/api/msa-lookup`,
+  };
+}
@@ -0,0 +1,105 @@
+/**
+ * Calculation History - the committed calculations the popup can undo, redo
+ * and restore from its recent scenarios list
+ */
+
+import {
+  EMPTY_HISTORY as SHARED_EMPTY_HISTORY,
+  canRedo as sharedCanRedo,
+  canUndo as sharedCanUndo,
+  getHistoryShortcut as sharedGetHistoryShortcut,
+  goToCalculation as sharedGoToCalculation,
+  isRecentCalculationShown as sharedIsRecentCalculationShown,
+  recordCalculation as sharedRecordCalculation,
+  redoCalculation as sharedRedoCalculation,
+  restoreRecentCalculation as sharedRestoreRecentCalculation,
+  undoCalculation as sharedUndoCalculation,
+  // @ts-expect-error - the calculation history is a JavaScript module from the shared package
+} from "@naca-app/calculator/history";
+import type { CalculatorState } from "./mortgageService";
+
+export interface CalculationHistoryEntry {
+  state: CalculatorState;
+  /** When the calculation was made, in milliseconds since the epoch */
+  savedAt: number;
+}
+
+export interface CalculationHistory {
+  /** The calculations undo and redo step through, oldest first */
+  entries: CalculationHistoryEntry[];
+  /** The entry the popup is showing, or -1 with no entries */
+  index: number;
+  /** Every committed calculation for the recent scenarios list, oldest first */
+  recent: CalculationHistoryEntry[];
+}
+
+export type HistoryCommand = "undo" | "redo";
+
+export const EMPTY_HISTORY: CalculationHistory = SHARED_EMPTY_HISTORY;
+
+/**
+ * Record a Calculate click or slider release as the newest entry, dropping any undo
+ * entries that were undone but keeping them on the recent list. Nothing is recorded
+ * without a result or when nothing changed
+ */
+export function recordCalculation(
+  history: CalculationHistory,
+  state: CalculatorState,
+  savedAt: number = Date.now()
+): CalculationHistory {
+  return sharedRecordCalculation(history, state, savedAt);
+}
+
+/**
+ * Show the entry at an index of the undo history
+ */
+export function goToCalculation(
+  history: CalculationHistory,
+  index: number
+): CalculationHistory {
+  return sharedGoToCalculation(history, index);
+}
+
+/**
+ * Show the entry at an index of the recent scenarios list, as the newest undo step
+ */
+export function restoreRecentCalculation(
+  history: CalculationHistory,
+  index: number
+): CalculationHistory {
+  return sharedRestoreRecentCalculation(history, index);
+}
+
+/**
+ * Whether the entry at an index of the recent scenarios list is the one shown
+ */
+export function isRecentCalculationShown(
+  history: CalculationHistory,
+  index: number
+): boolean {
+  return sharedIsRecentCalculationShown(history, index);
+}
+
+export function undoCalculation(history: CalculationHistory): CalculationHistory {
+  return sharedUndoCalculation(history);
+}
+
+export function redoCalculation(history: CalculationHistory): CalculationHistory {
+  return sharedRedoCalculation(history);
+}
+
+export function canUndo(history: CalculationHistory): boolean {
+  return sharedCanUndo(history);
+}
+
+export function canRedo(history: CalculationHistory): boolean {
+  return sharedCanRedo(history);
+}
+
+/**
+ * The history command for a key press: Ctrl+Z (⌘Z on a Mac) undoes, and
+ * Ctrl+Shift+Z or Ctrl+Y redoes
+ */
+export function getHistoryShortcut(event: KeyboardEvent): HistoryCommand | null {
+  return sharedGetHistoryShortcut(event);
+}
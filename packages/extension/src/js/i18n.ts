@@ -0,0 +1,84 @@
+/**
+ * Localization - page labels come from chrome.i18n and the _locales folder;
+ * validation and status messages come from the shared message catalog, which
+ * the website uses too
+ */
+
+import {
+  formatLocaleCurrency,
+  getNumberLocale as getCatalogNumberLocale,
+  resolveLocale,
+  translate,
+  // @ts-expect-error - the message catalog is a JavaScript module from the shared package
+} from "@naca-app/calculator/messages";
+
+// A language with a catalog in the shared package and in _locales
+export type Locale = "en" | "es";
+
+let currentLocale: Locale = "en";
+
+export function getLocale(): Locale {
+  return currentLocale;
+}
+
+export function setLocale(locale: Locale): void {
+  currentLocale = locale;
+}
+
+/**
+ * The catalog for the browser's UI language, which is also the one Chrome
+ * picks from _locales
+ */
+export function detectLocale(): Locale {
+  const language =
+    typeof chrome !== "undefined" && chrome.i18n?.getUILanguage
+      ? chrome.i18n.getUILanguage()
+      : navigator.language;
+  return resolveLocale(language);
+}
+
+/**
+ * Look up a message in the shared catalog for the current locale
+ * @param key - The message key, e.g. "required"
+ * @param params - Values for the message's {name} placeholders
+ */
+export function t(key: string, params: Record<string, string | number> = {}): string {
+  return translate(currentLocale, key, params);
+}
+
+/**
+ * The regional locale numbers are formatted with, e.g. "es-US" for Spanish
+ */
+export function getNumberLocale(): string {
+  return getCatalogNumberLocale(currentLocale);
+}
+
+/**
+ * Format a dollar amount for the current locale, e.g. "$1,234.50"
+ */
+export function formatLocalizedCurrency(amount: number, decimals = 2): string {
+  return formatLocaleCurrency(amount, currentLocale, decimals);
+}
+
+/**
+ * Replace the page's English labels with the browser language's from _locales.
+ * data-i18n sets an element's text, data-i18n-placeholder and data-i18n-title its
+ * attributes. Anything Chrome has no message for keeps the English in the HTML.
+ */
+export function localizeDocument(root: ParentNode): void {
+  const getMessage = (key: string): string =>
+    (typeof chrome !== "undefined" && chrome.i18n?.getMessage?.(key)) || "";
+
+  root.querySelectorAll<HTMLElement>("[data-i18n]").forEach((element) => {
+    const message = getMessage(element.dataset.i18n!);
+    if (message) element.textContent = message;
+  });
+  root.querySelectorAll<HTMLElement>("[data-i18n-placeholder]").forEach((element) => {
+    const message = getMessage(element.dataset.i18nPlaceholder!);
+    if (message) element.setAttribute("placeholder", message);
+  });
+  root.querySelectorAll<HTMLElement>("[data-i18n-title]").forEach((element) => {
+    const message = getMessage(element.dataset.i18nTitle!);
+    if (message) element.title = message;
+  });
+}
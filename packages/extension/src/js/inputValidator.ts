@@ -3,7 +3,27 @@
  * Pure functions with no DOM dependencies
  */
 
-export type ValidationField = 'price' | 'term' | 'rate' | 'tax' | 'insurance' | 'hoaFee' | 'principalBuydown';
+// @ts-expect-error - MortgageCalculator is a JavaScript module from the shared package
+import { MortgageCalculator } from "@naca-app/calculator";
+// @ts-expect-error - parseLocaleNumber is a JavaScript module from the shared package
+import { parseLocaleNumber } from "@naca-app/calculator/parsing";
+import { formatLocalizedCurrency, t } from "./i18n";
+
+export type ValidationField =
+  | 'price'
+  | 'term'
+  | 'rate'
+  | 'tax'
+  | 'insurance'
+  | 'hoaFee'
+  | 'principalBuydown'
+  | 'extraMonthly'
+  | 'extraAnnual'
+  | 'extraOneTime'
+  | 'extraOneTimeMonth'
+  | 'buydownBudget'
+  | 'maxMonthlyPayment'
+  | 'apiBaseUrl';
 
 export interface ValidationSuccess<T> {
   kind: 'success';
@@ -18,6 +38,55 @@ export interface ValidationFailure {
 
 export type ValidationResult<T> = ValidationSuccess<T> | ValidationFailure;
 
+/**
+ * Every failing field at once, for forms that show all their errors together
+ */
+export interface AggregateValidationFailure {
+  kind: 'failure';
+  errors: ValidationFailure[];
+}
+
+export type AggregateValidationResult<T> = ValidationSuccess<T> | AggregateValidationFailure;
+
+/**
+ * The calculator package's rules that span more than one field
+ */
+export type CrossFieldRule = 'buydown-exceeds-price' | 'insufficient-payment' | 'rate-below-cap';
+
+export interface CrossFieldFailure extends ValidationFailure {
+  reason: CrossFieldRule;
+  /** The price the buydown can't exceed, the minimum payment or the minimum rate */
+  limit: number;
+}
+
+/**
+ * A value that is allowed but probably a typo; shown without blocking the calculation
+ */
+export interface ValidationWarning {
+  kind: 'warning';
+  field: ValidationField;
+  message: string;
+}
+
+export type ParsedNumber =
+  | { kind: 'success'; value: number; normalized: string }
+  | { kind: 'failure'; reason: 'empty' | 'invalid' };
+
+export interface ParseNumberOptions {
+  /** Accept k and M for thousands and millions (default true) */
+  allowSuffix?: boolean;
+  /** Accept a trailing percent sign (default false) */
+  allowPercent?: boolean;
+}
+
+/**
+ * Parse a number as typed or pasted: "$425,000", "425k", "1.2M", "6,5" or "6.125%"
+ * (see parseLocaleNumber in the calculator package)
+ */
+export function parseNumber(value: string, options: ParseNumberOptions = {}): ParsedNumber {
+  return parseLocaleNumber(value, options);
+}
+
 export interface RawCalculatorInput {
   price: string;
   term: string;
@@ -38,25 +107,81 @@ export interface ValidatedCalculatorInput {
   principalBuydown: number;
 }
 
+export interface RawExtraPaymentsInput {
+  extraMonthly: string;
+  extraAnnual: string;
+  extraOneTime: string;
+  extraOneTimeMonth: string;
+}
+
+export interface OneTimePrepayment {
+  month: number;
+  amount: number;
+}
+
+export interface ExtraPayments {
+  monthly: number;
+  annual: number;
+  oneTime: OneTimePrepayment[];
+}
+
 /**
  * Validate and parse a price/payment value
  */
 export function validatePrice(value: string): ValidationResult<number> {
-  const trimmed = String(value).trim();
-  if (trimmed === "") {
-    return { kind: 'failure', field: 'price', message: 'Required' };
-  }
-  const num = parseFloat(trimmed);
-  if (isNaN(num)) {
-    return { kind: 'failure', field: 'price', message: 'Must be a number' };
+  const parsed = parseNumber(value);
+  if (parsed.kind === 'failure') {
+    return {
+      kind: 'failure',
+      field: 'price',
+      message: parsed.reason === 'empty' ? t('required') : t('mustBeNumber')
+    };
   }
+  const num = parsed.value;
   if (num < 0) {
-    return { kind: 'failure', field: 'price', message: 'Must be positive' };
+    return { kind: 'failure', field: 'price', message: t('mustBePositive') };
   }
   return { kind: 'success', data: num };
 }
 
-const VALID_TERMS = [15, 20, 30];
+// A dollar sign or a K/M suffix, which sets a price apart from a year or a count
+const PRICE_MARKER = /^\s*\$|\d\s*[km]\s*$/i;
+
+/**
+ * Validate a price written the way listing pages show it: "$425,000", "425K" or "$1.2M"
+ * A bare number such as "2024" isn't taken for a price
+ */
+export function validatePriceText(value: string): ValidationResult<number> {
+  const parsed = parseNumber(value);
+  if (parsed.kind === 'failure' || !PRICE_MARKER.test(value)) {
+    return { kind: 'failure', field: 'price', message: t('mustBeDollarAmount') };
+  }
+  if (parsed.value < 0) {
+    return { kind: 'failure', field: 'price', message: t('mustBePositive') };
+  }
+  return { kind: 'success', data: parsed.value };
+}
+
+/**
+ * Loan terms are whole years from 1 to 40
+ */
+export const MIN_TERM = 1;
+export const MAX_TERM = 40;
+
+/**
+ * Validate a loan term in whole years
+ */
+export function validateTerm(value: string): ValidationResult<number> {
+  const term = String(value).trim() === "" ? NaN : Number(value);
+  if (!Number.isInteger(term) || term < MIN_TERM || term > MAX_TERM) {
+    return {
+      kind: 'failure',
+      field: 'term',
+      message: t('invalidTerm', { min: MIN_TERM, max: MAX_TERM })
+    };
+  }
+  return { kind: 'success', data: term };
+}
 
 /**
  * Validate mortgage rate - validates term and rate together
@@ -66,29 +191,41 @@ export function validateMortgageRate(
   rateValue: string
 ): ValidationResult<{ term: number; rate: number }> {
   // Parse and validate term
-  const term = parseInt(termValue, 10);
-  if (isNaN(term) || !VALID_TERMS.includes(term)) {
-    return { kind: 'failure', field: 'term', message: 'Invalid term. Must be 15, 20, or 30' };
-  }
+  const termResult = validateTerm(termValue);
+  if (termResult.kind === 'failure') return termResult;
 
   // Parse and validate rate
-  const rate = parseFloat(rateValue);
-  if (isNaN(rate)) {
-    return { kind: 'failure', field: 'rate', message: 'Rate must be a number' };
+  const rateResult = validateRate(rateValue);
+  if (rateResult.kind === 'failure') return rateResult;
+
+  return { kind: 'success', data: { term: termResult.data, rate: rateResult.data } };
+}
+
+/**
+ * Validate an interest rate percentage
+ */
+export function validateRate(value: string): ValidationResult<number> {
+  const parsed = parseNumber(value, { allowSuffix: false, allowPercent: true });
+  if (parsed.kind === 'failure') {
+    return { kind: 'failure', field: 'rate', message: t('rateMustBeNumber') };
   }
+  const rate = parsed.value;
   if (rate <= 0) {
-    return { kind: 'failure', field: 'rate', message: 'Rate must be positive' };
+    return { kind: 'failure', field: 'rate', message: t('rateMustBePositive') };
   }
-
-  return { kind: 'success', data: { term, rate } };
+  return { kind: 'success', data: rate };
 }
 
 /**
  * Valid property tax rates: 5 to 30.5 in 0.5 increments
  * These match the hardcoded options in popup/popup.html
  */
+export const MIN_PROPERTY_TAX_RATE = 5;
+export const MAX_PROPERTY_TAX_RATE = 30.5;
+export const PROPERTY_TAX_RATE_STEP = 0.5;
+
 const VALID_PROPERTY_TAX_RATES: number[] = [];
-for (let i = 5; i <= 30.5; i += 0.5) {
+for (let i = MIN_PROPERTY_TAX_RATE; i <= MAX_PROPERTY_TAX_RATE; i += PROPERTY_TAX_RATE_STEP) {
   VALID_PROPERTY_TAX_RATES.push(Math.round(i * 10) / 10); // Avoid floating point issues
 }
 
@@ -97,20 +234,20 @@ for (let i = 5; i <= 30.5; i += 0.5) {
  * Must be one of the hardcoded options from popup.html (5 to 30.5 in 0.5 increments)
  */
 export function validatePropertyTax(value: string): ValidationResult<number> {
-  const trimmed = String(value).trim();
-  if (trimmed === "") {
-    return { kind: 'failure', field: 'tax', message: 'Required' };
-  }
-
-  const num = parseFloat(trimmed);
-  if (isNaN(num)) {
-    return { kind: 'failure', field: 'tax', message: 'Property tax must be a number' };
+  const parsed = parseNumber(value, { allowSuffix: false });
+  if (parsed.kind === 'failure') {
+    return {
+      kind: 'failure',
+      field: 'tax',
+      message: parsed.reason === 'empty' ? t('required') : t('taxMustBeNumber')
+    };
   }
+  const num = parsed.value;
 
   // Check if rate is in the valid list
   const roundedNum = Math.round(num * 10) / 10; // Round to 1 decimal place for comparison
   if (!VALID_PROPERTY_TAX_RATES.includes(roundedNum)) {
-    return { kind: 'failure', field: 'tax', message: 'Invalid property tax rate' };
+    return { kind: 'failure', field: 'tax', message: t('invalidTaxRate') };
   }
 
   return { kind: 'success', data: num };
@@ -120,64 +257,109 @@ export function validatePropertyTax(value: string): ValidationResult<number> {
  * Validate a non-negative number field
  */
 export function validateNonNegative(value: string, field: ValidationField): ValidationResult<number> {
-  const num = parseFloat(value);
-  if (isNaN(num)) {
-    return { kind: 'failure', field, message: 'Must be a number' };
+  const parsed = parseNumber(value);
+  if (parsed.kind === 'failure') {
+    return { kind: 'failure', field, message: t('mustBeNumber') };
   }
+  const num = parsed.value;
   if (num < 0) {
-    return { kind: 'failure', field, message: 'Must be non-negative' };
+    return { kind: 'failure', field, message: t('mustBeNonNegative') };
   }
   return { kind: 'success', data: num };
 }
 
+/**
+ * Validate an API server address such as "http://localhost:3000"
+ * @returns - The address without a trailing slash
+ */
+export function validateApiBaseUrl(value: string): ValidationResult<string> {
+  const trimmed = String(value).trim();
+  if (trimmed === "") {
+    return { kind: 'failure', field: 'apiBaseUrl', message: t('required') };
+  }
+
+  let url: URL;
+  try {
+    url = new URL(trimmed);
+  } catch {
+    return { kind: 'failure', field: 'apiBaseUrl', message: t('mustBeUrl') };
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    return { kind: 'failure', field: 'apiBaseUrl', message: t('mustBeHttpUrl') };
+  }
+
+  return { kind: 'success', data: trimmed.replace(/\/+$/, "") };
+}
+
 /**
  * Validate all calculator inputs (fail-fast: returns first error encountered)
  */
 export function validateCalculatorInput(
   raw: RawCalculatorInput
 ): ValidationResult<ValidatedCalculatorInput> {
-  // Validate price
-  const priceResult = validatePrice(raw.price);
-  if (priceResult.kind === 'failure') return priceResult;
-
-  // Validate term and rate together
-  const mortgageRateResult = validateMortgageRate(raw.term, raw.rate);
-  if (mortgageRateResult.kind === 'failure') return mortgageRateResult;
-
-  // Validate tax (using hardcoded property tax options)
-  if (raw.tax === undefined || raw.tax === null) {
-    return { kind: 'failure', field: 'tax', message: 'Required' };
-  }
-  const taxResult = validatePropertyTax(String(raw.tax));
-  if (taxResult.kind === 'failure') return taxResult;
+  const result = validateAllCalculatorInput(raw);
+  return result.kind === 'failure' ? result.errors[0] : result;
+}
 
-  // Validate insurance (required field)
-  if (raw.insurance === undefined || raw.insurance === null) {
-    return { kind: 'failure', field: 'insurance', message: 'Required' };
-  }
-  const insuranceResult = validateNonNegative(String(raw.insurance), 'insurance');
-  if (insuranceResult.kind === 'failure') return insuranceResult;
+/**
+ * Validate all calculator inputs, collecting every field's error
+ * @returns - The parsed inputs, or the errors in form order
+ */
+export function validateAllCalculatorInput(
+  raw: RawCalculatorInput
+): AggregateValidationResult<ValidatedCalculatorInput> {
+  // Tax, insurance, HOA and principal buydown are required fields
+  const required = (value: string, field: ValidationField): ValidationResult<string> =>
+    value === undefined || value === null
+      ? { kind: 'failure', field, message: t('required') }
+      : { kind: 'success', data: String(value) };
+  const andThen = <T>(
+    result: ValidationResult<string>,
+    validate: (value: string) => ValidationResult<T>
+  ): ValidationResult<T> => (result.kind === 'failure' ? result : validate(result.data));
 
-  // Validate hoaFee (required field)
-  if (raw.hoaFee === undefined || raw.hoaFee === null) {
-    return { kind: 'failure', field: 'hoaFee', message: 'Required' };
-  }
-  const hoaResult = validateNonNegative(String(raw.hoaFee), 'hoaFee');
-  if (hoaResult.kind === 'failure') return hoaResult;
+  const priceResult = validatePrice(raw.price);
+  const termResult = validateTerm(raw.term);
+  const rateResult = validateRate(raw.rate);
+  // Using hardcoded property tax options
+  const taxResult = andThen(required(raw.tax, 'tax'), validatePropertyTax);
+  const insuranceResult = andThen(required(raw.insurance, 'insurance'), (value) =>
+    validateNonNegative(value, 'insurance')
+  );
+  const hoaResult = andThen(required(raw.hoaFee, 'hoaFee'), (value) =>
+    validateNonNegative(value, 'hoaFee')
+  );
+  const buydownResult = andThen(required(raw.principalBuydown, 'principalBuydown'), (value) =>
+    validateNonNegative(value, 'principalBuydown')
+  );
 
-  // Validate principalBuydown (required field)
-  if (raw.principalBuydown === undefined || raw.principalBuydown === null) {
-    return { kind: 'failure', field: 'principalBuydown', message: 'Required' };
+  if (
+    priceResult.kind === 'failure' ||
+    termResult.kind === 'failure' ||
+    rateResult.kind === 'failure' ||
+    taxResult.kind === 'failure' ||
+    insuranceResult.kind === 'failure' ||
+    hoaResult.kind === 'failure' ||
+    buydownResult.kind === 'failure'
+  ) {
+    const errors = [
+      priceResult,
+      termResult,
+      rateResult,
+      taxResult,
+      insuranceResult,
+      hoaResult,
+      buydownResult,
+    ].filter((result): result is ValidationFailure => result.kind === 'failure');
+    return { kind: 'failure', errors };
   }
-  const buydownResult = validateNonNegative(String(raw.principalBuydown), 'principalBuydown');
-  if (buydownResult.kind === 'failure') return buydownResult;
 
   return {
     kind: 'success',
     data: {
       price: priceResult.data,
-      term: mortgageRateResult.data.term,
-      rate: mortgageRateResult.data.rate,
+      term: termResult.data,
+      rate: rateResult.data,
       tax: taxResult.data,
       insurance: insuranceResult.data,
       hoaFee: hoaResult.data,
@@ -185,3 +367,135 @@ export function validateCalculatorInput(
     }
   };
 }
+
+// The shared calculator explains broken rules in English; say it in the user's language
+const CROSS_FIELD_MESSAGES: Record<CrossFieldRule, (limit: number) => string> = {
+  'buydown-exceeds-price': (limit) => t('buydownExceedsPrice', { price: formatLocalizedCurrency(limit) }),
+  'insufficient-payment': (limit) => t('insufficientPayment', { amount: formatLocalizedCurrency(limit) }),
+  'rate-below-cap': (limit) => t('rateBelowCap', { rate: limit.toFixed(3) })
+};
+
+/**
+ * Validate the rules between fields: a principal buydown no larger than the price, a
+ * payment that covers taxes, insurance and HOA, and a rate within the 1.5% buydown cap
+ * @param input - Inputs that passed validateAllCalculatorInput
+ * @param calcMethod - 'payment' when price is the desired payment, 'price' when it is the purchase price
+ * @param originalRate - The rate before any interest rate buydown
+ * @returns - The inputs, or an error on each field that breaks a rule
+ */
+export function validateCrossFieldInput(
+  input: ValidatedCalculatorInput,
+  calcMethod: "payment" | "price",
+  originalRate: number = input.rate
+): ValidationSuccess<ValidatedCalculatorInput> | { kind: 'failure'; errors: CrossFieldFailure[] } {
+  const calculator = new MortgageCalculator();
+  calculator.setCalcMethod(calcMethod);
+  const result = calculator.validateInputs(input, originalRate);
+  if (result.kind === 'failure') {
+    return {
+      kind: 'failure',
+      errors: result.errors.map(
+        (error: Omit<CrossFieldFailure, 'kind'>): CrossFieldFailure => ({
+          kind: 'failure',
+          ...error,
+          message: CROSS_FIELD_MESSAGES[error.reason](error.limit)
+        })
+      )
+    };
+  }
+  return { kind: 'success', data: input };
+}
+
+/**
+ * Thresholds past which a legal value is probably a typo
+ */
+export const MAX_TYPICAL_MONTHLY_INSURANCE = 1000;
+export const MIN_TYPICAL_PRICE = 10000;
+
+/**
+ * Find values that are legal but suspicious, once the inputs have been calculated
+ * @param input - The validated inputs
+ * @param result - The monthly costs calculated from them
+ * @param calcMethod - 'payment' when price is the desired payment, 'price' when it is the purchase price
+ */
+export function findCalculatorWarnings(
+  input: ValidatedCalculatorInput,
+  result: { principalInterest: number; taxes: number; insurance: number },
+  calcMethod: "payment" | "price"
+): ValidationWarning[] {
+  const warnings: ValidationWarning[] = [];
+
+  if (calcMethod === "price" && input.price < MIN_TYPICAL_PRICE) {
+    warnings.push({
+      kind: 'warning',
+      field: 'price',
+      message: t('priceUnderTypical', { amount: formatLocalizedCurrency(MIN_TYPICAL_PRICE, 0) })
+    });
+  }
+  if (calcMethod === "payment" && input.price <= result.taxes + result.insurance) {
+    warnings.push({
+      kind: 'warning',
+      field: 'price',
+      message: t('paymentOnlyCoversCosts')
+    });
+  }
+  if (input.insurance > MAX_TYPICAL_MONTHLY_INSURANCE) {
+    warnings.push({
+      kind: 'warning',
+      field: 'insurance',
+      message: t('insuranceOverTypical', { amount: formatLocalizedCurrency(MAX_TYPICAL_MONTHLY_INSURANCE, 0) })
+    });
+  }
+  if (input.hoaFee > result.principalInterest) {
+    warnings.push({
+      kind: 'warning',
+      field: 'hoaFee',
+      message: t('hoaOverPrincipalInterest')
+    });
+  }
+
+  return warnings;
+}
+
+/**
+ * Validate the optional extra payments (blank fields mean no extra payment)
+ * @param raw - Raw string values from the extra payments panel
+ * @param term - Loan term in years, which bounds the one-time prepayment month
+ */
+export function validateExtraPayments(
+  raw: RawExtraPaymentsInput,
+  term: number
+): ValidationResult<ExtraPayments> {
+  const optional = (value: string) => (String(value).trim() === "" ? "0" : value);
+
+  const monthlyResult = validateNonNegative(optional(raw.extraMonthly), 'extraMonthly');
+  if (monthlyResult.kind === 'failure') return monthlyResult;
+
+  const annualResult = validateNonNegative(optional(raw.extraAnnual), 'extraAnnual');
+  if (annualResult.kind === 'failure') return annualResult;
+
+  const oneTimeResult = validateNonNegative(optional(raw.extraOneTime), 'extraOneTime');
+  if (oneTimeResult.kind === 'failure') return oneTimeResult;
+
+  const oneTime: OneTimePrepayment[] = [];
+  if (oneTimeResult.data > 0) {
+    const month = Number(String(raw.extraOneTimeMonth).trim());
+    if (!Number.isInteger(month) || month < 1 || month > term * 12) {
+      return {
+        kind: 'failure',
+        field: 'extraOneTimeMonth',
+        message: t('paymentNumberRange', { max: term * 12 })
+      };
+    }
+    oneTime.push({ month, amount: oneTimeResult.data });
+  }
+
+  return {
+    kind: 'success',
+    data: {
+      monthly: monthlyResult.data,
+      annual: annualResult.data,
+      oneTime
+    }
+  };
+}
@@ -0,0 +1,49 @@
+/**
+ * Listing data shared by the content scripts and the popup
+ * Pure functions with no DOM dependencies
+ */
+
+import {
+  MAX_PROPERTY_TAX_RATE,
+  MIN_PROPERTY_TAX_RATE,
+  PROPERTY_TAX_RATE_STEP,
+} from "./inputValidator";
+
+/** Message the popup sends to the active tab's content script */
+export const GET_LISTING_MESSAGE = "getListing";
+
+export interface GetListingMessage {
+  type: typeof GET_LISTING_MESSAGE;
+}
+
+/** Message a content script sends when its page moves to another listing without reloading */
+export const LISTING_CHANGED_MESSAGE = "listingChanged";
+
+export interface ListingChangedMessage {
+  type: typeof LISTING_CHANGED_MESSAGE;
+}
+
+/**
+ * What a listing page shows; anything the page doesn't show is left out
+ */
+export interface ListingData {
+  price?: number;
+  address?: string;
+  annualPropertyTax?: number;
+  monthlyHoa?: number;
+  monthlyInsurance?: number;
+  /** The listing page's URL, which the content script adds when it answers */
+  url?: string;
+}
+
+/**
+ * Convert a listing's annual property tax to the nearest tax rate option
+ * @param annualPropertyTax - Annual property tax in dollars
+ * @param price - The listing price
+ * @returns - Tax per $1000 of price, snapped to the popup's 0.5 steps from 5 to 30.5
+ */
+export function toPropertyTaxRate(annualPropertyTax: number, price: number): number {
+  const rate = (annualPropertyTax / price) * 1000;
+  const snapped = Math.round(rate / PROPERTY_TAX_RATE_STEP) * PROPERTY_TAX_RATE_STEP;
+  return Math.min(Math.max(snapped, MIN_PROPERTY_TAX_RATE), MAX_PROPERTY_TAX_RATE);
+}
@@ -7,11 +7,20 @@
 
 // @ts-expect-error - MortgageCalculator is a JavaScript module from the shared package
 import { MortgageCalculator } from "@naca-app/calculator";
+// @ts-expect-error - the calculator store is a JavaScript module from the shared package
+import { createCalculatorStore as createSharedCalculatorStore } from "@naca-app/calculator/store";
 import {
+  findCalculatorWarnings,
+  validateAllCalculatorInput,
   validateCalculatorInput,
+  validateCrossFieldInput,
+  type ExtraPayments,
   type RawCalculatorInput,
+  type ValidatedCalculatorInput,
   type ValidationFailure,
+  type ValidationWarning,
 } from "./inputValidator";
+import { formatLocalizedCurrency, getNumberLocale } from "./i18n";
 
 export interface CalculationResult {
   monthlyPayment: number;
@@ -25,15 +34,30 @@ export interface CalculationResult {
 export interface CalculateMortgageSuccess {
   kind: 'success';
   data: CalculationResult;
+  /** The validated inputs the result was calculated from */
+  input: ValidatedCalculatorInput;
+  /** Suspicious but legal inputs, shown without blocking the result */
+  warnings: ValidationWarning[];
 }
 
 export interface CalculateMortgageError {
   kind: 'failure';
-  error: ValidationFailure;
+  /** Every invalid field, in form order */
+  errors: ValidationFailure[];
 }
 
 export type CalculateMortgageResult = CalculateMortgageSuccess | CalculateMortgageError;
 
+/**
+ * Create a calculator that rounds like NACA's official calculator
+ */
+function createCalculator() {
+  const calculator = new MortgageCalculator();
+  calculator.setRoundingMode("naca");
+  calculator.setLocale(getNumberLocale());
+  return calculator;
+}
+
 export interface RecalculateInput {
   price: number;
   term: number;
@@ -48,25 +72,36 @@ export interface RecalculateInput {
  * Validate inputs and calculate mortgage
  * @param rawInput - Raw string values from form
  * @param calcMethod - 'payment' or 'price'
- * @returns - { ok: boolean, data?: Object, errors?: Array }
+ * @param originalRate - The rate before any interest rate buydown (defaults to no buydown)
+ * @returns - The result and any warnings, or every validation error
  */
 export function calculateMortgage(
   rawInput: RawCalculatorInput,
-  calcMethod: "payment" | "price"
+  calcMethod: "payment" | "price",
+  originalRate?: number
 ): CalculateMortgageResult {
-  // 1. Validate
-  const validation = validateCalculatorInput(rawInput);
+  // 1. Validate each field, then the rules between them
+  const validation = validateAllCalculatorInput(rawInput);
   if (validation.kind === 'failure') {
-    return { kind: 'failure', error: validation };
+    return { kind: 'failure', errors: validation.errors };
+  }
+  const crossField = validateCrossFieldInput(validation.data, calcMethod, originalRate);
+  if (crossField.kind === 'failure') {
+    return { kind: 'failure', errors: crossField.errors };
   }
 
   // 2. Calculate
-  const calculator = new MortgageCalculator();
+  const calculator = createCalculator();
   calculator.setCalcMethod(calcMethod);
   const result = calculator.calculateRaw(validation.data);
 
   // 3. Return raw numbers (UI formats them)
-  return { kind: 'success', data: result };
+  return {
+    kind: 'success',
+    data: result,
+    input: validation.data,
+    warnings: findCalculatorWarnings(validation.data, result, calcMethod),
+  };
 }
 
 /**
@@ -80,22 +115,252 @@ export function recalculateMortgage(
   validatedInput: RecalculateInput,
   calcMethod: "payment" | "price"
 ): CalculationResult {
-  const calculator = new MortgageCalculator();
+  const calculator = createCalculator();
   calculator.setCalcMethod(calcMethod);
   return calculator.calculateRaw(validatedInput);
 }
 
+export type CalcMethod = "payment" | "price";
+
+/** The entered inputs the sliders recalculate from; price is as entered for the calculation method */
+export type EnteredCalculatorInput = Omit<ValidatedCalculatorInput, "term" | "rate" | "principalBuydown">;
+
+export interface CalculatorState {
+  calcMethod: CalcMethod;
+  term: number;
+  /** The selected rate, before any interest rate buydown */
+  originalRate: number;
+  /** The interest rate buydown slider's rate */
+  desiredRate: number;
+  /** Whether the desired rate was held at the 1.5% buydown cap */
+  capReached: boolean;
+  principalBuydown: number;
+  /** null until a calculation passes validation */
+  inputs: EnteredCalculatorInput | null;
+  result: CalculationResult | null;
+  /** The interest rate buydown's cost and break-even on the purchase price */
+  rateBuydown: BuydownBreakEven | null;
+}
+
+export type CalculatorAction =
+  | { type: "calculate"; inputs: ValidatedCalculatorInput; originalRate?: number }
+  | { type: "setCalcMethod"; calcMethod: CalcMethod }
+  | { type: "selectRate"; term: number; rate: number }
+  | { type: "setInterestRateBuydown"; rate: number }
+  | { type: "setPrincipalBuydown"; amount: number }
+  | { type: "restore"; state: CalculatorState }
+  | { type: "reset" };
+
+export interface CalculatorStore {
+  getState(): CalculatorState;
+  dispatch(action: CalculatorAction): void;
+  /** Returns a function that unsubscribes */
+  subscribe(listener: (state: CalculatorState) => void): () => void;
+}
+
 /**
- * Format a number as currency
+ * Create the state store a page renders the calculator from
+ * Actions go in and the recalculated state comes out; see the shared package's store.js
+ * @returns - A store that calculates like calculateMortgage (no validation)
+ */
+export function createCalculatorStore(): CalculatorStore {
+  return createSharedCalculatorStore(createCalculator());
+}
+
+export interface BuydownNetSavings {
+  years: number;
+  netSavings: number;
+}
+
+export interface BuydownBreakEven {
+  cost: number;
+  originalPayment: number;
+  buydownPayment: number;
+  monthlySavings: number;
+  breakEvenMonths: number | null;
+  netSavings: BuydownNetSavings[];
+}
+
+/**
+ * Calculate when an interest rate buydown pays for itself (no validation)
+ * @param principal - The principal amount
+ * @param originalRate - The starting interest rate
+ * @param desiredRate - The target bought-down rate
+ * @param term - Loan term in years
+ * @returns - The buydown cost, monthly P&I savings, break-even month and net savings
+ */
+export function calculateBuydownBreakEven(
+  principal: number,
+  originalRate: number,
+  desiredRate: number,
+  term: number
+): BuydownBreakEven {
+  const calculator = createCalculator();
+  return calculator.calculateBuydownBreakEven(principal, originalRate, desiredRate, term);
+}
+
+export type BuydownObjective = "payment" | "interest";
+
+export interface BuydownAllocation {
+  desiredRate: number;
+  rateBuydownCost: number;
+  principalBuydown: number;
+  totalCost: number;
+  monthlyPayment: number;
+  principalInterest: number;
+  totalInterest: number;
+}
+
+/**
+ * Split a cash budget between the interest rate and principal buydowns (no validation)
+ * @param validatedInput - Already validated input object; price is the purchase price and rate the original rate
+ * @param budget - Cash available for buydowns
+ * @param objective - Minimize the monthly payment or the total interest
+ * @param principalStep - Principal buydown increment, e.g. the slider step
+ * @returns - The rate to buy down to and the principal buydown, with the resulting payment
+ */
+export function optimizeBuydownAllocation(
+  validatedInput: RecalculateInput,
+  budget: number,
+  objective: BuydownObjective,
+  principalStep = 1
+): BuydownAllocation {
+  const calculator = createCalculator();
+  return calculator.optimizeBuydownAllocation(validatedInput, budget, {
+    objective,
+    principalStep,
+  });
+}
+
+export interface EarlyPayoffResult {
+  payoffDate: Date;
+  originalPayoffDate: Date;
+  monthsSaved: number;
+  interestSaved: number;
+}
+
+/**
+ * Model extra principal payments against the regular schedule (no validation)
+ * @param validatedInput - Already validated input object; price is the purchase price
+ * @param extraPayments - Validated extra payments
+ * @param startDate - Date of the first payment (defaults to today)
+ * @returns - The new payoff date and what the extra payments save
+ */
+export function calculateEarlyPayoff(
+  validatedInput: RecalculateInput,
+  extraPayments: ExtraPayments,
+  startDate: Date = new Date()
+): EarlyPayoffResult {
+  const calculator = createCalculator();
+  calculator.setCalcMethod("price");
+  return calculator.calculateEarlyPayoff(validatedInput, extraPayments, startDate);
+}
+
+export interface ComparisonScenario {
+  name: string;
+  input: RawCalculatorInput;
+  calcMethod: "payment" | "price";
+  /** The rate before any interest rate buydown; defaults to input.rate (no rate buydown) */
+  originalRate?: number;
+  extraPayments?: ExtraPayments;
+}
+
+export interface ScenarioDeltas {
+  purchasePrice: number;
+  monthlyPayment: number;
+  principalInterest: number;
+  totalInterest: number;
+  cashNeeded: number;
+  numberOfPayments: number;
+}
+
+export interface ScenarioComparison {
+  name: string;
+  purchasePrice: number;
+  monthlyPayment: number;
+  principalInterest: number;
+  totalInterest: number;
+  cashNeeded: number;
+  numberOfPayments: number;
+  payoffDate: Date;
+  deltas: ScenarioDeltas;
+}
+
+export interface CompareScenariosSuccess {
+  kind: 'success';
+  baselineIndex: number;
+  results: ScenarioComparison[];
+}
+
+export interface CompareScenariosError {
+  kind: 'failure';
+  message: string;
+  /** The scenario that failed validation, if any */
+  scenario?: string;
+  error?: ValidationFailure;
+}
+
+export type CompareScenariosResult = CompareScenariosSuccess | CompareScenariosError;
+
+/**
+ * Validate and compare 2 to 6 named scenarios side by side
+ * @param scenarios - Named raw inputs, each with its own calculation method
+ * @param baselineIndex - The scenario the deltas are measured against
+ * @param startDate - Date of the first payment (defaults to today)
+ * @returns - Aligned results with deltas against the baseline, or the first failure
+ */
+export function compareScenarios(
+  scenarios: ComparisonScenario[],
+  baselineIndex = 0,
+  startDate: Date = new Date()
+): CompareScenariosResult {
+  const validated = [];
+  for (const scenario of scenarios) {
+    const validation = validateCalculatorInput(scenario.input);
+    if (validation.kind === 'failure') {
+      return {
+        kind: 'failure',
+        message: `${scenario.name}: ${validation.message}`,
+        scenario: scenario.name,
+        error: validation,
+      };
+    }
+    validated.push({
+      name: scenario.name,
+      inputs: validation.data,
+      calcMethod: scenario.calcMethod,
+      originalRate: scenario.originalRate,
+      extraPayments: scenario.extraPayments,
+    });
+  }
+
+  const calculator = createCalculator();
+  const result = calculator.compareScenarios(validated, baselineIndex, startDate);
+  if (result.kind === 'failure') {
+    return { kind: 'failure', message: result.message };
+  }
+  return result;
+}
+
+/**
+ * Estimate the rate for any term from NACA's published 15/20/30-year rates
+ * @param term - Loan term in years
+ * @param ratesByTerm - Published rates keyed by term
+ * @returns - The interpolated rate, rounded to 0.001%
+ */
+export function interpolateRate(
+  term: number,
+  ratesByTerm: Record<string, number>
+): number {
+  const calculator = createCalculator();
+  return calculator.interpolateRate(term, ratesByTerm);
+}
+
+/**
+ * Format a number as currency in the current locale
  */
 export function formatCurrency(num: number, decimals = 2): string {
-  if (isNaN(num)) return "";
-  return (
-    "$" +
-    num
-      .toFixed(decimals)
-      .replace(/\B(?=(\d{3})+(?!\d))/g, ",")
-  );
+  return formatLocalizedCurrency(num, decimals);
 }
 
 /**
@@ -113,6 +378,6 @@ export function calculateInterestRateBuydown(
   desiredRate: number,
   term: number
 ): number {
-  const calculator = new MortgageCalculator();
+  const calculator = createCalculator();
   return calculator.calculateInterestRateBuydown(principal, originalRate, desiredRate, term);
 }
@@ -0,0 +1,118 @@
+/**
+ * Rate alerts - spot changes in NACA's published rates and flag them on the
+ * toolbar icon until the popup is opened
+ */
+
+import { t } from "./i18n";
+import {
+  formatRateLabel,
+  loadCachedRates,
+  MEMBERSHIP_LABEL_KEYS,
+  refreshMortgageRates,
+  type InterestRates,
+  type MembershipType,
+} from "./rates";
+
+// The terms NACA publishes; other terms are interpolated from these
+const PUBLISHED_TERMS = ["30", "20", "15"];
+
+// The rates the user was last alerted about. Kept apart from the rate cache, which
+// the popup and listing pages refresh on their own once it's a day old
+const ALERTED_RATES_KEY = "alertedRates";
+
+const RATE_UP_BADGE = { text: "▲", color: "#dc3545" };
+const RATE_DOWN_BADGE = { text: "▼", color: "#28a745" };
+
+export interface RateChange {
+  term: string;
+  membership: MembershipType;
+  from: number;
+  to: number;
+}
+
+/**
+ * Find the published rates that differ between two sets of rates
+ * @param previous - The rates seen last
+ * @param latest - The rates just fetched
+ * @returns - Each changed rate, 30-year first
+ */
+export function findRateChanges(
+  previous: InterestRates,
+  latest: InterestRates
+): RateChange[] {
+  const changes: RateChange[] = [];
+  for (const term of PUBLISHED_TERMS) {
+    for (const membership of Object.keys(MEMBERSHIP_LABEL_KEYS) as MembershipType[]) {
+      const from = previous[term]?.[membership];
+      const to = latest[term]?.[membership];
+      if (from !== undefined && to !== undefined && from !== to) {
+        changes.push({ term, membership, from, to });
+      }
+    }
+  }
+  return changes;
+}
+
+/**
+ * Fetch the latest rates and find the ones that changed since the last check,
+ * remembering them for the next one
+ * @returns - Each changed rate; none if the API is unreachable
+ */
+export async function checkForRateChanges(): Promise<RateChange[]> {
+  // Before the first check, the cached rates are the last ones the user saw
+  const previous = (await loadAlertedRates()) ?? (await loadCachedRates())?.rates;
+  const latest = await refreshMortgageRates();
+  if (!latest) return [];
+
+  try {
+    await chrome.storage.local.set({ [ALERTED_RATES_KEY]: latest });
+  } catch (error) {
+    console.warn("Failed to save alerted rates:", error);
+  }
+  return previous ? findRateChanges(previous, latest) : [];
+}
+
+async function loadAlertedRates(): Promise<InterestRates | null> {
+  try {
+    const stored = await chrome.storage.local.get(ALERTED_RATES_KEY);
+    return (stored[ALERTED_RATES_KEY] as InterestRates | undefined) ?? null;
+  } catch (error) {
+    console.warn("Failed to load alerted rates:", error);
+    return null;
+  }
+}
+
+// e.g. "30-year priority: 6.125% → 6.25%"
+export function formatRateChange({ term, membership, from, to }: RateChange): string {
+  return t("rateChange", { label: formatRateLabel(term, membership), from, to });
+}
+
+/**
+ * Mark the toolbar icon with the direction of the first change, listing every
+ * change in its tooltip
+ */
+export async function showRateChangeBadge(changes: RateChange[]): Promise<void> {
+  if (changes.length === 0) return;
+
+  const badge = changes[0].to > changes[0].from ? RATE_UP_BADGE : RATE_DOWN_BADGE;
+  try {
+    await chrome.action.setBadgeText({ text: badge.text });
+    await chrome.action.setBadgeBackgroundColor({ color: badge.color });
+    await chrome.action.setTitle({
+      title: [t("ratesChanged"), ...changes.map(formatRateChange)].join("\n"),
+    });
+  } catch (error) {
+    console.warn("Failed to show the rate change badge:", error);
+  }
+}
+
+// The popup clears the badge once the user has seen the new rates
+export async function clearRateChangeBadge(): Promise<void> {
+  try {
+    await chrome.action.setBadgeText({ text: "" });
+    // The manifest's name is a __MSG_extName__ placeholder, so ask for the message itself
+    await chrome.action.setTitle({ title: chrome.i18n.getMessage("extName") });
+  } catch (error) {
+    console.warn("Failed to clear the rate change badge:", error);
+  }
+}
@@ -0,0 +1,208 @@
+/**
+ * NACA mortgage rates - fetched from the Railway API and cached in chrome.storage.local
+ * so the popup and the listing page content scripts share one copy
+ */
+
+import { getApiEndpoints } from "./api-config";
+import { t } from "./i18n";
+import { interpolateRate } from "./mortgageService";
+import { loadSettings } from "./settings";
+
+const RATE_CACHE_EXPIRY_MS = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
+const RATE_CACHE_KEY = "nacaMortgageRates";
+
+export type MembershipType = "priority" | "nonPriority";
+
+export interface TermRates {
+  priority: number;
+  nonPriority: number;
+}
+
+export interface InterestRates {
+  [term: string]: TermRates;
+}
+
+// Messages naming each membership type, e.g. "Priority"
+export const MEMBERSHIP_LABEL_KEYS: Record<MembershipType, string> = {
+  priority: "membershipLabelPriority",
+  nonPriority: "membershipLabelNonPriority",
+};
+
+// Messages naming a term's rate for each membership type, e.g. "30-year priority"
+const RATE_LABEL_KEYS: Record<MembershipType, string> = {
+  priority: "rateLabelPriority",
+  nonPriority: "rateLabelNonPriority",
+};
+
+/**
+ * Name a term's rate for a membership type, e.g. "30-year priority"
+ */
+export function formatRateLabel(term: string | number, membership: MembershipType): string {
+  return t(RATE_LABEL_KEYS[membership], { term });
+}
+
+export interface CachedRates {
+  rates: InterestRates;
+  timestamp: number;
+}
+
+/**
+ * Get the latest NACA rates, from the cache if it is less than a day old
+ * @returns - Priority and non-priority rates by term, or defaults if the API is unreachable
+ */
+export async function getLatestMortgageRates(): Promise<InterestRates> {
+  // Check the cache first
+  const cached = await loadCachedRates();
+  if (cached && Date.now() - cached.timestamp < RATE_CACHE_EXPIRY_MS) {
+    console.log("Using cached mortgage rates");
+    return cached.rates;
+  }
+
+  // If no valid cache, fetch fresh rates
+  const rates = await refreshMortgageRates();
+  if (!rates) {
+    console.warn("Returning default rates due to fetch error.");
+    return getDefaultRates();
+  }
+  return rates;
+}
+
+/**
+ * The cached rates, however old they are
+ * @returns - The rates and when they were fetched, or null if nothing usable is cached
+ */
+export async function loadCachedRates(): Promise<CachedRates | null> {
+  try {
+    const stored = await chrome.storage.local.get(RATE_CACHE_KEY);
+    const cached = stored[RATE_CACHE_KEY] as CachedRates | undefined;
+    // Only use caches holding named priority/non-priority rates
+    return cached && hasMembershipRates(cached.rates) ? cached : null;
+  } catch (error) {
+    console.warn("Failed to read cached rates:", error);
+    return null;
+  }
+}
+
+/**
+ * Fetch the current rates from the API and cache them
+ * @returns - Priority and non-priority rates by term, or null if the API is unreachable
+ */
+export async function refreshMortgageRates(): Promise<InterestRates | null> {
+  console.log("Fetching fresh mortgage rates from Railway API");
+  try {
+    const { apiBaseUrl } = await loadSettings();
+    const response = await fetch(getApiEndpoints(apiBaseUrl).rates, {
+      method: "GET",
+      headers: {
+        "Content-Type": "application/json",
+      },
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(
+        errorData.error || `HTTP error! status: ${response.status}`
+      );
+    }
+
+    const data = await response.json();
+
+    if (!data) {
+      console.warn("No mortgage rate data received from the API.");
+      return null;
+    }
+
+    // Format and cache the new rates
+    const formattedRates: InterestRates = {
+      "15": toTermRates(
+        data.fifteen_year_rate,
+        data.fifteen_year_non_priority_rate
+      ),
+      "20": toTermRates(
+        data.twenty_year_rate,
+        data.twenty_year_non_priority_rate
+      ),
+      "30": toTermRates(
+        data.thirty_year_rate,
+        data.thirty_year_non_priority_rate
+      ),
+    };
+
+    // Save to the cache with timestamp
+    try {
+      const cached: CachedRates = { rates: formattedRates, timestamp: Date.now() };
+      await chrome.storage.local.set({ [RATE_CACHE_KEY]: cached });
+      console.log("Mortgage rates cached successfully");
+    } catch (error) {
+      console.warn("Failed to cache rates:", error);
+    }
+
+    return formattedRates;
+  } catch (error) {
+    console.error("Failed to fetch latest mortgage rates:", error);
+    return null;
+  }
+}
+
+// Forget the cached rates, e.g. after switching to another API server
+export async function clearCachedRates(): Promise<void> {
+  try {
+    await chrome.storage.local.remove(RATE_CACHE_KEY);
+  } catch (error) {
+    console.warn("Failed to clear cached rates:", error);
+  }
+}
+
+/**
+ * The rates for a term. NACA publishes 15, 20 and 30 year rates; other terms
+ * are interpolated from them.
+ */
+export function getTermRates(interestRates: InterestRates, term: string): TermRates {
+  if (interestRates[term]) return interestRates[term];
+
+  const ratesFor = (membership: MembershipType) =>
+    interpolateRate(
+      parseInt(term) || 30,
+      Object.fromEntries(
+        Object.entries(interestRates).map(([knownTerm, rates]) => [
+          knownTerm,
+          rates[membership],
+        ])
+      )
+    );
+  return { priority: ratesFor("priority"), nonPriority: ratesFor("nonPriority") };
+}
+
+// Build a term's rates from the API values. Servers that predate non-priority
+// rates only send the priority rate; NACA's non-priority rate is 1% higher.
+function toTermRates(
+  priorityRate: string | number,
+  nonPriorityRate?: string | number
+): TermRates {
+  const priority = parseFloat(String(priorityRate));
+  return {
+    priority,
+    nonPriority:
+      nonPriorityRate === undefined
+        ? priority + 1
+        : parseFloat(String(nonPriorityRate)),
+  };
+}
+
+// Cached rates from older versions are unnamed [priority, non-priority] pairs
+function hasMembershipRates(rates: unknown): rates is InterestRates {
+  const thirtyYear = (rates as InterestRates | null)?.["30"];
+  return (
+    typeof thirtyYear?.priority === "number" &&
+    typeof thirtyYear?.nonPriority === "number"
+  );
+}
+
+// Helper function to return default rates
+function getDefaultRates(): InterestRates {
+  return {
+    "15": { priority: 5, nonPriority: 6 },
+    "20": { priority: 5.5, nonPriority: 6.5 },
+    "30": { priority: 6, nonPriority: 7 },
+  };
+}
@@ -0,0 +1,144 @@
+/**
+ * Saved Properties - properties the member is considering, each with the
+ * calculations made for it, kept in IndexedDB
+ */
+
+import {
+  filterProperties as sharedFilterProperties,
+  findSavedProperty,
+  getLatestScenario as sharedGetLatestScenario,
+  getPropertyValue as sharedGetPropertyValue,
+  normalizeListingUrl as sharedNormalizeListingUrl,
+  openPropertyDatabase,
+  savePropertyCalculation,
+  sortProperties as sharedSortProperties,
+  // @ts-expect-error - saved properties are a JavaScript module from the shared package
+} from "@naca-app/calculator/properties";
+import type { CalculatorState } from "./mortgageService";
+import type { MsaLookupResult } from "./storage";
+
+export interface PropertyScenario {
+  state: CalculatorState;
+  /** When the calculation was saved, in milliseconds since the epoch */
+  savedAt: number;
+}
+
+export interface SavedProperty {
+  id: string;
+  address: string;
+  listingUrl: string;
+  /** The purchase price of the newest scenario */
+  price: number;
+  /** Property tax per $1000 of price */
+  tax: number;
+  hoaFee: number;
+  msaLookup: MsaLookupResult | null;
+  /** Oldest first; the newest is the one the property re-opens with */
+  scenarios: PropertyScenario[];
+  createdAt: number;
+  updatedAt: number;
+}
+
+/** Where a property is, and what's known about its census tract */
+export interface PropertyDetails {
+  address: string;
+  listingUrl?: string;
+  msaLookup?: MsaLookupResult | null;
+}
+
+export type PropertySortField = "monthlyPayment" | "tractPercent" | "price";
+
+export type SortDirection = "asc" | "desc";
+
+export interface PropertyFilter {
+  field: PropertySortField;
+  min?: number | null;
+  max?: number | null;
+}
+
+interface PropertyDatabase {
+  listProperties(): Promise<SavedProperty[]>;
+  getProperty(id: string): Promise<SavedProperty | null>;
+  putProperty(property: SavedProperty): Promise<SavedProperty>;
+  deleteProperty(id: string): Promise<void>;
+}
+
+function openDatabase(): Promise<PropertyDatabase> {
+  return openPropertyDatabase(indexedDB);
+}
+
+export async function listSavedProperties(): Promise<SavedProperty[]> {
+  try {
+    return await (await openDatabase()).listProperties();
+  } catch (error) {
+    console.warn("Failed to load saved properties:", error);
+    return [];
+  }
+}
+
+export async function getSavedProperty(id: string): Promise<SavedProperty | null> {
+  try {
+    return await (await openDatabase()).getProperty(id);
+  } catch (error) {
+    console.warn("Failed to load saved property:", error);
+    return null;
+  }
+}
+
+/**
+ * Read a typed listing URL as an http(s) link, adding https when the scheme is missing
+ * @returns - The URL, "" when nothing was typed, or null when it isn't an http(s) URL
+ */
+export function normalizeListingUrl(text: string): string | null {
+  return sharedNormalizeListingUrl(text);
+}
+
+/**
+ * Save a calculation to the property at an address or listing, adding it as
+ * another scenario when the property is already saved
+ * @param details - The property's address, listing URL and MSA lookup result
+ * @param state - A calculator state with a result
+ * @returns - The saved property; rejects if it couldn't be stored
+ */
+export async function saveCalculationToProperty(
+  details: PropertyDetails,
+  state: CalculatorState
+): Promise<SavedProperty> {
+  const database = await openDatabase();
+  const existing = findSavedProperty(await database.listProperties(), details);
+  return database.putProperty(savePropertyCalculation(existing, details, state));
+}
+
+export async function deleteSavedProperty(id: string): Promise<void> {
+  await (await openDatabase()).deleteProperty(id);
+}
+
+export function getLatestScenario(property: SavedProperty): PropertyScenario | null {
+  return sharedGetLatestScenario(property);
+}
+
+/**
+ * A property's monthly payment, tract income percent or price, or null when
+ * it doesn't have one
+ */
+export function getPropertyValue(
+  property: SavedProperty,
+  field: PropertySortField
+): number | null {
+  return sharedGetPropertyValue(property, field);
+}
+
+export function sortProperties(
+  properties: SavedProperty[],
+  field: PropertySortField,
+  direction: SortDirection = "asc"
+): SavedProperty[] {
+  return sharedSortProperties(properties, field, direction);
+}
+
+export function filterProperties(
+  properties: SavedProperty[],
+  filter: PropertyFilter
+): SavedProperty[] {
+  return sharedFilterProperties(properties, filter);
+}
@@ -0,0 +1,47 @@
+/**
+ * Text selected on a web page, as sent from the context menu to the popup
+ * Pure functions with no DOM dependencies
+ */
+
+import { validatePriceText } from "./inputValidator";
+
+export type PageSelection =
+  | { kind: "price"; price: number }
+  | { kind: "address"; address: string };
+
+// Longer selections are paragraphs, not addresses
+const MAX_ADDRESS_LENGTH = 200;
+
+const STREET_SUFFIX =
+  /\b(?:St|Street|Ave|Avenue|Rd|Road|Dr|Drive|Ln|Lane|Blvd|Boulevard|Ct|Court|Way|Pl|Place|Cir|Circle|Ter|Terrace|Pkwy|Parkway|Hwy|Highway)\b/i;
+const ZIP_CODE = /\b\d{5}(?:-\d{4})?$/;
+
+/**
+ * Decide what a selection is: a price to calculate or an address to look up
+ * @param text - The selected text
+ * @returns - The price or address, or null if the selection is neither
+ */
+export function parseSelection(text: string): PageSelection | null {
+  const selected = text.replace(/\s+/g, " ").trim();
+
+  const priceResult = validatePriceText(selected);
+  if (priceResult.kind === "success" && priceResult.data > 0) {
+    return { kind: "price", price: priceResult.data };
+  }
+
+  if (looksLikeAddress(selected)) {
+    return { kind: "address", address: selected };
+  }
+
+  return null;
+}
+
+// A house number and street name, with a street suffix or a ZIP code to rule out
+// things like "3 bedrooms"
+function looksLikeAddress(text: string): boolean {
+  return (
+    text.length <= MAX_ADDRESS_LENGTH &&
+    /^\d+[A-Za-z]?\s+[A-Za-z]/.test(text) &&
+    (STREET_SUFFIX.test(text) || ZIP_CODE.test(text))
+  );
+}
@@ -0,0 +1,104 @@
+/**
+ * Extension settings - the defaults and API server chosen on the options page,
+ * kept in chrome.storage.sync so they follow the user between browsers
+ */
+
+import { DEFAULT_API_BASE_URL } from "./api-config";
+import {
+  validateApiBaseUrl,
+  validateNonNegative,
+  validatePropertyTax,
+  validateTerm,
+  type ValidationResult,
+} from "./inputValidator";
+import type { MembershipType } from "./rates";
+
+// Whole dollars or dollars and cents
+export type CurrencyDecimals = 0 | 2;
+
+export interface ExtensionSettings {
+  defaultTerm: number;
+  defaultMembershipType: MembershipType;
+  defaultTax: number;
+  defaultInsurance: number;
+  defaultHoaFee: number;
+  currencyDecimals: CurrencyDecimals;
+  apiBaseUrl: string;
+}
+
+// Raw string values from the options page form
+export interface RawSettingsInput {
+  defaultTerm: string;
+  defaultMembershipType: string;
+  defaultTax: string;
+  defaultInsurance: string;
+  defaultHoaFee: string;
+  currencyDecimals: string;
+  apiBaseUrl: string;
+}
+
+export const DEFAULT_SETTINGS: ExtensionSettings = {
+  defaultTerm: 30,
+  defaultMembershipType: "nonPriority",
+  defaultTax: 15,
+  defaultInsurance: 50,
+  defaultHoaFee: 0,
+  currencyDecimals: 2,
+  apiBaseUrl: DEFAULT_API_BASE_URL,
+};
+
+export const SETTINGS_KEY = "settings";
+
+/**
+ * Validate the options page form (fail-fast: returns first error encountered)
+ */
+export function validateSettings(
+  raw: RawSettingsInput
+): ValidationResult<ExtensionSettings> {
+  const termResult = validateTerm(raw.defaultTerm);
+  if (termResult.kind === "failure") return termResult;
+
+  const taxResult = validatePropertyTax(raw.defaultTax);
+  if (taxResult.kind === "failure") return taxResult;
+
+  const insuranceResult = validateNonNegative(raw.defaultInsurance, "insurance");
+  if (insuranceResult.kind === "failure") return insuranceResult;
+
+  const hoaResult = validateNonNegative(raw.defaultHoaFee, "hoaFee");
+  if (hoaResult.kind === "failure") return hoaResult;
+
+  const apiBaseUrlResult = validateApiBaseUrl(raw.apiBaseUrl);
+  if (apiBaseUrlResult.kind === "failure") return apiBaseUrlResult;
+
+  return {
+    kind: "success",
+    data: {
+      defaultTerm: termResult.data,
+      defaultMembershipType:
+        raw.defaultMembershipType === "priority" ? "priority" : "nonPriority",
+      defaultTax: taxResult.data,
+      defaultInsurance: insuranceResult.data,
+      defaultHoaFee: hoaResult.data,
+      currencyDecimals: raw.currencyDecimals === "0" ? 0 : 2,
+      apiBaseUrl: apiBaseUrlResult.data,
+    },
+  };
+}
+
+// Load the saved settings, falling back to the defaults for anything not saved
+export async function loadSettings(): Promise<ExtensionSettings> {
+  try {
+    const stored = await chrome.storage.sync.get(SETTINGS_KEY);
+    return {
+      ...DEFAULT_SETTINGS,
+      ...(stored[SETTINGS_KEY] as Partial<ExtensionSettings> | undefined),
+    };
+  } catch (error) {
+    console.warn("Failed to load settings:", error);
+    return DEFAULT_SETTINGS;
+  }
+}
+
+export async function saveSettings(settings: ExtensionSettings): Promise<void> {
+  await chrome.storage.sync.set({ [SETTINGS_KEY]: settings });
+}
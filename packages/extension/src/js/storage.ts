@@ -0,0 +1,135 @@
+/**
+ * Extension storage - what the popup and the listing page content scripts keep
+ * in chrome.storage.local between popup opens
+ */
+
+import type { CalculationHistory } from "./calculationHistory";
+import type { RawExtraPaymentsInput } from "./inputValidator";
+import type { MembershipType } from "./rates";
+import type { PageSelection } from "./selection";
+
+export interface MsaLookupResult {
+  address?: string;
+  msaMedianFamilyIncome?: number;
+  tractMedianFamilyIncome?: number;
+  tractPercentOfMsa?: number;
+  year?: number;
+}
+
+export interface SavedMsaLookup {
+  address: string;
+  result: MsaLookupResult;
+}
+
+// Everything needed to put the popup back the way it was when it closed
+export interface PopupState {
+  calcMethod: "payment" | "price";
+  membershipType: MembershipType;
+  price: string;
+  term: string;
+  rate: string;
+  tax: string;
+  insurance: string;
+  hoaFee: string;
+  interestRateBuydown: string;
+  principalBuydown: string;
+  extraPayments: RawExtraPaymentsInput;
+  buydownBudget: string;
+  buydownObjective: string;
+  // Whether the inputs had been calculated, so results can be recalculated on restore
+  calculated: boolean;
+  msaLookup: SavedMsaLookup | null;
+  // The listing that last filled in the form, so reopening on it keeps the user's edits
+  prefilledListing?: string | null;
+}
+
+export const POPUP_STATE_KEY = "popupState";
+
+// Load the popup state saved when the popup last closed
+export async function loadPopupState(): Promise<PopupState | null> {
+  try {
+    const stored = await chrome.storage.local.get(POPUP_STATE_KEY);
+    return (stored[POPUP_STATE_KEY] as PopupState | undefined) ?? null;
+  } catch (error) {
+    console.warn("Failed to load saved popup state:", error);
+    return null;
+  }
+}
+
+export function savePopupState(state: PopupState): void {
+  chrome.storage.local
+    .set({ [POPUP_STATE_KEY]: state })
+    .catch((error) => console.warn("Failed to save popup state:", error));
+}
+
+export function clearPopupState(): void {
+  chrome.storage.local
+    .remove(POPUP_STATE_KEY)
+    .catch((error) => console.warn("Failed to clear saved popup state:", error));
+}
+
+// The popup's recent calculations, kept apart from the popup state so Reset keeps them
+export const CALCULATION_HISTORY_KEY = "calculationHistory";
+
+export async function loadCalculationHistory(): Promise<CalculationHistory | null> {
+  try {
+    const stored = await chrome.storage.local.get(CALCULATION_HISTORY_KEY);
+    return (stored[CALCULATION_HISTORY_KEY] as CalculationHistory | undefined) ?? null;
+  } catch (error) {
+    console.warn("Failed to load calculation history:", error);
+    return null;
+  }
+}
+
+export function saveCalculationHistory(history: CalculationHistory): void {
+  chrome.storage.local
+    .set({ [CALCULATION_HISTORY_KEY]: history })
+    .catch((error) => console.warn("Failed to save calculation history:", error));
+}
+
+// The most the user wants to pay each month; listing badges compare against it
+export const MAX_MONTHLY_PAYMENT_KEY = "maxMonthlyPayment";
+
+export async function loadMaxMonthlyPayment(): Promise<number | null> {
+  try {
+    const stored = await chrome.storage.local.get(MAX_MONTHLY_PAYMENT_KEY);
+    const maxMonthlyPayment = stored[MAX_MONTHLY_PAYMENT_KEY];
+    return typeof maxMonthlyPayment === "number" ? maxMonthlyPayment : null;
+  } catch (error) {
+    console.warn("Failed to load max monthly payment:", error);
+    return null;
+  }
+}
+
+// Saving null clears the max payment, which turns badge colors off
+export function saveMaxMonthlyPayment(maxMonthlyPayment: number | null): void {
+  const saved =
+    maxMonthlyPayment === null
+      ? chrome.storage.local.remove(MAX_MONTHLY_PAYMENT_KEY)
+      : chrome.storage.local.set({ [MAX_MONTHLY_PAYMENT_KEY]: maxMonthlyPayment });
+  saved.catch((error) => console.warn("Failed to save max monthly payment:", error));
+}
+
+// A selection from the context menu, waiting for the popup to open and use it
+export const PENDING_SELECTION_KEY = "pendingSelection";
+
+export async function savePendingSelection(selection: PageSelection): Promise<void> {
+  try {
+    await chrome.storage.local.set({ [PENDING_SELECTION_KEY]: selection });
+  } catch (error) {
+    console.warn("Failed to save selection:", error);
+  }
+}
+
+// Load the pending selection and clear it, so it is only used once
+export async function takePendingSelection(): Promise<PageSelection | null> {
+  try {
+    const stored = await chrome.storage.local.get(PENDING_SELECTION_KEY);
+    const selection = (stored[PENDING_SELECTION_KEY] as PageSelection | undefined) ?? null;
+    if (selection) await chrome.storage.local.remove(PENDING_SELECTION_KEY);
+    return selection;
+  } catch (error) {
+    console.warn("Failed to load selection:", error);
+    return null;
+  }
+}
@@ -0,0 +1,131 @@
+import {
+  MAX_PROPERTY_TAX_RATE,
+  MAX_TERM,
+  MIN_PROPERTY_TAX_RATE,
+  MIN_TERM,
+  PROPERTY_TAX_RATE_STEP,
+  type ValidationFailure,
+} from "../js/inputValidator";
+import { detectLocale, localizeDocument, setLocale, t } from "../js/i18n";
+import { clearCachedRates, MEMBERSHIP_LABEL_KEYS, type MembershipType } from "../js/rates";
+import {
+  DEFAULT_SETTINGS,
+  loadSettings,
+  saveSettings,
+  validateSettings,
+  type ExtensionSettings,
+} from "../js/settings";
+
+document.addEventListener("DOMContentLoaded", async () => {
+  setLocale(detectLocale());
+  localizeDocument(document);
+
+  const form = document.getElementById("optionsForm") as HTMLFormElement;
+  const termSelect = document.getElementById("term") as HTMLSelectElement;
+  const membershipTypeSelect = document.getElementById("membershipType") as HTMLSelectElement;
+  const taxSelect = document.getElementById("tax") as HTMLSelectElement;
+  const insuranceInput = document.getElementById("insurance") as HTMLInputElement;
+  const hoaFeeInput = document.getElementById("hoaFee") as HTMLInputElement;
+  const currencyDecimalsSelect = document.getElementById(
+    "currencyDecimals"
+  ) as HTMLSelectElement;
+  const apiBaseUrlInput = document.getElementById("apiBaseUrl") as HTMLInputElement;
+  const restoreDefaultsButton = document.getElementById(
+    "restoreDefaults"
+  ) as HTMLButtonElement;
+  const statusDiv = document.getElementById("optionsStatus") as HTMLElement;
+
+  // Same choices as the popup
+  for (let term = MAX_TERM; term >= MIN_TERM; term--) {
+    const label = term === 1 ? t("termYear") : t("termYears", { years: term });
+    termSelect.add(new Option(label, String(term)));
+  }
+  (Object.keys(MEMBERSHIP_LABEL_KEYS) as MembershipType[]).forEach((membership) => {
+    membershipTypeSelect.add(new Option(t(MEMBERSHIP_LABEL_KEYS[membership]), membership));
+  });
+  for (
+    let tax = MIN_PROPERTY_TAX_RATE;
+    tax <= MAX_PROPERTY_TAX_RATE;
+    tax += PROPERTY_TAX_RATE_STEP
+  ) {
+    taxSelect.add(new Option(`${tax}%`, String(tax)));
+  }
+
+  let savedSettings = await loadSettings();
+
+  function fillForm(settings: ExtensionSettings): void {
+    termSelect.value = String(settings.defaultTerm);
+    membershipTypeSelect.value = settings.defaultMembershipType;
+    taxSelect.value = String(settings.defaultTax);
+    insuranceInput.value = String(settings.defaultInsurance);
+    hoaFeeInput.value = String(settings.defaultHoaFee);
+    currencyDecimalsSelect.value = String(settings.currencyDecimals);
+    apiBaseUrlInput.value = settings.apiBaseUrl;
+  }
+
+  function showError(error: ValidationFailure): void {
+    const errorEl = document.getElementById(`${error.field}-error`);
+    if (errorEl) {
+      errorEl.textContent = error.message;
+      errorEl.classList.add("visible");
+      errorEl.closest(".input-group")?.classList.add("has-error");
+    }
+  }
+
+  function clearErrors(): void {
+    document.querySelectorAll(".error-message").forEach((el) => {
+      el.textContent = "";
+      el.classList.remove("visible");
+    });
+    document.querySelectorAll(".input-group.has-error").forEach((el) => {
+      el.classList.remove("has-error");
+    });
+  }
+
+  async function save(settings: ExtensionSettings, message: string): Promise<void> {
+    try {
+      await saveSettings(settings);
+    } catch (error) {
+      statusDiv.textContent = t("settingsSaveFailed", { message: (error as Error).message });
+      return;
+    }
+
+    // Rates cached from the old server shouldn't outlive the switch
+    if (settings.apiBaseUrl !== savedSettings.apiBaseUrl) {
+      await clearCachedRates();
+    }
+    savedSettings = settings;
+    statusDiv.textContent = message;
+  }
+
+  form.addEventListener("submit", (event) => {
+    event.preventDefault();
+    clearErrors();
+
+    const result = validateSettings({
+      defaultTerm: termSelect.value,
+      defaultMembershipType: membershipTypeSelect.value,
+      defaultTax: taxSelect.value,
+      defaultInsurance: insuranceInput.value,
+      defaultHoaFee: hoaFeeInput.value,
+      currencyDecimals: currencyDecimalsSelect.value,
+      apiBaseUrl: apiBaseUrlInput.value,
+    });
+    if (result.kind === "failure") {
+      showError(result);
+      statusDiv.textContent = "";
+      return;
+    }
+
+    fillForm(result.data);
+    save(result.data, t("settingsSaved"));
+  });
+
+  restoreDefaultsButton.addEventListener("click", () => {
+    clearErrors();
+    fillForm(DEFAULT_SETTINGS);
+    save(DEFAULT_SETTINGS, t("settingsRestored"));
+  });
+
+  fillForm(savedSettings);
+});
@@ -1,37 +1,174 @@
 import {
   calculateMortgage,
-  recalculateMortgage,
+  createCalculatorStore,
   formatCurrency,
-  calculateInterestRateBuydown,
-  type CalculationResult,
-  type RecalculateInput,
+  calculateEarlyPayoff,
+  compareScenarios,
+  optimizeBuydownAllocation,
+  type BuydownBreakEven,
+  type BuydownObjective,
+  type CalcMethod,
+  type CalculatorState,
+  type ComparisonScenario,
+  type ScenarioComparison,
+  type ScenarioDeltas,
 } from "../js/mortgageService";
-import type { ValidationFailure } from "../js/inputValidator";
-
-const RATE_CACHE_EXPIRY_MS = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
-
-interface InterestRates {
-  [key: string]: number[];
-}
-
-interface MsaLookupResult {
-  address?: string;
-  msaMedianFamilyIncome?: number;
-  tractMedianFamilyIncome?: number;
-  tractPercentOfMsa?: number;
-  year?: number;
+import {
+  validateAllCalculatorInput,
+  validateCrossFieldInput,
+  validateExtraPayments,
+  validateNonNegative,
+  parseNumber,
+  MAX_TERM,
+  MIN_TERM,
+  type ValidationFailure,
+  type ValidationWarning,
+} from "../js/inputValidator";
+import {
+  GET_LISTING_MESSAGE,
+  LISTING_CHANGED_MESSAGE,
+  toPropertyTaxRate,
+  type ListingChangedMessage,
+  type ListingData,
+} from "../js/listing";
+import { clearRateChangeBadge } from "../js/rateAlerts";
+import {
+  EMPTY_HISTORY,
+  canRedo,
+  canUndo,
+  getHistoryShortcut,
+  isRecentCalculationShown,
+  recordCalculation,
+  redoCalculation,
+  restoreRecentCalculation,
+  undoCalculation,
+  type CalculationHistory,
+} from "../js/calculationHistory";
+import {
+  deleteSavedProperty,
+  filterProperties,
+  getLatestScenario,
+  getPropertyValue,
+  listSavedProperties,
+  normalizeListingUrl,
+  saveCalculationToProperty,
+  sortProperties,
+  type PropertySortField,
+  type SavedProperty,
+  type SortDirection,
+} from "../js/savedProperties";
+// @ts-expect-error - formatParsedNumber is a JavaScript module from the shared package
+import { formatParsedNumber } from "@naca-app/calculator/parsing";
+import type { PageSelection } from "../js/selection";
+import {
+  getLatestMortgageRates,
+  getTermRates,
+  MEMBERSHIP_LABEL_KEYS,
+  type MembershipType,
+} from "../js/rates";
+import { getApiEndpoints } from "../js/api-config";
+import {
+  detectLocale,
+  getNumberLocale,
+  localizeDocument,
+  setLocale,
+  t,
+} from "../js/i18n";
+import {
+  DEFAULT_SETTINGS,
+  loadSettings,
+  type CurrencyDecimals,
+} from "../js/settings";
+import {
+  clearPopupState,
+  loadCalculationHistory,
+  loadMaxMonthlyPayment,
+  loadPopupState,
+  saveMaxMonthlyPayment,
+  saveCalculationHistory,
+  savePopupState,
+  takePendingSelection,
+  type MsaLookupResult,
+  type PopupState,
+  type SavedMsaLookup,
+} from "../js/storage";
+
+const MAX_COMPARISON_SCENARIOS = 6;
+
+// manifest.json opens popup.html?view=sidepanel as the side panel
+const SIDE_PANEL_VIEW = "sidepanel";
+
+// Whole dollars or dollars and cents, as chosen on the options page
+let currencyDecimals: CurrencyDecimals = DEFAULT_SETTINGS.currencyDecimals;
+
+// Messages naming each field in the errors and warnings below the calculate button
+const FIELD_LABEL_KEYS: Record<string, string> = {
+  price: "fieldPrice",
+  term: "fieldTerm",
+  rate: "fieldRate",
+  tax: "fieldTax",
+  insurance: "fieldInsurance",
+  hoaFee: "fieldHoaFee",
+  principalBuydown: "fieldPrincipalBuydown",
+  extraMonthly: "fieldExtraMonthly",
+  extraAnnual: "fieldExtraAnnual",
+  extraOneTime: "fieldExtraOneTime",
+  extraOneTimeMonth: "fieldExtraOneTimeMonth",
+  buydownBudget: "fieldBuydownBudget",
+  maxMonthlyPayment: "fieldMaxMonthlyPayment",
+};
+
+interface ComparisonMetric {
+  /** The message naming the row */
+  labelKey: string;
+  value: (result: ScenarioComparison) => string;
+  delta: (deltas: ScenarioDeltas) => string;
 }
 
-interface CachedRates {
-  rates: InterestRates;
-  timestamp: number;
-}
+// Rows of the comparison table, with each scenario's change from the baseline
+const COMPARISON_METRICS: ComparisonMetric[] = [
+  {
+    labelKey: "metricMonthlyPayment",
+    value: (result) => formatMoney(result.monthlyPayment),
+    delta: (deltas) => formatCurrencyDelta(deltas.monthlyPayment),
+  },
+  {
+    labelKey: "metricPurchasePrice",
+    value: (result) => formatMoney(result.purchasePrice),
+    delta: (deltas) => formatCurrencyDelta(deltas.purchasePrice),
+  },
+  {
+    labelKey: "metricTotalInterest",
+    value: (result) => formatMoney(result.totalInterest),
+    delta: (deltas) => formatCurrencyDelta(deltas.totalInterest),
+  },
+  {
+    labelKey: "metricCashNeeded",
+    value: (result) => formatMoney(result.cashNeeded),
+    delta: (deltas) => formatCurrencyDelta(deltas.cashNeeded),
+  },
+  {
+    labelKey: "metricPayoffDate",
+    value: (result) =>
+      result.payoffDate.toLocaleDateString(getNumberLocale(), {
+        month: "short",
+        year: "numeric",
+      }),
+    delta: (deltas) => formatMonthsDelta(deltas.numberOfPayments),
+  },
+];
 
 document.addEventListener("DOMContentLoaded", async () => {
+  setLocale(detectLocale());
+  localizeDocument(document);
+
   // Get DOM elements
   const calcMethodInputs = document.querySelectorAll<HTMLInputElement>(
     'input[name="calcMethod"]'
   );
+  const membershipTypeInputs = document.querySelectorAll<HTMLInputElement>(
+    'input[name="membershipType"]'
+  );
   const priceInput = document.getElementById("price") as HTMLInputElement;
   const termSelect = document.getElementById("term") as HTMLSelectElement;
   const rateInput = document.getElementById("rate") as HTMLSelectElement;
@@ -60,15 +197,43 @@ document.addEventListener("DOMContentLoaded", async () => {
   const interestRateBuydownCostDisplay = document.getElementById(
     "interestRateBuydownCost"
   ) as HTMLElement;
+  const interestRateBuydownBreakEvenDisplay = document.getElementById(
+    "interestRateBuydownBreakEven"
+  ) as HTMLElement;
   const principalBuydownCostDisplay = document.getElementById(
     "principalBuydownCost"
   ) as HTMLElement;
   const buttonErrorsDisplay = document.getElementById("button-errors") as HTMLElement;
+  const buttonWarningsDisplay = document.getElementById("button-warnings") as HTMLElement;
+  const buydownBudgetInput = document.getElementById("buydownBudget") as HTMLInputElement;
+  const buydownObjectiveSelect = document.getElementById(
+    "buydownObjective"
+  ) as HTMLSelectElement;
+  const optimizeBuydownButton = document.getElementById(
+    "optimizeBuydown"
+  ) as HTMLButtonElement;
+  const buydownOptimizerResult = document.getElementById(
+    "buydownOptimizerResult"
+  ) as HTMLElement;
+  const maxMonthlyPaymentInput = document.getElementById(
+    "maxMonthlyPayment"
+  ) as HTMLInputElement;
+  const extraMonthlyInput = document.getElementById("extraMonthly") as HTMLInputElement;
+  const extraAnnualInput = document.getElementById("extraAnnual") as HTMLInputElement;
+  const extraOneTimeInput = document.getElementById("extraOneTime") as HTMLInputElement;
+  const extraOneTimeMonthInput = document.getElementById(
+    "extraOneTimeMonth"
+  ) as HTMLInputElement;
+  const extraPayoffDateDisplay = document.getElementById("extraPayoffDate") as HTMLElement;
+  const extraTimeSavedDisplay = document.getElementById("extraTimeSaved") as HTMLElement;
+  const extraInterestSavedDisplay = document.getElementById(
+    "extraInterestSaved"
+  ) as HTMLElement;
 
-  // State to track if initial calculation has passed validation
-  let hasValidatedInputs = false;
-  let lastValidatedInputs: RecalculateInput | null = null;
-  let currentCalcMethod: "payment" | "price" = "payment";
+  // The results, both buydown sliders and their costs are rendered from this state
+  const calculatorStore = createCalculatorStore();
+  // Committed calculations, for undo, redo and the recent scenarios list
+  let calculationHistory: CalculationHistory = EMPTY_HISTORY;
 
   // Error display functions
   function showValidationErrors(errors: ValidationFailure[]): void {
@@ -84,17 +249,8 @@ document.addEventListener("DOMContentLoaded", async () => {
     // Also add error state to calculate button and show errors below it
     if (errors.length > 0) {
       calculateButton.classList.add("has-error");
-      const fieldLabels: Record<string, string> = {
-        price: "Price/Payment",
-        term: "Loan Term",
-        rate: "Interest Rate",
-        tax: "Property Tax",
-        insurance: "Insurance",
-        hoaFee: "HOA/Condo Fee",
-        principalBuydown: "Principal Buydown",
-      };
       const errorList = errors
-        .map((e) => `<li>${fieldLabels[e.field] || e.field}: ${e.message}</li>`)
+        .map((e) => `<li>${fieldLabel(e.field)}: ${e.message}</li>`)
         .join("");
       buttonErrorsDisplay.innerHTML = `<ul>${errorList}</ul>`;
       buttonErrorsDisplay.classList.add("visible");
@@ -114,6 +270,32 @@ document.addEventListener("DOMContentLoaded", async () => {
     buttonErrorsDisplay.classList.remove("visible");
   }
 
+  // Warnings flag likely typos but still show the result
+  function showCalculationWarnings(warnings: ValidationWarning[]): void {
+    clearCalculationWarnings();
+    warnings.forEach((warning) => {
+      document
+        .getElementById(warning.field)
+        ?.closest(".input-group")
+        ?.classList.add("has-warning");
+    });
+    if (warnings.length > 0) {
+      const warningList = warnings
+        .map((w) => `<li>${fieldLabel(w.field)}: ${w.message}</li>`)
+        .join("");
+      buttonWarningsDisplay.innerHTML = `<ul>${warningList}</ul>`;
+      buttonWarningsDisplay.classList.add("visible");
+    }
+  }
+
+  function clearCalculationWarnings(): void {
+    document.querySelectorAll(".input-group.has-warning").forEach((el) => {
+      el.classList.remove("has-warning");
+    });
+    buttonWarningsDisplay.innerHTML = "";
+    buttonWarningsDisplay.classList.remove("visible");
+  }
+
   function clearFieldError(fieldName: string): void {
     const errorEl = document.getElementById(`${fieldName}-error`);
     if (errorEl) {
@@ -137,105 +319,164 @@ document.addEventListener("DOMContentLoaded", async () => {
       clearFieldError("insurance")
     );
     hoaFeeInput.addEventListener("input", () => clearFieldError("hoaFee"));
+    principalBuydownSlider.addEventListener("input", () =>
+      clearFieldError("principalBuydown")
+    );
+    interestRateBuydownSlider.addEventListener("input", () =>
+      clearFieldError("rate")
+    );
   }
 
   // Initialize error clearing listeners
   setupErrorClearingListeners();
 
-  // Helper function to update display from raw numbers
-  function updateDisplayResultsFromRaw(rawData: CalculationResult): void {
-    monthlyPaymentDisplay.textContent = formatCurrency(rawData.monthlyPayment);
-    purchasePriceDisplay.textContent = formatCurrency(rawData.purchasePrice);
-    principalInterestDisplay.textContent = formatCurrency(
-      rawData.principalInterest
-    );
-    taxesDisplay.textContent = formatCurrency(rawData.taxes);
-    insuranceAmountDisplay.textContent = formatCurrency(rawData.insurance);
-    hoaFeeDisplay.textContent = formatCurrency(rawData.hoaFee);
+  // Show the calculator state: the results, both buydown sliders and what they cost
+  function renderCalculatorState(state: CalculatorState): void {
+    const { result, rateBuydown } = state;
+    const resultDisplays: [HTMLElement, number | undefined][] = [
+      [monthlyPaymentDisplay, result?.monthlyPayment],
+      [purchasePriceDisplay, result?.purchasePrice],
+      [principalInterestDisplay, result?.principalInterest],
+      [taxesDisplay, result?.taxes],
+      [insuranceAmountDisplay, result?.insurance],
+      [hoaFeeDisplay, result?.hoaFee],
+    ];
+    resultDisplays.forEach(([display, amount]) => {
+      display.textContent = amount === undefined ? "$0" : formatMoney(amount);
+    });
 
-    // Update principal buydown slider max value
-    updatePrincipalBuydownSliderMax();
+    // The rate can be bought down by at most 1.5%
+    interestRateBuydownSlider.max = String(state.originalRate);
+    interestRateBuydownSlider.min = String(Math.max(0, state.originalRate - 1.5));
+    interestRateBuydownSlider.step = "0.001";
+    interestRateBuydownSlider.value = String(state.desiredRate);
+    interestRateBuydownValue.textContent = state.capReached
+      ? t("rateCapReached", { rate: state.desiredRate.toFixed(3) })
+      : `${state.desiredRate.toFixed(3)}%`;
+    interestRateBuydownCostDisplay.textContent = rateBuydown?.cost
+      ? formatMoney(rateBuydown.cost)
+      : "$0";
+    interestRateBuydownBreakEvenDisplay.textContent = rateBuydown
+      ? formatBreakEven(rateBuydown)
+      : "";
+
+    // The principal buydown can't be more than the purchase price
+    if (result) {
+      principalBuydownSlider.max = String(Math.max(result.purchasePrice, 0));
+    }
+    principalBuydownSlider.value = String(state.principalBuydown);
+    const principalBuydownText = state.principalBuydown
+      ? formatMoney(state.principalBuydown)
+      : "$0";
+    principalBuydownValue.textContent = principalBuydownText;
+    principalBuydownCostDisplay.textContent = principalBuydownText;
+
+    updateExtraPaymentsResults(state);
   }
 
-  // Helper function to update the principal buydown slider's max value
-  function updatePrincipalBuydownSliderMax(): void {
-    const purchasePriceText = purchasePriceDisplay.textContent?.replace(
-      /[$,]/g,
-      ""
-    ) || "0";
-    const maxPrincipalBuydown = parseFloat(purchasePriceText) || 0;
-    principalBuydownSlider.max =
-      maxPrincipalBuydown > 0 ? String(maxPrincipalBuydown) : "0";
+  // Helper function to show the effect of extra payments on the current loan
+  function updateExtraPaymentsResults(
+    state: CalculatorState = calculatorStore.getState()
+  ): void {
+    const { inputs, result } = state;
+    if (!inputs || !result) return;
+
+    const validation = validateExtraPayments(
+      {
+        extraMonthly: extraMonthlyInput.value,
+        extraAnnual: extraAnnualInput.value,
+        extraOneTime: extraOneTimeInput.value,
+        extraOneTimeMonth: extraOneTimeMonthInput.value,
+      },
+      state.term
+    );
 
-    // Also ensure the current value doesn't exceed the new max
-    if (parseFloat(principalBuydownSlider.value) > maxPrincipalBuydown) {
-      principalBuydownSlider.value = String(maxPrincipalBuydown);
-      // Trigger input event manually if value changes to update displays/recalculate
-      principalBuydownSlider.dispatchEvent(new Event("input"));
+    if (validation.kind === "failure") {
+      showValidationErrors([validation]);
+      return;
     }
-  }
-
-  // Helper function to update all display results
-  function updateDisplayResults(results: {
-    monthlyPayment: string;
-    purchasePrice: string;
-    principalInterest: string;
-    taxes: string;
-    insuranceAmount: string;
-    hoaFee: string;
-  }): void {
-    monthlyPaymentDisplay.textContent = results.monthlyPayment;
-    purchasePriceDisplay.textContent = results.purchasePrice;
 
-    principalInterestDisplay.textContent = results.principalInterest;
-    taxesDisplay.textContent = results.taxes;
-    insuranceAmountDisplay.textContent = results.insuranceAmount;
-    hoaFeeDisplay.textContent = results.hoaFee;
+    const payoff = calculateEarlyPayoff(
+      {
+        ...inputs,
+        price: result.purchasePrice,
+        term: state.term,
+        rate: state.desiredRate,
+        principalBuydown: state.principalBuydown,
+      },
+      validation.data
+    );
 
-    // Update principal buydown slider max value
-    updatePrincipalBuydownSliderMax();
+    extraPayoffDateDisplay.textContent = payoff.payoffDate.toLocaleDateString(
+      getNumberLocale(),
+      { month: "long", year: "numeric" }
+    );
+    extraTimeSavedDisplay.textContent = formatMonths(payoff.monthsSaved);
+    extraInterestSavedDisplay.textContent = formatMoney(payoff.interestSaved);
   }
 
+  calculatorStore.subscribe(renderCalculatorState);
+
   // Fetch latest NACA rates from Railway API
   const interestRates = await getLatestMortgageRates();
+  // The user is about to see the current rates, so the change alert has done its job
+  clearRateChangeBadge();
+
+  // Defaults and currency display from the options page
+  const settings = await loadSettings();
+  currencyDecimals = settings.currencyDecimals;
+
+  function getMembershipType(): MembershipType {
+    const checked = Array.from(membershipTypeInputs).find(
+      (input) => input.checked
+    );
+    return (checked?.value as MembershipType) || "nonPriority";
+  }
 
   // Function to update interest rate options based on term
   function updateInterestRateOptions(term: string): void {
     // Clear current options
     rateInput.innerHTML = "";
 
-    // Add new options based on the selected term
-    const rates = interestRates[term] || interestRates["30"];
-    rates.forEach((rate: number) => {
+    // Add a named option for each membership type's rate for the selected term
+    const rates = getTermRates(interestRates, term);
+    (Object.keys(MEMBERSHIP_LABEL_KEYS) as MembershipType[]).forEach((membership) => {
       const option = document.createElement("option");
-      option.value = String(rate);
-      option.textContent = `${rate}%`;
+      option.value = String(rates[membership]);
+      option.dataset.membership = membership;
+      option.textContent = `${rates[membership]}% (${t(MEMBERSHIP_LABEL_KEYS[membership])})`;
       rateInput.appendChild(option);
     });
 
-    // Set the higher interest rate (second option) as the default value
-    if (rates.length > 1) {
-      rateInput.value = String(rates[1]); // Select the higher rate (second in the array)
-    }
-    // Update buydown slider after rate is updated
-    setTimeout(() => {
-      const currentRate = parseFloat(rateInput.value);
-      interestRateBuydownSlider.max = String(currentRate);
-      // Enforce max buydown of 1.5%
-      const minAllowedRate = Math.max(0, currentRate - 1.5);
-      interestRateBuydownSlider.min = String(minAllowedRate);
-      interestRateBuydownSlider.step = "0.001";
-      interestRateBuydownSlider.value = String(currentRate);
-      interestRateBuydownValue.textContent = `${currentRate}%`;
-      interestRateBuydownCostDisplay.textContent = "$0";
-    }, 0);
+    // Select the rate for the chosen membership type, which recalculates without a rate buydown
+    rateInput.value = String(rates[getMembershipType()]);
+    calculatorStore.dispatch({
+      type: "selectRate",
+      term: parseInt(term) || 30,
+      rate: parseFloat(rateInput.value),
+    });
+  }
+
+  // Term choices, longest first, over the range validateTerm accepts
+  for (let term = MAX_TERM; term >= MIN_TERM; term--) {
+    const option = document.createElement("option");
+    option.value = String(term);
+    option.textContent = term === 1 ? t("termYear") : t("termYears", { years: term });
+    termSelect.appendChild(option);
   }
 
   // Set default values
-  taxInput.value = "15.00";
-  insuranceInput.value = "50";
-  hoaFeeInput.value = "0";
-  downPaymentInput.value = "0";
+  function setDefaultInputs(): void {
+    termSelect.value = String(settings.defaultTerm);
+    membershipTypeInputs.forEach((input) => {
+      input.checked = input.value === settings.defaultMembershipType;
+    });
+    taxInput.value = String(settings.defaultTax);
+    insuranceInput.value = String(settings.defaultInsurance);
+    hoaFeeInput.value = String(settings.defaultHoaFee);
+    downPaymentInput.value = "0";
+  }
+  setDefaultInputs();
 
   // Initialize interest rate options based on default term (30 years)
   updateInterestRateOptions(termSelect.value);
@@ -243,74 +484,48 @@ document.addEventListener("DOMContentLoaded", async () => {
   // Handle term change
   termSelect.addEventListener("change", () => {
     updateInterestRateOptions(termSelect.value);
+  });
 
-    // Reset buydown cost display immediately
-    interestRateBuydownCostDisplay.textContent = "$0";
-    principalBuydownCostDisplay.textContent = "$0";
-
-    // Trigger a recalculation with the new defaults
-    // Use a small timeout to ensure rateInput has updated from updateInterestRateOptions
-    setTimeout(() => {
-      // Use lastValidatedInputs with updated term if available
-      if (hasValidatedInputs && lastValidatedInputs) {
-        const recalculateInputs: RecalculateInput = {
-          ...lastValidatedInputs,
-          term: parseInt(termSelect.value) || 30,
-          rate: parseFloat(interestRateBuydownSlider.value) || 0,
-        };
-
-        const results = recalculateMortgage(
-          recalculateInputs,
-          currentCalcMethod
-        );
-        updateDisplayResultsFromRaw(results);
-      }
-    }, 50); // Small delay to ensure DOM updates
+  // Selecting a membership type selects that membership's rate
+  membershipTypeInputs.forEach((input) => {
+    input.addEventListener("change", () => {
+      const rates = getTermRates(interestRates, termSelect.value);
+      rateInput.value = String(rates[getMembershipType()]);
+      rateInput.dispatchEvent(new Event("change"));
+    });
   });
 
   // Add event listener for manual rate changes
   rateInput.addEventListener("change", () => {
     const newRate = parseFloat(rateInput.value);
 
-    // Update the buydown slider's max and current value
-    interestRateBuydownSlider.max = String(newRate);
-    // Enforce max buydown of 1.5%
-    interestRateBuydownSlider.min = String(Math.max(0, newRate - 1.5));
-    interestRateBuydownSlider.step = "0.001";
-    interestRateBuydownSlider.value = String(newRate);
-    interestRateBuydownValue.textContent = `${newRate}%`;
-
-    // Reset buydown cost display
-    interestRateBuydownCostDisplay.textContent = "$0";
-    principalBuydownCostDisplay.textContent = "$0";
-
-    // Recalculate if we have validated inputs
-    if (hasValidatedInputs && lastValidatedInputs) {
-      const recalculateInputs: RecalculateInput = {
-        ...lastValidatedInputs,
-        rate: newRate,
-      };
+    // Keep the membership type in step with the selected rate
+    const membership = rateInput.selectedOptions[0]?.dataset.membership;
+    membershipTypeInputs.forEach((input) => {
+      input.checked = input.value === membership;
+    });
 
-      const results = recalculateMortgage(recalculateInputs, currentCalcMethod);
-      updateDisplayResultsFromRaw(results);
-    }
+    calculatorStore.dispatch({
+      type: "selectRate",
+      term: parseInt(termSelect.value) || 30,
+      rate: newRate,
+    });
   });
 
   // Handle calculation method change
+  function showPricePlaceholder(calcMethod: CalcMethod): void {
+    priceInput.placeholder = t(
+      calcMethod === "payment" ? "placeholderDesiredPayment" : "placeholderPurchasePrice"
+    );
+  }
+
   calcMethodInputs.forEach((input) => {
     input.addEventListener("change", (e) => {
-      currentCalcMethod = (e.target as HTMLInputElement).value as "payment" | "price";
-      priceInput.placeholder =
-        currentCalcMethod === "payment"
-          ? "Enter desired monthly payment"
-          : "Enter purchase price";
+      const calcMethod = (e.target as HTMLInputElement).value as CalcMethod;
+      showPricePlaceholder(calcMethod);
 
-      // Reset validation state when mode changes
-      hasValidatedInputs = false;
-      lastValidatedInputs = null;
-
-      // Update principal buydown slider max value
-      updatePrincipalBuydownSliderMax();
+      // The entered price means something else now, so clear the results
+      calculatorStore.dispatch({ type: "setCalcMethod", calcMethod });
     });
   });
 
@@ -327,197 +542,357 @@ document.addEventListener("DOMContentLoaded", async () => {
       principalBuydown: principalBuydownSlider.value,
     };
 
-    const result = calculateMortgage(rawInput, currentCalcMethod);
+    const originalRate = parseFloat(rateInput.value);
+    const result = calculateMortgage(
+      rawInput,
+      calculatorStore.getState().calcMethod,
+      originalRate
+    );
 
     if (result.kind === 'failure') {
-      showValidationErrors([result.error]);
+      clearCalculationWarnings();
+      showValidationErrors(result.errors);
       return;
     }
 
     // Clear errors on successful validation
     clearValidationErrors();
+    showCalculationWarnings(result.warnings);
+
+    // The sliders recalculate from these inputs until the next calculation
+    calculatorStore.dispatch({
+      type: "calculate",
+      inputs: result.input,
+      originalRate,
+    });
+    commitCalculation();
+  });
 
-    // Store validated inputs for slider recalculations
-    hasValidatedInputs = true;
-    lastValidatedInputs = {
-      price: result.data.purchasePrice, // Use calculated price for payment mode
-      term: parseInt(termSelect.value),
+  // The buydown sliders recalculate from the last calculated inputs
+  interestRateBuydownSlider.addEventListener("input", () => {
+    calculatorStore.dispatch({
+      type: "setInterestRateBuydown",
       rate: parseFloat(interestRateBuydownSlider.value),
-      tax: parseFloat(taxInput.value),
-      insurance: parseFloat(insuranceInput.value),
-      hoaFee: parseFloat(hoaFeeInput.value),
-      principalBuydown: parseFloat(principalBuydownSlider.value),
-    };
+    });
+  });
 
-    // Format and display results
-    updateDisplayResultsFromRaw(result.data);
+  principalBuydownSlider.addEventListener("input", () => {
+    calculatorStore.dispatch({
+      type: "setPrincipalBuydown",
+      amount: parseFloat(principalBuydownSlider.value) || 0,
+    });
   });
 
-  // Add event listener for the interest rate buydown slider
-  interestRateBuydownSlider.addEventListener("input", () => {
-    let desiredRate = parseFloat(interestRateBuydownSlider.value);
-    const originalRate = parseFloat(rateInput.value);
-    const term = parseInt(termSelect.value);
-    const purchasePriceText = purchasePriceDisplay.textContent?.replace(
-      /[$,]/g,
-      ""
-    ) || "0";
-    const principal = parseFloat(purchasePriceText) || 0;
-
-    if (principal > 0) {
-      // Calculate buydown cost via MortgageService (no validation needed)
-      const buydownCost = calculateInterestRateBuydown(
-        principal,
-        originalRate,
-        desiredRate,
-        term
-      );
-      interestRateBuydownCostDisplay.textContent = formatCurrency(buydownCost);
-
-      // Apply 1.5% buydown cap and update the displayed percentage
-      const minAllowedRate = Math.max(0, originalRate - 1.5);
-      let capReached = false;
-      if (desiredRate < minAllowedRate) {
-        desiredRate = minAllowedRate;
-        interestRateBuydownSlider.value = String(minAllowedRate);
-        capReached = true;
-      }
-      interestRateBuydownValue.textContent = capReached
-        ? `${desiredRate.toFixed(3)}% (1.5% cap reached)`
-        : `${desiredRate.toFixed(3)}%`;
-
-      // Recalculate mortgage using MortgageService with lastValidatedInputs and new rate
-      if (hasValidatedInputs && lastValidatedInputs) {
-        const recalculateInputs: RecalculateInput = {
-          ...lastValidatedInputs,
-          rate: desiredRate,
-        };
-
-        const recalculatedResults = recalculateMortgage(
-          recalculateInputs,
-          currentCalcMethod
-        );
+  // Letting go of a slider commits its calculation to the history
+  interestRateBuydownSlider.addEventListener("change", () => commitCalculation());
+  principalBuydownSlider.addEventListener("change", () => commitCalculation());
 
-        // Update the display based on the calculation method
-        if (currentCalcMethod === "price") {
-          updateDisplayResultsFromRaw(recalculatedResults);
-          purchasePriceDisplay.textContent = formatCurrency(
-            recalculateInputs.price
-          );
-        } else {
-          updateDisplayResultsFromRaw(recalculatedResults);
-          monthlyPaymentDisplay.textContent = formatCurrency(
-            recalculateInputs.price
-          );
-        }
+  // Split the cash budget between both buydowns and apply it to the sliders
+  optimizeBuydownButton.addEventListener("click", () => {
+    const state = calculatorStore.getState();
+    if (!state.inputs || !state.result) {
+      buydownOptimizerResult.textContent = t("calculateFirst");
+      return;
+    }
 
-        // Update principal buydown slider max value after recalculation
-        updatePrincipalBuydownSliderMax();
-      }
+    const budgetResult = validateNonNegative(
+      buydownBudgetInput.value,
+      "buydownBudget"
+    );
+    if (budgetResult.kind === "failure") {
+      showValidationErrors([budgetResult]);
+      return;
     }
-  });
 
-  // Add event listener for the principal buydown slider
-  principalBuydownSlider.addEventListener("input", () => {
-    const principalBuydown = parseFloat(principalBuydownSlider.value) || 0;
-    principalBuydownValue.textContent = formatCurrency(principalBuydown);
-    principalBuydownCostDisplay.textContent = formatCurrency(principalBuydown);
-
-    // Use lastValidatedInputs with new principalBuydown
-    if (hasValidatedInputs && lastValidatedInputs) {
-      const desiredRate = parseFloat(interestRateBuydownSlider.value);
-      const term = parseInt(termSelect.value);
-
-      const recalculateInputs: RecalculateInput = {
-        ...lastValidatedInputs,
-        principalBuydown: principalBuydown,
-      };
-
-      // Recalculate using MortgageService (no validation)
-      const recalculatedResults = recalculateMortgage(
-        recalculateInputs,
-        currentCalcMethod
-      );
+    const allocation = optimizeBuydownAllocation(
+      {
+        ...state.inputs,
+        price: state.result.purchasePrice,
+        term: state.term,
+        rate: state.originalRate,
+        principalBuydown: state.principalBuydown,
+      },
+      budgetResult.data,
+      buydownObjectiveSelect.value as BuydownObjective,
+      parseFloat(principalBuydownSlider.step) || 1
+    );
 
-      // Update the display based on the calculation method
-      if (currentCalcMethod === "price") {
-        updateDisplayResultsFromRaw(recalculatedResults);
-        purchasePriceDisplay.textContent = formatCurrency(
-          recalculateInputs.price
-        );
-      } else {
-        updateDisplayResultsFromRaw(recalculatedResults);
-        monthlyPaymentDisplay.textContent = formatCurrency(
-          recalculateInputs.price
-        );
-      }
+    calculatorStore.dispatch({
+      type: "setInterestRateBuydown",
+      rate: allocation.desiredRate,
+    });
+    calculatorStore.dispatch({
+      type: "setPrincipalBuydown",
+      amount: allocation.principalBuydown,
+    });
+    commitCalculation();
 
-      // Update principal buydown slider max value after recalculation
-      updatePrincipalBuydownSliderMax();
-
-      // Also re-calculate and update the interest rate buydown cost via MortgageService
-      const originalInterestRate = parseFloat(rateInput.value);
-      const currentPurchasePriceText = purchasePriceDisplay.textContent?.replace(
-        /[$,]/g,
-        ""
-      ) || "0";
-      const currentPrincipal = parseFloat(currentPurchasePriceText) || 0;
-      if (currentPrincipal > 0) {
-        const interestBuydownCost = calculateInterestRateBuydown(
-          currentPrincipal,
-          originalInterestRate,
-          desiredRate,
-          term
-        );
-        interestRateBuydownCostDisplay.textContent =
-          formatCurrency(interestBuydownCost);
-      } else {
-        interestRateBuydownCostDisplay.textContent = "$0";
-      }
-    }
+    buydownOptimizerResult.textContent = t("buydownSplit", {
+      rate: allocation.desiredRate.toFixed(3),
+      cost: formatMoney(allocation.rateBuydownCost),
+      principal: formatMoney(allocation.principalBuydown),
+    });
   });
 
-  // Add input validation and formatting
+  // Amounts can be typed or pasted as "$425,000", "425k" or "6,5". Show what each was
+  // read as while typing, and write it back plainly once the field is left
   const numericInputs = [
     priceInput,
-    rateInput,
-    taxInput,
     insuranceInput,
     hoaFeeInput,
+    extraMonthlyInput,
+    extraAnnualInput,
+    extraOneTimeInput,
+    buydownBudgetInput,
+    maxMonthlyPaymentInput,
   ];
 
   numericInputs.forEach((input) => {
-    input.addEventListener("input", (e) => {
-      // Remove non-numeric characters except decimal point
-      let value = (e.target as HTMLInputElement).value.replace(/[^0-9.]/g, "");
-
-      // Ensure only one decimal point
-      const parts = value.split(".");
-      if (parts.length > 2) {
-        value = parts[0] + "." + parts.slice(1).join("");
-      }
+    const preview = document.createElement("span");
+    preview.className = "parse-preview";
+    preview.id = `${input.id}-preview`;
+    input.insertAdjacentElement("afterend", preview);
+
+    input.addEventListener("input", () => {
+      const parsed = parseNumber(input.value);
+      preview.textContent =
+        parsed.kind === "success" && parsed.normalized !== input.value.trim()
+          ? `= ${formatParsedNumber(parsed.value, getNumberLocale())}`
+          : "";
+    });
+
+    input.addEventListener("change", () => {
+      const parsed = parseNumber(input.value);
+      if (parsed.kind === "success") input.value = parsed.normalized;
+      preview.textContent = "";
+    });
+  });
+
+  buydownBudgetInput.addEventListener("input", () =>
+    clearFieldError("buydownBudget")
+  );
+
+  // Listing badges on open listing pages recolor as soon as this is saved
+  maxMonthlyPaymentInput.addEventListener("input", () => {
+    clearFieldError("maxMonthlyPayment");
+    if (maxMonthlyPaymentInput.value.trim() === "") {
+      saveMaxMonthlyPayment(null);
+      return;
+    }
+
+    const result = validateNonNegative(maxMonthlyPaymentInput.value, "maxMonthlyPayment");
+    if (result.kind === "failure") {
+      showValidationErrors([result]);
+      return;
+    }
+    saveMaxMonthlyPayment(result.data);
+  });
+
+  // Recalculate extra payment savings as the extra payment fields change
+  [
+    extraMonthlyInput,
+    extraAnnualInput,
+    extraOneTimeInput,
+    extraOneTimeMonthInput,
+  ].forEach((input) => {
+    input.addEventListener("input", () => {
+      clearFieldError(input.id);
+      updateExtraPaymentsResults();
+    });
+  });
+
+  // --- Scenario Comparison ---
+  const scenarioNameInput = document.getElementById("scenarioName") as HTMLInputElement;
+  const addScenarioButton = document.getElementById("addScenario") as HTMLButtonElement;
+  const addScenarioStatus = document.getElementById("addScenarioStatus") as HTMLElement;
+  const comparisonBaselineSelect = document.getElementById(
+    "comparisonBaseline"
+  ) as HTMLSelectElement;
+  const comparisonStatus = document.getElementById("comparisonStatus") as HTMLElement;
+  // Shown while there is nothing to compare, already in the user's language
+  const emptyComparisonMessage = comparisonStatus.textContent?.trim() || "";
+  const comparisonTable = document.getElementById("comparisonTable") as HTMLElement;
+  const clearScenariosButton = document.getElementById(
+    "clearScenarios"
+  ) as HTMLButtonElement;
+
+  // Scenarios only live as long as the popup is open
+  const scenarios: ComparisonScenario[] = [];
+  let comparisonBaselineIndex = 0;
+
+  function renderComparison(): void {
+    comparisonBaselineSelect.innerHTML = "";
+    scenarios.forEach((scenario, index) => {
+      const option = document.createElement("option");
+      option.value = String(index);
+      option.textContent = scenario.name;
+      comparisonBaselineSelect.appendChild(option);
+    });
+    comparisonBaselineSelect.value = String(comparisonBaselineIndex);
+    comparisonTable.innerHTML = "";
+
+    if (scenarios.length < 2) {
+      comparisonStatus.textContent = emptyComparisonMessage;
+      return;
+    }
+
+    const comparison = compareScenarios(scenarios, comparisonBaselineIndex);
+    if (comparison.kind === "failure") {
+      comparisonStatus.textContent = comparison.message;
+      return;
+    }
+    comparisonStatus.textContent = "";
+
+    const table = document.createElement("table");
+    const headerRow = table.createTHead().insertRow();
+    headerRow.appendChild(document.createElement("th"));
+    comparison.results.forEach((result, index) => {
+      const header = document.createElement("th");
+      header.textContent = result.name;
+      const removeButton = document.createElement("button");
+      removeButton.type = "button";
+      removeButton.className = "remove-scenario";
+      removeButton.dataset.index = String(index);
+      removeButton.textContent = "×";
+      removeButton.setAttribute("aria-label", t("removeScenario", { name: result.name }));
+      header.appendChild(removeButton);
+      headerRow.appendChild(header);
+    });
+
+    const body = table.createTBody();
+    COMPARISON_METRICS.forEach((metric) => {
+      const row = body.insertRow();
+      const label = document.createElement("th");
+      label.textContent = t(metric.labelKey);
+      row.appendChild(label);
+      comparison.results.forEach((result, index) => {
+        const cell = row.insertCell();
+        cell.textContent = metric.value(result);
+        if (index !== comparison.baselineIndex) {
+          const delta = document.createElement("span");
+          delta.className = "delta";
+          delta.textContent = metric.delta(result.deltas);
+          cell.appendChild(delta);
+        }
+      });
+    });
+
+    comparisonTable.appendChild(table);
+  }
+
+  // Snapshot the current calculator inputs as a named scenario
+  addScenarioButton.addEventListener("click", () => {
+    const { calcMethod, result } = calculatorStore.getState();
+    if (!result) {
+      addScenarioStatus.textContent = t("calculateFirst");
+      return;
+    }
+    if (scenarios.length >= MAX_COMPARISON_SCENARIOS) {
+      addScenarioStatus.textContent = t("scenarioLimit", { max: MAX_COMPARISON_SCENARIOS });
+      return;
+    }
+
+    const input = {
+      price: priceInput.value,
+      term: termSelect.value,
+      rate: interestRateBuydownSlider.value,
+      tax: taxInput.value,
+      insurance: insuranceInput.value,
+      hoaFee: hoaFeeInput.value,
+      principalBuydown: principalBuydownSlider.value,
+    };
+    const validation = validateAllCalculatorInput(input);
+    if (validation.kind === "failure") {
+      showValidationErrors(validation.errors);
+      return;
+    }
+    const crossField = validateCrossFieldInput(
+      validation.data,
+      calcMethod,
+      parseFloat(rateInput.value)
+    );
+    if (crossField.kind === "failure") {
+      showValidationErrors(crossField.errors);
+      return;
+    }
+
+    const extraPayments = validateExtraPayments(
+      {
+        extraMonthly: extraMonthlyInput.value,
+        extraAnnual: extraAnnualInput.value,
+        extraOneTime: extraOneTimeInput.value,
+        extraOneTimeMonth: extraOneTimeMonthInput.value,
+      },
+      validation.data.term
+    );
 
-      // Update the input value
-      (e.target as HTMLInputElement).value = value;
+    const name =
+      scenarioNameInput.value.trim() ||
+      t("scenarioDefaultName", { number: scenarios.length + 1 });
+    scenarios.push({
+      name,
+      input,
+      calcMethod,
+      originalRate: parseFloat(rateInput.value),
+      extraPayments:
+        extraPayments.kind === "success" ? extraPayments.data : undefined,
+    });
+    scenarioNameInput.value = "";
+    addScenarioStatus.textContent = t("scenarioAdded", {
+      name,
+      count: scenarios.length,
+      max: MAX_COMPARISON_SCENARIOS,
     });
+    renderComparison();
+  });
+
+  comparisonBaselineSelect.addEventListener("change", () => {
+    comparisonBaselineIndex = parseInt(comparisonBaselineSelect.value) || 0;
+    renderComparison();
+  });
+
+  comparisonTable.addEventListener("click", (e) => {
+    const removeButton = (e.target as HTMLElement).closest<HTMLButtonElement>(
+      ".remove-scenario"
+    );
+    if (!removeButton) return;
+
+    const index = parseInt(removeButton.dataset.index || "");
+    scenarios.splice(index, 1);
+    // Keep the same baseline unless it was the scenario removed
+    if (index === comparisonBaselineIndex) {
+      comparisonBaselineIndex = 0;
+    } else if (index < comparisonBaselineIndex) {
+      comparisonBaselineIndex--;
+    }
+    renderComparison();
+  });
+
+  clearScenariosButton.addEventListener("click", () => {
+    scenarios.length = 0;
+    comparisonBaselineIndex = 0;
+    addScenarioStatus.textContent = "";
+    renderComparison();
   });
 
   // --- Tab Handling ---
   const tabButtons = document.querySelectorAll<HTMLButtonElement>(".tab-btn");
   const tabContents = document.querySelectorAll<HTMLElement>(".tab-content");
 
+  function showTab(tabId: string): void {
+    // Deactivate all buttons and hide all content
+    tabButtons.forEach((btn) => btn.classList.remove("active"));
+    tabContents.forEach((content) => content.classList.remove("active"));
+
+    // Activate the tab's button and show its content
+    document.querySelector(`.tab-btn[data-tab="${tabId}"]`)?.classList.add("active");
+    document.getElementById(tabId)?.classList.add("active");
+  }
+
   tabButtons.forEach((button) => {
     button.addEventListener("click", () => {
-      // Deactivate all buttons and hide all content
-      tabButtons.forEach((btn) => btn.classList.remove("active"));
-      tabContents.forEach((content) => content.classList.remove("active"));
-
-      // Activate clicked button and show corresponding content
-      button.classList.add("active");
       const tabId = button.getAttribute("data-tab");
-      if (tabId) {
-        document.getElementById(tabId)?.classList.add("active");
-      }
+      if (tabId) showTab(tabId);
     });
   });
 
@@ -530,67 +905,698 @@ document.addEventListener("DOMContentLoaded", async () => {
   const tractPercentDisplay = document.getElementById("msaResultTractPercent") as HTMLElement | null;
   const yearDisplay = document.getElementById("msaResultYear") as HTMLElement | null;
 
+  // The last successful lookup, kept so it can be restored when the popup reopens
+  let lastMsaLookup: SavedMsaLookup | null = null;
+
+  function clearMsaResult(): void {
+    if (msaIncomeDisplay) msaIncomeDisplay.textContent = "-";
+    if (tractIncomeDisplay) tractIncomeDisplay.textContent = "-";
+    if (tractPercentDisplay) tractPercentDisplay.textContent = "-";
+    if (yearDisplay) yearDisplay.textContent = "-";
+  }
+
+  function showMsaResult(result: MsaLookupResult, address: string): void {
+    if (statusDiv) {
+      statusDiv.textContent = t("msaDataFound", {
+        address: result.address || address,
+      });
+    }
+
+    // Update all fields with response data
+    if (msaIncomeDisplay) {
+      msaIncomeDisplay.textContent = `$${
+        result.msaMedianFamilyIncome?.toLocaleString() || "N/A"
+      }`;
+    }
+    if (tractIncomeDisplay) {
+      tractIncomeDisplay.textContent = `$${
+        result.tractMedianFamilyIncome?.toLocaleString() || "N/A"
+      }`;
+    }
+    if (tractPercentDisplay) {
+      tractPercentDisplay.textContent = `${
+        result.tractPercentOfMsa || "N/A"
+      }%`;
+    }
+    if (yearDisplay) {
+      yearDisplay.textContent = String(result.year || "N/A");
+    }
+  }
+
   if (lookupButton && addressInput && statusDiv) {
     lookupButton.addEventListener("click", () => {
       const address = addressInput.value.trim();
       if (!address) {
-        statusDiv.textContent = "Please enter an address.";
+        statusDiv.textContent = t("msaEnterAddress");
         return;
       }
 
-      statusDiv.textContent = "Looking up address...";
+      statusDiv.textContent = t("msaLookingUp");
 
       // Reset all display fields
-      if (msaIncomeDisplay) msaIncomeDisplay.textContent = "-";
-      if (tractIncomeDisplay) tractIncomeDisplay.textContent = "-";
-      if (tractPercentDisplay) tractPercentDisplay.textContent = "-";
-      if (yearDisplay) yearDisplay.textContent = "-";
+      clearMsaResult();
 
-      performMsaLookup(address)
+      performMsaLookup(address, settings.apiBaseUrl)
         .then((result) => {
           if (result) {
-            statusDiv.textContent = `Data found for: ${
-              result.address || address
-            }`;
-
-            // Update all fields with response data
-            if (msaIncomeDisplay) {
-              msaIncomeDisplay.textContent = `$${
-                result.msaMedianFamilyIncome?.toLocaleString() || "N/A"
-              }`;
-            }
-            if (tractIncomeDisplay) {
-              tractIncomeDisplay.textContent = `$${
-                result.tractMedianFamilyIncome?.toLocaleString() || "N/A"
-              }`;
-            }
-            if (tractPercentDisplay) {
-              tractPercentDisplay.textContent = `${
-                result.tractPercentOfMsa || "N/A"
-              }%`;
-            }
-            if (yearDisplay) {
-              yearDisplay.textContent = String(result.year || "N/A");
+            showMsaResult(result, address);
+            lastMsaLookup = { address, result };
+            if (!propertyAddressInput.value.trim()) {
+              propertyAddressInput.value = address;
             }
+            saveCurrentState();
           } else {
-            statusDiv.textContent = "Could not retrieve data for this address.";
+            statusDiv.textContent = t("msaNoData");
           }
         })
         .catch((error: Error) => {
-          statusDiv.textContent = `Error: ${error.message}`;
+          statusDiv.textContent = t("msaError", { message: error.message });
           console.error("MSA lookup error:", error);
         });
     });
   }
+
+  // --- Listing Pre-fill ---
+  const listingStatus = document.getElementById("listingStatus") as HTMLElement;
+  let prefilledListing: string | null = null;
+
+  function selectPriceMethod(): void {
+    const priceMethodInput = Array.from(calcMethodInputs).find(
+      (input) => input.value === "price"
+    );
+    if (priceMethodInput && !priceMethodInput.checked) {
+      priceMethodInput.checked = true;
+      priceMethodInput.dispatchEvent(new Event("change"));
+    }
+  }
+
+  // Fill the form from the listing the popup was opened on
+  function applyListing(listing: ListingData): void {
+    if (listing.price !== undefined) {
+      selectPriceMethod();
+      priceInput.value = String(Math.round(listing.price));
+
+      if (listing.annualPropertyTax !== undefined && listing.price > 0) {
+        taxInput.value = String(
+          toPropertyTaxRate(listing.annualPropertyTax, listing.price)
+        );
+      }
+    }
+    if (listing.monthlyInsurance !== undefined) {
+      insuranceInput.value = String(Math.round(listing.monthlyInsurance));
+    }
+    if (listing.monthlyHoa !== undefined) {
+      hoaFeeInput.value = String(Math.round(listing.monthlyHoa));
+    }
+    if (listing.address && addressInput) {
+      addressInput.value = listing.address;
+    }
+    if (listing.address) propertyAddressInput.value = listing.address;
+    if (listing.url) propertyListingUrlInput.value = listing.url;
+
+    listingStatus.textContent = listing.address
+      ? t("listingFilledIn", { address: listing.address })
+      : t("listingFilledInNoAddress");
+
+    if (listing.price !== undefined) {
+      calculateButton.click();
+    }
+  }
+
+  // Fill in the active tab's listing, unless it already filled in the form,
+  // so reopening on the same listing keeps the user's edits
+  async function prefillFromActiveTab(): Promise<void> {
+    const listing = await requestListing();
+    if (!listing) return;
+
+    const listingKey = listing.address ?? String(listing.price);
+    if (listingKey === prefilledListing) return;
+
+    prefilledListing = listingKey;
+    applyListing(listing);
+    saveCurrentState();
+  }
+
+  // --- Context Menu Selection ---
+  // Calculate a price, or look up an address, selected on a page
+  function applySelection(selection: PageSelection): void {
+    if (selection.kind === "price") {
+      selectPriceMethod();
+      priceInput.value = String(Math.round(selection.price));
+      listingStatus.textContent = t("selectionCalculated", {
+        price: formatCurrency(selection.price, 0),
+      });
+      calculateButton.click();
+      return;
+    }
+
+    document
+      .querySelector<HTMLButtonElement>('.tab-btn[data-tab="msa-lookup"]')
+      ?.click();
+    if (addressInput) addressInput.value = selection.address;
+    lookupButton?.click();
+  }
+
+  // --- Calculation History ---
+  const undoButton = document.getElementById("undoCalculation") as HTMLButtonElement;
+  const redoButton = document.getElementById("redoCalculation") as HTMLButtonElement;
+  const recentScenariosList = document.getElementById("recentScenarios") as HTMLElement;
+  const recentScenariosEmpty = document.getElementById(
+    "recentScenariosEmpty"
+  ) as HTMLElement;
+
+  // List the recent calculations newest first, marking the one shown
+  function renderHistory(): void {
+    undoButton.disabled = !canUndo(calculationHistory);
+    redoButton.disabled = !canRedo(calculationHistory);
+    recentScenariosEmpty.hidden = calculationHistory.recent.length > 0;
+
+    recentScenariosList.innerHTML = "";
+    calculationHistory.recent.forEach((entry, index) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.dataset.index = String(index);
+      if (isRecentCalculationShown(calculationHistory, index)) {
+        button.setAttribute("aria-current", "true");
+      }
+
+      const summary = document.createElement("span");
+      summary.textContent = describeCalculation(entry.state);
+      const savedAt = new Date(entry.savedAt);
+      const time = document.createElement("time");
+      time.dateTime = savedAt.toISOString();
+      time.textContent = formatSavedAt(savedAt);
+      button.append(summary, time);
+
+      const item = document.createElement("li");
+      item.appendChild(button);
+      recentScenariosList.prepend(item);
+    });
+  }
+
+  // Record the calculation just made; nothing is recorded if it didn't change
+  function commitCalculation(): void {
+    const history = recordCalculation(calculationHistory, calculatorStore.getState());
+    if (history === calculationHistory) return;
+    calculationHistory = history;
+    saveCalculationHistory(calculationHistory);
+    renderHistory();
+  }
+
+  // Put a calculation's inputs back in the form, then show its results
+  function applyCalculatorState(state: CalculatorState): void {
+    calcMethodInputs.forEach((input) => {
+      input.checked = input.value === state.calcMethod;
+    });
+    showPricePlaceholder(state.calcMethod);
+    if (state.inputs) {
+      priceInput.value = String(state.inputs.price);
+      taxInput.value = String(state.inputs.tax);
+      insuranceInput.value = String(state.inputs.insurance);
+      hoaFeeInput.value = String(state.inputs.hoaFee);
+    }
+    termSelect.value = String(state.term);
+    updateInterestRateOptions(termSelect.value);
+
+    // Rates may have changed since; the results keep the rate they were calculated at
+    const savedRate = Array.from(rateInput.options).find(
+      (option) => parseFloat(option.value) === state.originalRate
+    );
+    if (savedRate) {
+      rateInput.value = savedRate.value;
+      membershipTypeInputs.forEach((input) => {
+        input.checked = input.value === savedRate.dataset.membership;
+      });
+    }
+
+    clearValidationErrors();
+    clearCalculationWarnings();
+    calculatorStore.dispatch({ type: "restore", state });
+  }
+
+  function showCalculation(history: CalculationHistory): void {
+    if (history === calculationHistory) return;
+    calculationHistory = history;
+    saveCalculationHistory(calculationHistory);
+
+    applyCalculatorState(calculationHistory.entries[calculationHistory.index].state);
+    renderHistory();
+    saveCurrentState();
+  }
+
+  undoButton.addEventListener("click", () =>
+    showCalculation(undoCalculation(calculationHistory))
+  );
+  redoButton.addEventListener("click", () =>
+    showCalculation(redoCalculation(calculationHistory))
+  );
+  recentScenariosList.addEventListener("click", (e) => {
+    const entryButton = (e.target as HTMLElement).closest<HTMLButtonElement>(
+      "button[data-index]"
+    );
+    if (!entryButton) return;
+    showCalculation(
+      restoreRecentCalculation(
+        calculationHistory,
+        parseInt(entryButton.dataset.index || "")
+      )
+    );
+  });
+
+  document.addEventListener("keydown", (e) => {
+    const command = getHistoryShortcut(e);
+    // Text fields keep their own undo for typing
+    if (!command || isTextEntry(e.target)) return;
+    e.preventDefault();
+    showCalculation(
+      command === "undo"
+        ? undoCalculation(calculationHistory)
+        : redoCalculation(calculationHistory)
+    );
+  });
+
+  // --- Saved Properties ---
+  const propertyAddressInput = document.getElementById(
+    "propertyAddress"
+  ) as HTMLInputElement;
+  const propertyListingUrlInput = document.getElementById(
+    "propertyListingUrl"
+  ) as HTMLInputElement;
+  const savePropertyButton = document.getElementById("saveProperty") as HTMLButtonElement;
+  const savePropertyStatus = document.getElementById("savePropertyStatus") as HTMLElement;
+  const propertySortSelect = document.getElementById("propertySort") as HTMLSelectElement;
+  const propertySortDirectionSelect = document.getElementById(
+    "propertySortDirection"
+  ) as HTMLSelectElement;
+  const propertyFilterFieldSelect = document.getElementById(
+    "propertyFilterField"
+  ) as HTMLSelectElement;
+  const propertyFilterMinInput = document.getElementById(
+    "propertyFilterMin"
+  ) as HTMLInputElement;
+  const propertyFilterMaxInput = document.getElementById(
+    "propertyFilterMax"
+  ) as HTMLInputElement;
+  const propertiesStatus = document.getElementById("propertiesStatus") as HTMLElement;
+  const propertyList = document.getElementById("propertyList") as HTMLElement;
+
+  let savedProperties: SavedProperty[] = [];
+
+  // List the saved properties that pass the filter, in the chosen order
+  function renderProperties(): void {
+    const field = propertyFilterFieldSelect.value as PropertySortField;
+    const shown = sortProperties(
+      filterProperties(savedProperties, {
+        field,
+        min: readFilterBound(propertyFilterMinInput),
+        max: readFilterBound(propertyFilterMaxInput),
+      }),
+      propertySortSelect.value as PropertySortField,
+      propertySortDirectionSelect.value as SortDirection
+    );
+
+    propertiesStatus.hidden = shown.length > 0;
+    propertiesStatus.textContent =
+      savedProperties.length > 0 ? t("propertiesNoMatch") : t("propertiesEmpty");
+
+    propertyList.innerHTML = "";
+    shown.forEach((property) => {
+      const item = document.createElement("li");
+
+      const address = document.createElement("span");
+      address.className = "property-address";
+      address.textContent = property.address || property.listingUrl;
+      item.appendChild(address);
+      const listingUrl = normalizeListingUrl(property.listingUrl);
+      if (listingUrl) {
+        const link = document.createElement("a");
+        link.href = listingUrl;
+        link.target = "_blank";
+        link.rel = "noopener";
+        link.textContent = t("openListing");
+        item.append(" ", link);
+      }
+
+      const monthlyPayment = getPropertyValue(property, "monthlyPayment");
+      const tractPercent = getPropertyValue(property, "tractPercent");
+      [
+        monthlyPayment !== null &&
+          t("propertySummary", {
+            payment: formatMoney(monthlyPayment),
+            price: formatMoney(property.price),
+          }),
+        tractPercent !== null && t("propertyTractPercent", { percent: tractPercent }),
+        t("propertyScenarios", { count: property.scenarios.length }),
+      ].forEach((text) => {
+        if (!text) return;
+        const details = document.createElement("span");
+        details.className = "property-details";
+        details.textContent = text;
+        item.appendChild(details);
+      });
+
+      const actions = document.createElement("div");
+      actions.className = "property-actions";
+      const openButton = document.createElement("button");
+      openButton.type = "button";
+      openButton.className = "open-property";
+      openButton.dataset.id = property.id;
+      openButton.textContent = t("openProperty");
+      const deleteButton = document.createElement("button");
+      deleteButton.type = "button";
+      deleteButton.className = "delete-property";
+      deleteButton.dataset.id = property.id;
+      deleteButton.textContent = t("deleteProperty");
+      actions.append(openButton, deleteButton);
+      item.appendChild(actions);
+
+      propertyList.appendChild(item);
+    });
+  }
+
+  async function refreshProperties(): Promise<void> {
+    savedProperties = await listSavedProperties();
+    renderProperties();
+  }
+
+  // Put a saved property's newest calculation and MSA lookup back in the popup
+  function openProperty(property: SavedProperty): void {
+    const scenario = getLatestScenario(property);
+    if (!scenario) return;
+
+    applyCalculatorState(scenario.state);
+    commitCalculation();
+
+    propertyAddressInput.value = property.address;
+    propertyListingUrlInput.value = property.listingUrl;
+    if (addressInput) addressInput.value = property.address;
+    if (property.msaLookup) {
+      showMsaResult(property.msaLookup, property.address);
+      lastMsaLookup = { address: property.address, result: property.msaLookup };
+    } else {
+      clearMsaResult();
+      if (statusDiv) statusDiv.textContent = "";
+      lastMsaLookup = null;
+    }
+
+    listingStatus.textContent = t("propertyOpened", {
+      address: property.address || property.listingUrl,
+    });
+    showTab("calculator");
+    saveCurrentState();
+  }
+
+  savePropertyButton.addEventListener("click", async () => {
+    const state = calculatorStore.getState();
+    if (!state.result) {
+      savePropertyStatus.textContent = t("calculateFirst");
+      return;
+    }
+    const address = propertyAddressInput.value.trim();
+    const listingUrl = normalizeListingUrl(propertyListingUrlInput.value);
+    if (listingUrl === null) {
+      savePropertyStatus.textContent = t("propertyInvalidListingUrl");
+      return;
+    }
+    if (!address && !listingUrl) {
+      savePropertyStatus.textContent = t("propertyNeedsAddress");
+      return;
+    }
+
+    // The MSA lookup only belongs to the property if it was for the same address
+    const msaLookup =
+      lastMsaLookup && lastMsaLookup.address.toLowerCase() === address.toLowerCase()
+        ? lastMsaLookup.result
+        : null;
+
+    try {
+      const property = await saveCalculationToProperty(
+        { address, listingUrl, msaLookup },
+        state
+      );
+      savePropertyStatus.textContent = t("propertySaved", {
+        address: property.address || property.listingUrl,
+        count: property.scenarios.length,
+      });
+      await refreshProperties();
+    } catch (error) {
+      console.warn("Failed to save property:", error);
+      savePropertyStatus.textContent = t("propertySaveFailed");
+    }
+  });
+
+  propertyList.addEventListener("click", async (e) => {
+    const button = (e.target as HTMLElement).closest<HTMLButtonElement>("button[data-id]");
+    if (!button) return;
+
+    const property = savedProperties.find(({ id }) => id === button.dataset.id);
+    if (!property) return;
+    if (button.classList.contains("open-property")) {
+      openProperty(property);
+    } else {
+      await deleteSavedProperty(property.id).catch((error) =>
+        console.warn("Failed to delete property:", error)
+      );
+      await refreshProperties();
+    }
+  });
+
+  [
+    propertySortSelect,
+    propertySortDirectionSelect,
+    propertyFilterFieldSelect,
+  ].forEach((select) => select.addEventListener("change", renderProperties));
+  [propertyFilterMinInput, propertyFilterMaxInput].forEach((input) =>
+    input.addEventListener("input", renderProperties)
+  );
+
+  // --- Saved State ---
+  const resetButton = document.getElementById("resetCalculator") as HTMLButtonElement;
+  const openOptionsButton = document.getElementById("openOptions") as HTMLButtonElement;
+
+  function getPopupState(): PopupState {
+    return {
+      calcMethod: calculatorStore.getState().calcMethod,
+      membershipType: getMembershipType(),
+      price: priceInput.value,
+      term: termSelect.value,
+      rate: rateInput.value,
+      tax: taxInput.value,
+      insurance: insuranceInput.value,
+      hoaFee: hoaFeeInput.value,
+      interestRateBuydown: interestRateBuydownSlider.value,
+      principalBuydown: principalBuydownSlider.value,
+      extraPayments: {
+        extraMonthly: extraMonthlyInput.value,
+        extraAnnual: extraAnnualInput.value,
+        extraOneTime: extraOneTimeInput.value,
+        extraOneTimeMonth: extraOneTimeMonthInput.value,
+      },
+      buydownBudget: buydownBudgetInput.value,
+      buydownObjective: buydownObjectiveSelect.value,
+      calculated: calculatorStore.getState().result !== null,
+      msaLookup: lastMsaLookup,
+      prefilledListing,
+    };
+  }
+
+  function saveCurrentState(): void {
+    savePopupState(getPopupState());
+  }
+
+  // Put the inputs back, then recalculate rather than trusting saved results
+  async function restorePopupState(state: PopupState): Promise<void> {
+    prefilledListing = state.prefilledListing ?? null;
+
+    const calcMethodInput = Array.from(calcMethodInputs).find(
+      (input) => input.value === state.calcMethod
+    );
+    if (calcMethodInput && !calcMethodInput.checked) {
+      calcMethodInput.checked = true;
+      calcMethodInput.dispatchEvent(new Event("change"));
+    }
+    membershipTypeInputs.forEach((input) => {
+      input.checked = input.value === state.membershipType;
+    });
+
+    priceInput.value = state.price;
+    termSelect.value = state.term;
+    taxInput.value = state.tax;
+    insuranceInput.value = state.insurance;
+    hoaFeeInput.value = state.hoaFee;
+    extraMonthlyInput.value = state.extraPayments.extraMonthly;
+    extraAnnualInput.value = state.extraPayments.extraAnnual;
+    extraOneTimeInput.value = state.extraPayments.extraOneTime;
+    extraOneTimeMonthInput.value = state.extraPayments.extraOneTimeMonth;
+    buydownBudgetInput.value = state.buydownBudget;
+    buydownObjectiveSelect.value = state.buydownObjective;
+
+    updateInterestRateOptions(termSelect.value);
+
+    // Rates may have changed since the state was saved; keep the new rate if so
+    const savedRate = Array.from(rateInput.options).find(
+      (option) => option.value === state.rate
+    );
+    if (savedRate) {
+      rateInput.value = state.rate;
+      rateInput.dispatchEvent(new Event("change"));
+
+      if (state.calculated) {
+        interestRateBuydownSlider.value = state.interestRateBuydown;
+        // Results set the real max; until then don't let the slider clamp the value
+        principalBuydownSlider.max = state.principalBuydown;
+        principalBuydownSlider.value = state.principalBuydown;
+      }
+    }
+
+    if (state.calculated) {
+      calculateButton.click();
+    }
+
+    if (state.msaLookup && addressInput) {
+      lastMsaLookup = state.msaLookup;
+      addressInput.value = state.msaLookup.address;
+      showMsaResult(state.msaLookup.result, state.msaLookup.address);
+    }
+  }
+
+  // Clear the saved state and put every field back to its default
+  function resetPopup(): void {
+    clearPopupState();
+
+    const paymentInput = Array.from(calcMethodInputs).find(
+      (input) => input.value === "payment"
+    );
+    if (paymentInput && !paymentInput.checked) {
+      paymentInput.checked = true;
+      paymentInput.dispatchEvent(new Event("change"));
+    }
+
+    priceInput.value = "";
+    setDefaultInputs();
+    updateInterestRateOptions(termSelect.value);
+    calculatorStore.dispatch({ type: "reset" });
+    clearValidationErrors();
+    clearCalculationWarnings();
+
+    extraMonthlyInput.value = "";
+    extraAnnualInput.value = "";
+    extraOneTimeInput.value = "";
+    extraOneTimeMonthInput.value = "";
+    extraPayoffDateDisplay.textContent = "-";
+    extraTimeSavedDisplay.textContent = "-";
+    extraInterestSavedDisplay.textContent = "$0";
+
+    buydownBudgetInput.value = "";
+    buydownObjectiveSelect.value = "payment";
+    buydownOptimizerResult.textContent = "";
+
+    lastMsaLookup = null;
+    prefilledListing = null;
+    listingStatus.textContent = "";
+    propertyAddressInput.value = "";
+    propertyListingUrlInput.value = "";
+    savePropertyStatus.textContent = "";
+    if (addressInput) addressInput.value = "";
+    if (statusDiv) statusDiv.textContent = "";
+    clearMsaResult();
+  }
+
+  calculationHistory = (await loadCalculationHistory()) ?? EMPTY_HISTORY;
+  renderHistory();
+  await refreshProperties();
+
+  const maxMonthlyPayment = await loadMaxMonthlyPayment();
+  if (maxMonthlyPayment !== null) {
+    maxMonthlyPaymentInput.value = String(maxMonthlyPayment);
+  }
+
+  const savedState = await loadPopupState();
+  if (savedState) {
+    await restorePopupState(savedState);
+  }
+
+  await prefillFromActiveTab();
+
+  // Opened from the context menu; the selection wins over the listing
+  const selection = await takePendingSelection();
+  if (selection) {
+    applySelection(selection);
+    saveCurrentState();
+  }
+
+  // Save after every edit; these run after each field's own handlers
+  document.addEventListener("input", saveCurrentState);
+  document.addEventListener("change", saveCurrentState);
+  calculateButton.addEventListener("click", saveCurrentState);
+  optimizeBuydownButton.addEventListener("click", saveCurrentState);
+  resetButton.addEventListener("click", resetPopup);
+  openOptionsButton.addEventListener("click", () => chrome.runtime.openOptionsPage());
+
+  // --- Side Panel ---
+  // The side panel runs this same page and stays open while the user browses
+  const openSidePanelButton = document.getElementById(
+    "openSidePanel"
+  ) as HTMLButtonElement;
+  if (new URLSearchParams(location.search).get("view") === SIDE_PANEL_VIEW) {
+    document.body.classList.add("side-panel");
+    openSidePanelButton.hidden = true;
+    watchActiveTab(prefillFromActiveTab);
+  } else {
+    // sidePanel.open() has to run straight from the click, so look the window up now
+    const windowId = await getCurrentWindowId();
+    openSidePanelButton.addEventListener("click", () => {
+      if (windowId === undefined) return;
+      chrome.sidePanel
+        .open({ windowId })
+        .then(() => window.close())
+        .catch((error) => console.warn("Failed to open the side panel:", error));
+    });
+  }
 });
 
-// Look up MSA income data from Railway API
-async function performMsaLookup(address: string): Promise<MsaLookupResult | null> {
-  const API_BASE_URL =
-    "https://naca-mortgage-calc-extension-production.up.railway.app";
+async function getCurrentWindowId(): Promise<number | undefined> {
+  try {
+    return (await chrome.windows.getCurrent()).id;
+  } catch {
+    return undefined;
+  }
+}
+
+// Run onChange when the user switches tabs, a tab finishes loading, or a listing
+// site's content script reports that it moved to another listing without reloading
+function watchActiveTab(onChange: () => void): void {
+  chrome.tabs.onActivated.addListener(() => onChange());
+  chrome.tabs.onUpdated.addListener((_tabId, changeInfo, tab) => {
+    if (tab.active && changeInfo.status === "complete") onChange();
+  });
+  chrome.runtime.onMessage.addListener((message: ListingChangedMessage, sender) => {
+    if (message?.type === LISTING_CHANGED_MESSAGE && sender.tab?.active) onChange();
+  });
+}
+
+// Ask the active tab's content script for the listing it shows, if any
+async function requestListing(): Promise<ListingData | null> {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (tab?.id === undefined) return null;
+
+    const message = { type: GET_LISTING_MESSAGE };
+    const listing: ListingData | null = await chrome.tabs.sendMessage(tab.id, message);
+    return listing ?? null;
+  } catch {
+    // Only listing sites run the content script; elsewhere there's no one to answer
+    return null;
+  }
+}
 
+// Look up MSA income data from the API server chosen on the options page
+async function performMsaLookup(
+  address: string,
+  apiBaseUrl: string
+): Promise<MsaLookupResult | null> {
   try {
-    const response = await fetch(`${API_BASE_URL}/api/msa-lookup`, {
+    const response = await fetch(getApiEndpoints(apiBaseUrl).msaLookup, {
       method: "POST",
       headers: {
         "Content-Type": "application/json",
@@ -609,97 +1615,86 @@ async function performMsaLookup(address: string): Promise<MsaLookupResult | null
     return data;
   } catch (error) {
     console.error("API call failed:", error);
-    throw new Error("Failed to fetch income data from the server.");
+    throw new Error(t("msaFetchFailed"));
   }
 }
 
-// Fetch latest mortgage rates from Railway API
-async function getLatestMortgageRates(): Promise<InterestRates> {
-  const API_BASE_URL =
-    "https://naca-mortgage-calc-extension-production.up.railway.app";
+function fieldLabel(field: string): string {
+  return field in FIELD_LABEL_KEYS ? t(FIELD_LABEL_KEYS[field]) : field;
+}
 
-  // Check local storage first
-  const cachedRates = localStorage.getItem("nacaMortgageRates");
-  if (cachedRates) {
-    try {
-      const { rates, timestamp } = JSON.parse(cachedRates) as CachedRates;
-      const now = Date.now();
-      const cacheAge = now - timestamp;
-
-      // If cache is still valid (less than 24 hours old), return cached rates
-      if (cacheAge < RATE_CACHE_EXPIRY_MS) {
-        console.log("Using cached mortgage rates");
-        return rates;
-      }
-    } catch (error) {
-      console.warn("Failed to parse cached rates:", error);
-      localStorage.removeItem("nacaMortgageRates");
-    }
-  }
+function formatMoney(num: number): string {
+  return formatCurrency(num, currencyDecimals);
+}
 
-  // If no valid cache, fetch fresh rates
-  console.log("Fetching fresh mortgage rates from Railway API");
-  try {
-    const response = await fetch(`${API_BASE_URL}/api/rates`, {
-      method: "GET",
-      headers: {
-        "Content-Type": "application/json",
-      },
-    });
+// Summarize a recorded calculation for the recent scenarios list
+function describeCalculation(state: CalculatorState): string {
+  if (!state.result) return "";
+  return t("historySummary", {
+    payment: formatMoney(state.result.monthlyPayment),
+    price: formatMoney(state.result.purchasePrice),
+    term: state.term,
+    rate: state.desiredRate.toFixed(3),
+  });
+}
 
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(
-        errorData.error || `HTTP error! status: ${response.status}`
-      );
-    }
+// When a calculation was recorded, e.g. "Oct 18, 3:42 PM"
+function formatSavedAt(date: Date): string {
+  return date.toLocaleString(getNumberLocale(), {
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+  });
+}
 
-    const data = await response.json();
+// A filter bound typed in the saved properties list, or null when it's empty
+function readFilterBound(input: HTMLInputElement): number | null {
+  const parsed = parseNumber(input.value, { allowPercent: true });
+  return parsed.kind === "success" ? parsed.value : null;
+}
 
-    if (!data) {
-      console.warn("No mortgage rate data received from the API.");
-      return getDefaultRates();
-    }
-
-    // Format and cache the new rates
-    const formattedRates: InterestRates = {
-      "15": [
-        parseFloat(data.fifteen_year_rate),
-        parseFloat(data.fifteen_year_rate) + 1,
-      ],
-      "20": [
-        parseFloat(data.twenty_year_rate),
-        parseFloat(data.twenty_year_rate) + 1,
-      ],
-      "30": [
-        parseFloat(data.thirty_year_rate),
-        parseFloat(data.thirty_year_rate) + 1,
-      ],
-    };
+// Text fields undo their own typing, so the history shortcuts leave them alone
+function isTextEntry(target: EventTarget | null): boolean {
+  if (target instanceof HTMLTextAreaElement) return true;
+  return (
+    target instanceof HTMLInputElement &&
+    !["range", "radio", "checkbox", "button"].includes(target.type)
+  );
+}
 
-    // Save to local storage with timestamp
-    try {
-      localStorage.setItem(
-        "nacaMortgageRates",
-        JSON.stringify({
-          rates: formattedRates,
-          timestamp: Date.now(),
-        })
-      );
-      console.log("Mortgage rates cached successfully");
-    } catch (error) {
-      console.warn("Failed to cache rates:", error);
-    }
+// Describe when an interest rate buydown pays for itself
+function formatBreakEven(breakEven: BuydownBreakEven): string {
+  if (breakEven.cost === 0) return "";
+  if (breakEven.breakEvenMonths === null) return t("breakEvenNever");
+  return t("breakEvenMonths", { months: formatMonthCount(breakEven.breakEvenMonths) });
+}
 
-    return formattedRates;
-  } catch (error) {
-    console.error("Failed to fetch latest mortgage rates:", error);
-    console.warn("Returning default rates due to fetch error.");
-    return getDefaultRates();
+// e.g. "1 month", "30 months"
+function formatMonthCount(months: number): string {
+  return months === 1 ? t("monthCountOne") : t("monthCount", { count: months });
+}
+
+// Format a number of months as years and months, e.g. "6 years 3 months"
+function formatMonths(totalMonths: number): string {
+  const years = Math.floor(totalMonths / 12);
+  const months = totalMonths % 12;
+  const parts: string[] = [];
+  if (years > 0) {
+    parts.push(years === 1 ? t("yearCountOne") : t("yearCount", { count: years }));
   }
+  if (months > 0 || years === 0) parts.push(formatMonthCount(months));
+  return parts.join(" ");
+}
+
+// Format a change in dollars from the comparison baseline, e.g. "+$1,234.00"
+function formatCurrencyDelta(amount: number): string {
+  if (Math.abs(amount) < 0.005) return t("comparisonSame");
+  return `${amount > 0 ? "+" : "-"}${formatMoney(Math.abs(amount))}`;
 }
 
-// Helper function to return default rates
-function getDefaultRates(): InterestRates {
-  return { "15": [5, 6], "20": [5.5, 6.5], "30": [6, 7] };
+// Format a change in loan length from the comparison baseline, e.g. "-15 years"
+function formatMonthsDelta(months: number): string {
+  if (months === 0) return t("comparisonSame");
+  return `${months > 0 ? "+" : "-"}${formatMonths(Math.abs(months))}`;
 }
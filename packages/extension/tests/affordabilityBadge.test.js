@@ -0,0 +1,150 @@
+import { describe, it, expect } from "bun:test";
+import fs from "fs";
+import path from "path";
+import {
+  BADGE_CLASS,
+  buildBadgeAssumptions,
+  estimateMonthlyPayment,
+  injectBadges,
+  popupStateChangesBadges,
+  removeBadges,
+} from "../src/content/affordabilityBadge.ts";
+
+function loadFixture(name) {
+  const html = fs.readFileSync(
+    path.resolve(import.meta.dir, "fixtures", name),
+    "utf8"
+  );
+  return new DOMParser().parseFromString(html, "text/html");
+}
+
+const rates = {
+  15: { priority: 5, nonPriority: 6 },
+  20: { priority: 5.5, nonPriority: 6.5 },
+  30: { priority: 6, nonPriority: 7 },
+};
+
+describe("buildBadgeAssumptions", () => {
+  it("defaults to the 30-year non-priority rate and the popup's default costs", () => {
+    expect(buildBadgeAssumptions(rates, null, null)).toEqual({
+      term: 30,
+      rate: 7,
+      rateLabel: "30-year non-priority",
+      tax: 15,
+      insurance: 50,
+      hoaFee: 0,
+      maxMonthlyPayment: null,
+    });
+  });
+
+  it("uses the term and membership last chosen in the popup", () => {
+    const assumptions = buildBadgeAssumptions(
+      rates,
+      { term: "15", membershipType: "priority", hoaFee: "300" },
+      2500
+    );
+
+    expect(assumptions).toMatchObject({
+      term: 15,
+      rate: 5,
+      rateLabel: "15-year priority",
+      hoaFee: 0,
+      maxMonthlyPayment: 2500,
+    });
+  });
+
+  it("uses the options page defaults for costs the search page doesn't show", () => {
+    const assumptions = buildBadgeAssumptions(rates, null, null, {
+      defaultTerm: 20,
+      defaultMembershipType: "priority",
+      defaultTax: 20,
+      defaultInsurance: 90,
+      defaultHoaFee: 25,
+      currencyDecimals: 2,
+      apiBaseUrl: "http://localhost:3000",
+    });
+
+    expect(assumptions).toMatchObject({
+      term: 20,
+      rate: 5.5,
+      tax: 20,
+      insurance: 90,
+      hoaFee: 25,
+    });
+  });
+});
+
+describe("popupStateChangesBadges", () => {
+  const popupState = { term: "30", membershipType: "nonPriority", price: "2000" };
+
+  it("ignores typing in the popup", () => {
+    expect(popupStateChangesBadges(popupState, { ...popupState, price: "2100" })).toBe(
+      false
+    );
+  });
+
+  it("notices a new term or membership", () => {
+    expect(popupStateChangesBadges(popupState, { ...popupState, term: "15" })).toBe(true);
+    expect(
+      popupStateChangesBadges(popupState, { ...popupState, membershipType: "priority" })
+    ).toBe(true);
+    expect(popupStateChangesBadges(undefined, popupState)).toBe(true);
+  });
+});
+
+describe("injectBadges", () => {
+  it("adds a badge after each search result price, colored against the max payment", () => {
+    const doc = loadFixture("zillow-search.html");
+    const added = injectBadges(
+      doc,
+      "www.zillow.com",
+      buildBadgeAssumptions(rates, null, 2500)
+    );
+
+    const badges = doc.querySelectorAll(`.${BADGE_CLASS}`);
+    expect(added).toBe(2);
+    expect(badges).toHaveLength(2);
+    expect(badges[0].previousElementSibling.textContent).toBe("$285,000");
+    expect(badges[0].textContent).toBe("NACA ≈ $2,302/mo");
+    expect(badges[0].dataset.affordable).toBe("true");
+    expect(badges[0].title).toContain("30-year non-priority rate of 7%");
+    expect(badges[1].textContent).toBe("NACA ≈ $9,534/mo");
+    expect(badges[1].dataset.affordable).toBe("false");
+  });
+
+  it("leaves badges uncolored without a max payment", () => {
+    const doc = loadFixture("zillow-search.html");
+    injectBadges(doc, "www.zillow.com", buildBadgeAssumptions(rates, null, null));
+
+    const badge = doc.querySelector(`.${BADGE_CLASS}`);
+    expect(badge.dataset.affordable).toBeUndefined();
+  });
+
+  it("uses the listing page's own taxes, insurance and HOA", () => {
+    const doc = loadFixture("zillow-listing.html");
+    const assumptions = buildBadgeAssumptions(rates, null, null);
+    injectBadges(doc, "www.zillow.com", assumptions);
+
+    const expected = estimateMonthlyPayment(285000, assumptions, {
+      annualPropertyTax: 4272,
+      monthlyHoa: 35,
+      monthlyInsurance: 98,
+    });
+    expect(expected).toBeGreaterThan(estimateMonthlyPayment(285000, assumptions));
+    expect(doc.querySelector(`.${BADGE_CLASS}`).textContent).toBe(
+      `NACA ≈ $${Math.round(expected).toLocaleString("en-US")}/mo`
+    );
+  });
+
+  it("skips prices that already have a badge, and removeBadges clears them", () => {
+    const doc = loadFixture("zillow-search.html");
+    const assumptions = buildBadgeAssumptions(rates, null, null);
+    injectBadges(doc, "www.zillow.com", assumptions);
+
+    expect(injectBadges(doc, "www.zillow.com", assumptions)).toBe(0);
+    expect(doc.querySelectorAll(`.${BADGE_CLASS}`)).toHaveLength(2);
+
+    removeBadges(doc);
+    expect(doc.querySelectorAll(`.${BADGE_CLASS}`)).toHaveLength(0);
+  });
+});
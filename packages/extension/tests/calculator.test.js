@@ -23,9 +23,9 @@ describe("MortgageCalculator", () => {
       expect(payment).toBeCloseTo(2531.57, 0);
     });
 
-    it("returns NaN for 0% interest rate (edge case)", () => {
+    it("divides the principal evenly for a 0% interest rate", () => {
       const payment = calculator.calculateBaseMonthlyPayment(360000, 0, 30);
-      expect(payment).toBeNaN();
+      expect(payment).toBe(1000);
     });
   });
 
@@ -1,5 +1,6 @@
 import fs from "fs";
 import path from "path";
+import { createFakeIndexedDB } from "../../../naca-mortgage-calculator/tests/helpers/fakeIndexedDB.js";
 
 /**
  * Load popup HTML into the DOM (stripping script tags)
@@ -17,6 +18,21 @@ export function loadPopupHTML() {
   document.body.innerHTML = bodyContent;
 }
 
+/**
+ * Load the options page HTML into the DOM (stripping script tags)
+ * @returns {void}
+ */
+export function loadOptionsHTML() {
+  const htmlPath = path.resolve(import.meta.dir, "../../src/options/options.html");
+  const html = fs.readFileSync(htmlPath, "utf8");
+
+  const bodyMatch = html.match(/<body[^>]*>([\s\S]*)<\/body>/i);
+  document.body.innerHTML = (bodyMatch ? bodyMatch[1] : html).replace(
+    /<script[^>]*>[\s\S]*?<\/script>/gi,
+    ""
+  );
+}
+
 /**
  * Load popup CSS into the DOM
  * @returns {void}
@@ -38,7 +54,10 @@ export function getMockApiRates() {
   return {
     fifteen_year_rate: 5.625,
     twenty_year_rate: 5.875,
-    thirty_year_rate: 6.125
+    thirty_year_rate: 6.125,
+    fifteen_year_non_priority_rate: 6.625,
+    twenty_year_non_priority_rate: 6.875,
+    thirty_year_non_priority_rate: 7.125
   };
 }
 
@@ -48,9 +67,9 @@ export function getMockApiRates() {
  */
 export function getMockRates() {
   return {
-    "15": [5.625, 6.625],
-    "20": [5.875, 6.875],
-    "30": [6.125, 7.125]
+    "15": { priority: 5.625, nonPriority: 6.625 },
+    "20": { priority: 5.875, nonPriority: 6.875 },
+    "30": { priority: 6.125, nonPriority: 7.125 }
   };
 }
 
@@ -83,7 +102,88 @@ export function mockFetch(mockApiRates = getMockApiRates()) {
 }
 
 /**
- * Clear localStorage (used for rate caching)
+ * Mock chrome.storage.local with an in-memory store, along with the toolbar
+ * action whose rate change badge the popup clears
+ * @param {Object} initialItems - Items already saved before the popup opens
+ * @returns {Object} The backing store, keyed like chrome.storage
+ */
+export function mockChromeStorage(initialItems = {}) {
+  const items = structuredClone(initialItems);
+  globalThis.chrome = {
+    storage: {
+      local: mockStorageArea(items),
+      sync: mockStorageArea({})
+    },
+    action: {
+      setBadgeText: async () => {},
+      setTitle: async () => {}
+    },
+    runtime: {},
+    i18n: {
+      getMessage: () => ""
+    }
+  };
+  return items;
+}
+
+/**
+ * Give the page an empty in-memory IndexedDB for its saved properties
+ * @returns {Object} The IDBFactory stand-in
+ */
+export function mockIndexedDB() {
+  globalThis.indexedDB = createFakeIndexedDB();
+  return globalThis.indexedDB;
+}
+
+/**
+ * Mock chrome.storage.sync, where the options page keeps its settings
+ * Call after mockChromeStorage, which replaces globalThis.chrome
+ * @param {Object} initialItems - Items already saved before the page opens
+ * @returns {Object} The backing store, keyed like chrome.storage
+ */
+export function mockChromeSyncStorage(initialItems = {}) {
+  const items = structuredClone(initialItems);
+  globalThis.chrome.storage.sync = mockStorageArea(items);
+  return items;
+}
+
+function mockStorageArea(items) {
+  return {
+    get: async (key) => (key in items ? { [key]: structuredClone(items[key]) } : {}),
+    set: async (values) => {
+      Object.assign(items, structuredClone(values));
+    },
+    remove: async (key) => {
+      delete items[key];
+    }
+  };
+}
+
+/**
+ * Mock chrome.tabs so the active tab's content script answers with a listing
+ * Call after mockChromeStorage, which replaces globalThis.chrome
+ * @param {Object|null} listing - What the content script extracted, or null off listing pages
+ * @returns {Object} The mock; set its listing and call activateTab() to switch tabs
+ */
+export function mockChromeTabs(listing) {
+  const activatedListeners = [];
+  const tabs = {
+    listing,
+    query: async () => [{ id: 1 }],
+    sendMessage: async (tabId, message) =>
+      message.type === "getListing" ? tabs.listing : undefined,
+    onActivated: { addListener: (listener) => activatedListeners.push(listener) },
+    onUpdated: { addListener: () => {} },
+    activateTab: () =>
+      activatedListeners.forEach((listener) => listener({ tabId: 1, windowId: 1 }))
+  };
+  globalThis.chrome.tabs = tabs;
+  globalThis.chrome.runtime.onMessage = { addListener: () => {} };
+  return tabs;
+}
+
+/**
+ * Clear localStorage between tests
  */
 export function clearLocalStorage() {
   if (typeof localStorage !== "undefined") {
@@ -119,3 +219,35 @@ export async function initializePopup() {
 
   await new Promise(resolve => setTimeout(resolve, 300));
 }
+
+// The options page's DOMContentLoaded handler, kept off document so the popup
+// tests' DOMContentLoaded events don't run it against the popup
+let optionsPageHandler = null;
+
+/**
+ * Run options.ts against the options page loaded with loadOptionsHTML
+ * @returns {Promise<void>}
+ */
+export async function initializeOptionsPage() {
+  // happy-dom has no Option constructor, which options.ts fills its selects with
+  globalThis.Option ??= function Option(text = "", value = text) {
+    const option = document.createElement("option");
+    option.textContent = text;
+    option.value = value;
+    return option;
+  };
+
+  if (!optionsPageHandler) {
+    const addEventListener = document.addEventListener;
+    document.addEventListener = (type, listener) => {
+      if (type === "DOMContentLoaded") optionsPageHandler = listener;
+    };
+    try {
+      await import("../../src/options/options.ts");
+    } finally {
+      document.addEventListener = addEventListener;
+    }
+  }
+
+  await optionsPageHandler(new Event("DOMContentLoaded"));
+}
@@ -0,0 +1,161 @@
+import { describe, it, expect, beforeEach, afterEach } from "bun:test";
+import { readFileSync } from "fs";
+import { join } from "path";
+import {
+  detectLocale,
+  formatLocalizedCurrency,
+  getLocale,
+  localizeDocument,
+  setLocale,
+  t,
+} from "../src/js/i18n.ts";
+import {
+  validateAllCalculatorInput,
+  validateCrossFieldInput,
+} from "../src/js/inputValidator.ts";
+import { formatRateChange } from "../src/js/rateAlerts.ts";
+import { buildBadgeAssumptions, createBadge } from "../src/content/affordabilityBadge.ts";
+
+function loadLocale(locale) {
+  return JSON.parse(
+    readFileSync(join(import.meta.dir, "..", "_locales", locale, "messages.json"), "utf8")
+  );
+}
+
+// chrome.i18n backed by a _locales catalog, with its $1 and $$ handling
+function mockChromeI18n(locale) {
+  const messages = loadLocale(locale);
+  return {
+    getUILanguage: () => (locale === "es" ? "es-MX" : "en-US"),
+    getMessage: (key, substitution) => {
+      const entry = messages[key];
+      if (!entry) return "";
+      return entry.message
+        .replace(/\$(\w+)\$/g, (_, name) =>
+          entry.placeholders?.[name.toLowerCase()]?.content === "$1" ? substitution : ""
+        )
+        .replace(/\$\$/g, "$");
+    },
+  };
+}
+
+const validInput = {
+  price: "2000",
+  term: "30",
+  rate: "6.125",
+  tax: "15",
+  insurance: "50",
+  hoaFee: "0",
+  principalBuydown: "0",
+};
+
+describe("i18n", () => {
+  let originalChrome;
+
+  beforeEach(() => {
+    originalChrome = globalThis.chrome;
+  });
+
+  afterEach(() => {
+    globalThis.chrome = originalChrome;
+    setLocale("en");
+  });
+
+  it("has the same messages in every locale", () => {
+    const english = Object.keys(loadLocale("en")).sort();
+    expect(Object.keys(loadLocale("es")).sort()).toEqual(english);
+  });
+
+  it("detects the browser's UI language", () => {
+    globalThis.chrome = { i18n: mockChromeI18n("es") };
+    expect(detectLocale()).toBe("es");
+
+    globalThis.chrome = { i18n: mockChromeI18n("en") };
+    expect(detectLocale()).toBe("en");
+  });
+
+  it("translates catalog messages for the current locale", () => {
+    expect(getLocale()).toBe("en");
+    expect(t("required")).toBe("Required");
+
+    setLocale("es");
+    expect(t("required")).toBe("Obligatorio");
+    expect(t("msaError", { message: "offline" })).toBe("Error: offline");
+  });
+
+  it("formats currency for the current locale", () => {
+    expect(formatLocalizedCurrency(1234.5)).toBe("$1,234.50");
+    setLocale("es");
+    expect(formatLocalizedCurrency(425000, 0)).toBe("$425,000");
+  });
+
+  it("reports validation errors in Spanish", () => {
+    setLocale("es");
+    const result = validateAllCalculatorInput({ ...validInput, price: "", rate: "abc" });
+    expect(result.errors.map((error) => error.message)).toEqual([
+      "Obligatorio",
+      "La tasa debe ser un número",
+    ]);
+
+    const crossField = validateCrossFieldInput(
+      { price: 100000, term: 30, rate: 6.125, tax: 15, insurance: 50, hoaFee: 0, principalBuydown: 200000 },
+      "price"
+    );
+    expect(crossField.errors[0].message).toBe(
+      "La reducción del capital no puede ser mayor que el precio de compra de $100,000.00"
+    );
+  });
+
+  it("describes rate changes and listing badges in Spanish", () => {
+    setLocale("es");
+    expect(
+      formatRateChange({ term: "30", membership: "nonPriority", from: 7.125, to: 7 })
+    ).toBe("no prioritaria a 30 años: 7.125% → 7%");
+
+    const assumptions = buildBadgeAssumptions(
+      { 30: { priority: 6.125, nonPriority: 7.125 } },
+      null,
+      2500
+    );
+    const badge = createBadge(document, 2104.37, assumptions);
+    expect(badge.textContent).toBe("NACA ≈ $2,104/mes");
+    expect(badge.title).toBe(
+      "Pago estimado de NACA (PITI) con la tasa no prioritaria a 30 años de 7.125%, dentro de su máximo de $2,500"
+    );
+  });
+
+  describe("localizeDocument", () => {
+    beforeEach(() => {
+      document.body.innerHTML = `
+        <label for="tax" title="The tax rate is per $1000 of mortgage" data-i18n-title="titleTax">
+          <span data-i18n="labelTax">Property Tax</span>
+        </label>
+        <input id="price" placeholder="Enter amount" data-i18n-placeholder="placeholderPrice" />
+        <span data-i18n="noSuchMessage">Unchanged</span>
+      `;
+    });
+
+    it("replaces labels, placeholders and titles", () => {
+      globalThis.chrome = { i18n: mockChromeI18n("es") };
+      localizeDocument(document);
+
+      expect(document.querySelector('[data-i18n="labelTax"]').textContent).toBe(
+        "Impuesto a la propiedad"
+      );
+      expect(document.querySelector("label").title).toBe(
+        "La tasa de impuesto es por cada $1000 de hipoteca"
+      );
+      expect(document.getElementById("price").placeholder).toBe("Ingrese la cantidad");
+    });
+
+    it("keeps the English in the page without a message", () => {
+      globalThis.chrome = {};
+      localizeDocument(document);
+
+      expect(document.querySelector('[data-i18n="labelTax"]').textContent).toBe("Property Tax");
+      expect(document.querySelector('[data-i18n="noSuchMessage"]').textContent).toBe(
+        "Unchanged"
+      );
+    });
+  });
+});
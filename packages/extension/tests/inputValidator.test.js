@@ -1,10 +1,18 @@
 import { describe, it, expect } from "bun:test";
 import {
   validatePrice,
+  validatePriceText,
+  validateTerm,
   validateMortgageRate,
+  validateRate,
+  validateApiBaseUrl,
   validatePropertyTax,
   validateNonNegative,
   validateCalculatorInput,
+  validateAllCalculatorInput,
+  validateCrossFieldInput,
+  findCalculatorWarnings,
+  validateExtraPayments,
 } from "../src/js/inputValidator.ts";
 
 describe("validatePrice", () => {
@@ -56,6 +64,70 @@ describe("validatePrice", () => {
     expect(result.kind).toBe("failure");
     expect(result.message).toBe("Must be positive");
   });
+
+  it("accepts currency symbols, separators and suffixes", () => {
+    expect(validatePrice("$425,000").data).toBe(425000);
+    expect(validatePrice("425k").data).toBe(425000);
+    expect(validatePrice("1.2M").data).toBe(1200000);
+    expect(validatePrice("2.000,50").data).toBe(2000.5);
+  });
+
+  it("rejects numbers followed by other text", () => {
+    const result = validatePrice("1500abc");
+    expect(result.kind).toBe("failure");
+    expect(result.message).toBe("Must be a number");
+  });
+});
+
+describe("validateRate", () => {
+  it("accepts a percent sign and a comma decimal point", () => {
+    expect(validateRate("6.125%").data).toBe(6.125);
+    expect(validateRate("6,5").data).toBe(6.5);
+  });
+
+  it("rejects k and M suffixes", () => {
+    const result = validateRate("6k");
+    expect(result.kind).toBe("failure");
+    expect(result.message).toBe("Rate must be a number");
+  });
+});
+
+describe("validatePriceText", () => {
+  it("accepts prices as listing pages write them", () => {
+    expect(validatePriceText("$425,000").data).toBe(425000);
+    expect(validatePriceText("425K").data).toBe(425000);
+    expect(validatePriceText(" $1.2M ").data).toBe(1200000);
+  });
+
+  it("reads prices the same way as typed amounts", () => {
+    expect(validatePriceText("$ 425 000").data).toBe(425000);
+    expect(validatePriceText("$1.234.567,89").data).toBe(1234567.89);
+  });
+
+  it("rejects a bare number without a dollar sign or K/M suffix", () => {
+    expect(validatePriceText("2024").kind).toBe("failure");
+    expect(validatePriceText("425,000").kind).toBe("failure");
+  });
+
+  it("rejects text that isn't a dollar amount", () => {
+    const result = validatePriceText("3 bd, 2 ba");
+    expect(result.kind).toBe("failure");
+    expect(result.field).toBe("price");
+    expect(result.message).toBe("Must be a dollar amount");
+  });
+});
+
+describe("validateTerm", () => {
+  it("accepts whole years from 1 to 40", () => {
+    expect(validateTerm("1").data).toBe(1);
+    expect(validateTerm("40").data).toBe(40);
+  });
+
+  it("rejects other terms", () => {
+    expect(validateTerm("0").kind).toBe("failure");
+    expect(validateTerm("12.5").kind).toBe("failure");
+    expect(validateTerm("").field).toBe("term");
+  });
 });
 
 describe("validateMortgageRate", () => {
@@ -67,11 +139,30 @@ describe("validateMortgageRate", () => {
   });
 
   it("rejects invalid term", () => {
-    const result = validateMortgageRate("25", "6.125");
+    const result = validateMortgageRate("41", "6.125");
     expect(result.kind).toBe("failure");
     expect(result.field).toBe("term");
   });
 
+  it("accepts custom terms from 1 to 40 years", () => {
+    for (const term of ["1", "10", "25", "40"]) {
+      const result = validateMortgageRate(term, "6.125");
+      expect(result.kind).toBe("success");
+      expect(result.data.term).toBe(Number(term));
+    }
+  });
+
+  it("rejects zero and fractional terms", () => {
+    for (const term of ["0", "12.5"]) {
+      const result = validateMortgageRate(term, "6.125");
+      expect(result.kind).toBe("failure");
+      expect(result.field).toBe("term");
+      expect(result.message).toBe(
+        "Invalid term. Must be a whole number of years from 1 to 40"
+      );
+    }
+  });
+
   it("rejects non-numeric rate", () => {
     const result = validateMortgageRate("30", "abc");
     expect(result.kind).toBe("failure");
@@ -189,6 +280,11 @@ describe("validateNonNegative", () => {
     expect(result.data).toBe(0);
   });
 
+  it("accepts amounts written with commas and suffixes", () => {
+    expect(validateNonNegative("62,5", "insurance").data).toBe(62.5);
+    expect(validateNonNegative("$1.5k", "buydownBudget").data).toBe(1500);
+  });
+
   it("accepts decimals", () => {
     const result = validateNonNegative("15.50", "tax");
     expect(result.kind).toBe("success");
@@ -215,6 +311,26 @@ describe("validateNonNegative", () => {
   });
 });
 
+describe("validateApiBaseUrl", () => {
+  it("accepts http and https URLs without the trailing slash", () => {
+    expect(validateApiBaseUrl("http://localhost:3000/").data).toBe(
+      "http://localhost:3000"
+    );
+    expect(validateApiBaseUrl(" https://staging.example.com ").data).toBe(
+      "https://staging.example.com"
+    );
+  });
+
+  it("rejects anything else", () => {
+    expect(validateApiBaseUrl("").message).toBe("Required");
+    expect(validateApiBaseUrl("localhost:3000").message).toBe(
+      "Must start with http:// or https://"
+    );
+    expect(validateApiBaseUrl("not a url").message).toBe("Must be a URL");
+    expect(validateApiBaseUrl("not a url").field).toBe("apiBaseUrl");
+  });
+});
+
 describe("validateCalculatorInput", () => {
   const validInput = {
     price: "2000",
@@ -276,9 +392,233 @@ describe("validateCalculatorInput", () => {
   it("validates term correctly", () => {
     const result = validateCalculatorInput({
       ...validInput,
-      term: "25",  // invalid term
+      term: "45",  // invalid term
     });
     expect(result.kind).toBe("failure");
     expect(result.field).toBe("term");
   });
 });
+
+describe("validateAllCalculatorInput", () => {
+  const validInput = {
+    price: "2000",
+    term: "30",
+    rate: "6.125",
+    tax: "15",
+    insurance: "50",
+    hoaFee: "0",
+    principalBuydown: "0",
+  };
+
+  it("accepts valid complete input", () => {
+    const result = validateAllCalculatorInput(validInput);
+    expect(result.kind).toBe("success");
+    expect(result.data.price).toBe(2000);
+    expect(result.data.rate).toBe(6.125);
+  });
+
+  it("returns every field error in form order", () => {
+    const result = validateAllCalculatorInput({
+      ...validInput,
+      price: "",
+      term: "abc",
+      rate: "invalid",
+      tax: "4",
+      hoaFee: "-1",
+    });
+    expect(result.kind).toBe("failure");
+    expect(result.errors.map((error) => error.field)).toEqual([
+      "price",
+      "term",
+      "rate",
+      "tax",
+      "hoaFee",
+    ]);
+  });
+
+  it("reports each missing required field", () => {
+    const result = validateAllCalculatorInput({
+      price: "1000",
+      term: "30",
+      rate: "6.125",
+    });
+    expect(result.kind).toBe("failure");
+    expect(result.errors).toEqual([
+      { kind: "failure", field: "tax", message: "Required" },
+      { kind: "failure", field: "insurance", message: "Required" },
+      { kind: "failure", field: "hoaFee", message: "Required" },
+      { kind: "failure", field: "principalBuydown", message: "Required" },
+    ]);
+  });
+});
+
+describe("validateCrossFieldInput", () => {
+  const input = {
+    price: 300000,
+    term: 30,
+    rate: 6.125,
+    tax: 15,
+    insurance: 50,
+    hoaFee: 0,
+    principalBuydown: 0,
+  };
+
+  it("accepts inputs that satisfy every rule", () => {
+    const result = validateCrossFieldInput(input, "price", 6.125);
+    expect(result).toEqual({ kind: "success", data: input });
+  });
+
+  it("rejects a principal buydown larger than the price", () => {
+    const result = validateCrossFieldInput({ ...input, principalBuydown: 400000 }, "price");
+    expect(result.kind).toBe("failure");
+    expect(result.errors).toEqual([
+      {
+        kind: "failure",
+        reason: "buydown-exceeds-price",
+        field: "principalBuydown",
+        message: "Principal buydown can't be more than the $300,000.00 purchase price",
+        limit: 300000,
+      },
+    ]);
+  });
+
+  it("rejects a payment that can't cover taxes, insurance and HOA", () => {
+    const result = validateCrossFieldInput({ ...input, price: 200, hoaFee: 175 }, "payment");
+    expect(result.kind).toBe("failure");
+    expect(result.errors[0].field).toBe("price");
+    expect(result.errors[0].reason).toBe("insufficient-payment");
+    expect(result.errors[0].message).toBe(
+      "Payment must cover at least $225.00 of taxes, insurance and HOA"
+    );
+  });
+
+  it("rejects a rate bought down more than 1.5%", () => {
+    const result = validateCrossFieldInput({ ...input, rate: 4.5 }, "price", 6.125);
+    expect(result.kind).toBe("failure");
+    expect(result.errors[0].field).toBe("rate");
+    expect(result.errors[0].message).toBe(
+      "Rate can't be bought down more than 1.5% (to 4.625%)"
+    );
+  });
+});
+
+describe("findCalculatorWarnings", () => {
+  const input = {
+    price: 300000,
+    term: 30,
+    rate: 6.125,
+    tax: 15,
+    insurance: 50,
+    hoaFee: 0,
+    principalBuydown: 0,
+  };
+  const result = { principalInterest: 1822.83, taxes: 375, insurance: 50 };
+
+  it("returns no warnings for typical inputs", () => {
+    expect(findCalculatorWarnings(input, result, "price")).toEqual([]);
+  });
+
+  it("warns about insurance over $1,000 a month", () => {
+    const warnings = findCalculatorWarnings({ ...input, insurance: 1200 }, result, "price");
+    expect(warnings).toEqual([
+      { kind: "warning", field: "insurance", message: "Insurance is over $1,000 a month" },
+    ]);
+  });
+
+  it("warns when the HOA fee is more than principal and interest", () => {
+    const warnings = findCalculatorWarnings({ ...input, hoaFee: 2000 }, result, "price");
+    expect(warnings.map((warning) => warning.field)).toEqual(["hoaFee"]);
+  });
+
+  it("warns about a purchase price under $10,000 in price mode only", () => {
+    const lowPrice = { ...input, price: 9000 };
+    expect(findCalculatorWarnings(lowPrice, result, "price")).toEqual([
+      { kind: "warning", field: "price", message: "Purchase price is under $10,000" },
+    ]);
+    // A $9,000 monthly payment is high, not low
+    expect(findCalculatorWarnings(lowPrice, result, "payment")).toEqual([]);
+  });
+
+  it("warns when the payment does not cover more than taxes and insurance", () => {
+    const warnings = findCalculatorWarnings(
+      { ...input, price: 50 },
+      { principalInterest: 0, taxes: 0, insurance: 50 },
+      "payment"
+    );
+    expect(warnings).toEqual([
+      {
+        kind: "warning",
+        field: "price",
+        message: "Payment does not cover more than taxes and insurance",
+      },
+    ]);
+  });
+});
+
+describe("validateExtraPayments", () => {
+  const noExtras = {
+    extraMonthly: "",
+    extraAnnual: "",
+    extraOneTime: "",
+    extraOneTimeMonth: "",
+  };
+
+  it("treats blank fields as no extra payments", () => {
+    const result = validateExtraPayments(noExtras, 30);
+    expect(result.kind).toBe("success");
+    expect(result.data).toEqual({ monthly: 0, annual: 0, oneTime: [] });
+  });
+
+  it("parses recurring and one-time extra payments", () => {
+    const result = validateExtraPayments(
+      {
+        extraMonthly: "200",
+        extraAnnual: "5000",
+        extraOneTime: "10000",
+        extraOneTimeMonth: "24",
+      },
+      30
+    );
+    expect(result.kind).toBe("success");
+    expect(result.data).toEqual({
+      monthly: 200,
+      annual: 5000,
+      oneTime: [{ month: 24, amount: 10000 }],
+    });
+  });
+
+  it("rejects negative extra payments", () => {
+    const result = validateExtraPayments(
+      { ...noExtras, extraAnnual: "-100" },
+      30
+    );
+    expect(result.kind).toBe("failure");
+    expect(result.field).toBe("extraAnnual");
+  });
+
+  it("requires a prepayment month within the loan term", () => {
+    const missing = validateExtraPayments(
+      { ...noExtras, extraOneTime: "10000" },
+      15
+    );
+    expect(missing.kind).toBe("failure");
+    expect(missing.field).toBe("extraOneTimeMonth");
+    expect(missing.message).toBe("Must be a payment number from 1 to 180");
+
+    const tooLate = validateExtraPayments(
+      { ...noExtras, extraOneTime: "10000", extraOneTimeMonth: "181" },
+      15
+    );
+    expect(tooLate.kind).toBe("failure");
+    expect(tooLate.field).toBe("extraOneTimeMonth");
+  });
+
+  it("ignores the prepayment month when there is no one-time prepayment", () => {
+    const result = validateExtraPayments(
+      { ...noExtras, extraOneTimeMonth: "abc" },
+      30
+    );
+    expect(result.kind).toBe("success");
+    expect(result.data.oneTime).toEqual([]);
+  });
+});
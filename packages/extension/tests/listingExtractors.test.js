@@ -0,0 +1,141 @@
+import { describe, it, expect } from "bun:test";
+import fs from "fs";
+import path from "path";
+import {
+  extractListing,
+  findListingPrices,
+  getSiteExtractor,
+  parseAmount,
+} from "../src/content/listingExtractors.ts";
+import { toPropertyTaxRate } from "../src/js/listing.ts";
+
+function loadFixture(name) {
+  const html = fs.readFileSync(
+    path.resolve(import.meta.dir, "fixtures", name),
+    "utf8"
+  );
+  return new DOMParser().parseFromString(html, "text/html");
+}
+
+describe("extractListing", () => {
+  it("reads a Zillow listing", () => {
+    const listing = extractListing(
+      loadFixture("zillow-listing.html"),
+      "www.zillow.com"
+    );
+
+    expect(listing).toEqual({
+      price: 285000,
+      address: "123 Maple St, Springfield, IL 62704",
+      annualPropertyTax: 4272,
+      monthlyHoa: 35,
+      monthlyInsurance: 98,
+    });
+  });
+
+  it("reads a Redfin listing", () => {
+    const listing = extractListing(
+      loadFixture("redfin-listing.html"),
+      "www.redfin.com"
+    );
+
+    expect(listing).toEqual({
+      price: 349900,
+      address: "45 Harbor View Dr #12, Tampa, FL 33602",
+      annualPropertyTax: 4948,
+      monthlyHoa: 275,
+      monthlyInsurance: 89,
+    });
+  });
+
+  it("reads a Homes.com listing, converting amounts to the right period", () => {
+    const listing = extractListing(
+      loadFixture("homes-listing.html"),
+      "www.homes.com"
+    );
+
+    expect(listing).toEqual({
+      price: 215500,
+      address: "789 Oak Ridge Rd, Columbus, OH 43215",
+      annualPropertyTax: 301 * 12,
+      monthlyInsurance: 105,
+    });
+  });
+
+  it("falls back to the page's structured data", () => {
+    const doc = loadFixture("redfin-listing.html");
+    doc.querySelector('[data-rf-test-id="abp-price"]').remove();
+
+    expect(extractListing(doc, "www.redfin.com").price).toBe(349900);
+  });
+
+  it("returns null for pages that are not listings", () => {
+    expect(
+      extractListing(loadFixture("not-a-listing.html"), "www.zillow.com")
+    ).toBeNull();
+  });
+
+  it("returns null for unsupported sites", () => {
+    expect(
+      extractListing(loadFixture("zillow-listing.html"), "www.example.com")
+    ).toBeNull();
+  });
+});
+
+describe("findListingPrices", () => {
+  it("finds the price of each search result card", () => {
+    const prices = findListingPrices(
+      loadFixture("zillow-search.html"),
+      "www.zillow.com"
+    );
+
+    expect(prices.map(({ price, isListingPage }) => [price, isListingPage])).toEqual([
+      [285000, false],
+      [1200000, false],
+    ]);
+    expect(prices[0].element.textContent).toBe("$285,000");
+  });
+
+  it("finds the price of the listing page itself", () => {
+    const prices = findListingPrices(
+      loadFixture("redfin-listing.html"),
+      "www.redfin.com"
+    );
+
+    expect(prices).toHaveLength(1);
+    expect(prices[0]).toMatchObject({ price: 349900, isListingPage: true });
+  });
+
+  it("returns nothing for unsupported sites", () => {
+    expect(
+      findListingPrices(loadFixture("zillow-search.html"), "www.example.com")
+    ).toEqual([]);
+  });
+});
+
+describe("getSiteExtractor", () => {
+  it("matches listing sites and their subdomains only", () => {
+    expect(getSiteExtractor("zillow.com")).not.toBeNull();
+    expect(getSiteExtractor("www.redfin.com")).not.toBeNull();
+    expect(getSiteExtractor("notzillow.com")).toBeNull();
+  });
+});
+
+describe("parseAmount", () => {
+  it("parses dollar amounts", () => {
+    expect(parseAmount("$425,000")).toBe(425000);
+    expect(parseAmount("$1.2M")).toBe(1200000);
+    expect(parseAmount("$425K")).toBe(425000);
+    expect(parseAmount("$425,000Est. payment")).toBe(425000);
+    expect(parseAmount("Contact agent")).toBeUndefined();
+  });
+});
+
+describe("toPropertyTaxRate", () => {
+  it("converts annual tax to the nearest tax rate option", () => {
+    expect(toPropertyTaxRate(4272, 285000)).toBe(15);
+    expect(toPropertyTaxRate(4948, 349900)).toBe(14);
+    expect(toPropertyTaxRate(500, 300000)).toBe(5);
+    expect(toPropertyTaxRate(20000, 300000)).toBe(30.5);
+  });
+});
@@ -1,5 +1,5 @@
 import { describe, it, expect } from "bun:test";
-import { calculateMortgage, recalculateMortgage, formatCurrency, calculateInterestRateBuydown } from "../src/js/mortgageService.ts";
+import { calculateMortgage, recalculateMortgage, formatCurrency, calculateInterestRateBuydown, calculateBuydownBreakEven, calculateEarlyPayoff, optimizeBuydownAllocation, interpolateRate, compareScenarios } from "../src/js/mortgageService.ts";
 
 describe("calculateMortgage", () => {
   it("returns validation errors for invalid input", () => {
@@ -17,8 +17,30 @@ describe("calculateMortgage", () => {
     );
 
     expect(result.kind).toBe("failure");
-    expect(result.error).toBeDefined();
-    expect(result.error.field).toBe("price");
+    expect(result.errors).toBeDefined();
+    expect(result.errors.map((error) => error.field)).toEqual(["price"]);
+  });
+
+  it("returns every validation error at once", () => {
+    const result = calculateMortgage(
+      {
+        price: "",
+        term: "30",
+        rate: "0",
+        tax: "15",
+        insurance: "-5",
+        hoaFee: "0",
+        principalBuydown: "0",
+      },
+      "price"
+    );
+
+    expect(result.kind).toBe("failure");
+    expect(result.errors.map((error) => error.field)).toEqual([
+      "price",
+      "rate",
+      "insurance",
+    ]);
   });
 
   it("returns calculated results for valid input", () => {
@@ -40,6 +62,44 @@ describe("calculateMortgage", () => {
     expect(result.data.purchasePrice).toBe(300000);
     expect(typeof result.data.monthlyPayment).toBe("number");
   });
+
+  it("returns cross-field errors after the fields are valid", () => {
+    const result = calculateMortgage(
+      {
+        price: "2000",
+        term: "30",
+        rate: "4",
+        tax: "15",
+        insurance: "50",
+        hoaFee: "0",
+        principalBuydown: "0",
+      },
+      "payment",
+      6.125
+    );
+
+    expect(result.kind).toBe("failure");
+    expect(result.errors.map((error) => error.reason)).toEqual(["rate-below-cap"]);
+  });
+
+  it("returns warnings alongside the result", () => {
+    const result = calculateMortgage(
+      {
+        price: "300000",
+        term: "30",
+        rate: "6.125",
+        tax: "15",
+        insurance: "1500",
+        hoaFee: "0",
+        principalBuydown: "0",
+      },
+      "price"
+    );
+
+    expect(result.kind).toBe("success");
+    expect(result.data.purchasePrice).toBe(300000);
+    expect(result.warnings.map((warning) => warning.field)).toEqual(["insurance"]);
+  });
 });
 
 describe("recalculateMortgage", () => {
@@ -60,6 +120,23 @@ describe("recalculateMortgage", () => {
     expect(result.purchasePrice).toBe(300000);
     expect(typeof result.monthlyPayment).toBe("number");
   });
+
+  it("rounds P&I like NACA's official calculator", () => {
+    const result = recalculateMortgage(
+      {
+        price: 300000,
+        term: 30,
+        rate: 6.5,
+        tax: 15,
+        insurance: 50,
+        hoaFee: 0,
+        principalBuydown: 0,
+      },
+      "price"
+    );
+
+    expect(result.principalInterest).toBe(1896.2);
+  });
 });
 
 describe("calculateInterestRateBuydown", () => {
@@ -75,9 +152,144 @@ describe("calculateInterestRateBuydown", () => {
   });
 });
 
+describe("calculateBuydownBreakEven", () => {
+  it("reports the buydown cost and when it pays for itself", () => {
+    const result = calculateBuydownBreakEven(300000, 6.5, 6.0, 30);
+
+    expect(result.cost).toBe(calculateInterestRateBuydown(300000, 6.5, 6.0, 30));
+    expect(result.monthlySavings).toBeGreaterThan(0);
+    expect(result.breakEvenMonths).toBe(93);
+    expect(result.netSavings.map((horizon) => horizon.years)).toEqual([5, 10, 30]);
+  });
+});
+
+describe("optimizeBuydownAllocation", () => {
+  it("splits a cash budget between the rate and principal buydowns", () => {
+    const allocation = optimizeBuydownAllocation(
+      {
+        price: 300000,
+        term: 30,
+        rate: 7.125,
+        tax: 15,
+        insurance: 50,
+        hoaFee: 0,
+        principalBuydown: 0,
+      },
+      40000,
+      "payment",
+      1000
+    );
+
+    expect(allocation.desiredRate).toBe(5.625);
+    expect(allocation.rateBuydownCost).toBe(27000);
+    expect(allocation.principalBuydown).toBe(13000);
+    expect(allocation.totalCost).toBe(40000);
+  });
+});
+
+describe("calculateEarlyPayoff", () => {
+  const loan = {
+    price: 300000,
+    term: 30,
+    rate: 6.5,
+    tax: 15,
+    insurance: 50,
+    hoaFee: 0,
+    principalBuydown: 0,
+  };
+
+  it("reports the payoff date and savings from extra payments", () => {
+    const result = calculateEarlyPayoff(
+      loan,
+      { monthly: 200, annual: 0, oneTime: [] },
+      new Date(2025, 0, 1)
+    );
+
+    expect(result.originalPayoffDate).toEqual(new Date(2054, 11, 1));
+    expect(result.payoffDate.getTime()).toBeLessThan(
+      result.originalPayoffDate.getTime()
+    );
+    expect(result.monthsSaved).toBeGreaterThan(0);
+    expect(result.interestSaved).toBeGreaterThan(0);
+  });
+
+  it("saves nothing without extra payments", () => {
+    const result = calculateEarlyPayoff(loan, {
+      monthly: 0,
+      annual: 0,
+      oneTime: [],
+    });
+
+    expect(result.monthsSaved).toBe(0);
+    expect(result.interestSaved).toBe(0);
+  });
+});
+
+describe("compareScenarios", () => {
+  const input = {
+    price: "300000",
+    term: "30",
+    rate: "6.5",
+    tax: "15",
+    insurance: "50",
+    hoaFee: "0",
+    principalBuydown: "0",
+  };
+
+  it("compares validated scenarios against the baseline", () => {
+    const result = compareScenarios(
+      [
+        { name: "30 year", input, calcMethod: "price" },
+        { name: "15 year", input: { ...input, term: "15", rate: "6" }, calcMethod: "price" },
+      ],
+      1,
+      new Date(2025, 0, 1)
+    );
+
+    expect(result.kind).toBe("success");
+    expect(result.baselineIndex).toBe(1);
+    const [thirty, fifteen] = result.results;
+    expect(fifteen.deltas.monthlyPayment).toBe(0);
+    expect(thirty.deltas.monthlyPayment).toBeLessThan(0);
+    expect(thirty.deltas.totalInterest).toBeGreaterThan(0);
+    expect(thirty.payoffDate).toEqual(new Date(2054, 11, 1));
+  });
+
+  it("names the scenario that fails validation", () => {
+    const result = compareScenarios([
+      { name: "Base", input, calcMethod: "price" },
+      { name: "Broken", input: { ...input, price: "" }, calcMethod: "price" },
+    ]);
+
+    expect(result.kind).toBe("failure");
+    expect(result.scenario).toBe("Broken");
+    expect(result.error.field).toBe("price");
+  });
+
+  it("needs at least two scenarios", () => {
+    const result = compareScenarios([{ name: "Base", input, calcMethod: "price" }]);
+
+    expect(result).toEqual({
+      kind: "failure",
+      message: "Compare between 2 and 6 scenarios",
+    });
+  });
+});
+
+describe("interpolateRate", () => {
+  it("interpolates rates for terms between the published ones", () => {
+    const ratesByTerm = { "15": 5.625, "20": 5.875, "30": 6.125 };
+
+    expect(interpolateRate(25, ratesByTerm)).toBe(6);
+    expect(interpolateRate(30, ratesByTerm)).toBe(6.125);
+    expect(interpolateRate(40, ratesByTerm)).toBe(6.125);
+  });
+});
+
 describe("formatCurrency", () => {
   it("formats numbers as currency", () => {
     expect(formatCurrency(1234.56)).toBe("$1,234.56");
     expect(formatCurrency(1000000)).toBe("$1,000,000.00");
+    expect(formatCurrency(-5)).toBe("-$5.00");
   });
 });
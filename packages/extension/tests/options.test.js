@@ -0,0 +1,121 @@
+import { describe, it, expect, beforeEach, afterAll } from "bun:test";
+import { DEFAULT_SETTINGS } from "../src/js/settings.ts";
+import {
+  initializeOptionsPage,
+  initializePopup,
+  loadOptionsHTML,
+  loadPopupHTML,
+  mockChromeStorage,
+  mockChromeSyncStorage,
+  mockChromeTabs,
+  mockFetch,
+  mockIndexedDB,
+  resetTestEnvironment,
+} from "./helpers/popupLoader.js";
+
+// Saving doesn't block the submit handler, so let its storage writes finish
+const flushSave = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe("Options page", () => {
+  let syncStorage;
+
+  async function openOptionsPage(savedSettings) {
+    mockChromeStorage();
+    syncStorage = mockChromeSyncStorage(
+      savedSettings ? { settings: savedSettings } : {}
+    );
+    loadOptionsHTML();
+    await initializeOptionsPage();
+  }
+
+  function setField(id, value) {
+    const field = document.getElementById(id);
+    field.value = value;
+    field.dispatchEvent(new Event("change", { bubbles: true }));
+  }
+
+  beforeEach(() => {
+    resetTestEnvironment();
+  });
+
+  afterAll(() => {
+    resetTestEnvironment();
+  });
+
+  it("shows the defaults before anything is saved", async () => {
+    await openOptionsPage();
+
+    expect(document.getElementById("term").value).toBe("30");
+    expect(document.getElementById("membershipType").value).toBe("nonPriority");
+    expect(document.getElementById("tax").value).toBe("15");
+    expect(document.getElementById("insurance").value).toBe("50");
+    expect(document.getElementById("currencyDecimals").value).toBe("2");
+  });
+
+  it("loads the saved term, membership and tax", async () => {
+    await openOptionsPage({
+      defaultTerm: 20,
+      defaultMembershipType: "priority",
+      defaultTax: 17.5,
+    });
+
+    expect(document.getElementById("term").value).toBe("20");
+    expect(document.getElementById("membershipType").value).toBe("priority");
+    expect(document.getElementById("tax").value).toBe("17.5");
+    expect(document.getElementById("hoaFee").value).toBe("0");
+  });
+
+  it("saves the term, membership and tax", async () => {
+    await openOptionsPage();
+    setField("term", "15");
+    setField("membershipType", "priority");
+    setField("tax", "20");
+
+    document.getElementById("saveOptions").click();
+    await flushSave();
+
+    expect(syncStorage.settings).toEqual({
+      ...DEFAULT_SETTINGS,
+      defaultTerm: 15,
+      defaultMembershipType: "priority",
+      defaultTax: 20,
+    });
+    expect(document.getElementById("optionsStatus").textContent).toBe(
+      "Settings saved."
+    );
+  });
+
+  it("restores the defaults", async () => {
+    await openOptionsPage({ ...DEFAULT_SETTINGS, defaultTerm: 15 });
+
+    document.getElementById("restoreDefaults").click();
+    await flushSave();
+
+    expect(syncStorage.settings).toEqual(DEFAULT_SETTINGS);
+    expect(document.getElementById("term").value).toBe("30");
+  });
+
+  it("opens the popup with the saved term, membership and tax", async () => {
+    await openOptionsPage();
+    setField("term", "15");
+    setField("membershipType", "priority");
+    setField("tax", "20");
+    document.getElementById("saveOptions").click();
+    await flushSave();
+
+    // The popup reads the same chrome.storage.sync the options page saved to
+    mockFetch();
+    mockIndexedDB();
+    mockChromeTabs(null);
+    loadPopupHTML();
+    await initializePopup();
+
+    expect(document.getElementById("term").value).toBe("15");
+    expect(
+      document.querySelector('input[name="membershipType"][value="priority"]')
+        .checked
+    ).toBe(true);
+    expect(document.getElementById("rate").value).toBe("5.625");
+    expect(document.getElementById("tax").value).toBe("20");
+  });
+});
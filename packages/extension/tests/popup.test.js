@@ -11,6 +11,10 @@ import {
   loadPopupHTML,
   loadPopupCSS,
   mockFetch,
+  mockChromeStorage,
+  mockChromeSyncStorage,
+  mockChromeTabs,
+  mockIndexedDB,
   resetTestEnvironment,
   initializePopup,
   clearLocalStorage,
@@ -18,11 +22,14 @@ import {
 
 describe("Popup Calculator", () => {
   let user;
+  let storage;
 
   beforeAll(async () => {
     resetTestEnvironment();
     clearLocalStorage();
     mockFetch();
+    storage = mockChromeStorage();
+    mockIndexedDB();
     loadPopupHTML();
     loadPopupCSS();
     await initializePopup();
@@ -103,6 +110,16 @@ describe("Popup Calculator", () => {
       expect(termSelect.value).toBe("30");
     });
 
+    it("lists every loan term from 40 years down to 1 year", () => {
+      const options = document.querySelectorAll("#term option");
+
+      expect(options.length).toBe(40);
+      expect(options[0].value).toBe("40");
+      expect(options[0].textContent).toBe("40 Years");
+      expect(options[39].value).toBe("1");
+      expect(options[39].textContent).toBe("1 Year");
+    });
+
     it("has interest rate dropdown populated with rates for 30-year term", () => {
       const rateSelect = document.getElementById("rate");
       const options = rateSelect.querySelectorAll("option");
@@ -150,6 +167,65 @@ describe("Popup Calculator", () => {
       await user.selectOptions(termSelect, "30");
       await new Promise((resolve) => setTimeout(resolve, 100));
     });
+
+    it("offers loan terms from 1 to 40 years", () => {
+      const termSelect = document.getElementById("term");
+      const values = Array.from(termSelect.options).map((o) => Number(o.value));
+
+      expect(values.length).toBe(40);
+      expect(Math.min(...values)).toBe(1);
+      expect(Math.max(...values)).toBe(40);
+    });
+
+    it("interpolates rates for terms NACA does not publish", async () => {
+      const termSelect = document.getElementById("term");
+      const rateSelect = document.getElementById("rate");
+
+      await user.selectOptions(termSelect, "25");
+      await new Promise((resolve) => setTimeout(resolve, 100));
+
+      const options = rateSelect.querySelectorAll("option");
+      expect(options[0].value).toBe("6");
+      expect(options[1].value).toBe("7");
+
+      await user.selectOptions(termSelect, "10");
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      expect(rateSelect.querySelectorAll("option")[0].value).toBe("5.625");
+
+      await user.selectOptions(termSelect, "30");
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    });
+
+    it("labels rate options by membership type and defaults to non-priority", () => {
+      const rateSelect = document.getElementById("rate");
+      const options = rateSelect.querySelectorAll("option");
+      const nonPriorityRadio = document.querySelector(
+        'input[name="membershipType"][value="nonPriority"]'
+      );
+
+      expect(options[0].textContent).toBe("6.125% (Priority)");
+      expect(options[1].textContent).toBe("7.125% (Non-priority)");
+      expect(nonPriorityRadio.checked).toBe(true);
+      expect(rateSelect.value).toBe("7.125");
+    });
+
+    it("keeps membership type and selected rate in sync", async () => {
+      const rateSelect = document.getElementById("rate");
+      const priorityRadio = document.querySelector(
+        'input[name="membershipType"][value="priority"]'
+      );
+      const nonPriorityRadio = document.querySelector(
+        'input[name="membershipType"][value="nonPriority"]'
+      );
+
+      await user.click(priorityRadio);
+      expect(rateSelect.value).toBe("6.125");
+      expect(document.getElementById("interestRateBuydown").max).toBe("6.125");
+
+      await user.selectOptions(rateSelect, "7.125");
+      expect(nonPriorityRadio.checked).toBe(true);
+      expect(priorityRadio.checked).toBe(false);
+    });
   });
 
   describe("State 2: Invalid Submission", () => {
@@ -173,16 +249,45 @@ describe("Popup Calculator", () => {
       expect(monthlyPaymentDisplay.textContent).toBe("$0");
     });
 
-    it("calculates zero price input as valid", async () => {
+    it("rejects a payment that can't cover taxes, insurance and HOA", async () => {
       const priceInput = document.getElementById("price");
       const calculateBtn = document.getElementById("calculate");
+      const priceError = document.getElementById("price-error");
       const monthlyPaymentDisplay = document.getElementById("monthlyPayment");
 
       await user.type(priceInput, "0");
       await user.click(calculateBtn);
 
-      // Zero is valid (produces $0.00 result)
-      expect(monthlyPaymentDisplay.textContent).toBe("$0.00");
+      // The default $50 insurance alone is more than a $0 payment
+      expect(priceError.textContent).toBe(
+        "Payment must cover at least $50.00 of taxes, insurance and HOA"
+      );
+      expect(monthlyPaymentDisplay.textContent).toBe("$0");
+    });
+
+    it("rejects a principal buydown larger than the purchase price", async () => {
+      const priceRadio = document.querySelector(
+        'input[name="calcMethod"][value="price"]'
+      );
+      await user.click(priceRadio);
+
+      const priceInput = document.getElementById("price");
+      const principalBuydownSlider = document.getElementById("principalBuydown");
+      const calculateBtn = document.getElementById("calculate");
+
+      await user.type(priceInput, "300000");
+      await user.click(calculateBtn);
+      principalBuydownSlider.value = "5000";
+
+      // Lower the price below the buydown and calculate again
+      await user.clear(priceInput);
+      await user.type(priceInput, "1000");
+      await user.click(calculateBtn);
+
+      expect(document.getElementById("principalBuydown-error").textContent).toBe(
+        "Principal buydown can't be more than the $1,000.00 purchase price"
+      );
+      principalBuydownSlider.value = "0";
     });
 
     it("clears error when user starts typing", async () => {
@@ -199,6 +304,24 @@ describe("Popup Calculator", () => {
       await user.type(priceInput, "1");
       expect(priceError.classList.contains("visible")).toBe(false);
     });
+
+    it("shows every field error at once", async () => {
+      const priceInput = document.getElementById("price");
+      const insuranceInput = document.getElementById("insurance");
+      const calculateBtn = document.getElementById("calculate");
+
+      priceInput.value = "";
+      insuranceInput.value = "-5";
+      await user.click(calculateBtn);
+
+      expect(document.getElementById("price-error").textContent).toBe("Required");
+      expect(document.getElementById("insurance-error").classList.contains("visible")).toBe(
+        true
+      );
+      expect(document.querySelectorAll("#button-errors li").length).toBe(2);
+
+      insuranceInput.value = "50";
+    });
   });
 
   describe("State 3: Valid Submission", () => {
@@ -266,6 +389,72 @@ describe("Popup Calculator", () => {
       expect(insurance.startsWith("$")).toBe(true);
       expect(hoaFee.startsWith("$")).toBe(true);
     });
+
+    it("reads prices typed with suffixes and separators", async () => {
+      const priceRadio = document.querySelector(
+        'input[name="calcMethod"][value="price"]'
+      );
+      await user.click(priceRadio);
+
+      const priceInput = document.getElementById("price");
+      const preview = document.getElementById("price-preview");
+
+      await user.type(priceInput, "$1.2M");
+      expect(preview.textContent).toBe("= 1,200,000");
+
+      await user.click(document.getElementById("calculate"));
+      expect(document.getElementById("purchasePrice").textContent).toBe(
+        "$1,200,000.00"
+      );
+      // Leaving the field writes the amount back plainly
+      expect(priceInput.value).toBe("1200000");
+      expect(preview.textContent).toBe("");
+    });
+
+    it("reads a comma as the decimal point in monthly costs", async () => {
+      const priceRadio = document.querySelector(
+        'input[name="calcMethod"][value="price"]'
+      );
+      await user.click(priceRadio);
+
+      const insuranceInput = document.getElementById("insurance");
+      await user.type(document.getElementById("price"), "300000");
+      await user.clear(insuranceInput);
+      await user.type(insuranceInput, "62,5");
+      await user.click(document.getElementById("calculate"));
+
+      expect(document.getElementById("insuranceAmount").textContent).toBe("$62.50");
+      insuranceInput.value = "50";
+    });
+
+    it("shows warnings without blocking the result", async () => {
+      const priceRadio = document.querySelector(
+        'input[name="calcMethod"][value="price"]'
+      );
+      await user.click(priceRadio);
+
+      const priceInput = document.getElementById("price");
+      const insuranceInput = document.getElementById("insurance");
+      const calculateBtn = document.getElementById("calculate");
+      const warnings = document.getElementById("button-warnings");
+
+      await user.type(priceInput, "300000");
+      insuranceInput.value = "1500";
+      await user.click(calculateBtn);
+
+      expect(document.getElementById("purchasePrice").textContent).toBe("$300,000.00");
+      expect(warnings.classList.contains("visible")).toBe(true);
+      expect(warnings.textContent).toContain("Insurance: Insurance is over $1,000 a month");
+      expect(insuranceInput.closest(".input-group").classList.contains("has-warning")).toBe(
+        true
+      );
+
+      // A clean calculation clears the warning
+      insuranceInput.value = "50";
+      await user.click(calculateBtn);
+      expect(warnings.classList.contains("visible")).toBe(false);
+      expect(document.querySelectorAll(".input-group.has-warning").length).toBe(0);
+    });
   });
 
   describe("State 3: Slider Interactions (Auto-Recalculate)", () => {
@@ -329,6 +518,49 @@ describe("Popup Calculator", () => {
       }
     });
 
+    it("shows when the interest rate buydown pays for itself", async () => {
+      const interestRateBuydownSlider = document.getElementById(
+        "interestRateBuydown"
+      );
+      const breakEven = document.getElementById("interestRateBuydownBreakEven");
+
+      interestRateBuydownSlider.value = interestRateBuydownSlider.min;
+      interestRateBuydownSlider.dispatchEvent(
+        new Event("input", { bubbles: true })
+      );
+      expect(breakEven.textContent).toMatch(/^Pays for itself in \d+ months$/);
+
+      interestRateBuydownSlider.value = interestRateBuydownSlider.max;
+      interestRateBuydownSlider.dispatchEvent(
+        new Event("input", { bubbles: true })
+      );
+      expect(breakEven.textContent).toBe("");
+    });
+
+    it("applies the best buydown split for a cash budget to both sliders", async () => {
+      const interestRateBuydownSlider = document.getElementById(
+        "interestRateBuydown"
+      );
+      const principalBuydownSlider =
+        document.getElementById("principalBuydown");
+      const budgetInput = document.getElementById("buydownBudget");
+
+      await user.type(budgetInput, "40000");
+      await user.click(document.getElementById("optimizeBuydown"));
+
+      expect(parseFloat(interestRateBuydownSlider.value)).toBe(5.625);
+      expect(principalBuydownSlider.value).toBe("13000");
+      expect(
+        document.getElementById("interestRateBuydownCost").textContent
+      ).toBe("$27,000.00");
+      expect(
+        document.getElementById("buydownOptimizerResult").textContent
+      ).toContain("5.625%");
+
+      await user.clear(budgetInput);
+      principalBuydownSlider.value = "0";
+    });
+
     it("updates calculation when principal buydown slider changes", async () => {
       const monthlyPaymentDisplay = document.getElementById("monthlyPayment");
       const principalBuydownSlider =
@@ -353,6 +585,33 @@ describe("Popup Calculator", () => {
       expect(principalBuydownCost.textContent).toBe("$10,000.00");
     });
 
+    it("keeps the desired monthly payment when the rate is bought down", async () => {
+      await user.click(
+        document.querySelector('input[name="calcMethod"][value="payment"]')
+      );
+      const interestRateBuydownSlider = document.getElementById(
+        "interestRateBuydown"
+      );
+      interestRateBuydownSlider.value = interestRateBuydownSlider.max;
+      const priceInput = document.getElementById("price");
+      await user.clear(priceInput);
+      await user.type(priceInput, "2500");
+      await user.click(document.getElementById("calculate"));
+      const purchasePrice = document.getElementById("purchasePrice").textContent;
+
+      interestRateBuydownSlider.value = interestRateBuydownSlider.min;
+      interestRateBuydownSlider.dispatchEvent(
+        new Event("input", { bubbles: true })
+      );
+
+      expect(document.getElementById("monthlyPayment").textContent).toBe(
+        "$2,500.00"
+      );
+      expect(document.getElementById("purchasePrice").textContent).not.toBe(
+        purchasePrice
+      );
+    });
+
     it("recalculates when term changes after initial calculation", async () => {
       const monthlyPaymentDisplay = document.getElementById("monthlyPayment");
       const termSelect = document.getElementById("term");
@@ -366,4 +625,705 @@ describe("Popup Calculator", () => {
       expect(newPayment).not.toBe(initialPayment);
     });
   });
+
+  describe("Scenario Comparison", () => {
+    async function addScenario(name, price) {
+      const priceInput = document.getElementById("price");
+      await user.clear(priceInput);
+      await user.type(priceInput, price);
+      await user.click(document.getElementById("calculate"));
+      await user.type(document.getElementById("scenarioName"), name);
+      await user.click(document.getElementById("addScenario"));
+    }
+
+    beforeEach(async () => {
+      await user.click(document.getElementById("clearScenarios"));
+      await resetFormState();
+
+      const priceRadio = document.querySelector(
+        'input[name="calcMethod"][value="price"]'
+      );
+      await user.click(priceRadio);
+    });
+
+    it("asks for a calculation before adding a scenario", async () => {
+      const paymentRadio = document.querySelector(
+        'input[name="calcMethod"][value="payment"]'
+      );
+      await user.click(paymentRadio);
+      await user.click(document.getElementById("addScenario"));
+
+      expect(document.getElementById("addScenarioStatus").textContent).toBe(
+        "Calculate your mortgage first."
+      );
+      expect(document.getElementById("comparisonStatus").textContent).toBe(
+        "Add at least two scenarios from the Calculator tab."
+      );
+    });
+
+    it("compares scenarios side by side with deltas against the baseline", async () => {
+      await addScenario("Starter", "250000");
+      await addScenario("Dream", "300000");
+
+      const table = document.querySelector("#comparisonTable table");
+      expect(table).not.toBeNull();
+
+      const headers = Array.from(table.querySelectorAll("thead th")).map(
+        (th) => th.firstChild?.textContent || ""
+      );
+      expect(headers).toEqual(["", "Starter", "Dream"]);
+
+      const priceRow = Array.from(table.querySelectorAll("tbody tr")).find(
+        (row) => row.querySelector("th").textContent === "Purchase Price"
+      );
+      const cells = priceRow.querySelectorAll("td");
+      expect(cells[0].textContent).toBe("$250,000.00");
+      expect(cells[0].querySelector(".delta")).toBeNull();
+      expect(cells[1].querySelector(".delta").textContent).toBe("+$50,000.00");
+    });
+
+    it("switches the baseline and removes scenarios", async () => {
+      await addScenario("Starter", "250000");
+      await addScenario("Dream", "300000");
+      await addScenario("Stretch", "350000");
+
+      const baselineSelect = document.getElementById("comparisonBaseline");
+      await user.selectOptions(baselineSelect, "1");
+
+      let cells = document.querySelectorAll("#comparisonTable tbody tr:nth-child(2) td");
+      expect(cells[0].querySelector(".delta").textContent).toBe("-$50,000.00");
+      expect(cells[1].querySelector(".delta")).toBeNull();
+
+      await user.click(
+        document.querySelector('.remove-scenario[data-index="0"]')
+      );
+
+      cells = document.querySelectorAll("#comparisonTable tbody tr:nth-child(2) td");
+      expect(cells.length).toBe(2);
+      expect(baselineSelect.value).toBe("0");
+      expect(cells[1].querySelector(".delta").textContent).toBe("+$50,000.00");
+    });
+
+    it("limits the comparison to six scenarios", async () => {
+      for (let i = 1; i <= 6; i++) {
+        await addScenario(`Option ${i}`, String(200000 + i * 10000));
+      }
+      await user.click(document.getElementById("addScenario"));
+
+      expect(document.getElementById("addScenarioStatus").textContent).toBe(
+        "You can compare up to 6 scenarios."
+      );
+      expect(
+        document.querySelectorAll("#comparisonTable thead th").length
+      ).toBe(7);
+    });
+  });
+
+  describe("Calculation History", () => {
+    async function calculatePrice(price) {
+      const priceInput = document.getElementById("price");
+      await user.clear(priceInput);
+      await user.type(priceInput, price);
+      await user.click(document.getElementById("calculate"));
+    }
+
+    beforeEach(async () => {
+      await resetFormState();
+      await user.click(
+        document.querySelector('input[name="calcMethod"][value="price"]')
+      );
+    });
+
+    it("records calculations and undoes and redoes them with Ctrl+Z", async () => {
+      await calculatePrice("250000");
+      await calculatePrice("300000");
+      const recorded = storage.calculationHistory.entries.length;
+
+      // Calculating the same inputs again records nothing
+      await user.click(document.getElementById("calculate"));
+      expect(storage.calculationHistory.entries.length).toBe(recorded);
+      expect(document.getElementById("redoCalculation").disabled).toBe(true);
+
+      await user.keyboard("{Control>}z{/Control}");
+      expect(document.getElementById("price").value).toBe("250000");
+      expect(document.getElementById("purchasePrice").textContent).toBe(
+        "$250,000.00"
+      );
+      expect(storage.calculationHistory.index).toBe(recorded - 2);
+
+      await user.keyboard("{Control>}{Shift>}z{/Shift}{/Control}");
+      expect(document.getElementById("price").value).toBe("300000");
+      expect(document.getElementById("purchasePrice").textContent).toBe(
+        "$300,000.00"
+      );
+    });
+
+    it("leaves Ctrl+Z to text fields while typing", async () => {
+      await calculatePrice("250000");
+      await calculatePrice("275000");
+
+      await user.click(document.getElementById("price"));
+      await user.keyboard("{Control>}z{/Control}");
+
+      expect(document.getElementById("purchasePrice").textContent).toBe(
+        "$275,000.00"
+      );
+    });
+
+    it("restores a recent scenario with its buydowns from the list", async () => {
+      await calculatePrice("320000");
+      const slider = document.getElementById("interestRateBuydown");
+      slider.value = "6.625";
+      slider.dispatchEvent(new Event("input", { bubbles: true }));
+      slider.dispatchEvent(new Event("change", { bubbles: true }));
+      const boughtDown = document.getElementById("monthlyPayment").textContent;
+      await calculatePrice("200000");
+
+      const items = document.querySelectorAll("#recentScenarios li button");
+      expect(items[0].getAttribute("aria-current")).toBe("true");
+      expect(items[0].querySelector("span").textContent).toContain("$200,000.00");
+      expect(items[1].querySelector("span").textContent).toContain("6.625%");
+      expect(items[1].querySelector("time").dateTime).not.toBe("");
+      expect(document.getElementById("recentScenariosEmpty").hidden).toBe(true);
+
+      await user.click(items[1]);
+
+      expect(document.getElementById("price").value).toBe("320000");
+      expect(slider.value).toBe("6.625");
+      expect(document.getElementById("monthlyPayment").textContent).toBe(
+        boughtDown
+      );
+      expect(
+        document
+          .querySelectorAll("#recentScenarios li button")[1]
+          .getAttribute("aria-current")
+      ).toBe("true");
+    });
+
+    it("keeps newer scenarios in the list after recalculating an older one", async () => {
+      await calculatePrice("210000");
+      await calculatePrice("220000");
+      await calculatePrice("230000");
+      const listed = () =>
+        Array.from(
+          document.querySelectorAll("#recentScenarios li button span")
+        ).map((summary) => summary.textContent);
+      expect(listed()[2]).toContain("$210,000.00");
+
+      await user.click(document.querySelectorAll("#recentScenarios li button")[2]);
+      expect(document.getElementById("price").value).toBe("210000");
+      await calculatePrice("215000");
+
+      const summaries = listed();
+      expect(summaries[0]).toContain("$215,000.00");
+      expect(summaries[1]).toContain("$230,000.00");
+      expect(summaries[2]).toContain("$220,000.00");
+      expect(summaries[3]).toContain("$210,000.00");
+      expect(
+        document
+          .querySelectorAll("#recentScenarios li button")[0]
+          .getAttribute("aria-current")
+      ).toBe("true");
+    });
+  });
+
+  describe("Extra Payments Panel", () => {
+    beforeEach(async () => {
+      await resetFormState();
+
+      const priceRadio = document.querySelector(
+        'input[name="calcMethod"][value="price"]'
+      );
+      await user.click(priceRadio);
+
+      await user.type(document.getElementById("price"), "300000");
+      await user.click(document.getElementById("calculate"));
+    });
+
+    it("shows the regular payoff with no extra payments", () => {
+      expect(document.getElementById("extraTimeSaved").textContent).toBe(
+        "0 months"
+      );
+      expect(document.getElementById("extraInterestSaved").textContent).toBe(
+        "$0.00"
+      );
+      expect(document.getElementById("extraPayoffDate").textContent).not.toBe(
+        "-"
+      );
+    });
+
+    it("shows time and interest saved as extra payments are entered", async () => {
+      await user.type(document.getElementById("extraMonthly"), "200");
+
+      expect(document.getElementById("extraTimeSaved").textContent).toMatch(
+        /years?/
+      );
+      expect(
+        document.getElementById("extraInterestSaved").textContent
+      ).not.toBe("$0.00");
+
+      await user.clear(document.getElementById("extraMonthly"));
+    });
+
+    it("shows an error for a prepayment month outside the loan term", async () => {
+      await user.type(document.getElementById("extraOneTime"), "10000");
+      await user.type(document.getElementById("extraOneTimeMonth"), "999");
+
+      const monthError = document.getElementById("extraOneTimeMonth-error");
+      expect(monthError.textContent).toBe(
+        "Must be a payment number from 1 to 360"
+      );
+      expect(monthError.classList.contains("visible")).toBe(true);
+
+      await user.clear(document.getElementById("extraOneTime"));
+      await user.clear(document.getElementById("extraOneTimeMonth"));
+    });
+  });
+
+  describe("Saved Properties", () => {
+    async function saveProperty(address, price) {
+      const priceInput = document.getElementById("price");
+      await user.clear(priceInput);
+      await user.type(priceInput, price);
+      await user.click(document.getElementById("calculate"));
+
+      const addressInput = document.getElementById("propertyAddress");
+      await user.clear(addressInput);
+      await user.type(addressInput, address);
+      await user.click(document.getElementById("saveProperty"));
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+
+    function listedAddresses() {
+      return Array.from(
+        document.querySelectorAll("#propertyList .property-address")
+      ).map((element) => element.textContent);
+    }
+
+    beforeEach(async () => {
+      await resetFormState();
+      await user.click(
+        document.querySelector('input[name="calcMethod"][value="price"]')
+      );
+    });
+
+    it("asks for a calculation and an address before saving", async () => {
+      const status = document.getElementById("savePropertyStatus");
+      await user.click(
+        document.querySelector('input[name="calcMethod"][value="payment"]')
+      );
+      await user.click(document.getElementById("saveProperty"));
+      expect(status.textContent).toBe("Calculate your mortgage first.");
+
+      await user.type(document.getElementById("price"), "2500");
+      await user.click(document.getElementById("calculate"));
+      await user.clear(document.getElementById("propertyAddress"));
+      await user.click(document.getElementById("saveProperty"));
+      expect(status.textContent).toBe(
+        "Enter the property's address or listing URL."
+      );
+      expect(document.getElementById("propertiesStatus").textContent).toBe(
+        "Save a calculation to a property to track it here."
+      );
+    });
+
+    it("saves calculations with the MSA lookup and sorts and filters them", async () => {
+      const address = document.getElementById("address");
+      await user.clear(address);
+      await user.type(address, "123 Test St");
+      await user.click(document.getElementById("lookup-btn"));
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      expect(document.getElementById("propertyAddress").value).toBe("123 Test St");
+      await user.type(document.getElementById("price"), "300000");
+      await user.click(document.getElementById("calculate"));
+      await user.click(document.getElementById("saveProperty"));
+      await new Promise((resolve) => setTimeout(resolve, 20));
+
+      await saveProperty("9 Oak Ave", "250000");
+      await saveProperty("123 test st", "310000");
+      expect(document.getElementById("savePropertyStatus").textContent).toBe(
+        "Saved to 123 test st. Scenarios saved: 2."
+      );
+
+      expect(listedAddresses()).toEqual(["9 Oak Ave", "123 test st"]);
+      const details = Array.from(
+        document.querySelectorAll("#propertyList li:last-child .property-details")
+      ).map((element) => element.textContent);
+      expect(details[0]).toContain("$310,000.00");
+      expect(details.slice(1)).toEqual([
+        "Tract at 93.75% of MSA",
+        "Scenarios: 2",
+      ]);
+
+      await user.selectOptions(document.getElementById("propertySort"), "price");
+      await user.selectOptions(
+        document.getElementById("propertySortDirection"),
+        "desc"
+      );
+      expect(listedAddresses()).toEqual(["123 test st", "9 Oak Ave"]);
+
+      await user.selectOptions(
+        document.getElementById("propertyFilterField"),
+        "tractPercent"
+      );
+      await user.type(document.getElementById("propertyFilterMin"), "90%");
+      expect(listedAddresses()).toEqual(["123 test st"]);
+      await user.type(document.getElementById("propertyFilterMax"), "80");
+      expect(listedAddresses()).toEqual([]);
+      expect(document.getElementById("propertiesStatus").textContent).toBe(
+        "No saved properties match the filter."
+      );
+
+      await user.clear(document.getElementById("propertyFilterMin"));
+      await user.clear(document.getElementById("propertyFilterMax"));
+    });
+
+    it("re-opens a saved property's calculation in the calculator", async () => {
+      await saveProperty("42 Elm St", "275000");
+      const priceInput = document.getElementById("price");
+      await user.clear(priceInput);
+      await user.type(priceInput, "150000");
+      await user.click(document.getElementById("calculate"));
+
+      const item = Array.from(document.querySelectorAll("#propertyList li")).find(
+        (li) => li.querySelector(".property-address").textContent === "42 Elm St"
+      );
+      await user.click(item.querySelector(".open-property"));
+
+      expect(document.getElementById("price").value).toBe("275000");
+      expect(document.getElementById("purchasePrice").textContent).toBe(
+        "$275,000.00"
+      );
+      expect(document.getElementById("calculator").classList).toContain("active");
+      expect(document.getElementById("listingStatus").textContent).toBe(
+        "Opened 42 Elm St."
+      );
+    });
+
+    it("saves only http and https listing URLs", async () => {
+      const listingUrlInput = document.getElementById("propertyListingUrl");
+      await user.type(listingUrlInput, "javascript:alert(1)");
+      await saveProperty("5 Birch Ln", "225000");
+      expect(document.getElementById("savePropertyStatus").textContent).toBe(
+        "The listing URL must be an http or https web address."
+      );
+      expect(listedAddresses()).not.toContain("5 Birch Ln");
+
+      await user.clear(listingUrlInput);
+      await user.type(listingUrlInput, "zillow.com/homedetails/5-Birch-Ln");
+      await user.click(document.getElementById("saveProperty"));
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      await user.clear(listingUrlInput);
+
+      const item = Array.from(document.querySelectorAll("#propertyList li")).find(
+        (li) => li.querySelector(".property-address").textContent === "5 Birch Ln"
+      );
+      expect(item.querySelector("a").getAttribute("href")).toBe(
+        "https://zillow.com/homedetails/5-Birch-Ln"
+      );
+    });
+
+    it("deletes a saved property", async () => {
+      await saveProperty("7 Pine Rd", "200000");
+      const item = Array.from(document.querySelectorAll("#propertyList li")).find(
+        (li) => li.querySelector(".property-address").textContent === "7 Pine Rd"
+      );
+
+      await user.click(item.querySelector(".delete-property"));
+      await new Promise((resolve) => setTimeout(resolve, 20));
+
+      expect(listedAddresses()).not.toContain("7 Pine Rd");
+    });
+  });
+
+  // Runs last: reopening the popup dispatches DOMContentLoaded against a fresh DOM
+  describe("Saved State", () => {
+    beforeEach(async () => {
+      await resetFormState();
+    });
+
+    it("saves inputs and whether they were calculated", async () => {
+      const priceRadio = document.querySelector(
+        'input[name="calcMethod"][value="price"]'
+      );
+      await user.click(priceRadio);
+      await user.type(document.getElementById("price"), "300000");
+      await user.click(document.getElementById("calculate"));
+      await user.type(document.getElementById("extraMonthly"), "150");
+
+      expect(storage.popupState).toMatchObject({
+        calcMethod: "price",
+        membershipType: "nonPriority",
+        price: "300000",
+        term: "30",
+        rate: "7.125",
+        calculated: true,
+        extraPayments: { extraMonthly: "150" },
+      });
+
+      await user.clear(document.getElementById("extraMonthly"));
+    });
+
+    it("resets every field and clears the saved state", async () => {
+      await user.type(document.getElementById("price"), "2500");
+      await user.click(document.getElementById("calculate"));
+      await user.click(document.getElementById("resetCalculator"));
+      await new Promise((resolve) => setTimeout(resolve, 10));
+
+      expect(storage.popupState).toBeUndefined();
+      expect(document.getElementById("price").value).toBe("");
+      expect(document.getElementById("monthlyPayment").textContent).toBe("$0");
+      expect(document.getElementById("purchasePrice").textContent).toBe("$0");
+      expect(
+        document.querySelector('input[name="calcMethod"][value="payment"]')
+          .checked
+      ).toBe(true);
+    });
+
+    it("saves the max monthly payment for listing badges", async () => {
+      const maxPaymentInput = document.getElementById("maxMonthlyPayment");
+      await user.type(maxPaymentInput, "2500");
+      expect(storage.maxMonthlyPayment).toBe(2500);
+
+      await user.clear(maxPaymentInput);
+      expect(storage.maxMonthlyPayment).toBeUndefined();
+    });
+
+    it("restores inputs, sliders and results when the popup reopens", async () => {
+      storage = mockChromeStorage({
+        maxMonthlyPayment: 2500,
+        popupState: {
+          calcMethod: "price",
+          membershipType: "priority",
+          price: "300000",
+          term: "15",
+          rate: "5.625",
+          tax: "15",
+          insurance: "60",
+          hoaFee: "25",
+          interestRateBuydown: "5.125",
+          principalBuydown: "10000",
+          extraPayments: {
+            extraMonthly: "100",
+            extraAnnual: "",
+            extraOneTime: "",
+            extraOneTimeMonth: "",
+          },
+          buydownBudget: "5000",
+          buydownObjective: "interest",
+          calculated: true,
+          msaLookup: {
+            address: "123 Test St",
+            result: {
+              address: "123 Test St",
+              msaMedianFamilyIncome: 80000,
+              tractMedianFamilyIncome: 75000,
+              tractPercentOfMsa: 93.75,
+              year: 2024,
+            },
+          },
+        },
+      });
+      loadPopupHTML();
+      await initializePopup();
+
+      expect(
+        document.querySelector('input[name="calcMethod"][value="price"]')
+          .checked
+      ).toBe(true);
+      expect(
+        document.querySelector('input[name="membershipType"][value="priority"]')
+          .checked
+      ).toBe(true);
+      expect(document.getElementById("term").value).toBe("15");
+      expect(document.getElementById("rate").value).toBe("5.625");
+      expect(document.getElementById("interestRateBuydown").value).toBe("5.125");
+      expect(document.getElementById("principalBuydown").value).toBe("10000");
+      expect(document.getElementById("principalBuydownValue").textContent).toBe(
+        "$10,000.00"
+      );
+      expect(document.getElementById("purchasePrice").textContent).toBe(
+        "$300,000.00"
+      );
+      expect(document.getElementById("monthlyPayment").textContent).not.toBe(
+        "$0"
+      );
+      expect(
+        document.getElementById("interestRateBuydownCost").textContent
+      ).not.toBe("$0");
+      expect(document.getElementById("extraMonthly").value).toBe("100");
+      expect(document.getElementById("buydownObjective").value).toBe(
+        "interest"
+      );
+      expect(document.getElementById("address").value).toBe("123 Test St");
+      expect(document.getElementById("msaResultYear").textContent).toBe(
+        "2024"
+      );
+      expect(document.getElementById("maxMonthlyPayment").value).toBe("2500");
+    });
+  });
+
+  describe("Listing Pre-fill", () => {
+    const listing = {
+      price: 285000,
+      address: "123 Maple St, Springfield, IL 62704",
+      annualPropertyTax: 4272,
+      monthlyHoa: 35,
+      monthlyInsurance: 98,
+    };
+
+    async function openPopupOnListing() {
+      mockChromeTabs(listing);
+      loadPopupHTML();
+      await initializePopup();
+    }
+
+    it("fills in and calculates the listing the popup opens on", async () => {
+      storage = mockChromeStorage();
+      await openPopupOnListing();
+
+      expect(
+        document.querySelector('input[name="calcMethod"][value="price"]')
+          .checked
+      ).toBe(true);
+      expect(document.getElementById("price").value).toBe("285000");
+      expect(document.getElementById("tax").value).toBe("15");
+      expect(document.getElementById("insurance").value).toBe("98");
+      expect(document.getElementById("hoaFee").value).toBe("35");
+      expect(document.getElementById("address").value).toBe(listing.address);
+      expect(document.getElementById("purchasePrice").textContent).toBe(
+        "$285,000.00"
+      );
+      expect(document.getElementById("listingStatus").textContent).toBe(
+        `Filled in from the listing at ${listing.address}.`
+      );
+      expect(storage.popupState.prefilledListing).toBe(listing.address);
+    });
+
+    it("keeps the user's edits when reopened on the same listing", async () => {
+      storage = mockChromeStorage({
+        popupState: { ...storage.popupState, insurance: "120" },
+      });
+      await openPopupOnListing();
+
+      expect(document.getElementById("insurance").value).toBe("120");
+      expect(document.getElementById("listingStatus").textContent).toBe("");
+    });
+  });
+
+  describe("Context Menu Selection", () => {
+    async function openPopupWithSelection(pendingSelection) {
+      storage = mockChromeStorage({ pendingSelection });
+      mockChromeTabs(null);
+      loadPopupHTML();
+      await initializePopup();
+    }
+
+    it("calculates a selected price in price mode", async () => {
+      await openPopupWithSelection({ kind: "price", price: 425000 });
+
+      expect(
+        document.querySelector('input[name="calcMethod"][value="price"]')
+          .checked
+      ).toBe(true);
+      expect(document.getElementById("price").value).toBe("425000");
+      expect(document.getElementById("purchasePrice").textContent).toBe(
+        "$425,000.00"
+      );
+      expect(storage.pendingSelection).toBeUndefined();
+    });
+
+    it("looks up a selected address", async () => {
+      await openPopupWithSelection({
+        kind: "address",
+        address: "123 Test St, Springfield, IL 62704",
+      });
+      await new Promise((resolve) => setTimeout(resolve, 10));
+
+      expect(document.getElementById("msa-lookup").classList).toContain(
+        "active"
+      );
+      expect(document.getElementById("address").value).toBe(
+        "123 Test St, Springfield, IL 62704"
+      );
+      expect(document.getElementById("msaResultYear").textContent).toBe(
+        "2024"
+      );
+    });
+  });
+
+  describe("Side Panel", () => {
+    afterAll(() => {
+      window.happyDOM.setURL("about:blank");
+    });
+
+    it("fills in each new listing as the active tab changes", async () => {
+      storage = mockChromeStorage();
+      const tabs = mockChromeTabs({
+        price: 285000,
+        address: "123 Maple St, Springfield, IL 62704",
+      });
+      window.happyDOM.setURL("http://localhost/popup/popup.html?view=sidepanel");
+      loadPopupHTML();
+      await initializePopup();
+
+      expect(document.body.classList).toContain("side-panel");
+      expect(document.getElementById("openSidePanel").hidden).toBe(true);
+      expect(document.getElementById("price").value).toBe("285000");
+
+      tabs.listing = {
+        price: 349900,
+        address: "45 Harbor View Dr #12, Tampa, FL 33602",
+      };
+      tabs.activateTab();
+      await new Promise((resolve) => setTimeout(resolve, 10));
+
+      expect(document.getElementById("price").value).toBe("349900");
+      expect(document.getElementById("purchasePrice").textContent).toBe(
+        "$349,900.00"
+      );
+      expect(storage.popupState.prefilledListing).toBe(
+        "45 Harbor View Dr #12, Tampa, FL 33602"
+      );
+    });
+  });
+
+  describe("Options Page Settings", () => {
+    it("starts from the saved defaults and currency display", async () => {
+      storage = mockChromeStorage();
+      mockChromeSyncStorage({
+        settings: {
+          defaultTerm: 15,
+          defaultMembershipType: "priority",
+          defaultTax: 20,
+          defaultInsurance: 75,
+          defaultHoaFee: 40,
+          currencyDecimals: 0,
+        },
+      });
+      mockChromeTabs(null);
+      loadPopupHTML();
+      await initializePopup();
+
+      expect(document.getElementById("term").value).toBe("15");
+      expect(
+        document.querySelector('input[name="membershipType"][value="priority"]')
+          .checked
+      ).toBe(true);
+      expect(document.getElementById("rate").value).toBe("5.625");
+      expect(document.getElementById("tax").value).toBe("20");
+      expect(document.getElementById("insurance").value).toBe("75");
+      expect(document.getElementById("hoaFee").value).toBe("40");
+
+      await user.type(document.getElementById("price"), "2500");
+      await user.click(document.getElementById("calculate"));
+
+      expect(document.getElementById("monthlyPayment").textContent).toBe(
+        "$2,500"
+      );
+      expect(document.getElementById("purchasePrice").textContent).toMatch(
+        /^\$[\d,]+$/
+      );
+    });
+  });
 });
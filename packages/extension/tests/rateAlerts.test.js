@@ -0,0 +1,123 @@
+import { describe, it, expect, beforeEach } from "bun:test";
+import {
+  checkForRateChanges,
+  clearRateChangeBadge,
+  findRateChanges,
+  formatRateChange,
+  showRateChangeBadge,
+} from "../src/js/rateAlerts.ts";
+import { getLatestMortgageRates } from "../src/js/rates.ts";
+import {
+  getMockApiRates,
+  mockChromeStorage,
+  mockFetch,
+} from "./helpers/popupLoader.js";
+
+const previous = {
+  15: { priority: 5.625, nonPriority: 6.625 },
+  20: { priority: 5.875, nonPriority: 6.875 },
+  30: { priority: 6.125, nonPriority: 7.125 },
+};
+
+describe("findRateChanges", () => {
+  it("lists each published rate that moved, 30-year first", () => {
+    const latest = {
+      ...previous,
+      15: { priority: 5.5, nonPriority: 6.5 },
+      30: { priority: 6.25, nonPriority: 7.125 },
+    };
+
+    expect(findRateChanges(previous, latest)).toEqual([
+      { term: "30", membership: "priority", from: 6.125, to: 6.25 },
+      { term: "15", membership: "priority", from: 5.625, to: 5.5 },
+      { term: "15", membership: "nonPriority", from: 6.625, to: 6.5 },
+    ]);
+  });
+
+  it("finds nothing when the rates are the same", () => {
+    expect(findRateChanges(previous, structuredClone(previous))).toEqual([]);
+  });
+});
+
+describe("checkForRateChanges", () => {
+  const dayAgo = Date.now() - 25 * 60 * 60 * 1000;
+
+  beforeEach(() => {
+    // The 30-year priority rate went from 6.125% to 6.25%
+    mockChromeStorage({ nacaMortgageRates: { rates: previous, timestamp: dayAgo } });
+    mockFetch({ ...getMockApiRates(), thirty_year_rate: 6.25 });
+  });
+
+  it("finds the changes since the cached rates", async () => {
+    expect(await checkForRateChanges()).toEqual([
+      { term: "30", membership: "priority", from: 6.125, to: 6.25 },
+    ]);
+    expect(await checkForRateChanges()).toEqual([]);
+  });
+
+  it("still finds changes the popup fetched first", async () => {
+    await checkForRateChanges();
+    mockFetch({ ...getMockApiRates(), thirty_year_rate: 6.375 });
+
+    // Opening the popup a day later refreshes the cache before the next check
+    const { nacaMortgageRates } = await chrome.storage.local.get("nacaMortgageRates");
+    await chrome.storage.local.set({
+      nacaMortgageRates: { ...nacaMortgageRates, timestamp: dayAgo },
+    });
+    expect((await getLatestMortgageRates())["30"].priority).toBe(6.375);
+
+    expect(await checkForRateChanges()).toEqual([
+      { term: "30", membership: "priority", from: 6.25, to: 6.375 },
+    ]);
+  });
+});
+
+describe("formatRateChange", () => {
+  it("shows the old and new rate", () => {
+    expect(
+      formatRateChange({ term: "30", membership: "nonPriority", from: 7.125, to: 7 })
+    ).toBe("30-year non-priority: 7.125% → 7%");
+  });
+});
+
+describe("rate change badge", () => {
+  let action;
+
+  beforeEach(() => {
+    action = {};
+    globalThis.chrome = {
+      action: {
+        setBadgeText: async ({ text }) => (action.text = text),
+        setBadgeBackgroundColor: async ({ color }) => (action.color = color),
+        setTitle: async ({ title }) => (action.title = title),
+      },
+      i18n: {
+        getMessage: (key) =>
+          key === "extName" ? "NACA Mortgage Calculator and Geocode Lookup" : "",
+      },
+    };
+  });
+
+  it("points the badge the way the rate moved and lists the changes", async () => {
+    await showRateChangeBadge([
+      { term: "30", membership: "priority", from: 6.125, to: 6.25 },
+      { term: "15", membership: "priority", from: 5.625, to: 5.5 },
+    ]);
+
+    expect(action.text).toBe("▲");
+    expect(action.title).toBe(
+      "NACA rates changed\n30-year priority: 6.125% → 6.25%\n15-year priority: 5.625% → 5.5%"
+    );
+  });
+
+  it("clears the badge", async () => {
+    await showRateChangeBadge([
+      { term: "30", membership: "priority", from: 6.125, to: 6 },
+    ]);
+    expect(action.text).toBe("▼");
+
+    await clearRateChangeBadge();
+    expect(action.text).toBe("");
+    expect(action.title).toBe("NACA Mortgage Calculator and Geocode Lookup");
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, it, expect, beforeEach } from "bun:test";
+import {
+  getLatestMortgageRates,
+  loadCachedRates,
+  refreshMortgageRates,
+} from "../src/js/rates.ts";
+import {
+  getMockRates,
+  mockChromeStorage,
+  mockFetch,
+} from "./helpers/popupLoader.js";
+
+describe("mortgage rates", () => {
+  let storage;
+
+  beforeEach(() => {
+    storage = mockChromeStorage();
+    mockFetch();
+  });
+
+  it("refreshes and caches the rates", async () => {
+    expect(await refreshMortgageRates()).toEqual(getMockRates());
+
+    const cached = await loadCachedRates();
+    expect(cached.rates).toEqual(getMockRates());
+    expect(storage.nacaMortgageRates.timestamp).toBeLessThanOrEqual(Date.now());
+  });
+
+  it("uses cached rates less than a day old", async () => {
+    const rates = { ...getMockRates(), 30: { priority: 6, nonPriority: 7 } };
+    storage = mockChromeStorage({
+      nacaMortgageRates: { rates, timestamp: Date.now() },
+    });
+
+    expect(await getLatestMortgageRates()).toEqual(rates);
+  });
+
+  it("fetches again once the cache is a day old", async () => {
+    const rates = { ...getMockRates(), 30: { priority: 6, nonPriority: 7 } };
+    storage = mockChromeStorage({
+      nacaMortgageRates: { rates, timestamp: Date.now() - 25 * 60 * 60 * 1000 },
+    });
+
+    expect(await getLatestMortgageRates()).toEqual(getMockRates());
+  });
+
+  it("returns null when the API is unreachable", async () => {
+    globalThis.fetch = async () => {
+      throw new Error("offline");
+    };
+
+    expect(await refreshMortgageRates()).toBeNull();
+    expect(await loadCachedRates()).toBeNull();
+  });
+});
@@ -0,0 +1,28 @@
+import { describe, it, expect } from "bun:test";
+import { parseSelection } from "../src/js/selection.ts";
+
+describe("parseSelection", () => {
+  it("reads a selected price", () => {
+    expect(parseSelection("$425,000")).toEqual({ kind: "price", price: 425000 });
+    expect(parseSelection("425K")).toEqual({ kind: "price", price: 425000 });
+  });
+
+  it("reads a selected address, collapsing line breaks", () => {
+    expect(parseSelection("123 Maple St\n  Springfield, IL 62704")).toEqual({
+      kind: "address",
+      address: "123 Maple St Springfield, IL 62704",
+    });
+    expect(parseSelection("4500 Ocean View, Tampa, FL 33602")).toEqual({
+      kind: "address",
+      address: "4500 Ocean View, Tampa, FL 33602",
+    });
+  });
+
+  it("ignores selections that are neither", () => {
+    expect(parseSelection("$0")).toBeNull();
+    expect(parseSelection("3 bedrooms")).toBeNull();
+    expect(parseSelection("2024")).toBeNull();
+    expect(parseSelection("3")).toBeNull();
+    expect(parseSelection("Great location near parks")).toBeNull();
+  });
+});
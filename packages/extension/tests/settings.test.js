@@ -0,0 +1,56 @@
+import { describe, it, expect } from "bun:test";
+import {
+  DEFAULT_SETTINGS,
+  loadSettings,
+  validateSettings,
+} from "../src/js/settings.ts";
+import {
+  mockChromeStorage,
+  mockChromeSyncStorage,
+} from "./helpers/popupLoader.js";
+
+const rawSettings = {
+  defaultTerm: "20",
+  defaultMembershipType: "priority",
+  defaultTax: "17.5",
+  defaultInsurance: "80",
+  defaultHoaFee: "0",
+  currencyDecimals: "0",
+  apiBaseUrl: "http://localhost:3000/",
+};
+
+describe("validateSettings", () => {
+  it("parses the options page form", () => {
+    expect(validateSettings(rawSettings)).toEqual({
+      kind: "success",
+      data: {
+        defaultTerm: 20,
+        defaultMembershipType: "priority",
+        defaultTax: 17.5,
+        defaultInsurance: 80,
+        defaultHoaFee: 0,
+        currencyDecimals: 0,
+        apiBaseUrl: "http://localhost:3000",
+      },
+    });
+  });
+
+  it("reports the first invalid field", () => {
+    const result = validateSettings({
+      ...rawSettings,
+      defaultInsurance: "-5",
+      apiBaseUrl: "ftp://example.com",
+    });
+    expect(result.kind).toBe("failure");
+    expect(result.field).toBe("insurance");
+  });
+});
+
+describe("loadSettings", () => {
+  it("fills in defaults for settings that were never saved", async () => {
+    mockChromeStorage();
+    mockChromeSyncStorage({ settings: { defaultTerm: 15 } });
+
+    expect(await loadSettings()).toEqual({ ...DEFAULT_SETTINGS, defaultTerm: 15 });
+  });
+});
@@ -1,14 +1,106 @@
+// NACA caps the interest rate buydown at 1.5% below the starting rate
+const MAX_RATE_BUYDOWN = 1.5;
+
+// compareScenarios compares at least two and at most six scenarios
+const MIN_SCENARIOS = 2;
+const MAX_SCENARIOS = 6;
+
+// Points needed per 1% of rate reduction, by loan term. 1 point (1% of principal)
+// buys a 1/4% reduction on terms up to 15 years and a 1/6% reduction on longer terms.
+const DEFAULT_POINTS_MULTIPLIERS = [
+  { maxTerm: 15, multiplier: 4 },
+  { maxTerm: Infinity, multiplier: 6 },
+];
+
 class MortgageCalculator {
   constructor() {
     this.calcMethod = "payment";
+    this.roundingMode = "exact";
+    this.pointsMultipliers = DEFAULT_POINTS_MULTIPLIERS;
+    this.locale = "en-US";
   }
 
+  /**
+   * Set what the calculator solves for.
+   * "payment" finds the max purchase price for a desired PITI, "price" finds the PITI
+   * for a purchase price, and "income" finds the max PITI and purchase price that fit
+   * within front-end (housing) and back-end (total debt) ratio limits.
+   * @param {'payment'|'price'|'income'} method
+   */
   setCalcMethod(method) {
     this.calcMethod = method;
   }
 
   /**
-   * Format a number to a string with a prefix and commas
+   * Set how payments are rounded.
+   * "exact" keeps full precision. "naca" matches NACA's official calculator: P&I is
+   * floored to the cent, a 0% rate is straight-line principal / term, and the max
+   * purchase price comes from NACA's own payment-mode iteration
+   * (solveNacaMaxPurchasePrice) instead of the exact solver.
+   * @param {'exact'|'naca'} mode
+   */
+  setRoundingMode(mode) {
+    this.roundingMode = mode;
+  }
+
+  /**
+   * Set the points multiplier table used to price interest rate buydowns.
+   * Each term uses the first entry whose maxTerm is at least the term; terms past
+   * the last entry use the last multiplier.
+   * @param {Array<{maxTerm: number, multiplier: number}>} table Entries sorted by maxTerm
+   */
+  setPointsMultipliers(table) {
+    this.pointsMultipliers = table;
+  }
+
+  /**
+   * Set the locale formatNumber groups digits and writes decimals for
+   * @param {string} locale A BCP 47 locale such as "en-US" or "es-US"
+   */
+  setLocale(locale) {
+    this.locale = locale;
+  }
+
+  /**
+   * The number of points needed per 1% of rate reduction for a term
+   * @param {number} term The term of the mortgage in years
+   * @returns {number}
+   */
+  getPointsMultiplier(term) {
+    const table = this.pointsMultipliers;
+    const entry = table.find((candidate) => term <= candidate.maxTerm);
+    return (entry || table[table.length - 1]).multiplier;
+  }
+
+  /**
+   * Estimate the rate for a term from the rates of the terms NACA publishes.
+   * Rates are interpolated linearly between the nearest published terms and held
+   * flat beyond the shortest and longest ones, then rounded to 0.001%.
+   * @param {number} term The term of the mortgage in years
+   * @param {Object<string, number>} ratesByTerm Published rates keyed by term, e.g. {15: 5.625, 20: 5.875, 30: 6.125}
+   * @returns {number} The rate for the term
+   */
+  interpolateRate(term, ratesByTerm) {
+    const points = Object.entries(ratesByTerm)
+      .map(([knownTerm, rate]) => ({ term: Number(knownTerm), rate }))
+      .sort((a, b) => a.term - b.term);
+
+    const first = points[0];
+    const last = points[points.length - 1];
+    if (term <= first.term) return first.rate;
+    if (term >= last.term) return last.rate;
+
+    const upperIndex = points.findIndex((point) => point.term >= term);
+    const upper = points[upperIndex];
+    const lower = points[upperIndex - 1];
+    const fraction = (term - lower.term) / (upper.term - lower.term);
+    const rate = lower.rate + (upper.rate - lower.rate) * fraction;
+
+    return Math.round(rate * 1000) / 1000;
+  }
+
+  /**
+   * Format a number to a string with a prefix and the locale's digit grouping
    * @param {number} num
    * @param {number} decimals
    * @param {string} prefix
@@ -16,9 +108,10 @@ class MortgageCalculator {
    */
   formatNumber(num, decimals = 2, prefix = "$") {
     if (isNaN(num)) return "";
-    return `${prefix}${num
-      .toFixed(decimals)
-      .replace(/\B(?=(\d{3})+(?!\d))/g, ",")}`;
+    return `${prefix}${num.toLocaleString(this.locale, {
+      minimumFractionDigits: decimals,
+      maximumFractionDigits: decimals,
+    })}`;
   }
 
   /**
@@ -32,10 +125,21 @@ class MortgageCalculator {
     const monthlyRate = rate / 100 / 12;
     const numberOfPayments = term * 12;
 
-    return (
+    // A 0% loan is paid off in equal parts of the principal
+    if (monthlyRate === 0) {
+      const payment = principal / numberOfPayments;
+      return this.roundingMode === "naca"
+        ? Math.trunc(payment * 100) / 100
+        : payment;
+    }
+
+    const payment =
       (principal * monthlyRate * Math.pow(1 + monthlyRate, numberOfPayments)) /
-      (Math.pow(1 + monthlyRate, numberOfPayments) - 1)
-    );
+      (Math.pow(1 + monthlyRate, numberOfPayments) - 1);
+
+    return this.roundingMode === "naca"
+      ? Math.floor(payment * 100) / 100
+      : payment;
   }
 
   /**
@@ -52,7 +156,61 @@ class MortgageCalculator {
   }
 
   /**
-   * Given a desired max monthly payment, calculate the max purchase price
+   * Calculate the present value of a stream of level monthly payments
+   * (the loan amount those payments can carry). Inverse of calculateBaseMonthlyPayment.
+   * @param {number} payment The monthly principal & interest payment
+   * @param {number} rate The annual interest rate
+   * @param {number} term The term of the mortgage in years
+   * @returns {number} The loan amount
+   */
+  calculatePresentValue(payment, rate, term) {
+    const monthlyRate = rate / 100 / 12;
+    const numberOfPayments = term * 12;
+
+    if (monthlyRate === 0) return payment * numberOfPayments;
+
+    return (
+      (payment * (1 - Math.pow(1 + monthlyRate, -numberOfPayments))) /
+      monthlyRate
+    );
+  }
+
+  /**
+   * Calculate the max monthly PITI a borrower qualifies for on their income.
+   * The front-end ratio caps PITI alone; the back-end ratio caps PITI plus other
+   * recurring debts. Whichever allows the smaller payment is binding.
+   * @param {number} grossMonthlyIncome Gross monthly income
+   * @param {number} [monthlyDebts=0] Other recurring monthly debt payments
+   * @param {number} [frontEndRatio=31] Max PITI as a percentage of gross income
+   * @param {number} [backEndRatio=43] Max PITI plus debts as a percentage of gross income
+   * @returns {{maxMonthlyPayment: number, frontEndLimit: number, backEndLimit: number, bindingRatio: 'front-end'|'back-end'}}
+   */
+  calculateIncomeAffordability(
+    grossMonthlyIncome,
+    monthlyDebts = 0,
+    frontEndRatio = 31,
+    backEndRatio = 43
+  ) {
+    const frontEndLimit = (grossMonthlyIncome * frontEndRatio) / 100;
+    const backEndLimit =
+      (grossMonthlyIncome * backEndRatio) / 100 - monthlyDebts;
+
+    return {
+      maxMonthlyPayment: Math.max(Math.min(frontEndLimit, backEndLimit), 0),
+      frontEndLimit,
+      backEndLimit,
+      bindingRatio: backEndLimit < frontEndLimit ? "back-end" : "front-end",
+    };
+  }
+
+  /**
+   * Solve for the max purchase price a desired monthly payment can support.
+   *
+   * Inverts the payment formula analytically (like NACA's cff_pv), then corrects for
+   * calculateMonthlyTax rounding to whole dollars: the result is the highest price, to
+   * the cent, whose full payment does not exceed the desired payment.
+   * In "naca" rounding mode the price comes from solveNacaMaxPurchasePrice instead.
+   *
    * @param {number} desiredMonthlyPayment The desired max monthly payment
    * @param {number} rate The annual interest rate
    * @param {number} term The term of the mortgage in years
@@ -60,9 +218,10 @@ class MortgageCalculator {
    * @param {number} insurance The monthly insurance amount
    * @param {number} hoaFee The monthly HOA/Condo fee
    * @param {number} [principalBuydown=0] The amount of principal to buy down
-   * @returns {number} The max purchase price
+   * @returns {{kind: 'success', purchasePrice: number} | {kind: 'failure', reason: 'insufficient-payment', minimumPayment: number}}
+   *   Failure when the payment cannot cover taxes, insurance and HOA even with no loan
    */
-  calculateMaxPurchasePrice(
+  solveMaxPurchasePrice(
     desiredMonthlyPayment,
     rate,
     term,
@@ -71,44 +230,227 @@ class MortgageCalculator {
     hoaFee,
     principalBuydown = 0
   ) {
-    const monthlyRate = rate / 100 / 12;
-    const numberOfPayments = term * 12;
+    // Monthly tax per dollar of purchase price
+    const taxPerDollar = taxRate / 1000 / 12;
+    const available = desiredMonthlyPayment - insurance - hoaFee;
 
-    const principal = desiredMonthlyPayment * numberOfPayments;
+    // The purchase price can never be below the principal bought down
+    const minimumTax = this.calculateMonthlyTax(principalBuydown, taxRate);
+    if (available < minimumTax) {
+      return {
+        kind: "failure",
+        reason: "insufficient-payment",
+        minimumPayment: minimumTax + insurance + hoaFee,
+      };
+    }
 
-    let low = 0;
-    let high = principal * 2;
+    if (this.roundingMode === "naca") {
+      return {
+        kind: "success",
+        purchasePrice: this.solveNacaMaxPurchasePrice(
+          available,
+          rate,
+          term,
+          taxRate,
+          principalBuydown
+        ),
+      };
+    }
+
+    const fitsPayment = (price) =>
+      this.calculateBaseMonthlyPayment(
+        Math.max(price - principalBuydown, 0),
+        rate,
+        term
+      ) +
+        this.calculateMonthlyTax(price, taxRate) +
+        insurance +
+        hoaFee <=
+      desiredMonthlyPayment + 1e-9;
+
+    // Unrounded solution of: P&I(price - buydown) + price * taxPerDollar = available
+    const paymentPerDollar = 1 / this.calculatePresentValue(1, rate, term);
+    const estimate =
+      (available + principalBuydown * paymentPerDollar) /
+      (paymentPerDollar + taxPerDollar);
+
+    // Walk down from the estimated whole-dollar tax until a price lands in that tax bracket
+    let tax = Math.max(Math.round(estimate * taxPerDollar) + 1, minimumTax);
+    for (; tax >= minimumTax; tax--) {
+      let price =
+        principalBuydown +
+        this.calculatePresentValue(available - tax, rate, term);
+      if (taxPerDollar > 0) {
+        // Highest price that still rounds to this tax amount
+        price = Math.min(price, (tax + 0.5) / taxPerDollar);
+      }
+      price = Math.floor(price * 100) / 100;
+
+      // Step off the bracket edge and any floating point overshoot (a cent or two at most)
+      let steps = 0;
+      while (steps < 3 && price > principalBuydown && !fitsPayment(price)) {
+        price = Math.round((price - 0.01) * 100) / 100;
+        steps++;
+      }
+
+      if (
+        this.calculateMonthlyTax(price, taxRate) === tax &&
+        fitsPayment(price)
+      ) {
+        return { kind: "success", purchasePrice: price };
+      }
+    }
+
+    return { kind: "success", purchasePrice: principalBuydown };
+  }
+
+  /**
+   * Check the rules that span more than one input, which calculateRaw would otherwise
+   * quietly work around:
+   * - "buydown-exceeds-price": price mode, the principal buydown is more than the price
+   * - "insufficient-payment": payment mode, the desired payment can't cover taxes,
+   *   insurance and HOA (see solveMaxPurchasePrice)
+   * - "rate-below-cap": the rate is bought down more than 1.5% below originalRate
+   * Each error names the input it belongs to.
+   *
+   * @param {Object} inputs - Validated input object, as for calculateRaw
+   * @param {number} [originalRate=inputs.rate] The rate before any interest rate buydown
+   * @returns {{kind: 'success'} | {kind: 'failure', errors: Array<{reason: 'buydown-exceeds-price'|'insufficient-payment'|'rate-below-cap', field: 'principalBuydown'|'price'|'rate', message: string, limit: number}>}}
+   *   limit is the price the buydown can't exceed, the minimum payment or the minimum rate
+   */
+  validateInputs(inputs, originalRate = inputs.rate) {
+    const {
+      price,
+      term,
+      rate,
+      tax,
+      insurance,
+      hoaFee,
+      principalBuydown = 0,
+    } = inputs;
+    const errors = [];
+
+    if (this.calcMethod === "price" && principalBuydown > price) {
+      errors.push({
+        reason: "buydown-exceeds-price",
+        field: "principalBuydown",
+        message: `Principal buydown can't be more than the ${this.formatNumber(price)} purchase price`,
+        limit: price,
+      });
+    }
+
+    if (this.calcMethod === "payment") {
+      const solution = this.solveMaxPurchasePrice(
+        price,
+        rate,
+        term,
+        tax,
+        insurance,
+        hoaFee,
+        principalBuydown
+      );
+      if (solution.kind === "failure") {
+        errors.push({
+          reason: "insufficient-payment",
+          field: "price",
+          message: `Payment must cover at least ${this.formatNumber(solution.minimumPayment)} of taxes, insurance and HOA`,
+          limit: solution.minimumPayment,
+        });
+      }
+    }
+
+    // Rates come from sliders and dropdowns, so allow for floating point error
+    const minimumRate = originalRate - MAX_RATE_BUYDOWN;
+    if (rate < minimumRate - 1e-9) {
+      errors.push({
+        reason: "rate-below-cap",
+        field: "rate",
+        message: `Rate can't be bought down more than ${MAX_RATE_BUYDOWN}% (to ${minimumRate.toFixed(3)}%)`,
+        limit: minimumRate,
+      });
+    }
+
+    return errors.length > 0
+      ? { kind: "failure", errors }
+      : { kind: "success" };
+  }
+
+  /**
+   * NACA's payment-mode price search (computePrice in scripts/mortgage-calculator.js).
+   * Adjusts the P&I in whole dollars until P&I + taxes meets the available payment and
+   * returns the price from the iteration before it settled, which can exceed the desired
+   * payment by a few dollars. Taxes are charged on the loan only, as NACA does.
+   * @param {number} available The desired payment less insurance and HOA
+   * @param {number} rate The annual interest rate
+   * @param {number} term The term of the mortgage in years
+   * @param {number} taxRate The tax rate per $1000 of mortgage
+   * @param {number} principalBuydown The amount of principal to buy down
+   * @returns {number} The max purchase price
+   */
+  solveNacaMaxPurchasePrice(available, rate, term, taxRate, principalBuydown) {
+    let principalInterest = available;
+    let price = this.calculatePresentValue(principalInterest, rate, term);
+    let previousPrice = price;
+    let taxes = (price * taxRate) / 1000 / 12;
     let iterations = 0;
-    const maxIterations = 1000;
-    let totalMonthlyPayment = 0;
-    let guess = 0;
+
     while (
-      iterations < maxIterations &&
-      Math.abs(totalMonthlyPayment - desiredMonthlyPayment) > 0.01
+      Math.abs(principalInterest + taxes - available) > 0 &&
+      iterations < 1000
     ) {
-      guess = (low + high) / 2;
-      const loanAmount =
-        guess - principalBuydown > 0 ? guess - principalBuydown : 0;
-      totalMonthlyPayment =
-        this.calculateBaseMonthlyPayment(loanAmount, rate, term) +
-        this.calculateMonthlyTax(guess, taxRate) +
-        insurance +
-        hoaFee;
-      if (totalMonthlyPayment > desiredMonthlyPayment) {
-        high = guess;
-      } else {
-        low = guess;
-      }
+      previousPrice = price;
+      price = this.calculatePresentValue(principalInterest, rate, term);
+      taxes = this.calculateMonthlyTax(price, taxRate);
+
+      principalInterest -= Math.round(
+        (principalInterest + taxes - available) / 2
+      );
+
+      if (previousPrice === price && iterations > 0) break;
       iterations++;
     }
 
-    return guess;
+    return previousPrice + principalBuydown;
+  }
+
+  /**
+   * Given a desired max monthly payment, calculate the max purchase price
+   * @param {number} desiredMonthlyPayment The desired max monthly payment
+   * @param {number} rate The annual interest rate
+   * @param {number} term The term of the mortgage in years
+   * @param {number} taxRate The tax rate per $1000 of mortgage
+   * @param {number} insurance The monthly insurance amount
+   * @param {number} hoaFee The monthly HOA/Condo fee
+   * @param {number} [principalBuydown=0] The amount of principal to buy down
+   * @returns {number} The max purchase price, or 0 if the payment cannot cover taxes, insurance and HOA
+   */
+  calculateMaxPurchasePrice(
+    desiredMonthlyPayment,
+    rate,
+    term,
+    taxRate,
+    insurance,
+    hoaFee,
+    principalBuydown = 0
+  ) {
+    const solution = this.solveMaxPurchasePrice(
+      desiredMonthlyPayment,
+      rate,
+      term,
+      taxRate,
+      insurance,
+      hoaFee,
+      principalBuydown
+    );
+
+    return solution.kind === "success" ? solution.purchasePrice : 0;
   }
 
   /**
    * Interest rate buydown calculator. Calculates the cost to buy down the interest rate.
-   * Assumes 1 point (costing 1% of principal) buys a 1/6% rate reduction for 30 or 20 year mortgages.
-   * Assumes 1 point (costing 1% of principal) buys a 1/4% rate reduction for 15 year mortgages.
+   * 1 point costs 1% of principal; the rate reduction it buys depends on the term and
+   * comes from the points multiplier table (see setPointsMultipliers). By default that
+   * is 1/4% for terms up to 15 years and 1/6% for longer terms.
    *
    * @param {number} principal The principal amount of the mortgage
    * @param {number} rate The starting annual interest rate (e.g., 6.5 for 6.5%)
@@ -129,7 +471,6 @@ class MortgageCalculator {
     }
 
     // Enforce a maximum buydown of 1.5%
-    const MAX_RATE_BUYDOWN = 1.5;
     const minAllowedRate = rate - MAX_RATE_BUYDOWN;
     const effectiveDesiredRate = Math.max(desiredRate, minAllowedRate);
     const rateDifference = rate - effectiveDesiredRate;
@@ -138,18 +479,8 @@ class MortgageCalculator {
       return 0; // No cost if the desired rate is not lower
     }
 
-    let pointsMultiplier;
-    if (term === 15) {
-      // For 15 year term, 1 point buys 1/4% reduction (0.25)
-      // Points = RateDifference / (1/4) = RateDifference * 4
-      pointsMultiplier = 4;
-    } else {
-      // For other terms (e.g., 20, 30), 1 point buys 1/6% reduction (~0.1667)
-      // Points = RateDifference / (1/6) = RateDifference * 6
-      pointsMultiplier = 6;
-    }
-
-    const pointsNeeded = rateDifference * pointsMultiplier;
+    // Points = RateDifference / (reduction per point) = RateDifference * multiplier
+    const pointsNeeded = rateDifference * this.getPointsMultiplier(term);
 
     // Calculate cost. 1 point costs 1% of the principal.
     // Cost = Points * (Principal * 1%) = Points * Principal / 100
@@ -158,6 +489,140 @@ class MortgageCalculator {
     return cost;
   }
 
+  /**
+   * Break-even analysis for an interest rate buydown: how long the lower P&I takes
+   * to repay the cost of the points, and what the buydown nets over time.
+   * The desired rate is capped like calculateInterestRateBuydown.
+   *
+   * @param {number} principal The principal amount of the mortgage
+   * @param {number} rate The starting annual interest rate
+   * @param {number} desiredRate The target annual interest rate
+   * @param {number} term The term of the mortgage in years
+   * @returns {{cost: number, originalPayment: number, buydownPayment: number, monthlySavings: number, breakEvenMonths: number|null, netSavings: Array<{years: number, netSavings: number}>}}
+   *   breakEvenMonths is null when the buydown never pays for itself within the term.
+   *   netSavings covers 5 and 10 years (when shorter than the term) and the full term.
+   */
+  calculateBuydownBreakEven(principal, rate, desiredRate, term) {
+    const cost = this.calculateInterestRateBuydown(
+      principal,
+      rate,
+      desiredRate,
+      term
+    );
+    const effectiveDesiredRate = Math.min(
+      Math.max(desiredRate, rate - MAX_RATE_BUYDOWN),
+      rate
+    );
+
+    const originalPayment = this.calculateBaseMonthlyPayment(
+      principal,
+      rate,
+      term
+    );
+    const buydownPayment = this.calculateBaseMonthlyPayment(
+      principal,
+      effectiveDesiredRate,
+      term
+    );
+    const monthlySavings = originalPayment - buydownPayment;
+
+    let breakEvenMonths = null;
+    if (cost === 0) {
+      breakEvenMonths = 0;
+    } else if (monthlySavings > 0) {
+      const months = Math.ceil(cost / monthlySavings);
+      breakEvenMonths = months <= term * 12 ? months : null;
+    }
+
+    const horizons = [5, 10].filter((years) => years < term).concat(term);
+    const netSavings = horizons.map((years) => ({
+      years,
+      netSavings: monthlySavings * years * 12 - cost,
+    }));
+
+    return {
+      cost,
+      originalPayment,
+      buydownPayment,
+      monthlySavings,
+      breakEvenMonths,
+      netSavings,
+    };
+  }
+
+  /**
+   * Find the best way to split a fixed cash budget between an interest rate buydown
+   * and a principal buydown for a purchase price.
+   * Every rate reduction up to MAX_RATE_BUYDOWN is tried in rateStep increments; the
+   * rest of the budget goes to principal, rounded down to principalStep. Points are
+   * priced on the full purchase price, matching the interest rate buydown slider.
+   *
+   * @param {Object} inputs Price-mode inputs: price (the purchase price), term, rate, tax, insurance and hoaFee
+   * @param {number} budget The cash available for buydowns
+   * @param {Object} [options={}]
+   * @param {'payment'|'interest'} [options.objective='payment'] Minimize the monthly payment or the total interest
+   * @param {number} [options.rateStep=0.001] Rate reduction increment, in percent
+   * @param {number} [options.principalStep=1] Principal buydown increment, in dollars
+   * @returns {{desiredRate: number, rateBuydownCost: number, principalBuydown: number, totalCost: number, monthlyPayment: number, principalInterest: number, totalInterest: number}}
+   */
+  optimizeBuydownAllocation(inputs, budget, options = {}) {
+    const {
+      objective = "payment",
+      rateStep = 0.001,
+      principalStep = 1,
+    } = options;
+    const { price, term, rate, tax, insurance, hoaFee } = inputs;
+    const cash = Math.max(budget, 0);
+
+    const monthlyTax = this.calculateMonthlyTax(price, tax);
+    const maxReduction = Math.min(MAX_RATE_BUYDOWN, rate);
+    const steps = Math.floor(maxReduction / rateStep + 1e-9);
+
+    let best = null;
+    for (let step = 0; step <= steps; step++) {
+      // Round away floating point drift so the rate matches a slider position
+      const desiredRate = Number((rate - step * rateStep).toFixed(6));
+      const rateBuydownCost = this.calculateInterestRateBuydown(
+        price,
+        rate,
+        desiredRate,
+        term
+      );
+      // Allow for floating point error in the cost of an exactly affordable buydown
+      if (rateBuydownCost > cash + 1e-6) break;
+
+      const remaining = Math.max(cash - rateBuydownCost, 0);
+      const principalBuydown = Math.min(
+        Math.floor(remaining / principalStep + 1e-9) * principalStep,
+        price
+      );
+      const loanAmount = price - principalBuydown;
+      const principalInterest =
+        loanAmount > 0
+          ? this.calculateBaseMonthlyPayment(loanAmount, desiredRate, term)
+          : 0;
+      const totalInterest = principalInterest * term * 12 - loanAmount;
+      const score =
+        objective === "interest" ? totalInterest : principalInterest;
+
+      if (best === null || score < best.score) {
+        best = {
+          score,
+          desiredRate,
+          rateBuydownCost,
+          principalBuydown,
+          totalCost: rateBuydownCost + principalBuydown,
+          monthlyPayment: principalInterest + monthlyTax + insurance + hoaFee,
+          principalInterest,
+          totalInterest,
+        };
+      }
+    }
+
+    const { score, ...allocation } = best;
+    return allocation;
+  }
+
   /**
    * Calculate the monthly payment, purchase price, principal & interest, taxes, insurance, and HOA/Condo fee.
    * @param {number} price The purchase price of the house
@@ -167,7 +632,11 @@ class MortgageCalculator {
    * @param {number} insurance The monthly insurance amount
    * @param {number} hoaFee The monthly HOA/Condo fee
    * @param {number} [principalBuydown=0] The amount of principal to buy down
-   * @returns {Object} An object containing the monthly payment, purchase price, principal & interest, taxes, insurance, and HOA/Condo fee.
+   * @param {number} [grossMonthlyIncome] Income mode: gross monthly income (price is ignored)
+   * @param {number} [monthlyDebts=0] Income mode: other recurring monthly debt payments
+   * @param {number} [frontEndRatio=31] Income mode: max PITI as a percentage of income
+   * @param {number} [backEndRatio=43] Income mode: max PITI plus debts as a percentage of income
+   * @returns {Object} An object containing the monthly payment, purchase price, principal & interest, taxes, insurance, and HOA/Condo fee. Income mode adds the ratio limits and which one is binding.
    */
   calculate(inputs) {
     const {
@@ -180,8 +649,12 @@ class MortgageCalculator {
       principalBuydown = 0, // Default to 0 if not provided
     } = inputs;
 
-    if (this.calcMethod === "payment") {
-      const desiredMonthlyPayment = price;
+    if (this.calcMethod === "payment" || this.calcMethod === "income") {
+      // Income mode solves for the largest payment the ratio limits allow
+      const affordability = this.getIncomeAffordability(inputs);
+      const desiredMonthlyPayment = affordability
+        ? affordability.maxMonthlyPayment
+        : price;
 
       // 1. Calculate max purchase price based on desired payment and *bought-down rate*
       const purchasePrice = this.calculateMaxPurchasePrice(
@@ -214,6 +687,11 @@ class MortgageCalculator {
         taxes: this.formatNumber(monthlyTax),
         insuranceAmount: this.formatNumber(insurance),
         hoaFee: this.formatNumber(hoaFee),
+        ...(affordability && {
+          frontEndLimit: this.formatNumber(affordability.frontEndLimit),
+          backEndLimit: this.formatNumber(affordability.backEndLimit),
+          bindingRatio: affordability.bindingRatio,
+        }),
       };
     } else {
       // calcMethod === 'price'
@@ -246,6 +724,270 @@ class MortgageCalculator {
     }
   }
 
+  /**
+   * Generate the full amortization schedule for a mortgage.
+   * Uses the same inputs as calculateRaw, so in "payment" mode the loan amount is
+   * derived from the max purchase price for the desired payment.
+   * Equity is the principal buydown plus all principal repaid so far.
+   * Extra payments go straight to principal on top of the regular payment, which
+   * stays the same, so the loan pays off early.
+   * @param {Object} inputs - Validated input object
+   * @param {Object} [extraPayments={}] Extra principal payments
+   * @param {number} [extraPayments.monthly=0] Extra principal paid with every payment
+   * @param {number} [extraPayments.annual=0] Lump sum paid once per loan year
+   * @param {number} [extraPayments.annualMonth=12] Which payment of each loan year (1-12) carries the lump sum
+   * @param {Array<{month: number, amount: number}>} [extraPayments.oneTime=[]] One-time prepayments made with the given payment number
+   * @returns {Object} The loan summary, every monthly payment period and yearly rollups
+   */
+  generateAmortizationSchedule(inputs, extraPayments = {}) {
+    const { term, rate, principalBuydown = 0 } = inputs;
+    const { purchasePrice } = this.calculateRaw(inputs);
+
+    const loanAmount = Math.max(purchasePrice - principalBuydown, 0);
+    const monthlyRate = rate / 100 / 12;
+    const numberOfPayments = term * 12;
+    const monthlyPayment =
+      loanAmount > 0
+        ? this.calculateBaseMonthlyPayment(loanAmount, rate, term)
+        : 0;
+
+    const payments = [];
+    const yearly = [];
+    let balance = loanAmount;
+    let cumulativeInterest = 0;
+    let cumulativeEquity = Math.min(principalBuydown, purchasePrice);
+
+    let totalExtraPrincipal = 0;
+
+    for (let period = 1; period <= numberOfPayments && balance > 0; period++) {
+      const interest = balance * monthlyRate;
+      const scheduledPrincipal = monthlyPayment - interest;
+      const isFinalPayment = period === numberOfPayments;
+      // The final payment clears whatever balance is left after rounding drift
+      const principal = isFinalPayment
+        ? balance
+        : Math.min(
+            scheduledPrincipal + this.getExtraPayment(extraPayments, period),
+            balance
+          );
+      const extraPrincipal = isFinalPayment
+        ? 0
+        : Math.max(principal - scheduledPrincipal, 0);
+
+      balance -= principal;
+      cumulativeInterest += interest;
+      cumulativeEquity += principal;
+      totalExtraPrincipal += extraPrincipal;
+
+      const year = Math.ceil(period / 12);
+      payments.push({
+        period,
+        year,
+        payment: principal + interest,
+        principal,
+        extraPrincipal,
+        interest,
+        balance,
+        cumulativeInterest,
+        cumulativeEquity,
+        equityPercent:
+          purchasePrice > 0 ? (cumulativeEquity / purchasePrice) * 100 : 0,
+      });
+
+      if (yearly.length < year) {
+        yearly.push({
+          year,
+          principal: 0,
+          interest: 0,
+          balance: 0,
+          cumulativeInterest: 0,
+          cumulativeEquity: 0,
+          equityPercent: 0,
+        });
+      }
+      const rollup = yearly[year - 1];
+      rollup.principal += principal;
+      rollup.interest += interest;
+      rollup.balance = balance;
+      rollup.cumulativeInterest = cumulativeInterest;
+      rollup.cumulativeEquity = cumulativeEquity;
+      rollup.equityPercent = payments[payments.length - 1].equityPercent;
+    }
+
+    return {
+      purchasePrice,
+      loanAmount,
+      monthlyPayment,
+      numberOfPayments: payments.length,
+      totalInterest: cumulativeInterest,
+      totalExtraPrincipal,
+      totalPaid: loanAmount + cumulativeInterest,
+      payments,
+      yearly,
+    };
+  }
+
+  /**
+   * The extra principal paid with a given payment
+   * @param {Object} extraPayments See generateAmortizationSchedule
+   * @param {number} period The payment number, starting at 1
+   * @returns {number} The extra principal for that payment
+   */
+  getExtraPayment(extraPayments, period) {
+    const {
+      monthly = 0,
+      annual = 0,
+      annualMonth = 12,
+      oneTime = [],
+    } = extraPayments;
+
+    const annualExtra = (period - annualMonth) % 12 === 0 ? annual : 0;
+    const oneTimeExtra = oneTime
+      .filter((prepayment) => prepayment.month === period)
+      .reduce((sum, prepayment) => sum + prepayment.amount, 0);
+
+    return monthly + annualExtra + oneTimeExtra;
+  }
+
+  /**
+   * Compare a loan paid with extra principal payments against the regular schedule.
+   * @param {Object} inputs - Validated input object
+   * @param {Object} extraPayments See generateAmortizationSchedule
+   * @param {Date} [startDate=new Date()] The date of the first payment
+   * @returns {{schedule: Object, baseline: Object, payoffDate: Date, originalPayoffDate: Date, monthsSaved: number, interestSaved: number}}
+   */
+  calculateEarlyPayoff(inputs, extraPayments, startDate = new Date()) {
+    const baseline = this.generateAmortizationSchedule(inputs);
+    const schedule = this.generateAmortizationSchedule(inputs, extraPayments);
+
+    return {
+      schedule,
+      baseline,
+      payoffDate: this.getPaymentDate(startDate, schedule.numberOfPayments),
+      originalPayoffDate: this.getPaymentDate(
+        startDate,
+        baseline.numberOfPayments
+      ),
+      monthsSaved: baseline.numberOfPayments - schedule.numberOfPayments,
+      interestSaved: baseline.totalInterest - schedule.totalInterest,
+    };
+  }
+
+  /**
+   * The month a payment falls in: payment n is made (n - 1) months after the first
+   * @param {Date} startDate The date of the first payment
+   * @param {number} paymentNumber The payment number, starting at 1
+   * @returns {Date} The first day of that payment's month
+   */
+  getPaymentDate(startDate, paymentNumber) {
+    return new Date(
+      startDate.getFullYear(),
+      startDate.getMonth() + paymentNumber - 1,
+      1
+    );
+  }
+
+  /**
+   * Compare 2 to 6 named scenarios side by side, with deltas against a baseline.
+   * Each scenario is calculated in its own calcMethod (default: this calculator's)
+   * with this calculator's rounding mode and points multipliers.
+   * Cash needed is the principal buydown plus the cost of buying the rate down from
+   * originalRate (default: no rate buydown) to inputs.rate, priced on the purchase price.
+   *
+   * @param {Array<{name: string, inputs: Object, calcMethod?: 'payment'|'price'|'income', originalRate?: number, extraPayments?: Object}>} scenarios
+   * @param {number} [baselineIndex=0] The scenario the others are compared against
+   * @param {Date} [startDate=new Date()] The date of the first payment
+   * @returns {{kind: 'success', baselineIndex: number, results: Array<Object>} | {kind: 'failure', reason: 'scenario-count'|'invalid-baseline', message: string}}
+   *   Each result has name, purchasePrice, monthlyPayment, principalInterest, totalInterest,
+   *   cashNeeded, numberOfPayments, payoffDate and deltas (this result minus the baseline's).
+   */
+  compareScenarios(scenarios, baselineIndex = 0, startDate = new Date()) {
+    if (scenarios.length < MIN_SCENARIOS || scenarios.length > MAX_SCENARIOS) {
+      return {
+        kind: "failure",
+        reason: "scenario-count",
+        message: `Compare between ${MIN_SCENARIOS} and ${MAX_SCENARIOS} scenarios`,
+      };
+    }
+    if (
+      !Number.isInteger(baselineIndex) ||
+      baselineIndex < 0 ||
+      baselineIndex >= scenarios.length
+    ) {
+      return {
+        kind: "failure",
+        reason: "invalid-baseline",
+        message: "Baseline must be one of the scenarios",
+      };
+    }
+
+    const summaries = scenarios.map((scenario) => {
+      const calculator = new MortgageCalculator();
+      calculator.setRoundingMode(this.roundingMode);
+      calculator.setPointsMultipliers(this.pointsMultipliers);
+      calculator.setCalcMethod(scenario.calcMethod || this.calcMethod);
+
+      const { inputs } = scenario;
+      const raw = calculator.calculateRaw(inputs);
+      const schedule = calculator.generateAmortizationSchedule(
+        inputs,
+        scenario.extraPayments
+      );
+      const rateBuydownCost = calculator.calculateInterestRateBuydown(
+        raw.purchasePrice,
+        scenario.originalRate ?? inputs.rate,
+        inputs.rate,
+        inputs.term
+      );
+
+      return {
+        name: scenario.name,
+        purchasePrice: raw.purchasePrice,
+        monthlyPayment: raw.monthlyPayment,
+        principalInterest: raw.principalInterest,
+        totalInterest: schedule.totalInterest,
+        cashNeeded: (inputs.principalBuydown || 0) + rateBuydownCost,
+        numberOfPayments: schedule.numberOfPayments,
+        payoffDate: this.getPaymentDate(startDate, schedule.numberOfPayments),
+      };
+    });
+
+    const baseline = summaries[baselineIndex];
+    const results = summaries.map((summary) => ({
+      ...summary,
+      deltas: {
+        purchasePrice: summary.purchasePrice - baseline.purchasePrice,
+        monthlyPayment: summary.monthlyPayment - baseline.monthlyPayment,
+        principalInterest:
+          summary.principalInterest - baseline.principalInterest,
+        totalInterest: summary.totalInterest - baseline.totalInterest,
+        cashNeeded: summary.cashNeeded - baseline.cashNeeded,
+        numberOfPayments: summary.numberOfPayments - baseline.numberOfPayments,
+      },
+    }));
+
+    return { kind: "success", baselineIndex, results };
+  }
+
+  /**
+   * The income-mode ratio limits for the inputs, or null in the other modes
+   * @param {Object} inputs - Input object with grossMonthlyIncome, monthlyDebts, frontEndRatio and backEndRatio
+   * @returns {Object|null} See calculateIncomeAffordability
+   */
+  getIncomeAffordability(inputs) {
+    if (this.calcMethod !== "income") {
+      return null;
+    }
+    const { grossMonthlyIncome, monthlyDebts, frontEndRatio, backEndRatio } =
+      inputs;
+    return this.calculateIncomeAffordability(
+      grossMonthlyIncome,
+      monthlyDebts,
+      frontEndRatio,
+      backEndRatio
+    );
+  }
+
   /**
    * Calculate mortgage details and return raw numbers (not formatted strings)
    * @param {Object} inputs - Validated input object
@@ -262,8 +1004,11 @@ class MortgageCalculator {
       principalBuydown = 0,
     } = inputs;
 
-    if (this.calcMethod === "payment") {
-      const desiredMonthlyPayment = price;
+    if (this.calcMethod === "payment" || this.calcMethod === "income") {
+      const affordability = this.getIncomeAffordability(inputs);
+      const desiredMonthlyPayment = affordability
+        ? affordability.maxMonthlyPayment
+        : price;
 
       const purchasePrice = this.calculateMaxPurchasePrice(
         desiredMonthlyPayment,
@@ -291,6 +1036,11 @@ class MortgageCalculator {
         taxes: monthlyTax,
         insurance: insurance,
         hoaFee: hoaFee,
+        ...(affordability && {
+          frontEndLimit: affordability.frontEndLimit,
+          backEndLimit: affordability.backEndLimit,
+          bindingRatio: affordability.bindingRatio,
+        }),
       };
     } else {
       // calcMethod === 'price'
@@ -319,4 +1069,4 @@ class MortgageCalculator {
   }
 }
 
-export { MortgageCalculator };
+export { MortgageCalculator, MAX_RATE_BUYDOWN };
@@ -0,0 +1,136 @@
+// The most calculations the history keeps; older ones drop off the recent list
+const MAX_HISTORY_ENTRIES = 20;
+
+/**
+ * A history with nothing calculated yet. entries are the calculations undo and redo
+ * step through, oldest first, each a calculator state (see store.js) with the time
+ * it was made; index is the entry the page is showing. recent is every committed
+ * calculation, oldest first, for the recent scenarios list; undoing and then
+ * calculating again never drops anything from it.
+ */
+const EMPTY_HISTORY = { entries: [], index: -1, recent: [] };
+
+// Whether two calculator states have the same inputs, and so the same results
+function isSameCalculation(a, b) {
+  return (
+    a.calcMethod === b.calcMethod &&
+    a.term === b.term &&
+    a.originalRate === b.originalRate &&
+    a.desiredRate === b.desiredRate &&
+    a.principalBuydown === b.principalBuydown &&
+    JSON.stringify(a.inputs) === JSON.stringify(b.inputs)
+  );
+}
+
+// Make an entry the newest undo step. Entries that were undone are dropped, as in an
+// editor, so redo never jumps past it; they stay on the recent list.
+function pushEntry(history, entry) {
+  const entries = history.entries
+    .slice(0, history.index + 1)
+    .concat(entry)
+    .slice(-MAX_HISTORY_ENTRIES);
+  return { ...history, entries, index: entries.length - 1 };
+}
+
+/**
+ * Record a committed calculation (a Calculate click or a slider release) as the
+ * newest entry and add it to the recent list. Nothing is recorded without a result
+ * or when the inputs match the entry being shown.
+ * @param {{entries: Array<{state: Object, savedAt: number}>, index: number, recent: Array<{state: Object, savedAt: number}>}} history
+ * @param {Object} state A calculator state
+ * @param {number} [savedAt=Date.now()] When the calculation was made, in milliseconds
+ * @returns {{entries: Array<{state: Object, savedAt: number}>, index: number, recent: Array<{state: Object, savedAt: number}>}} The new history
+ */
+function recordCalculation(history, state, savedAt = Date.now()) {
+  const current = history.entries[history.index];
+  if (!state.result || (current && isSameCalculation(current.state, state))) {
+    return history;
+  }
+
+  const entry = { state, savedAt };
+  return {
+    ...pushEntry(history, entry),
+    recent: history.recent.concat(entry).slice(-MAX_HISTORY_ENTRIES),
+  };
+}
+
+/**
+ * Show a calculation picked from the recent list. It becomes the newest undo step,
+ * so undo goes back to what was showing before; the recent list stays as it is.
+ * @param {{entries: Array, index: number, recent: Array}} history
+ * @param {number} index The recent entry to show; out of range leaves the history as is
+ * @returns {{entries: Array, index: number, recent: Array}}
+ */
+function restoreRecentCalculation(history, index) {
+  const entry = history.recent[index];
+  if (!entry || isRecentCalculationShown(history, index)) return history;
+  return pushEntry(history, entry);
+}
+
+/**
+ * Whether a recent entry is the calculation the page is showing
+ * @param {{entries: Array, index: number, recent: Array}} history
+ * @param {number} index The recent entry
+ * @returns {boolean}
+ */
+function isRecentCalculationShown(history, index) {
+  const current = history.entries[history.index];
+  return Boolean(current) && history.recent[index]?.savedAt === current.savedAt;
+}
+
+/**
+ * Show another undo entry
+ * @param {{entries: Array, index: number, recent: Array}} history
+ * @param {number} index The entry to show; out of range leaves the history as is
+ * @returns {{entries: Array, index: number, recent: Array}}
+ */
+function goToCalculation(history, index) {
+  if (index < 0 || index >= history.entries.length) return history;
+  return { ...history, index };
+}
+
+// The entry before the one being shown, or the history as is at the oldest
+function undoCalculation(history) {
+  return goToCalculation(history, history.index - 1);
+}
+
+// The entry after the one being shown, or the history as is at the newest
+function redoCalculation(history) {
+  return goToCalculation(history, history.index + 1);
+}
+
+function canUndo(history) {
+  return history.index > 0;
+}
+
+function canRedo(history) {
+  return history.index < history.entries.length - 1;
+}
+
+/**
+ * The history command for a key press: Ctrl+Z (⌘Z on a Mac) undoes, and
+ * Ctrl+Shift+Z or Ctrl+Y redoes
+ * @param {{key: string, ctrlKey: boolean, metaKey: boolean, shiftKey: boolean, altKey: boolean}} event A keydown event
+ * @returns {'undo'|'redo'|null}
+ */
+function getHistoryShortcut(event) {
+  if (!(event.ctrlKey || event.metaKey) || event.altKey) return null;
+  const key = event.key.toLowerCase();
+  if (key === "z") return event.shiftKey ? "redo" : "undo";
+  if (key === "y" && !event.shiftKey) return "redo";
+  return null;
+}
+
+export {
+  MAX_HISTORY_ENTRIES,
+  EMPTY_HISTORY,
+  recordCalculation,
+  restoreRecentCalculation,
+  isRecentCalculationShown,
+  goToCalculation,
+  undoCalculation,
+  redoCalculation,
+  canUndo,
+  canRedo,
+  getHistoryShortcut,
+};
@@ -0,0 +1,470 @@
+// Messages shown when a locale has no translation for a key
+const FALLBACK_LOCALE = "en";
+
+// Catalogs are plain language codes; amounts are formatted with these regional
+// locales so dollars read naturally ("$1,234.50") in both languages
+const NUMBER_LOCALES = { en: "en-US", es: "es-US" };
+
+/**
+ * Translated messages by language, with {name} placeholders.
+ * Add a language by adding a catalog here; missing keys fall back to English.
+ */
+const MESSAGES = {
+  en: {
+    // Validation
+    required: "Required",
+    mustBeNumber: "Must be a number",
+    mustBePositive: "Must be positive",
+    mustBeNonNegative: "Must be non-negative",
+    mustBeDollarAmount: "Must be a dollar amount",
+    invalidTerm:
+      "Invalid term. Must be a whole number of years from {min} to {max}",
+    rateMustBeNumber: "Rate must be a number",
+    rateMustBePositive: "Rate must be positive",
+    taxMustBeNumber: "Property tax must be a number",
+    invalidTaxRate: "Invalid property tax rate",
+    mustBeUrl: "Must be a URL",
+    mustBeHttpUrl: "Must start with http:// or https://",
+    paymentNumberRange: "Must be a payment number from 1 to {max}",
+    buydownExceedsPrice:
+      "Principal buydown can't be more than the {price} purchase price",
+    insufficientPayment:
+      "Payment must cover at least {amount} of taxes, insurance and HOA",
+    rateBelowCap: "Rate can't be bought down more than 1.5% (to {rate}%)",
+    priceUnderTypical: "Purchase price is under {amount}",
+    paymentOnlyCoversCosts:
+      "Payment does not cover more than taxes and insurance",
+    insuranceOverTypical: "Insurance is over {amount} a month",
+    hoaOverPrincipalInterest: "HOA fee is more than principal and interest",
+
+    // Field names in error and warning lists
+    fieldPrice: "Price/Payment",
+    fieldTerm: "Loan Term",
+    fieldRate: "Interest Rate",
+    fieldTax: "Property Tax",
+    fieldInsurance: "Insurance",
+    fieldHoaFee: "HOA/Condo Fee",
+    fieldPrincipalBuydown: "Principal Buydown",
+    fieldExtraMonthly: "Extra Monthly Principal",
+    fieldExtraAnnual: "Annual Lump Sum",
+    fieldExtraOneTime: "One-Time Prepayment",
+    fieldExtraOneTimeMonth: "Prepayment Month",
+    fieldBuydownBudget: "Buydown Cash Budget",
+    fieldMaxMonthlyPayment: "Max Monthly Payment",
+
+    // MSA lookup
+    msaEnterAddress: "Please enter an address.",
+    msaLookingUp: "Looking up address...",
+    msaDataFound: "Data found for: {address}",
+    msaNoData: "Could not retrieve data for this address.",
+    msaError: "Error: {message}",
+    msaFetchFailed: "Failed to fetch income data from the server.",
+
+    // Saved properties
+    propertyNeedsAddress: "Enter the property's address or listing URL.",
+    propertyInvalidListingUrl:
+      "The listing URL must be an http or https web address.",
+    propertySaved: "Saved to {address}. Scenarios saved: {count}.",
+    propertySaveFailed: "Couldn't save the property.",
+    propertyOpened: "Opened {address}.",
+    propertiesNoMatch: "No saved properties match the filter.",
+    propertySummary: "{payment}/mo · {price}",
+    propertyTractPercent: "Tract at {percent}% of MSA",
+    propertyScenarios: "Scenarios: {count}",
+    openProperty: "Open",
+    deleteProperty: "Delete",
+    openListing: "Listing",
+
+    // Calculator and comparison status
+    calculateFirst: "Calculate your mortgage first.",
+    rateCapReached: "{rate}% (1.5% cap reached)",
+    breakEvenMonths: "Pays for itself in {months}",
+    breakEvenNever: "Does not pay for itself within the loan term",
+    buydownSplit:
+      "Buy the rate down to {rate}% ({cost}) and buy down {principal} of principal.",
+    listingFilledIn: "Filled in from the listing at {address}.",
+    listingFilledInNoAddress: "Filled in from this listing.",
+    selectionCalculated: "Calculated for the selected price of {price}.",
+    yearCount: "{count} years",
+    yearCountOne: "1 year",
+    monthCount: "{count} months",
+    monthCountOne: "1 month",
+    scenarioLimit: "You can compare up to {max} scenarios.",
+    scenarioAdded: 'Added "{name}" ({count} of {max}).',
+    scenarioDefaultName: "Scenario {number}",
+    removeScenario: "Remove {name}",
+    comparisonSame: "Same",
+    metricMonthlyPayment: "Monthly Payment",
+    metricPurchasePrice: "Purchase Price",
+    metricTotalInterest: "Total Interest",
+    metricCashNeeded: "Cash Needed",
+    metricPayoffDate: "Payoff Date",
+
+    // Rates and rate alerts
+    membershipLabelPriority: "Priority",
+    membershipLabelNonPriority: "Non-priority",
+    rateLabelPriority: "{term}-year priority",
+    rateLabelNonPriority: "{term}-year non-priority",
+    ratesChanged: "NACA rates changed",
+    rateChange: "{label}: {from}% → {to}%",
+
+    // Listing badges
+    badgeText: "NACA ≈ {payment}/mo",
+    badgeTitle: "Estimated NACA payment (PITI) at the {label} rate of {rate}%",
+    badgeWithinMax: ", within your {max} max",
+    badgeOverMax: ", over your {max} max",
+
+    // Settings
+    settingsSaved: "Settings saved.",
+    settingsRestored: "Default settings restored.",
+    settingsSaveFailed: "Could not save settings: {message}",
+
+    // Page labels
+    language: "Language",
+    navFeatures: "Features",
+    navCalculator: "Calculator",
+    navCompare: "Compare",
+    navMsaLookup: "MSA Lookup",
+    navExtension: "Extension",
+    calculatorTitle: "NACA Mortgage Calculator",
+    modePayment: "Enter your desired monthly payment(PITI)",
+    modePrice: "Enter Desired Purchase Price",
+    labelPrice: "Purchase Price / Payment",
+    placeholderPrice: "Enter amount",
+    placeholderDesiredPayment: "Enter desired monthly payment",
+    placeholderPurchasePrice: "Enter purchase price",
+    labelTerm: "Loan Term",
+    termYears: "{years} Years",
+    termYear: "1 Year",
+    membershipPriority: "Priority member rate",
+    membershipNonPriority: "Non-priority member rate",
+    labelRate: "Interest Rate (%)",
+    labelTax: "Property Tax",
+    titleTax: "The tax rate is per $1000 of mortgage",
+    labelInsurance: "Insurance (Monthly)",
+    placeholderInsurance: "Enter insurance amount",
+    labelHoaFee: "HOA/Condo Fee (Monthly)",
+    placeholderHoaFee: "Enter HOA/Condo fee",
+    labelDownPayment: "Down Payment",
+    noDownPayment: "NACA doesn't require a down payment!",
+    buydownOptions: "Buydown Options",
+    labelInterestRateBuydown: "Interest Rate Buydown",
+    titleInterestRateBuydown: "Reduce your interest rate",
+    maxBuydownHelp: "Max buydown: 1.5% below the selected interest rate.",
+    interestRateBuydownCost: "Interest Rate Buydown Cost:",
+    labelPrincipalBuydown: "Principal Buydown",
+    titlePrincipalBuydown: "Reduce your principal",
+    principalBuydownCost: "Principal Buydown Cost:",
+    calculate: "Calculate",
+    resultMonthlyPayment: "Monthly Payment:",
+    resultPurchasePrice: "Purchase Price:",
+    resultPrincipalInterest: "Principal & Interest:",
+    resultTaxes: "Taxes:",
+    resultInsurance: "Insurance:",
+    resultHoaFee: "HOA/Condo Fee:",
+    placeholderScenarioName: "Scenario name",
+    addToComparison: "Add to Comparison",
+    recentScenarios: "Recent Scenarios",
+    recentScenariosEmpty:
+      "Each calculation is listed here so you can go back to it.",
+    undo: "Undo",
+    redo: "Redo",
+    undoTitle: "Undo (Ctrl+Z)",
+    redoTitle: "Redo (Ctrl+Shift+Z)",
+    historySummary: "{payment}/mo · {price} · {term} years at {rate}%",
+    extraPayments: "Extra Payments",
+    labelExtraMonthly: "Extra Monthly Principal",
+    labelExtraAnnual: "Annual Lump Sum",
+    labelExtraOneTime: "One-Time Prepayment",
+    labelExtraOneTimeMonth: "At Payment #",
+    resultPayoffDate: "Payoff Date:",
+    resultTimeSaved: "Time Saved:",
+    resultInterestSaved: "Interest Saved:",
+    compareScenarios: "Compare Scenarios",
+    compareAgainst: "Compare Against",
+    compareEmpty: "Add at least two scenarios from the calculator above.",
+    clearScenarios: "Clear Scenarios",
+    msaLookup: "MSA Lookup",
+    labelAddress: "Enter Address",
+    placeholderAddress: "Enter full address",
+    lookupMsa: "Lookup MSA",
+    resultMsaIncome: "MSA Median Family Income:",
+    resultTractIncome: "Tract Median Family Income:",
+    resultTractPercent: "Tract Percent of MSA:",
+    resultYear: "Year:",
+    navProperties: "Properties",
+    savedProperties: "Saved Properties",
+    labelPropertyAddress: "Property Address",
+    labelListingUrl: "Listing URL",
+    saveProperty: "Save to Property",
+    labelSortBy: "Sort By",
+    labelFilterBy: "Filter By",
+    sortMonthlyPayment: "Monthly Payment",
+    sortTractPercent: "Tract Income %",
+    sortPrice: "Price",
+    sortAscending: "Low to High",
+    sortDescending: "High to Low",
+    placeholderMin: "Min",
+    placeholderMax: "Max",
+    propertiesEmpty: "Save a calculation to a property to track it here.",
+  },
+  es: {
+    required: "Obligatorio",
+    mustBeNumber: "Debe ser un número",
+    mustBePositive: "Debe ser positivo",
+    mustBeNonNegative: "No puede ser negativo",
+    mustBeDollarAmount: "Debe ser una cantidad en dólares",
+    invalidTerm:
+      "Plazo no válido. Debe ser un número entero de años entre {min} y {max}",
+    rateMustBeNumber: "La tasa debe ser un número",
+    rateMustBePositive: "La tasa debe ser positiva",
+    taxMustBeNumber: "El impuesto a la propiedad debe ser un número",
+    invalidTaxRate: "Tasa de impuesto a la propiedad no válida",
+    mustBeUrl: "Debe ser una URL",
+    mustBeHttpUrl: "Debe empezar con http:// o https://",
+    paymentNumberRange: "Debe ser un número de pago entre 1 y {max}",
+    buydownExceedsPrice:
+      "La reducción del capital no puede ser mayor que el precio de compra de {price}",
+    insufficientPayment:
+      "El pago debe cubrir al menos {amount} de impuestos, seguro y HOA",
+    rateBelowCap: "La tasa no se puede reducir más de 1.5% (hasta {rate}%)",
+    priceUnderTypical: "El precio de compra es menor de {amount}",
+    paymentOnlyCoversCosts:
+      "El pago no cubre más que los impuestos y el seguro",
+    insuranceOverTypical: "El seguro supera {amount} al mes",
+    hoaOverPrincipalInterest:
+      "La cuota de HOA es mayor que el capital e intereses",
+
+    fieldPrice: "Precio/Pago",
+    fieldTerm: "Plazo del préstamo",
+    fieldRate: "Tasa de interés",
+    fieldTax: "Impuesto a la propiedad",
+    fieldInsurance: "Seguro",
+    fieldHoaFee: "Cuota de HOA/condominio",
+    fieldPrincipalBuydown: "Reducción del capital",
+    fieldExtraMonthly: "Capital adicional mensual",
+    fieldExtraAnnual: "Pago anual único",
+    fieldExtraOneTime: "Prepago único",
+    fieldExtraOneTimeMonth: "Mes del prepago",
+    fieldBuydownBudget: "Presupuesto para reducción",
+    fieldMaxMonthlyPayment: "Pago mensual máximo",
+
+    msaEnterAddress: "Ingrese una dirección.",
+    msaLookingUp: "Buscando la dirección...",
+    msaDataFound: "Datos encontrados para: {address}",
+    msaNoData: "No se pudieron obtener datos para esta dirección.",
+    msaError: "Error: {message}",
+    msaFetchFailed:
+      "No se pudieron obtener los datos de ingresos del servidor.",
+
+    propertyNeedsAddress:
+      "Ingrese la dirección o el enlace del anuncio de la propiedad.",
+    propertyInvalidListingUrl:
+      "El enlace del anuncio debe ser una dirección web http o https.",
+    propertySaved: "Guardado en {address}. Escenarios guardados: {count}.",
+    propertySaveFailed: "No se pudo guardar la propiedad.",
+    propertyOpened: "Se abrió {address}.",
+    propertiesNoMatch: "Ninguna propiedad guardada coincide con el filtro.",
+    propertySummary: "{payment}/mes · {price}",
+    propertyTractPercent: "Sector al {percent}% del MSA",
+    propertyScenarios: "Escenarios: {count}",
+    openProperty: "Abrir",
+    deleteProperty: "Eliminar",
+    openListing: "Anuncio",
+
+    calculateFirst: "Primero calcule su hipoteca.",
+    rateCapReached: "{rate}% (se alcanzó el límite de 1.5%)",
+    breakEvenMonths: "Se paga solo en {months}",
+    breakEvenNever: "No se paga solo dentro del plazo del préstamo",
+    buydownSplit:
+      "Reduzca la tasa a {rate}% ({cost}) y reduzca {principal} del capital.",
+    listingFilledIn: "Completado con el anuncio en {address}.",
+    listingFilledInNoAddress: "Completado con este anuncio.",
+    selectionCalculated: "Calculado para el precio seleccionado de {price}.",
+    yearCount: "{count} años",
+    yearCountOne: "1 año",
+    monthCount: "{count} meses",
+    monthCountOne: "1 mes",
+    scenarioLimit: "Puede comparar hasta {max} escenarios.",
+    scenarioAdded: 'Se agregó "{name}" ({count} de {max}).',
+    scenarioDefaultName: "Escenario {number}",
+    removeScenario: "Quitar {name}",
+    comparisonSame: "Igual",
+    metricMonthlyPayment: "Pago mensual",
+    metricPurchasePrice: "Precio de compra",
+    metricTotalInterest: "Intereses totales",
+    metricCashNeeded: "Efectivo necesario",
+    metricPayoffDate: "Fecha de liquidación",
+
+    membershipLabelPriority: "Prioritario",
+    membershipLabelNonPriority: "No prioritario",
+    rateLabelPriority: "prioritaria a {term} años",
+    rateLabelNonPriority: "no prioritaria a {term} años",
+    ratesChanged: "Cambiaron las tasas de NACA",
+    rateChange: "{label}: {from}% → {to}%",
+
+    badgeText: "NACA ≈ {payment}/mes",
+    badgeTitle: "Pago estimado de NACA (PITI) con la tasa {label} de {rate}%",
+    badgeWithinMax: ", dentro de su máximo de {max}",
+    badgeOverMax: ", por encima de su máximo de {max}",
+
+    settingsSaved: "Configuración guardada.",
+    settingsRestored: "Se restableció la configuración predeterminada.",
+    settingsSaveFailed: "No se pudo guardar la configuración: {message}",
+
+    language: "Idioma",
+    navFeatures: "Características",
+    navCalculator: "Calculadora",
+    navCompare: "Comparar",
+    navMsaLookup: "Búsqueda de MSA",
+    navExtension: "Extensión",
+    calculatorTitle: "Calculadora de hipotecas NACA",
+    modePayment: "Ingrese el pago mensual deseado (PITI)",
+    modePrice: "Ingrese el precio de compra deseado",
+    labelPrice: "Precio de compra / Pago",
+    placeholderPrice: "Ingrese la cantidad",
+    placeholderDesiredPayment: "Ingrese el pago mensual deseado",
+    placeholderPurchasePrice: "Ingrese el precio de compra",
+    labelTerm: "Plazo del préstamo",
+    termYears: "{years} años",
+    termYear: "1 año",
+    membershipPriority: "Tasa de miembro prioritario",
+    membershipNonPriority: "Tasa de miembro no prioritario",
+    labelRate: "Tasa de interés (%)",
+    labelTax: "Impuesto a la propiedad",
+    titleTax: "La tasa de impuesto es por cada $1000 de hipoteca",
+    labelInsurance: "Seguro (mensual)",
+    placeholderInsurance: "Ingrese el monto del seguro",
+    labelHoaFee: "Cuota de HOA/condominio (mensual)",
+    placeholderHoaFee: "Ingrese la cuota de HOA/condominio",
+    labelDownPayment: "Pago inicial",
+    noDownPayment: "¡NACA no requiere pago inicial!",
+    buydownOptions: "Opciones de reducción",
+    labelInterestRateBuydown: "Reducción de la tasa de interés",
+    titleInterestRateBuydown: "Reduzca su tasa de interés",
+    maxBuydownHelp:
+      "Reducción máxima: 1.5% por debajo de la tasa de interés seleccionada.",
+    interestRateBuydownCost: "Costo de la reducción de tasa:",
+    labelPrincipalBuydown: "Reducción del capital",
+    titlePrincipalBuydown: "Reduzca su capital",
+    principalBuydownCost: "Costo de la reducción del capital:",
+    calculate: "Calcular",
+    resultMonthlyPayment: "Pago mensual:",
+    resultPurchasePrice: "Precio de compra:",
+    resultPrincipalInterest: "Capital e intereses:",
+    resultTaxes: "Impuestos:",
+    resultInsurance: "Seguro:",
+    resultHoaFee: "Cuota de HOA/condominio:",
+    placeholderScenarioName: "Nombre del escenario",
+    addToComparison: "Agregar a la comparación",
+    recentScenarios: "Escenarios recientes",
+    recentScenariosEmpty:
+      "Cada cálculo aparece aquí para que pueda volver a él.",
+    undo: "Deshacer",
+    redo: "Rehacer",
+    undoTitle: "Deshacer (Ctrl+Z)",
+    redoTitle: "Rehacer (Ctrl+Mayús+Z)",
+    historySummary: "{payment}/mes · {price} · {term} años al {rate}%",
+    extraPayments: "Pagos adicionales",
+    labelExtraMonthly: "Capital adicional mensual",
+    labelExtraAnnual: "Pago anual único",
+    labelExtraOneTime: "Prepago único",
+    labelExtraOneTimeMonth: "En el pago n.º",
+    resultPayoffDate: "Fecha de liquidación:",
+    resultTimeSaved: "Tiempo ahorrado:",
+    resultInterestSaved: "Intereses ahorrados:",
+    compareScenarios: "Comparar escenarios",
+    compareAgainst: "Comparar con",
+    compareEmpty: "Agregue al menos dos escenarios desde la calculadora.",
+    clearScenarios: "Borrar escenarios",
+    msaLookup: "Búsqueda de MSA",
+    labelAddress: "Ingrese la dirección",
+    placeholderAddress: "Ingrese la dirección completa",
+    lookupMsa: "Buscar MSA",
+    resultMsaIncome: "Ingreso familiar medio del MSA:",
+    resultTractIncome: "Ingreso familiar medio del sector:",
+    resultTractPercent: "Porcentaje del sector respecto al MSA:",
+    resultYear: "Año:",
+    navProperties: "Propiedades",
+    savedProperties: "Propiedades guardadas",
+    labelPropertyAddress: "Dirección de la propiedad",
+    labelListingUrl: "Enlace del anuncio",
+    saveProperty: "Guardar en la propiedad",
+    labelSortBy: "Ordenar por",
+    labelFilterBy: "Filtrar por",
+    sortMonthlyPayment: "Pago mensual",
+    sortTractPercent: "% de ingreso del sector",
+    sortPrice: "Precio",
+    sortAscending: "De menor a mayor",
+    sortDescending: "De mayor a menor",
+    placeholderMin: "Mín.",
+    placeholderMax: "Máx.",
+    propertiesEmpty:
+      "Guarde un cálculo en una propiedad para darle seguimiento aquí.",
+  },
+};
+
+const SUPPORTED_LOCALES = Object.keys(MESSAGES);
+
+/**
+ * Pick the catalog for a browser language
+ * @param {string} [language] A BCP 47 tag such as "es-MX", or a catalog name such as "es"
+ * @returns {string} A key of MESSAGES, English when the language has no catalog
+ */
+function resolveLocale(language) {
+  const base = String(language || "")
+    .toLowerCase()
+    .split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(base) ? base : FALLBACK_LOCALE;
+}
+
+/**
+ * Look up a message and fill in its {name} placeholders
+ * @param {string} locale A key of MESSAGES
+ * @param {string} key The message key
+ * @param {Object<string, string|number>} [params] Placeholder values
+ * @returns {string} The message, the English message when the locale lacks it, or
+ *   the key itself when no catalog has it
+ */
+function translate(locale, key, params = {}) {
+  const message =
+    MESSAGES[locale]?.[key] ?? MESSAGES[FALLBACK_LOCALE][key] ?? key;
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    name in params ? String(params[name]) : placeholder
+  );
+}
+
+/**
+ * The regional locale a catalog formats numbers with
+ * @param {string} locale A key of MESSAGES
+ * @returns {string} A BCP 47 locale such as "en-US"
+ */
+function getNumberLocale(locale) {
+  return NUMBER_LOCALES[locale] || NUMBER_LOCALES[FALLBACK_LOCALE];
+}
+
+/**
+ * Format a dollar amount for a catalog's language, e.g. "$1,234.50"
+ * @param {number} amount
+ * @param {string} locale A key of MESSAGES
+ * @param {number} [decimals=2]
+ * @returns {string} The amount, or "" for NaN
+ */
+function formatLocaleCurrency(amount, locale, decimals = 2) {
+  if (isNaN(amount)) return "";
+  return new Intl.NumberFormat(getNumberLocale(locale), {
+    style: "currency",
+    currency: "USD",
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals,
+  }).format(amount);
+}
+
+export {
+  MESSAGES,
+  SUPPORTED_LOCALES,
+  resolveLocale,
+  translate,
+  getNumberLocale,
+  formatLocaleCurrency,
+};
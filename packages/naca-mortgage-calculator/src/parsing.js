@@ -0,0 +1,133 @@
+// Currency symbols and spaces (including the no-break spaces some locales group
+// thousands with) that carry no value
+const IGNORED_CHARACTERS = /[$€£¥\s  ]/g;
+
+// Thousands separators that are never decimal points (1'000 in Switzerland)
+const APOSTROPHES = /['’]/g;
+
+const SUFFIX_MULTIPLIERS = { k: 1000, m: 1000000 };
+
+// The calculators display and store numbers the US way
+const DEFAULT_LOCALE = "en-US";
+
+/**
+ * The decimal and thousands separators a locale writes numbers with
+ * @param {string} locale A BCP 47 locale such as "en-US" or "de-DE"
+ * @returns {{decimal: string, group: string}}
+ */
+function getSeparators(locale) {
+  const parts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+  const find = (type, fallback) =>
+    parts.find((part) => part.type === type)?.value ?? fallback;
+  return { decimal: find("decimal", "."), group: find("group", ",") };
+}
+
+/**
+ * Decide whether "," or "." is the decimal point in a string of digits and separators.
+ * With both present the last one is the decimal point. A lone separator followed by
+ * exactly three digits ("1,500", "1.500") is ambiguous and follows the locale; any other
+ * lone separator ("6,5", "1.25", "0.125") is a decimal point. A separator used more than
+ * once groups thousands.
+ * @param {string} digits Digits with "," and "." separators
+ * @param {string} localeDecimal The locale's decimal separator
+ * @returns {string|null} The decimal separator, or null for a whole number
+ */
+function findDecimalSeparator(digits, localeDecimal) {
+  const lastComma = digits.lastIndexOf(",");
+  const lastDot = digits.lastIndexOf(".");
+  if (lastComma !== -1 && lastDot !== -1) {
+    return lastComma > lastDot ? "," : ".";
+  }
+
+  const separator = lastComma !== -1 ? "," : lastDot !== -1 ? "." : null;
+  if (separator === null) return null;
+  if (digits.split(separator).length > 2) return null;
+
+  const [whole, fraction] = digits.split(separator);
+  const ambiguous =
+    fraction.length === 3 &&
+    whole.length >= 1 &&
+    whole.length <= 3 &&
+    !whole.startsWith("0");
+  if (ambiguous) return localeDecimal === separator ? separator : null;
+  return separator;
+}
+
+/**
+ * Parse a number the way people type and paste it: "$425,000", "425k", "$1.2M",
+ * "6.125%", "6,5" or "1.234.567,89". Currency symbols and spaces are ignored.
+ *
+ * @param {string} text The text to parse
+ * @param {Object} [options]
+ * @param {string} [options.locale="en-US"] Resolves "1,500" and "1.500", which mean 1500
+ *   or 1.5 depending on the locale
+ * @param {boolean} [options.allowSuffix=true] Accept k and M for thousands and millions
+ * @param {boolean} [options.allowPercent=false] Accept a trailing percent sign
+ * @returns {{kind: 'success', value: number, normalized: string} | {kind: 'failure', reason: 'empty'|'invalid'}}
+ *   normalized is the value written plainly ("425000", "6.5") for putting back in the input
+ */
+function parseLocaleNumber(text, options = {}) {
+  const {
+    locale = DEFAULT_LOCALE,
+    allowSuffix = true,
+    allowPercent = false,
+  } = options;
+
+  let remaining = String(text ?? "")
+    .replace(IGNORED_CHARACTERS, "")
+    .replace(APOSTROPHES, "");
+  if (remaining === "") return { kind: "failure", reason: "empty" };
+
+  if (allowPercent && remaining.endsWith("%")) {
+    remaining = remaining.slice(0, -1);
+  }
+
+  const match = remaining.match(/^(-?)(\d[\d.,]*|[.,]\d+)([kKmM]?)$/);
+  if (!match || (match[3] && !allowSuffix)) {
+    return { kind: "failure", reason: "invalid" };
+  }
+  const [, sign, digits, suffix] = match;
+
+  const decimal = findDecimalSeparator(digits, getSeparators(locale).decimal);
+  const decimalIndex =
+    decimal === null ? digits.length : digits.lastIndexOf(decimal);
+  const whole = digits.slice(0, decimalIndex);
+  const fraction = digits.slice(decimalIndex + 1);
+
+  // Thousands are grouped with the other separator, in threes after the first group:
+  // "1,2345" and "1.234,5.6" are typos
+  const groups = whole.split(
+    decimal === "," ? "." : decimal === "." ? "," : /[.,]/
+  );
+  if (
+    (decimal !== null && whole.includes(decimal)) ||
+    /[.,]/.test(fraction) ||
+    groups.some((group, index) => index > 0 && group.length !== 3)
+  ) {
+    return { kind: "failure", reason: "invalid" };
+  }
+
+  const multiplier = SUFFIX_MULTIPLIERS[suffix.toLowerCase()] || 1;
+  // Round away floating point error from the multiplier (1.2 * 1000000 = 1199999.9999999998)
+  const number = parseFloat(
+    `${sign}${groups.join("") || "0"}.${fraction || "0"}`
+  );
+  const value = Math.round(number * multiplier * 1e6) / 1e6;
+
+  return { kind: "success", value, normalized: String(value) };
+}
+
+/**
+ * Write a parsed number with grouping, so the user can check what was understood
+ * ("425k" shows as "425,000", "6,5" as "6.5")
+ * @param {number} value A value returned by parseLocaleNumber
+ * @param {string} [locale="en-US"] A BCP 47 locale
+ * @returns {string}
+ */
+function formatParsedNumber(value, locale = DEFAULT_LOCALE) {
+  return new Intl.NumberFormat(locale, { maximumFractionDigits: 3 }).format(
+    value
+  );
+}
+
+export { parseLocaleNumber, formatParsedNumber };
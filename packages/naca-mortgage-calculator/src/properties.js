@@ -0,0 +1,215 @@
+// Saved properties live in IndexedDB so they stay on the member's device
+const PROPERTY_DATABASE_NAME = "naca-properties";
+const PROPERTY_DATABASE_VERSION = 1;
+const PROPERTY_STORE_NAME = "properties";
+
+// What the saved properties list can be sorted and filtered by
+const PROPERTY_SORT_FIELDS = ["monthlyPayment", "tractPercent", "price"];
+
+/**
+ * Save a calculation to a property: a new property when there's none yet,
+ * otherwise another scenario on it. The property's price, tax and HOA fee
+ * follow its newest calculation.
+ * @param {Object|null} property The saved property, or null to make a new one
+ * @param {{address: string, listingUrl?: string, msaLookup?: Object|null}} details
+ *   Where the property is and its MSA lookup result; a missing listing URL or
+ *   lookup keeps the property's own
+ * @param {Object} state A calculator state with a result (see store.js)
+ * @param {number} [savedAt=Date.now()] When the calculation was saved, in milliseconds
+ * @returns {Object} The property to store
+ */
+function savePropertyCalculation(
+  property,
+  details,
+  state,
+  savedAt = Date.now()
+) {
+  const scenario = { state, savedAt };
+  const base = property ?? {
+    id: `${savedAt.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    listingUrl: "",
+    msaLookup: null,
+    scenarios: [],
+    createdAt: savedAt,
+  };
+
+  return {
+    ...base,
+    address: details.address.trim(),
+    listingUrl: details.listingUrl?.trim() || base.listingUrl,
+    price: state.result.purchasePrice,
+    tax: state.inputs.tax,
+    hoaFee: state.inputs.hoaFee,
+    msaLookup: details.msaLookup ?? base.msaLookup,
+    scenarios: base.scenarios.concat(scenario),
+    updatedAt: savedAt,
+  };
+}
+
+// A scheme before the host, such as "https:" or "javascript:"; a colon followed by a digit is a port
+const URL_SCHEME_PATTERN = /^[a-z][a-z\d+.-]*:(?!\d)/i;
+
+/**
+ * Read a typed listing URL as a web link. A URL typed without a scheme, such as
+ * "zillow.com/homedetails/...", is taken to be https.
+ * @param {string} text The typed listing URL
+ * @returns {string|null} The URL, "" when nothing was typed, or null when it
+ *   isn't an http or https URL
+ */
+function normalizeListingUrl(text) {
+  const trimmed = text.trim();
+  if (!trimmed) return "";
+
+  let url;
+  try {
+    url = new URL(
+      URL_SCHEME_PATTERN.test(trimmed) ? trimmed : `https://${trimmed}`
+    );
+  } catch {
+    return null;
+  }
+  return url.protocol === "http:" || url.protocol === "https:"
+    ? url.href
+    : null;
+}
+
+/**
+ * Find the saved property a calculation belongs to, by listing URL or address
+ * @param {Array<Object>} properties The saved properties
+ * @param {{address: string, listingUrl?: string}} details
+ * @returns {Object|null}
+ */
+function findSavedProperty(properties, details) {
+  const address = details.address.trim().toLowerCase();
+  const listingUrl = details.listingUrl?.trim();
+  return (
+    properties.find(
+      (property) =>
+        (listingUrl && property.listingUrl === listingUrl) ||
+        (address && property.address.toLowerCase() === address)
+    ) ?? null
+  );
+}
+
+// The calculation a property re-opens with: its newest scenario
+function getLatestScenario(property) {
+  return property.scenarios[property.scenarios.length - 1] ?? null;
+}
+
+/**
+ * A property's value for sorting and filtering
+ * @param {Object} property A saved property
+ * @param {'monthlyPayment'|'tractPercent'|'price'} field
+ * @returns {number|null} null when the property doesn't have one, e.g. no MSA lookup
+ */
+function getPropertyValue(property, field) {
+  switch (field) {
+    case "monthlyPayment":
+      return getLatestScenario(property)?.state.result?.monthlyPayment ?? null;
+    case "tractPercent":
+      return property.msaLookup?.tractPercentOfMsa ?? null;
+    case "price":
+      return property.price ?? null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Sort saved properties; those without the value go last either way
+ * @param {Array<Object>} properties
+ * @param {'monthlyPayment'|'tractPercent'|'price'} field
+ * @param {'asc'|'desc'} [direction='asc']
+ * @returns {Array<Object>} A sorted copy
+ */
+function sortProperties(properties, field, direction = "asc") {
+  const sign = direction === "desc" ? -1 : 1;
+  return [...properties].sort((a, b) => {
+    const aValue = getPropertyValue(a, field);
+    const bValue = getPropertyValue(b, field);
+    if (aValue === null || bValue === null) {
+      return (aValue === null) - (bValue === null);
+    }
+    return (aValue - bValue) * sign;
+  });
+}
+
+/**
+ * Keep the saved properties whose value falls in a range. A property without
+ * the value is left out once either bound is set.
+ * @param {Array<Object>} properties
+ * @param {{field: 'monthlyPayment'|'tractPercent'|'price', min?: number|null, max?: number|null}} filter
+ * @returns {Array<Object>}
+ */
+function filterProperties(properties, { field, min = null, max = null }) {
+  if (min === null && max === null) return properties;
+  return properties.filter((property) => {
+    const value = getPropertyValue(property, field);
+    return (
+      value !== null &&
+      (min === null || value >= min) &&
+      (max === null || value <= max)
+    );
+  });
+}
+
+// Run one request against the properties store, resolving once it's committed
+function runPropertyRequest(database, mode, makeRequest) {
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(PROPERTY_STORE_NAME, mode);
+    const request = makeRequest(transaction.objectStore(PROPERTY_STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Open the saved properties database
+ * @param {IDBFactory} [indexedDB=globalThis.indexedDB]
+ * @returns {Promise<{listProperties: Function, getProperty: Function, putProperty: Function, deleteProperty: Function}>}
+ */
+function openPropertyDatabase(indexedDB = globalThis.indexedDB) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(
+      PROPERTY_DATABASE_NAME,
+      PROPERTY_DATABASE_VERSION
+    );
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(PROPERTY_STORE_NAME, { keyPath: "id" });
+    };
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const database = request.result;
+      resolve({
+        listProperties: () =>
+          runPropertyRequest(database, "readonly", (store) => store.getAll()),
+        getProperty: (id) =>
+          runPropertyRequest(database, "readonly", (store) =>
+            store.get(id)
+          ).then((property) => property ?? null),
+        putProperty: (property) =>
+          runPropertyRequest(database, "readwrite", (store) =>
+            store.put(property)
+          ).then(() => property),
+        deleteProperty: (id) =>
+          runPropertyRequest(database, "readwrite", (store) =>
+            store.delete(id)
+          ).then(() => undefined),
+      });
+    };
+  });
+}
+
+export {
+  PROPERTY_DATABASE_NAME,
+  PROPERTY_SORT_FIELDS,
+  savePropertyCalculation,
+  normalizeListingUrl,
+  findSavedProperty,
+  getLatestScenario,
+  getPropertyValue,
+  sortProperties,
+  filterProperties,
+  openPropertyDatabase,
+};
@@ -23,9 +23,12 @@ describe("MortgageCalculator", () => {
       expect(payment).toBeCloseTo(2531.57, 0);
     });
 
-    it("returns NaN for 0% interest rate (edge case)", () => {
-      const payment = calculator.calculateBaseMonthlyPayment(360000, 0, 30);
-      expect(payment).toBeNaN();
+    it("divides the principal evenly for a 0% interest rate", () => {
+      expect(calculator.calculateBaseMonthlyPayment(360000, 0, 30)).toBe(1000);
+      expect(calculator.calculateBaseMonthlyPayment(100000, 0, 30)).toBeCloseTo(
+        277.7778,
+        4
+      );
     });
   });
 
@@ -43,6 +46,193 @@ describe("MortgageCalculator", () => {
     });
   });
 
+  describe("calculatePresentValue", () => {
+    it("inverts calculateBaseMonthlyPayment", () => {
+      const payment = calculator.calculateBaseMonthlyPayment(300000, 6.5, 30);
+      expect(calculator.calculatePresentValue(payment, 6.5, 30)).toBeCloseTo(
+        300000,
+        6
+      );
+    });
+
+    it("handles a 0% interest rate", () => {
+      expect(calculator.calculatePresentValue(1000, 0, 30)).toBe(360000);
+    });
+  });
+
+  describe("solveMaxPurchasePrice", () => {
+    function totalPayment(price, principalBuydown = 0) {
+      return (
+        calculator.calculateBaseMonthlyPayment(
+          Math.max(price - principalBuydown, 0),
+          6.5,
+          30
+        ) +
+        calculator.calculateMonthlyTax(price, 15) +
+        50
+      );
+    }
+
+    it("returns the highest price, to the cent, within the payment", () => {
+      const result = calculator.solveMaxPurchasePrice(2000, 6.5, 30, 15, 50, 0);
+
+      expect(result.kind).toBe("success");
+      expect(totalPayment(result.purchasePrice)).toBeLessThanOrEqual(2000);
+      expect(totalPayment(result.purchasePrice + 0.01)).toBeGreaterThan(2000);
+    });
+
+    it("stays exact when a buydown is applied", () => {
+      const result = calculator.solveMaxPurchasePrice(
+        2000,
+        6.5,
+        30,
+        15,
+        50,
+        0,
+        25000
+      );
+
+      expect(totalPayment(result.purchasePrice, 25000)).toBeLessThanOrEqual(
+        2000
+      );
+      expect(
+        totalPayment(result.purchasePrice + 0.01, 25000)
+      ).toBeGreaterThan(2000);
+    });
+
+    it("is deterministic", () => {
+      const inputs = [1875.5, 5.875, 20, 12.5, 75, 150];
+      const first = calculator.solveMaxPurchasePrice(...inputs);
+      const second = calculator.solveMaxPurchasePrice(...inputs);
+      expect(second).toEqual(first);
+    });
+
+    it("reports no solution when the payment cannot cover fixed costs", () => {
+      const result = calculator.solveMaxPurchasePrice(100, 6.5, 30, 15, 50, 75);
+
+      expect(result.kind).toBe("failure");
+      expect(result.reason).toBe("insufficient-payment");
+      expect(result.minimumPayment).toBe(125);
+    });
+
+    it("includes taxes on the bought-down principal in the minimum", () => {
+      // $100,000 at $15 per $1000 = $125/month in taxes before any loan
+      const result = calculator.solveMaxPurchasePrice(
+        150,
+        6.5,
+        30,
+        15,
+        50,
+        0,
+        100000
+      );
+
+      expect(result.kind).toBe("failure");
+      expect(result.minimumPayment).toBe(175);
+    });
+
+    it("calculateMaxPurchasePrice returns 0 when there is no solution", () => {
+      expect(
+        calculator.calculateMaxPurchasePrice(40, 6.5, 30, 15, 50, 0)
+      ).toBe(0);
+    });
+  });
+
+  describe("validateInputs", () => {
+    const inputs = {
+      price: 300000,
+      term: 30,
+      rate: 6.5,
+      tax: 15,
+      insurance: 50,
+      hoaFee: 0,
+      principalBuydown: 0,
+    };
+
+    it("accepts inputs that satisfy every rule", () => {
+      calculator.setCalcMethod("price");
+      expect(calculator.validateInputs(inputs, 6.5)).toEqual({
+        kind: "success",
+      });
+    });
+
+    it("rejects a principal buydown larger than the price in price mode", () => {
+      calculator.setCalcMethod("price");
+      const result = calculator.validateInputs({
+        ...inputs,
+        principalBuydown: 350000,
+      });
+
+      expect(result.kind).toBe("failure");
+      expect(result.errors).toEqual([
+        {
+          reason: "buydown-exceeds-price",
+          field: "principalBuydown",
+          message:
+            "Principal buydown can't be more than the $300,000.00 purchase price",
+          limit: 300000,
+        },
+      ]);
+    });
+
+    it("rejects a payment that can't cover taxes, insurance and HOA", () => {
+      calculator.setCalcMethod("payment");
+      const result = calculator.validateInputs({
+        ...inputs,
+        price: 100,
+        hoaFee: 75,
+      });
+
+      expect(result.kind).toBe("failure");
+      expect(result.errors).toEqual([
+        {
+          reason: "insufficient-payment",
+          field: "price",
+          message:
+            "Payment must cover at least $125.00 of taxes, insurance and HOA",
+          limit: 125,
+        },
+      ]);
+    });
+
+    it("accepts a payment that exactly covers the fixed costs", () => {
+      calculator.setCalcMethod("payment");
+      expect(
+        calculator.validateInputs({ ...inputs, price: 125, hoaFee: 75 }).kind
+      ).toBe("success");
+    });
+
+    it("rejects a rate bought down past the 1.5% cap", () => {
+      calculator.setCalcMethod("price");
+      const result = calculator.validateInputs({ ...inputs, rate: 4.875 }, 6.5);
+
+      expect(result.kind).toBe("failure");
+      expect(result.errors[0].reason).toBe("rate-below-cap");
+      expect(result.errors[0].field).toBe("rate");
+      expect(result.errors[0].limit).toBe(5);
+    });
+
+    it("accepts a rate bought down exactly to the cap", () => {
+      calculator.setCalcMethod("price");
+      expect(
+        calculator.validateInputs({ ...inputs, rate: 4.625 }, 6.125).kind
+      ).toBe("success");
+    });
+
+    it("reports every broken rule at once", () => {
+      calculator.setCalcMethod("payment");
+      const result = calculator.validateInputs(
+        { ...inputs, price: 10, rate: 3 },
+        6.5
+      );
+
+      expect(result.errors.map((error) => error.reason)).toEqual([
+        "insufficient-payment",
+        "rate-below-cap",
+      ]);
+    });
+  });
+
   describe("calculateInterestRateBuydown", () => {
     it("calculates buydown cost correctly for 30-year", () => {
       const cost = calculator.calculateInterestRateBuydown(300000, 6.5, 6.0, 30);
@@ -72,6 +262,188 @@ describe("MortgageCalculator", () => {
       expect(calculator.calculateInterestRateBuydown(-1000, 6.5, 6.0, 30)).toBe(0);
       expect(calculator.calculateInterestRateBuydown(NaN, 6.5, 6.0, 30)).toBe(0);
     });
+
+    it("prices custom terms from the points multiplier table", () => {
+      // Terms up to 15 years use 4 points per 1%, longer terms use 6
+      expect(calculator.calculateInterestRateBuydown(300000, 6.5, 6.0, 10)).toBeCloseTo(6000, 6);
+      expect(calculator.calculateInterestRateBuydown(300000, 6.5, 6.0, 25)).toBeCloseTo(9000, 6);
+      expect(calculator.calculateInterestRateBuydown(300000, 6.5, 6.0, 40)).toBeCloseTo(9000, 6);
+    });
+
+    it("uses a configured points multiplier table", () => {
+      calculator.setPointsMultipliers([
+        { maxTerm: 10, multiplier: 3 },
+        { maxTerm: 20, multiplier: 5 },
+        { maxTerm: 30, multiplier: 7 },
+      ]);
+
+      expect(calculator.getPointsMultiplier(5)).toBe(3);
+      expect(calculator.getPointsMultiplier(15)).toBe(5);
+      expect(calculator.getPointsMultiplier(30)).toBe(7);
+      // Terms past the last entry use the last multiplier
+      expect(calculator.getPointsMultiplier(40)).toBe(7);
+      expect(calculator.calculateInterestRateBuydown(300000, 6.5, 6.0, 15)).toBeCloseTo(7500, 6);
+    });
+  });
+
+  describe("interpolateRate", () => {
+    const ratesByTerm = { 15: 5.625, 20: 5.875, 30: 6.125 };
+
+    it("returns the published rate for a published term", () => {
+      expect(calculator.interpolateRate(15, ratesByTerm)).toBe(5.625);
+      expect(calculator.interpolateRate(20, ratesByTerm)).toBe(5.875);
+      expect(calculator.interpolateRate(30, ratesByTerm)).toBe(6.125);
+    });
+
+    it("interpolates between the nearest published terms", () => {
+      expect(calculator.interpolateRate(25, ratesByTerm)).toBe(6);
+      expect(calculator.interpolateRate(17, ratesByTerm)).toBe(5.725);
+      expect(calculator.interpolateRate(22, ratesByTerm)).toBe(5.925);
+    });
+
+    it("holds the nearest rate flat outside the published terms", () => {
+      expect(calculator.interpolateRate(1, ratesByTerm)).toBe(5.625);
+      expect(calculator.interpolateRate(10, ratesByTerm)).toBe(5.625);
+      expect(calculator.interpolateRate(40, ratesByTerm)).toBe(6.125);
+    });
+  });
+
+  describe("calculateBuydownBreakEven", () => {
+    it("compares P&I at the original and bought-down rates", () => {
+      const result = calculator.calculateBuydownBreakEven(300000, 6.5, 6.0, 30);
+
+      expect(result.cost).toBe(9000);
+      expect(result.originalPayment).toBeCloseTo(1896.2, 1);
+      expect(result.buydownPayment).toBeCloseTo(1798.65, 1);
+      expect(result.monthlySavings).toBeCloseTo(
+        result.originalPayment - result.buydownPayment,
+        6
+      );
+    });
+
+    it("reports the months needed to recoup the cost", () => {
+      const result = calculator.calculateBuydownBreakEven(300000, 6.5, 6.0, 30);
+
+      expect(result.breakEvenMonths).toBe(
+        Math.ceil(result.cost / result.monthlySavings)
+      );
+      expect(result.breakEvenMonths).toBe(93);
+    });
+
+    it("reports net savings at 5 years, 10 years and the full term", () => {
+      const result = calculator.calculateBuydownBreakEven(300000, 6.5, 6.0, 30);
+
+      expect(result.netSavings.map((horizon) => horizon.years)).toEqual([
+        5, 10, 30,
+      ]);
+      expect(result.netSavings[0].netSavings).toBeLessThan(0);
+      expect(result.netSavings[1].netSavings).toBeGreaterThan(0);
+      expect(result.netSavings[2].netSavings).toBeCloseTo(
+        result.monthlySavings * 360 - result.cost,
+        6
+      );
+    });
+
+    it("caps the desired rate at the 1.5% maximum buydown", () => {
+      const capped = calculator.calculateBuydownBreakEven(300000, 6.5, 4.0, 30);
+      const atCap = calculator.calculateBuydownBreakEven(300000, 6.5, 5.0, 30);
+
+      expect(capped).toEqual(atCap);
+    });
+
+    it("breaks even immediately when there is no buydown", () => {
+      const result = calculator.calculateBuydownBreakEven(300000, 6.5, 6.5, 30);
+
+      expect(result.cost).toBe(0);
+      expect(result.monthlySavings).toBe(0);
+      expect(result.breakEvenMonths).toBe(0);
+    });
+  });
+
+  describe("optimizeBuydownAllocation", () => {
+    const inputs = {
+      price: 300000,
+      term: 30,
+      rate: 7.125,
+      tax: 15,
+      insurance: 50,
+      hoaFee: 0,
+    };
+
+    it("spends nothing when the budget is zero", () => {
+      const result = calculator.optimizeBuydownAllocation(inputs, 0);
+
+      expect(result.desiredRate).toBe(7.125);
+      expect(result.principalBuydown).toBe(0);
+      expect(result.totalCost).toBe(0);
+    });
+
+    it("never spends more than the budget", () => {
+      const result = calculator.optimizeBuydownAllocation(inputs, 20000);
+
+      expect(result.totalCost).toBeLessThanOrEqual(20000 + 1e-6);
+      expect(result.rateBuydownCost).toBeCloseTo(
+        calculator.calculateInterestRateBuydown(
+          300000,
+          7.125,
+          result.desiredRate,
+          30
+        ),
+        6
+      );
+    });
+
+    it("respects the 1.5% maximum rate buydown", () => {
+      const result = calculator.optimizeBuydownAllocation(inputs, 40000);
+
+      expect(result.desiredRate).toBe(5.625);
+      expect(result.rateBuydownCost).toBe(27000);
+      expect(result.principalBuydown).toBe(13000);
+    });
+
+    it("beats putting the whole budget into either buydown alone", () => {
+      const result = calculator.optimizeBuydownAllocation(inputs, 20000);
+      const paymentFor = (principalBuydown, rate) =>
+        calculator.calculateBaseMonthlyPayment(
+          300000 - principalBuydown,
+          rate,
+          30
+        );
+
+      expect(result.principalInterest).toBeLessThanOrEqual(
+        paymentFor(20000, 7.125)
+      );
+      // The lowest rate on the 0.001 slider grid that $20,000 of points buys
+      expect(result.principalInterest).toBeLessThanOrEqual(
+        paymentFor(0, 6.014)
+      );
+    });
+
+    it("optimizes for total interest when asked", () => {
+      const byPayment = calculator.optimizeBuydownAllocation(inputs, 200000, {
+        objective: "payment",
+      });
+      const byInterest = calculator.optimizeBuydownAllocation(inputs, 200000, {
+        objective: "interest",
+      });
+
+      expect(byPayment.desiredRate).toBe(7.125);
+      expect(byPayment.principalBuydown).toBe(200000);
+      expect(byInterest.desiredRate).toBe(5.625);
+      expect(byInterest.totalInterest).toBeLessThan(byPayment.totalInterest);
+      expect(byInterest.monthlyPayment).toBeGreaterThan(byPayment.monthlyPayment);
+    });
+
+    it("rounds the principal buydown down to the principal step", () => {
+      const result = calculator.optimizeBuydownAllocation(
+        { ...inputs, term: 15 },
+        20000,
+        { principalStep: 1000 }
+      );
+
+      expect(result.principalBuydown % 1000).toBe(0);
+      expect(result.totalCost).toBeLessThanOrEqual(20000);
+    });
   });
 
   describe("calculateRaw - price mode", () => {
@@ -217,6 +589,511 @@ describe("MortgageCalculator", () => {
     });
   });
 
+  describe("calculateIncomeAffordability", () => {
+    it("caps PITI by the front-end ratio when debts are low", () => {
+      const result = calculator.calculateIncomeAffordability(6000, 200, 31, 43);
+
+      expect(result.frontEndLimit).toBe(1860);
+      expect(result.backEndLimit).toBe(2380);
+      expect(result.maxMonthlyPayment).toBe(1860);
+      expect(result.bindingRatio).toBe("front-end");
+    });
+
+    it("caps PITI by the back-end ratio when debts are high", () => {
+      const result = calculator.calculateIncomeAffordability(6000, 1000, 31, 43);
+
+      expect(result.backEndLimit).toBe(1580);
+      expect(result.maxMonthlyPayment).toBe(1580);
+      expect(result.bindingRatio).toBe("back-end");
+    });
+
+    it("never returns a negative payment when debts exceed the back-end limit", () => {
+      const result = calculator.calculateIncomeAffordability(3000, 2000, 31, 43);
+
+      expect(result.maxMonthlyPayment).toBe(0);
+      expect(result.bindingRatio).toBe("back-end");
+    });
+
+    it("defaults to 31% front-end and 43% back-end limits with no debts", () => {
+      const result = calculator.calculateIncomeAffordability(6000);
+
+      expect(result.frontEndLimit).toBe(1860);
+      expect(result.backEndLimit).toBe(2580);
+    });
+  });
+
+  describe("calculateRaw - income mode", () => {
+    const baseInputs = {
+      term: 30,
+      rate: 6.5,
+      tax: 15,
+      insurance: 50,
+      hoaFee: 0,
+      principalBuydown: 0,
+      grossMonthlyIncome: 6000, // $72k/year
+      monthlyDebts: 400,
+      frontEndRatio: 31,
+      backEndRatio: 36,
+    };
+
+    beforeEach(() => {
+      calculator.setCalcMethod("income");
+    });
+
+    it("returns the max PITI and the purchase price it supports", () => {
+      const result = calculator.calculateRaw(baseInputs);
+
+      calculator.setCalcMethod("payment");
+      const paymentResult = calculator.calculateRaw({
+        ...baseInputs,
+        price: 1760,
+      });
+
+      expect(result.monthlyPayment).toBe(1760);
+      expect(result.purchasePrice).toBe(paymentResult.purchasePrice);
+      expect(result.bindingRatio).toBe("back-end");
+      expect(result.frontEndLimit).toBe(1860);
+      expect(result.backEndLimit).toBe(1760);
+    });
+
+    it("ignores price in income mode", () => {
+      const withPrice = calculator.calculateRaw({ ...baseInputs, price: 999 });
+      const withoutPrice = calculator.calculateRaw(baseInputs);
+
+      expect(withPrice).toEqual(withoutPrice);
+    });
+
+    it("returns a zero purchase price when debts leave no room for housing", () => {
+      const result = calculator.calculateRaw({
+        ...baseInputs,
+        monthlyDebts: 5000,
+      });
+
+      expect(result.monthlyPayment).toBe(0);
+      expect(result.purchasePrice).toBe(0);
+    });
+
+    it("adds formatted ratio limits to calculate()", () => {
+      const result = calculator.calculate(baseInputs);
+
+      expect(result.monthlyPayment).toBe("$1,760.00");
+      expect(result.frontEndLimit).toBe("$1,860.00");
+      expect(result.backEndLimit).toBe("$1,760.00");
+      expect(result.bindingRatio).toBe("back-end");
+    });
+  });
+
+  describe("generateAmortizationSchedule", () => {
+    const inputs = {
+      price: 300000,
+      term: 30,
+      rate: 6.5,
+      tax: 15,
+      insurance: 50,
+      hoaFee: 0,
+      principalBuydown: 0,
+    };
+
+    beforeEach(() => {
+      calculator.setCalcMethod("price");
+    });
+
+    it("returns one period per month and one rollup per year", () => {
+      const schedule = calculator.generateAmortizationSchedule(inputs);
+
+      expect(schedule.payments.length).toBe(360);
+      expect(schedule.yearly.length).toBe(30);
+      expect(schedule.loanAmount).toBe(300000);
+      expect(schedule.monthlyPayment).toBeCloseTo(1896.2, 0);
+    });
+
+    it("splits the first payment into principal and interest", () => {
+      const { payments } = calculator.generateAmortizationSchedule(inputs);
+
+      // $300,000 * 6.5% / 12 = $1,625 interest in month one
+      expect(payments[0].interest).toBeCloseTo(1625, 2);
+      expect(payments[0].principal + payments[0].interest).toBeCloseTo(
+        1896.2,
+        0
+      );
+      expect(payments[0].balance).toBeCloseTo(
+        300000 - payments[0].principal,
+        2
+      );
+    });
+
+    it("pays the loan off exactly on the final period", () => {
+      const schedule = calculator.generateAmortizationSchedule(inputs);
+      const last = schedule.payments[schedule.payments.length - 1];
+
+      expect(last.balance).toBe(0);
+      expect(last.cumulativeEquity).toBeCloseTo(300000, 2);
+      expect(last.equityPercent).toBeCloseTo(100, 6);
+      expect(schedule.totalPaid).toBeCloseTo(
+        schedule.loanAmount + schedule.totalInterest,
+        6
+      );
+    });
+
+    it("rolls yearly totals up from the monthly periods", () => {
+      const { payments, yearly } =
+        calculator.generateAmortizationSchedule(inputs);
+      const firstYear = payments.slice(0, 12);
+
+      expect(yearly[0].interest).toBeCloseTo(
+        firstYear.reduce((sum, p) => sum + p.interest, 0),
+        6
+      );
+      expect(yearly[0].balance).toBe(payments[11].balance);
+      expect(yearly[29].cumulativeInterest).toBeCloseTo(
+        payments[359].cumulativeInterest,
+        6
+      );
+    });
+
+    it("counts the principal buydown as starting equity", () => {
+      const { loanAmount, payments } =
+        calculator.generateAmortizationSchedule({
+          ...inputs,
+          principalBuydown: 50000,
+        });
+
+      expect(loanAmount).toBe(250000);
+      expect(payments[0].cumulativeEquity).toBeCloseTo(
+        50000 + payments[0].principal,
+        6
+      );
+    });
+
+    it("derives the loan from the max purchase price in payment mode", () => {
+      calculator.setCalcMethod("payment");
+      const schedule = calculator.generateAmortizationSchedule({
+        ...inputs,
+        price: 2000,
+      });
+      const { purchasePrice } = calculator.calculateRaw({
+        ...inputs,
+        price: 2000,
+      });
+
+      expect(schedule.loanAmount).toBeCloseTo(purchasePrice, 6);
+      expect(schedule.payments.length).toBe(360);
+    });
+  });
+
+  describe("calculateEarlyPayoff", () => {
+    const inputs = {
+      price: 300000,
+      term: 30,
+      rate: 6.5,
+      tax: 15,
+      insurance: 50,
+      hoaFee: 0,
+      principalBuydown: 0,
+    };
+    const startDate = new Date(2025, 0, 1);
+
+    beforeEach(() => {
+      calculator.setCalcMethod("price");
+    });
+
+    it("matches the regular schedule when there are no extra payments", () => {
+      const result = calculator.calculateEarlyPayoff(inputs, {}, startDate);
+
+      expect(result.monthsSaved).toBe(0);
+      expect(result.interestSaved).toBe(0);
+      expect(result.schedule.totalExtraPrincipal).toBe(0);
+      expect(result.payoffDate).toEqual(new Date(2054, 11, 1));
+      expect(result.originalPayoffDate).toEqual(new Date(2054, 11, 1));
+    });
+
+    it("pays off early and saves interest with extra monthly principal", () => {
+      const result = calculator.calculateEarlyPayoff(
+        inputs,
+        { monthly: 200 },
+        startDate
+      );
+      const { payments } = result.schedule;
+
+      expect(payments[0].extraPrincipal).toBeCloseTo(200, 6);
+      expect(payments[0].payment).toBeCloseTo(
+        result.schedule.monthlyPayment + 200,
+        6
+      );
+      expect(result.monthsSaved).toBeGreaterThan(60);
+      expect(result.interestSaved).toBeGreaterThan(80000);
+      expect(result.payoffDate.getTime()).toBeLessThan(
+        result.originalPayoffDate.getTime()
+      );
+      expect(payments[payments.length - 1].balance).toBe(0);
+    });
+
+    it("applies an annual lump sum once per loan year", () => {
+      const { schedule } = calculator.calculateEarlyPayoff(
+        inputs,
+        { annual: 5000, annualMonth: 6 },
+        startDate
+      );
+
+      expect(schedule.payments[4].extraPrincipal).toBe(0);
+      expect(schedule.payments[5].extraPrincipal).toBeCloseTo(5000, 6);
+      expect(schedule.payments[17].extraPrincipal).toBeCloseTo(5000, 6);
+      expect(schedule.totalExtraPrincipal).toBeCloseTo(
+        5000 *
+          schedule.payments.filter((p) => p.extraPrincipal > 0).length,
+        0
+      );
+    });
+
+    it("applies one-time prepayments at the given payment number", () => {
+      const { schedule, monthsSaved } = calculator.calculateEarlyPayoff(
+        inputs,
+        { oneTime: [{ month: 12, amount: 20000 }] },
+        startDate
+      );
+
+      expect(schedule.payments[11].extraPrincipal).toBeCloseTo(20000, 6);
+      expect(schedule.totalExtraPrincipal).toBeCloseTo(20000, 6);
+      expect(monthsSaved).toBeGreaterThan(0);
+    });
+
+    it("never pays more principal than the remaining balance", () => {
+      const { schedule, payoffDate } = calculator.calculateEarlyPayoff(
+        inputs,
+        { oneTime: [{ month: 1, amount: 1000000 }] },
+        startDate
+      );
+
+      expect(schedule.numberOfPayments).toBe(1);
+      expect(schedule.payments[0].balance).toBe(0);
+      expect(schedule.totalPaid).toBeCloseTo(300000 + 1625, 6);
+      expect(payoffDate).toEqual(startDate);
+    });
+  });
+
+  describe("compareScenarios", () => {
+    const inputs = {
+      price: 300000,
+      term: 30,
+      rate: 6.5,
+      tax: 15,
+      insurance: 50,
+      hoaFee: 0,
+      principalBuydown: 0,
+    };
+    const startDate = new Date(2025, 0, 1);
+
+    beforeEach(() => {
+      calculator.setCalcMethod("price");
+    });
+
+    it("rejects fewer than 2 or more than 6 scenarios", () => {
+      const scenario = { name: "Base", inputs };
+
+      expect(calculator.compareScenarios([scenario])).toEqual({
+        kind: "failure",
+        reason: "scenario-count",
+        message: "Compare between 2 and 6 scenarios",
+      });
+      expect(
+        calculator.compareScenarios(Array(7).fill(scenario)).kind
+      ).toBe("failure");
+    });
+
+    it("rejects a baseline that is not one of the scenarios", () => {
+      const scenarios = [
+        { name: "A", inputs },
+        { name: "B", inputs },
+      ];
+
+      expect(calculator.compareScenarios(scenarios, 2).reason).toBe(
+        "invalid-baseline"
+      );
+    });
+
+    it("returns aligned results with deltas against the baseline", () => {
+      const result = calculator.compareScenarios(
+        [
+          { name: "30 year", inputs },
+          { name: "15 year", inputs: { ...inputs, term: 15, rate: 6.25 } },
+        ],
+        0,
+        startDate
+      );
+
+      expect(result.kind).toBe("success");
+      const [thirty, fifteen] = result.results;
+      const schedule = calculator.generateAmortizationSchedule(inputs);
+
+      expect(thirty.name).toBe("30 year");
+      expect(thirty.monthlyPayment).toBeCloseTo(
+        calculator.calculateRaw(inputs).monthlyPayment,
+        6
+      );
+      expect(thirty.totalInterest).toBeCloseTo(schedule.totalInterest, 6);
+      expect(thirty.payoffDate).toEqual(new Date(2054, 11, 1));
+      expect(fifteen.payoffDate).toEqual(new Date(2039, 11, 1));
+      expect(thirty.deltas.monthlyPayment).toBe(0);
+      expect(fifteen.deltas.monthlyPayment).toBeCloseTo(
+        fifteen.monthlyPayment - thirty.monthlyPayment,
+        6
+      );
+      expect(fifteen.deltas.totalInterest).toBeLessThan(0);
+      expect(fifteen.deltas.numberOfPayments).toBe(-180);
+    });
+
+    it("counts the principal and rate buydowns as cash needed", () => {
+      const result = calculator.compareScenarios([
+        { name: "No buydown", inputs },
+        {
+          name: "Bought down",
+          inputs: { ...inputs, rate: 6, principalBuydown: 10000 },
+          originalRate: 6.5,
+        },
+      ]);
+      const rateBuydownCost = calculator.calculateInterestRateBuydown(
+        300000,
+        6.5,
+        6,
+        30
+      );
+
+      expect(result.results[0].cashNeeded).toBe(0);
+      expect(result.results[1].cashNeeded).toBeCloseTo(
+        10000 + rateBuydownCost,
+        6
+      );
+      expect(result.results[1].deltas.cashNeeded).toBeCloseTo(
+        10000 + rateBuydownCost,
+        6
+      );
+    });
+
+    it("calculates each scenario in its own calc method", () => {
+      const result = calculator.compareScenarios([
+        { name: "Price", inputs },
+        {
+          name: "Payment",
+          inputs: { ...inputs, price: 2000 },
+          calcMethod: "payment",
+        },
+      ]);
+      const paymentCalculator = new MortgageCalculator();
+      paymentCalculator.setCalcMethod("payment");
+
+      expect(result.results[1].monthlyPayment).toBe(2000);
+      expect(result.results[1].purchasePrice).toBeCloseTo(
+        paymentCalculator.calculateRaw({ ...inputs, price: 2000 })
+          .purchasePrice,
+        6
+      );
+      expect(calculator.calcMethod).toBe("price");
+    });
+
+    it("includes extra payments in the payoff date", () => {
+      const result = calculator.compareScenarios(
+        [
+          { name: "Base", inputs },
+          { name: "Extra", inputs, extraPayments: { monthly: 200 } },
+        ],
+        0,
+        startDate
+      );
+      const [base, extra] = result.results;
+
+      expect(extra.numberOfPayments).toBeLessThan(base.numberOfPayments);
+      expect(extra.payoffDate.getTime()).toBeLessThan(
+        base.payoffDate.getTime()
+      );
+    });
+  });
+
+  describe("rounding modes", () => {
+    const inputs = {
+      price: 300000,
+      term: 30,
+      rate: 6.5,
+      tax: 15,
+      insurance: 50,
+      hoaFee: 0,
+      principalBuydown: 0,
+    };
+
+    it("defaults to exact rounding", () => {
+      expect(calculator.roundingMode).toBe("exact");
+      const payment = calculator.calculateBaseMonthlyPayment(300000, 6.5, 30);
+      expect(payment).not.toBe(Math.floor(payment * 100) / 100);
+    });
+
+    it("floors P&I to the cent in naca mode", () => {
+      const exact = calculator.calculateBaseMonthlyPayment(300000, 6.5, 30);
+      calculator.setRoundingMode("naca");
+      const naca = calculator.calculateBaseMonthlyPayment(300000, 6.5, 30);
+
+      expect(naca).toBe(Math.floor(exact * 100) / 100);
+    });
+
+    it("treats a 0% rate as straight-line principal / term in naca mode", () => {
+      calculator.setRoundingMode("naca");
+      expect(calculator.calculateBaseMonthlyPayment(360000, 0, 30)).toBe(1000);
+      expect(calculator.calculateBaseMonthlyPayment(100000, 0, 30)).toBe(
+        277.77
+      );
+    });
+
+    it("applies naca rounding to calculate and calculateRaw", () => {
+      calculator.setRoundingMode("naca");
+      calculator.setCalcMethod("price");
+
+      const raw = calculator.calculateRaw(inputs);
+      const formatted = calculator.calculate(inputs);
+
+      expect(raw.principalInterest).toBe(1896.2);
+      expect(raw.monthlyPayment).toBe(1896.2 + 375 + 50);
+      expect(formatted.principalInterest).toBe("$1,896.20");
+    });
+
+    it("uses NACA's payment-mode search for the max purchase price", () => {
+      calculator.setRoundingMode("naca");
+      const price = calculator.calculateMaxPurchasePrice(
+        2000,
+        6.5,
+        30,
+        15,
+        50,
+        0
+      );
+
+      // NACA settles on a whole-dollar P&I, so the price carries exactly that P&I
+      const exactCalculator = new MortgageCalculator();
+      const principalInterest = exactCalculator.calculateBaseMonthlyPayment(
+        price,
+        6.5,
+        30
+      );
+      expect(principalInterest).toBeCloseTo(Math.round(principalInterest), 6);
+    });
+
+    it("still reports no solution in naca mode", () => {
+      calculator.setRoundingMode("naca");
+      const result = calculator.solveMaxPurchasePrice(40, 6.5, 30, 15, 50, 0);
+      expect(result.kind).toBe("failure");
+    });
+
+    it("solves for a 0% rate in naca mode", () => {
+      calculator.setRoundingMode("naca");
+      calculator.setCalcMethod("payment");
+      const result = calculator.calculateRaw({
+        ...inputs,
+        rate: 0,
+        price: 2000,
+      });
+
+      expect(result.purchasePrice).toBeGreaterThan(0);
+      expect(Number.isFinite(result.principalInterest)).toBe(true);
+    });
+  });
+
   describe("existing calculate method - backwards compatibility", () => {
     it("still returns formatted strings", () => {
       calculator.setCalcMethod("price");
@@ -0,0 +1,73 @@
+/**
+ * An in-memory IndexedDB with just what the saved properties database uses:
+ * opening with an upgrade, object stores keyed by a keyPath, and get, getAll,
+ * put and delete in a transaction. Requests finish on a later tick, as in a
+ * browser, and values are copied in and out with structuredClone.
+ * @returns {Object} An IDBFactory stand-in
+ */
+export function createFakeIndexedDB() {
+  const databases = new Map();
+  const later = (callback) => setTimeout(callback, 0);
+
+  function createTransaction(database) {
+    const transaction = { oncomplete: null, onerror: null, onabort: null };
+    let pending = 0;
+
+    const run = (operate) => {
+      const request = { result: undefined, error: null };
+      pending++;
+      later(() => {
+        request.result = operate();
+        if (--pending === 0) later(() => transaction.oncomplete?.());
+      });
+      return request;
+    };
+
+    transaction.objectStore = (name) => {
+      const { keyPath, records } = database.stores.get(name);
+      return {
+        get: (key) => run(() => structuredClone(records.get(key))),
+        getAll: () =>
+          run(() =>
+            Array.from(records.values(), (value) => structuredClone(value))
+          ),
+        put: (value) =>
+          run(() => {
+            records.set(value[keyPath], structuredClone(value));
+            return value[keyPath];
+          }),
+        delete: (key) =>
+          run(() => {
+            records.delete(key);
+          }),
+      };
+    };
+    return transaction;
+  }
+
+  return {
+    open(name, version = 1) {
+      const request = { result: null, error: null };
+      later(() => {
+        let database = databases.get(name);
+        const upgrading = !database || database.version < version;
+        if (!database) {
+          database = { version, stores: new Map() };
+          databases.set(name, database);
+        }
+        database.version = Math.max(database.version, version);
+
+        const connection = {
+          createObjectStore(storeName, { keyPath }) {
+            database.stores.set(storeName, { keyPath, records: new Map() });
+          },
+          transaction: () => createTransaction(database),
+        };
+        request.result = connection;
+        if (upgrading) request.onupgradeneeded?.();
+        request.onsuccess?.();
+      });
+      return request;
+    },
+  };
+}
@@ -0,0 +1,181 @@
+import fs from "fs";
+import path from "path";
+import vm from "vm";
+
+/**
+ * Load NACA's original calculator script (scripts/mortgage-calculator.js) into an
+ * isolated context with a fake `formCalculator` form, so the cff_* functions run unmodified.
+ *
+ * The original script writes its results as strings rounded to whole dollars, so every
+ * cff_formatNumber call is recorded to recover the raw numbers behind the display.
+ * @returns {Object} The NACA reference calculator
+ */
+export function loadNacaReference() {
+  const scriptPath = path.resolve(
+    import.meta.dir,
+    "../../../../scripts/mortgage-calculator.js"
+  );
+  const source = fs.readFileSync(scriptPath, "utf8");
+
+  const field = (value = "") => {
+    const attributes = {};
+    return {
+      value,
+      readOnly: false,
+      maxLength: 0,
+      setAttribute: (name, val) => (attributes[name] = String(val)),
+      getAttribute: (name) => attributes[name] ?? "",
+    };
+  };
+
+  const formCalculator = {
+    txtPITI: field(),
+    txtRate: field(),
+    txtTax: field(),
+    txtInsurance: field("50"),
+    txtFee: field("0"),
+    txtReduction: field("0"),
+    txtIncomeRent: field("0"),
+    txtBuyDown: field(),
+    oSelTax: field("0.15"),
+    oSelProperty: field("1"),
+    oSelTerm: {
+      ...field("30"),
+      selectedIndex: 0,
+      options: [{ value: "30" }, { value: "20" }, { value: "15" }],
+    },
+  };
+
+  const elements = {
+    txtRate2: { innerHTML: "" },
+    txtPrice: { innerHTML: "" },
+    lblPITI: { innerHTML: "" },
+    lblPrice: { innerHTML: "" },
+    oSelRate: { length: 0, options: [] },
+  };
+
+  const context = vm.createContext({
+    formCalculator,
+    document: { getElementById: (id) => elements[id] },
+    Option: function Option(text, value) {
+      this.text = text;
+      this.value = value;
+    },
+  });
+  vm.runInContext(source, context);
+
+  // Record the raw value of every number NACA formats for display
+  let formatted = [];
+  context.recordFormatted = (num) => formatted.push(num);
+  vm.runInContext(
+    `var originalFormatNumber = cff_formatNumber;
+    cff_formatNumber = function (num) {
+      recordFormatted(num);
+      return originalFormatNumber.apply(this, arguments);
+    };`,
+    context
+  );
+
+  // Script globals have to be assigned from inside the context to be seen by its functions
+  const setCalcMethod = (method) =>
+    vm.runInContext(`l_pitiCalMethod = ${JSON.stringify(method)};`, context);
+
+  function setInputs({ term, rate, tax, insurance, hoaFee, principalBuydown }) {
+    formCalculator.oSelTerm.value = String(term);
+    formCalculator.txtRate.value = String(rate);
+    elements.txtRate2.innerHTML = String(rate);
+    // NACA's tax select holds the annual percentage; ours is dollars per $1000
+    formCalculator.oSelTax.value = String(tax / 100);
+    formCalculator.txtInsurance.value = String(insurance);
+    formCalculator.txtFee.value = String(hoaFee);
+    formCalculator.txtReduction.value = String(principalBuydown);
+    formCalculator.txtBuyDown.setAttribute("previousValue", "");
+    formatted = [];
+  }
+
+  return {
+    /** NACA's monthly P&I, floored to the cent */
+    pmt: (rate, term, principal) => context.cff_pmt(rate, term, principal),
+
+    /** NACA's present value of a monthly payment stream */
+    pv: (rate, term, payment) => context.cff_pv(rate, term, payment, 0),
+
+    /**
+     * Price mode: the monthly PITI for a purchase price (computePITI)
+     * @returns {{monthlyPayment: number, taxes: number}}
+     */
+    computePITI(inputs) {
+      setInputs(inputs);
+      setCalcMethod("price");
+      formCalculator.txtPITI.value = String(inputs.price);
+      context.compute();
+      return {
+        monthlyPayment: formatted[formatted.length - 1],
+        taxes: context.cff_convertToNumber(formCalculator.txtTax.value),
+      };
+    },
+
+    /**
+     * Payment mode: the purchase price for a desired monthly payment (computePrice)
+     * @returns {{purchasePrice: number, taxes: number}}
+     */
+    computePrice(inputs) {
+      setInputs(inputs);
+      setCalcMethod("payment");
+      formCalculator.txtPITI.value = String(inputs.price);
+      context.compute();
+      return {
+        purchasePrice: formatted[formatted.length - 1],
+        taxes: Number(formCalculator.txtTax.value),
+      };
+    },
+
+    /**
+     * The cost of buying the rate down to desiredRate for a purchase price (computeBuyDown)
+     * @returns {number}
+     */
+    computeBuyDown(inputs, desiredRate) {
+      setInputs(inputs);
+      setCalcMethod("price");
+      formCalculator.txtPITI.value = String(inputs.price);
+      context.computeBuyDown(String(desiredRate), 2);
+      return formatted[0];
+    },
+  };
+}
+
+/**
+ * Run every case through both implementations and collect the ones that disagree
+ * @param {Array<Object>} cases Generated inputs
+ * @param {(input: Object) => number} reference NACA's result for a case
+ * @param {(input: Object) => number} actual The shared calculator's result for a case
+ * @param {number} [tolerance=0.01] Largest allowed difference, in dollars
+ * @returns {Array<{input: Object, expected: number, actual: number, difference: number}>}
+ */
+export function findMismatches(cases, reference, actual, tolerance = 0.01) {
+  const mismatches = [];
+  for (const input of cases) {
+    const expected = reference(input);
+    const result = actual(input);
+    const difference = Math.abs(result - expected);
+    if (!(difference <= tolerance + 1e-9)) {
+      mismatches.push({ input, expected, actual: result, difference });
+    }
+  }
+  return mismatches;
+}
+
+/**
+ * Build every combination of the given option lists
+ * @param {Object<string, Array>} options
+ * @returns {Array<Object>}
+ */
+export function generateCases(options) {
+  return Object.entries(options).reduce(
+    (cases, [key, values]) =>
+      cases.flatMap((partial) =>
+        values.map((value) => ({ ...partial, [key]: value }))
+      ),
+    [{}]
+  );
+}
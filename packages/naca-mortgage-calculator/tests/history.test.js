@@ -0,0 +1,207 @@
+import { describe, it, expect, beforeEach } from "bun:test";
+import {
+  MAX_HISTORY_ENTRIES,
+  EMPTY_HISTORY,
+  recordCalculation,
+  restoreRecentCalculation,
+  isRecentCalculationShown,
+  goToCalculation,
+  undoCalculation,
+  redoCalculation,
+  canUndo,
+  canRedo,
+  getHistoryShortcut,
+} from "../src/history.js";
+import { createCalculatorStore } from "../src/store.js";
+
+const inputs = {
+  price: 2500,
+  term: 30,
+  rate: 7.125,
+  tax: 15,
+  insurance: 50,
+  hoaFee: 0,
+  principalBuydown: 0,
+};
+
+describe("calculation history", () => {
+  let store;
+
+  beforeEach(() => {
+    store = createCalculatorStore();
+    store.dispatch({ type: "selectRate", term: 30, rate: 7.125 });
+  });
+
+  // Record the store's state after each action, one minute apart
+  function recordEach(actions, history = EMPTY_HISTORY) {
+    const start = history.recent.length;
+    return actions.reduce((recorded, action, minute) => {
+      store.dispatch(action);
+      return recordCalculation(
+        recorded,
+        store.getState(),
+        (start + minute) * 60000
+      );
+    }, history);
+  }
+
+  it("records each committed calculation with its time", () => {
+    const history = recordEach([
+      { type: "calculate", inputs },
+      { type: "setInterestRateBuydown", rate: 6.5 },
+    ]);
+
+    expect(history.entries).toHaveLength(2);
+    expect(history.index).toBe(1);
+    expect(history.entries[1].savedAt).toBe(60000);
+    expect(history.entries[1].state.desiredRate).toBe(6.5);
+  });
+
+  it("skips states without a result and repeats of the entry shown", () => {
+    const history = recordEach([
+      { type: "selectRate", term: 30, rate: 7.125 },
+      { type: "calculate", inputs },
+      { type: "setInterestRateBuydown", rate: 7.125 },
+    ]);
+
+    expect(history.entries).toHaveLength(1);
+  });
+
+  it("undoes and redoes through the entries", () => {
+    let history = recordEach([
+      { type: "calculate", inputs },
+      { type: "setInterestRateBuydown", rate: 6.5 },
+      { type: "setPrincipalBuydown", amount: 10000 },
+    ]);
+    expect(canRedo(history)).toBe(false);
+
+    history = undoCalculation(undoCalculation(history));
+    expect(history.index).toBe(0);
+    expect(canUndo(history)).toBe(false);
+    expect(undoCalculation(history)).toBe(history);
+
+    history = redoCalculation(history);
+    expect(history.index).toBe(1);
+    expect(canUndo(history)).toBe(true);
+    expect(canRedo(history)).toBe(true);
+  });
+
+  it("drops undone calculations when a new one is recorded", () => {
+    let history = recordEach([
+      { type: "calculate", inputs },
+      { type: "setInterestRateBuydown", rate: 6.5 },
+      { type: "setPrincipalBuydown", amount: 10000 },
+    ]);
+    history = undoCalculation(undoCalculation(history));
+    store.dispatch({ type: "restore", state: history.entries[0].state });
+
+    history = recordEach(
+      [{ type: "calculate", inputs: { ...inputs, price: 3000 } }],
+      history
+    );
+
+    expect(history.entries.map((entry) => entry.state.inputs.price)).toEqual([
+      2500, 3000,
+    ]);
+    expect(history.index).toBe(1);
+    expect(canRedo(history)).toBe(false);
+    // The recent list still has every calculation
+    expect(history.recent).toHaveLength(4);
+  });
+
+  it("keeps newer scenarios on the recent list after recalculating an older one", () => {
+    let history = recordEach([
+      { type: "calculate", inputs },
+      { type: "calculate", inputs: { ...inputs, price: 2800 } },
+      { type: "calculate", inputs: { ...inputs, price: 3000 } },
+    ]);
+    history = restoreRecentCalculation(history, 0);
+    expect(isRecentCalculationShown(history, 0)).toBe(true);
+    store.dispatch({ type: "restore", state: history.recent[0].state });
+
+    history = recordEach(
+      [{ type: "calculate", inputs: { ...inputs, price: 2600 } }],
+      history
+    );
+
+    expect(history.recent.map((entry) => entry.state.inputs.price)).toEqual([
+      2500, 2800, 3000, 2600,
+    ]);
+    expect(isRecentCalculationShown(history, 3)).toBe(true);
+    expect(isRecentCalculationShown(history, 0)).toBe(false);
+  });
+
+  it("restores a recent scenario as the newest undo step", () => {
+    let history = recordEach([
+      { type: "calculate", inputs },
+      { type: "calculate", inputs: { ...inputs, price: 3000 } },
+    ]);
+    history = restoreRecentCalculation(history, 0);
+
+    expect(history.entries[history.index]).toBe(history.recent[0]);
+    expect(history.recent).toHaveLength(2);
+    expect(undoCalculation(history).entries[1].state.inputs.price).toBe(3000);
+    // Picking the scenario already shown changes nothing
+    expect(restoreRecentCalculation(history, 0)).toBe(history);
+  });
+
+  it("drops the oldest entries past the limit", () => {
+    const actions = Array.from({ length: MAX_HISTORY_ENTRIES + 5 }, (_, i) => ({
+      type: "calculate",
+      inputs: { ...inputs, price: 2000 + i },
+    }));
+    const history = recordEach(actions);
+
+    expect(history.entries).toHaveLength(MAX_HISTORY_ENTRIES);
+    expect(history.entries[0].state.inputs.price).toBe(2005);
+    expect(history.recent).toHaveLength(MAX_HISTORY_ENTRIES);
+    expect(history.index).toBe(MAX_HISTORY_ENTRIES - 1);
+  });
+
+  it("ignores entries out of range", () => {
+    const history = recordEach([{ type: "calculate", inputs }]);
+    expect(goToCalculation(history, 5)).toBe(history);
+    expect(goToCalculation(history, -1)).toBe(history);
+    expect(restoreRecentCalculation(history, 5)).toBe(history);
+  });
+
+  it("restores a recorded state's inputs and results", () => {
+    const history = recordEach([
+      { type: "calculate", inputs },
+      { type: "setInterestRateBuydown", rate: 6.5 },
+    ]);
+
+    store.dispatch({ type: "restore", state: history.entries[0].state });
+
+    expect(store.getState()).toEqual(history.entries[0].state);
+    expect(store.getState().result.monthlyPayment).toBe(2500);
+  });
+});
+
+describe("getHistoryShortcut", () => {
+  const press = (key, modifiers = {}) =>
+    getHistoryShortcut({
+      key,
+      ctrlKey: false,
+      metaKey: false,
+      shiftKey: false,
+      altKey: false,
+      ...modifiers,
+    });
+
+  it("undoes with Ctrl+Z or Cmd+Z", () => {
+    expect(press("z", { ctrlKey: true })).toBe("undo");
+    expect(press("z", { metaKey: true })).toBe("undo");
+  });
+
+  it("redoes with Ctrl+Shift+Z or Ctrl+Y", () => {
+    expect(press("Z", { ctrlKey: true, shiftKey: true })).toBe("redo");
+    expect(press("y", { ctrlKey: true })).toBe("redo");
+  });
+
+  it("ignores other keys", () => {
+    expect(press("z")).toBeNull();
+    expect(press("z", { ctrlKey: true, altKey: true })).toBeNull();
+    expect(press("c", { ctrlKey: true })).toBeNull();
+  });
+});
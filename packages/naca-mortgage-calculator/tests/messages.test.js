@@ -0,0 +1,79 @@
+import { describe, it, expect } from "bun:test";
+import {
+  MESSAGES,
+  SUPPORTED_LOCALES,
+  resolveLocale,
+  translate,
+  formatLocaleCurrency,
+} from "../src/messages.js";
+import { MortgageCalculator } from "../src/calculator.js";
+
+describe("resolveLocale", () => {
+  it("matches browser languages to a catalog", () => {
+    expect(resolveLocale("es")).toBe("es");
+    expect(resolveLocale("es-MX")).toBe("es");
+    expect(resolveLocale("ES_us")).toBe("es");
+    expect(resolveLocale("en-GB")).toBe("en");
+  });
+
+  it("falls back to English", () => {
+    expect(resolveLocale("fr-FR")).toBe("en");
+    expect(resolveLocale("")).toBe("en");
+    expect(resolveLocale(undefined)).toBe("en");
+  });
+});
+
+describe("translate", () => {
+  it("looks up messages by locale", () => {
+    expect(translate("en", "required")).toBe("Required");
+    expect(translate("es", "required")).toBe("Obligatorio");
+  });
+
+  it("fills in placeholders", () => {
+    expect(translate("en", "termYears", { years: 30 })).toBe("30 Years");
+    expect(translate("es", "msaDataFound", { address: "1 Main St" })).toBe(
+      "Datos encontrados para: 1 Main St"
+    );
+  });
+
+  it("leaves placeholders without a value", () => {
+    expect(translate("en", "termYears")).toBe("{years} Years");
+  });
+
+  it("falls back to English, then to the key", () => {
+    expect(translate("fr", "required")).toBe("Required");
+    expect(translate("es", "noSuchMessage")).toBe("noSuchMessage");
+  });
+
+  it("translates every English message", () => {
+    for (const locale of SUPPORTED_LOCALES) {
+      expect(Object.keys(MESSAGES[locale]).sort()).toEqual(
+        Object.keys(MESSAGES.en).sort()
+      );
+    }
+  });
+});
+
+describe("formatLocaleCurrency", () => {
+  it("formats dollars", () => {
+    expect(formatLocaleCurrency(1234.5, "en")).toBe("$1,234.50");
+    expect(formatLocaleCurrency(1234.5, "es")).toBe("$1,234.50");
+    expect(formatLocaleCurrency(425000, "en", 0)).toBe("$425,000");
+    expect(formatLocaleCurrency(-5, "en")).toBe("-$5.00");
+  });
+
+  it("returns an empty string for NaN", () => {
+    expect(formatLocaleCurrency(NaN, "en")).toBe("");
+  });
+});
+
+describe("MortgageCalculator.setLocale", () => {
+  it("groups digits for the locale", () => {
+    const calculator = new MortgageCalculator();
+    expect(calculator.formatNumber(1234567.891)).toBe("$1,234,567.89");
+
+    calculator.setLocale("de-DE");
+    expect(calculator.formatNumber(1234567.891)).toBe("$1.234.567,89");
+    expect(calculator.formatNumber(1234.5, 0, "")).toBe("1.235");
+  });
+});
@@ -0,0 +1,153 @@
+import { describe, it, expect, beforeAll } from "bun:test";
+import { MortgageCalculator } from "../src/calculator.js";
+import {
+  loadNacaReference,
+  findMismatches,
+  generateCases,
+} from "./helpers/nacaReference.js";
+
+// Golden parity against NACA's original cff_* algorithm (scripts/mortgage-calculator.js).
+// Every mismatch of more than one cent is listed in the failure output.
+// The calculator runs in "naca" rounding mode, as the extension and website do.
+describe("Parity with NACA's original calculator", () => {
+  let naca;
+  let calculator;
+
+  const loanOptions = {
+    term: [15, 20, 30],
+    rate: [2.875, 3.5, 4.375, 5, 5.625, 6.125, 6.99, 7.875],
+    tax: [5, 9.5, 12.5, 15, 22, 30.5],
+  };
+
+  const priceCases = generateCases({
+    ...loanOptions,
+    insurance: [0, 50, 137.5],
+    hoaFee: [0, 85, 250],
+    price: [85000, 300000, 612345.67],
+    principalBuydown: [0, 20000],
+  });
+
+  beforeAll(() => {
+    naca = loadNacaReference();
+    calculator = new MortgageCalculator();
+    calculator.setRoundingMode("naca");
+  });
+
+  it("generates thousands of input combinations", () => {
+    expect(priceCases.length).toBeGreaterThan(1000);
+  });
+
+  it("matches cff_pmt for principal & interest", () => {
+    const cases = generateCases({
+      ...loanOptions,
+      rate: [0, ...loanOptions.rate],
+      principal: [1000, 85000, 250000, 333333.33, 1250000],
+    });
+
+    const mismatches = findMismatches(
+      cases,
+      ({ rate, term, principal }) => naca.pmt(rate, term, principal),
+      ({ rate, term, principal }) =>
+        calculator.calculateBaseMonthlyPayment(principal, rate, term)
+    );
+
+    expect(mismatches).toEqual([]);
+  });
+
+  it("matches cff_pv for present value", () => {
+    const cases = generateCases({
+      ...loanOptions,
+      payment: [100, 1234.56, 2500, 9999.99],
+    });
+
+    const mismatches = findMismatches(
+      cases,
+      ({ rate, term, payment }) => naca.pv(rate, term, payment),
+      ({ rate, term, payment }) =>
+        calculator.calculatePresentValue(payment, rate, term)
+    );
+
+    expect(mismatches).toEqual([]);
+  });
+
+  it("matches computePITI in price mode", () => {
+    calculator.setCalcMethod("price");
+
+    const mismatches = findMismatches(
+      priceCases,
+      (input) => naca.computePITI(input).monthlyPayment,
+      (input) => calculator.calculateRaw(input).monthlyPayment
+    );
+
+    expect(mismatches).toEqual([]);
+  });
+
+  it("matches computePITI taxes in price mode", () => {
+    calculator.setCalcMethod("price");
+
+    const mismatches = findMismatches(
+      priceCases,
+      (input) => naca.computePITI(input).taxes,
+      (input) => calculator.calculateRaw(input).taxes
+    );
+
+    expect(mismatches).toEqual([]);
+  });
+
+  it("matches computeBuyDown for interest rate buydown cost", () => {
+    const cases = priceCases.flatMap((input) =>
+      [0.125, 0.5, 1.5].map((buydown) => ({
+        ...input,
+        desiredRate: input.rate - buydown,
+      }))
+    );
+
+    const mismatches = findMismatches(
+      cases,
+      (input) => naca.computeBuyDown(input, input.desiredRate),
+      ({ price, principalBuydown, rate, desiredRate, term }) =>
+        calculator.calculateInterestRateBuydown(
+          price - principalBuydown,
+          rate,
+          desiredRate,
+          term
+        )
+    );
+
+    expect(mismatches).toEqual([]);
+  });
+
+  describe("computePrice in payment mode", () => {
+    const paymentCases = generateCases({
+      ...loanOptions,
+      insurance: [0, 50],
+      hoaFee: [0, 250],
+      price: [1200, 2000, 3456.78],
+      principalBuydown: [0, 20000],
+    });
+
+    it("matches the purchase price", () => {
+      calculator.setCalcMethod("payment");
+
+      const mismatches = findMismatches(
+        paymentCases,
+        (input) => naca.computePrice(input).purchasePrice,
+        (input) => calculator.calculateRaw(input).purchasePrice
+      );
+
+      expect(mismatches).toEqual([]);
+    });
+
+    it("matches the taxes", () => {
+      calculator.setCalcMethod("payment");
+
+      const mismatches = findMismatches(
+        paymentCases,
+        (input) => naca.computePrice(input).taxes,
+        (input) => calculator.calculateRaw(input).taxes
+      );
+
+      expect(mismatches).toEqual([]);
+    });
+  });
+});
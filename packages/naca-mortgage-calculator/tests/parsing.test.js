@@ -0,0 +1,79 @@
+import { describe, it, expect } from "bun:test";
+import { parseLocaleNumber, formatParsedNumber } from "../src/parsing.js";
+
+function parse(text, options) {
+  const result = parseLocaleNumber(text, options);
+  return result.kind === "success" ? result.value : result.reason;
+}
+
+describe("parseLocaleNumber", () => {
+  it("parses plain numbers", () => {
+    expect(parse("425000")).toBe(425000);
+    expect(parse("6.125")).toBe(6.125);
+    expect(parse(".5")).toBe(0.5);
+    expect(parse("-5")).toBe(-5);
+  });
+
+  it("ignores currency symbols, spaces and thousands separators", () => {
+    expect(parse("$425,000")).toBe(425000);
+    expect(parse(" $ 1,234,567.89 ")).toBe(1234567.89);
+    expect(parse("€1.234.567,89")).toBe(1234567.89);
+    expect(parse("1 234 567,89")).toBe(1234567.89);
+    expect(parse("1'234'567.89")).toBe(1234567.89);
+  });
+
+  it("expands k and M suffixes", () => {
+    expect(parse("425k")).toBe(425000);
+    expect(parse("425K")).toBe(425000);
+    expect(parse("$1.2M")).toBe(1200000);
+    expect(parse("1,5m")).toBe(1500000);
+  });
+
+  it("rejects suffixes when they aren't allowed", () => {
+    expect(parse("425k", { allowSuffix: false })).toBe("invalid");
+  });
+
+  it("accepts a percent sign only when allowed", () => {
+    expect(parse("6.125%", { allowPercent: true })).toBe(6.125);
+    expect(parse("6.125%")).toBe("invalid");
+  });
+
+  it("reads a lone comma as a decimal point unless it groups thousands", () => {
+    expect(parse("6,5")).toBe(6.5);
+    expect(parse("6,25")).toBe(6.25);
+    expect(parse("0,125")).toBe(0.125);
+    expect(parse("1,500")).toBe(1500);
+  });
+
+  it("resolves 1,500 and 1.500 by the locale", () => {
+    expect(parse("1,500", { locale: "en-US" })).toBe(1500);
+    expect(parse("1.500", { locale: "en-US" })).toBe(1.5);
+    expect(parse("1,500", { locale: "de-DE" })).toBe(1.5);
+    expect(parse("1.500", { locale: "de-DE" })).toBe(1500);
+  });
+
+  it("rejects malformed numbers", () => {
+    expect(parse("")).toBe("empty");
+    expect(parse("  ")).toBe("empty");
+    expect(parse("abc")).toBe("invalid");
+    expect(parse("1,2345,678")).toBe("invalid");
+    expect(parse("1.2.3,4.5")).toBe("invalid");
+    expect(parse("12k5")).toBe("invalid");
+  });
+
+  it("returns the value written plainly for the input", () => {
+    expect(parseLocaleNumber("$1.2M")).toEqual({
+      kind: "success",
+      value: 1200000,
+      normalized: "1200000",
+    });
+  });
+});
+
+describe("formatParsedNumber", () => {
+  it("groups thousands and keeps up to three decimals", () => {
+    expect(formatParsedNumber(425000)).toBe("425,000");
+    expect(formatParsedNumber(6.125)).toBe("6.125");
+    expect(formatParsedNumber(1500, "de-DE")).toBe("1.500");
+  });
+});
@@ -0,0 +1,239 @@
+import { describe, it, expect } from "bun:test";
+import {
+  savePropertyCalculation,
+  normalizeListingUrl,
+  findSavedProperty,
+  getLatestScenario,
+  getPropertyValue,
+  sortProperties,
+  filterProperties,
+  openPropertyDatabase,
+} from "../src/properties.js";
+import { createCalculatorStore } from "../src/store.js";
+import { createFakeIndexedDB } from "./helpers/fakeIndexedDB.js";
+
+const inputs = {
+  price: 300000,
+  term: 30,
+  rate: 7.125,
+  tax: 15,
+  insurance: 50,
+  hoaFee: 25,
+  principalBuydown: 0,
+};
+
+// A calculated state for a purchase price
+function calculatedState(price) {
+  const store = createCalculatorStore();
+  store.dispatch({ type: "setCalcMethod", calcMethod: "price" });
+  store.dispatch({
+    type: "calculate",
+    inputs: { ...inputs, price },
+    originalRate: 7.125,
+  });
+  return store.getState();
+}
+
+function savedProperty(address, price, tractPercentOfMsa) {
+  return savePropertyCalculation(
+    null,
+    {
+      address,
+      msaLookup: tractPercentOfMsa === undefined ? null : { tractPercentOfMsa },
+    },
+    calculatedState(price),
+    1000
+  );
+}
+
+describe("savePropertyCalculation", () => {
+  it("saves a new property with its first scenario", () => {
+    const state = calculatedState(300000);
+    const property = savePropertyCalculation(
+      null,
+      {
+        address: " 12 Elm St ",
+        listingUrl: "https://www.zillow.com/homedetails/12-elm",
+        msaLookup: { tractPercentOfMsa: 72.5 },
+      },
+      state,
+      1000
+    );
+
+    expect(property).toMatchObject({
+      address: "12 Elm St",
+      listingUrl: "https://www.zillow.com/homedetails/12-elm",
+      price: 300000,
+      tax: 15,
+      hoaFee: 25,
+      msaLookup: { tractPercentOfMsa: 72.5 },
+      scenarios: [{ state, savedAt: 1000 }],
+      createdAt: 1000,
+      updatedAt: 1000,
+    });
+    expect(property.id).toEqual(expect.any(String));
+  });
+
+  it("adds another scenario and keeps the listing and lookup", () => {
+    const first = savePropertyCalculation(
+      null,
+      {
+        address: "12 Elm St",
+        listingUrl: "https://www.zillow.com/homedetails/12-elm",
+        msaLookup: { tractPercentOfMsa: 72.5 },
+      },
+      calculatedState(300000),
+      1000
+    );
+
+    const second = savePropertyCalculation(
+      first,
+      { address: "12 Elm St" },
+      calculatedState(290000),
+      2000
+    );
+
+    expect(second.id).toBe(first.id);
+    expect(second.scenarios).toHaveLength(2);
+    expect(second.price).toBe(290000);
+    expect(second.listingUrl).toBe(first.listingUrl);
+    expect(second.msaLookup).toEqual({ tractPercentOfMsa: 72.5 });
+    expect(second.createdAt).toBe(1000);
+    expect(second.updatedAt).toBe(2000);
+    expect(getLatestScenario(second).savedAt).toBe(2000);
+  });
+});
+
+describe("normalizeListingUrl", () => {
+  it("keeps http and https URLs", () => {
+    expect(normalizeListingUrl(" https://www.redfin.com/12-elm ")).toBe(
+      "https://www.redfin.com/12-elm"
+    );
+    expect(normalizeListingUrl("http://homes.com/listing/1")).toBe(
+      "http://homes.com/listing/1"
+    );
+  });
+
+  it("adds https to a URL typed without a scheme", () => {
+    expect(normalizeListingUrl("zillow.com/homedetails/12-Elm-St")).toBe(
+      "https://zillow.com/homedetails/12-Elm-St"
+    );
+    expect(normalizeListingUrl("localhost:8080/listing")).toBe(
+      "https://localhost:8080/listing"
+    );
+  });
+
+  it("rejects other schemes and text that isn't a URL", () => {
+    expect(normalizeListingUrl("javascript:alert(1)")).toBeNull();
+    expect(normalizeListingUrl("data:text/html,<p>hi</p>")).toBeNull();
+    expect(normalizeListingUrl("ftp://example.com/listing")).toBeNull();
+    expect(normalizeListingUrl("not a url")).toBeNull();
+  });
+
+  it("returns an empty string when nothing was typed", () => {
+    expect(normalizeListingUrl("   ")).toBe("");
+  });
+});
+
+describe("findSavedProperty", () => {
+  const elm = {
+    ...savedProperty("12 Elm St", 300000),
+    listingUrl: "https://www.redfin.com/12-elm",
+  };
+  const oak = savedProperty("4 Oak Ave", 250000);
+
+  it("matches by listing URL or by address", () => {
+    expect(
+      findSavedProperty([oak, elm], {
+        address: "",
+        listingUrl: "https://www.redfin.com/12-elm",
+      })
+    ).toBe(elm);
+    expect(findSavedProperty([oak, elm], { address: "4 OAK AVE" })).toBe(oak);
+    expect(findSavedProperty([oak, elm], { address: "9 Pine Rd" })).toBeNull();
+  });
+});
+
+describe("sorting and filtering", () => {
+  const properties = [
+    savedProperty("Mid", 300000, 85),
+    savedProperty("Cheap", 200000, 60),
+    savedProperty("Unknown tract", 250000),
+    savedProperty("Pricey", 400000, 110),
+  ];
+  const addresses = (list) => list.map((property) => property.address);
+
+  it("reads each field's value", () => {
+    const [mid, , unknown] = properties;
+    expect(getPropertyValue(mid, "price")).toBe(300000);
+    expect(getPropertyValue(mid, "monthlyPayment")).toBe(
+      mid.scenarios[0].state.result.monthlyPayment
+    );
+    expect(getPropertyValue(mid, "tractPercent")).toBe(85);
+    expect(getPropertyValue(unknown, "tractPercent")).toBeNull();
+  });
+
+  it("sorts by monthly payment or price in either direction", () => {
+    expect(addresses(sortProperties(properties, "monthlyPayment"))).toEqual([
+      "Cheap",
+      "Unknown tract",
+      "Mid",
+      "Pricey",
+    ]);
+    expect(addresses(sortProperties(properties, "price", "desc"))).toEqual([
+      "Pricey",
+      "Mid",
+      "Unknown tract",
+      "Cheap",
+    ]);
+  });
+
+  it("sorts properties without a value last", () => {
+    expect(
+      addresses(sortProperties(properties, "tractPercent", "desc"))
+    ).toEqual(["Pricey", "Mid", "Cheap", "Unknown tract"]);
+  });
+
+  it("filters by a range of a field", () => {
+    expect(
+      addresses(filterProperties(properties, { field: "price", max: 300000 }))
+    ).toEqual(["Mid", "Cheap", "Unknown tract"]);
+    expect(
+      addresses(
+        filterProperties(properties, {
+          field: "tractPercent",
+          min: 80,
+          max: 100,
+        })
+      )
+    ).toEqual(["Mid"]);
+    expect(filterProperties(properties, { field: "tractPercent" })).toBe(
+      properties
+    );
+  });
+});
+
+describe("openPropertyDatabase", () => {
+  it("stores, updates and deletes properties", async () => {
+    const indexedDB = createFakeIndexedDB();
+    const database = await openPropertyDatabase(indexedDB);
+    const elm = savedProperty("12 Elm St", 300000, 85);
+    const oak = savedProperty("4 Oak Ave", 250000);
+
+    await database.putProperty(elm);
+    await database.putProperty(oak);
+    await database.putProperty({ ...elm, address: "12 Elm Street" });
+
+    const reopened = await openPropertyDatabase(indexedDB);
+    const stored = await reopened.listProperties();
+    expect(stored).toHaveLength(2);
+    expect(await reopened.getProperty(elm.id)).toMatchObject({
+      address: "12 Elm Street",
+      msaLookup: { tractPercentOfMsa: 85 },
+    });
+
+    await reopened.deleteProperty(oak.id);
+    expect(await reopened.getProperty(oak.id)).toBeNull();
+    expect(await reopened.listProperties()).toHaveLength(1);
+  });
+});
@@ -0,0 +1,190 @@
+import { describe, it, expect, beforeEach } from "bun:test";
+import { MortgageCalculator } from "../src/calculator.js";
+import {
+  INITIAL_CALCULATOR_STATE,
+  reduceCalculatorState,
+  createCalculatorStore,
+} from "../src/store.js";
+
+const priceInputs = {
+  price: 300000,
+  term: 30,
+  rate: 7.125,
+  tax: 15,
+  insurance: 50,
+  hoaFee: 0,
+  principalBuydown: 0,
+};
+
+const paymentInputs = { ...priceInputs, price: 2500 };
+
+describe("reduceCalculatorState", () => {
+  let calculator;
+  let state;
+
+  function dispatch(action) {
+    state = reduceCalculatorState(state, action, calculator);
+    return state;
+  }
+
+  beforeEach(() => {
+    calculator = new MortgageCalculator();
+    calculator.setRoundingMode("naca");
+    state = reduceCalculatorState(
+      INITIAL_CALCULATOR_STATE,
+      { type: "selectRate", term: 30, rate: 7.125 },
+      calculator
+    );
+  });
+
+  it("starts with nothing calculated and no buydown", () => {
+    expect(state.result).toBeNull();
+    expect(state.rateBuydown).toBeNull();
+    expect(state.originalRate).toBe(7.125);
+    expect(state.desiredRate).toBe(7.125);
+  });
+
+  it("calculates from validated inputs", () => {
+    dispatch({ type: "setCalcMethod", calcMethod: "price" });
+    dispatch({ type: "calculate", inputs: priceInputs, originalRate: 7.125 });
+
+    expect(state.inputs).toEqual({
+      price: 300000,
+      tax: 15,
+      insurance: 50,
+      hoaFee: 0,
+    });
+    expect(state.result.purchasePrice).toBe(300000);
+    expect(state.result.monthlyPayment).toBeGreaterThan(2000);
+    expect(state.rateBuydown.cost).toBe(0);
+  });
+
+  it("keeps the desired payment while the rate buydown slider moves", () => {
+    dispatch({ type: "calculate", inputs: paymentInputs, originalRate: 7.125 });
+    const before = state.result;
+
+    dispatch({ type: "setInterestRateBuydown", rate: 6.125 });
+
+    expect(state.inputs.price).toBe(2500);
+    expect(state.result.monthlyPayment).toBe(2500);
+    expect(state.result.purchasePrice).toBeGreaterThan(before.purchasePrice);
+    expect(state.rateBuydown.cost).toBeCloseTo(
+      (6 * state.result.purchasePrice) / 100
+    );
+
+    // Moving the slider back returns to the first result rather than treating the
+    // purchase price as a payment
+    dispatch({ type: "setInterestRateBuydown", rate: 7.125 });
+    expect(state.result).toEqual(before);
+  });
+
+  it("keeps the purchase price while the sliders move", () => {
+    dispatch({ type: "setCalcMethod", calcMethod: "price" });
+    dispatch({ type: "calculate", inputs: priceInputs, originalRate: 7.125 });
+    const before = state.result;
+
+    dispatch({ type: "setInterestRateBuydown", rate: 6.625 });
+    dispatch({ type: "setPrincipalBuydown", amount: 10000 });
+
+    expect(state.result.purchasePrice).toBe(300000);
+    expect(state.result.monthlyPayment).toBeLessThan(before.monthlyPayment);
+    expect(state.principalBuydown).toBe(10000);
+  });
+
+  it("caps the rate buydown at 1.5%", () => {
+    dispatch({ type: "calculate", inputs: paymentInputs, originalRate: 7.125 });
+
+    dispatch({ type: "setInterestRateBuydown", rate: 5 });
+    expect(state.desiredRate).toBe(5.625);
+    expect(state.capReached).toBe(true);
+
+    dispatch({ type: "setInterestRateBuydown", rate: 8 });
+    expect(state.desiredRate).toBe(7.125);
+    expect(state.capReached).toBe(false);
+  });
+
+  it("caps the principal buydown at the purchase price", () => {
+    dispatch({ type: "setCalcMethod", calcMethod: "price" });
+    dispatch({ type: "calculate", inputs: priceInputs, originalRate: 7.125 });
+
+    dispatch({ type: "setPrincipalBuydown", amount: 400000 });
+    expect(state.principalBuydown).toBe(300000);
+
+    dispatch({ type: "setPrincipalBuydown", amount: -5 });
+    expect(state.principalBuydown).toBe(0);
+  });
+
+  it("recalculates with a new term and removes the rate buydown", () => {
+    dispatch({ type: "calculate", inputs: paymentInputs, originalRate: 7.125 });
+    dispatch({ type: "setInterestRateBuydown", rate: 6.5 });
+    const thirtyYear = state.result;
+
+    dispatch({ type: "selectRate", term: 15, rate: 5.625 });
+
+    expect(state.desiredRate).toBe(5.625);
+    expect(state.rateBuydown.cost).toBe(0);
+    expect(state.result.monthlyPayment).toBe(2500);
+    expect(state.result.purchasePrice).not.toBe(thirtyYear.purchasePrice);
+  });
+
+  it("clears the result when the calculation method changes", () => {
+    dispatch({ type: "calculate", inputs: paymentInputs, originalRate: 7.125 });
+    dispatch({ type: "setPrincipalBuydown", amount: 5000 });
+
+    dispatch({ type: "setCalcMethod", calcMethod: "price" });
+
+    expect(state.calcMethod).toBe("price");
+    expect(state.inputs).toBeNull();
+    expect(state.result).toBeNull();
+    expect(state.principalBuydown).toBe(0);
+  });
+
+  it("resets to nothing calculated at the selected rate", () => {
+    dispatch({ type: "setCalcMethod", calcMethod: "price" });
+    dispatch({ type: "calculate", inputs: priceInputs, originalRate: 7.125 });
+    dispatch({ type: "setInterestRateBuydown", rate: 6.5 });
+
+    dispatch({ type: "reset" });
+
+    expect(state).toEqual({
+      ...INITIAL_CALCULATOR_STATE,
+      originalRate: 7.125,
+      desiredRate: 7.125,
+    });
+  });
+
+  it("restores a recorded state as it was", () => {
+    dispatch({ type: "calculate", inputs: paymentInputs, originalRate: 7.125 });
+    dispatch({ type: "setInterestRateBuydown", rate: 6.5 });
+    const recorded = state;
+    dispatch({ type: "reset" });
+
+    dispatch({ type: "restore", state: recorded });
+
+    expect(state).toEqual(recorded);
+    expect(state).not.toBe(recorded);
+  });
+
+  it("ignores unknown actions", () => {
+    const before = state;
+    expect(dispatch({ type: "noSuchAction" })).toBe(before);
+  });
+});
+
+describe("createCalculatorStore", () => {
+  it("notifies subscribers of each new state until they unsubscribe", () => {
+    const store = createCalculatorStore();
+    const states = [];
+    const unsubscribe = store.subscribe((state) => states.push(state));
+
+    store.dispatch({ type: "selectRate", term: 30, rate: 6.5 });
+    store.dispatch({ type: "calculate", inputs: paymentInputs });
+    unsubscribe();
+    store.dispatch({ type: "reset" });
+
+    expect(states).toHaveLength(2);
+    expect(states[1].result.monthlyPayment).toBe(2500);
+    expect(states[1].originalRate).toBe(7.125);
+    expect(store.getState().result).toBeNull();
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * Calculator state store - Shared state for the calculator pages
+ * Source: @naca-app/calculator/store (packages/naca-mortgage-calculator)
+ * 
+ * This file is a browser-compatible copy of the shared store module.
+ * MortgageCalculator and MAX_RATE_BUYDOWN come from calculator.js, loaded first.
+ * Keep in sync with packages/naca-mortgage-calculator/src/store.js
+ */
+/**
+ * The calculator before anything is calculated. inputs are the form values the
+ * user entered (price is the desired payment in "payment" mode and the purchase
+ * price in "price" mode) and stay as entered while the sliders move; result and
+ * rateBuydown are derived from them.
+ */
+const INITIAL_CALCULATOR_STATE = {
+  calcMethod: "payment",
+  term: 30,
+  originalRate: 0,
+  desiredRate: 0,
+  capReached: false,
+  principalBuydown: 0,
+  inputs: null,
+  result: null,
+  rateBuydown: null,
+};
+
+// The slider values are kept apart from the entered inputs
+function getEnteredInputs(inputs) {
+  const { term, rate, principalBuydown, ...entered } = inputs;
+  return entered;
+}
+
+// Keep the desired rate within the 1.5% buydown cap and at or below the original rate
+function capDesiredRate(state, rate) {
+  const minAllowedRate = Math.max(0, state.originalRate - MAX_RATE_BUYDOWN);
+  const desiredRate = Math.min(
+    Math.max(isNaN(rate) ? state.originalRate : rate, minAllowedRate),
+    state.originalRate
+  );
+  return { ...state, desiredRate, capReached: rate < minAllowedRate };
+}
+
+/**
+ * Recalculate the result and the rate buydown from the entered inputs and the
+ * sliders. A principal buydown larger than the purchase price is brought down to it.
+ */
+function deriveResults(state, calculator) {
+  if (!state.inputs) {
+    return { ...state, result: null, rateBuydown: null };
+  }
+
+  calculator.setCalcMethod(state.calcMethod);
+  const calculate = (principalBuydown) =>
+    calculator.calculateRaw({
+      ...state.inputs,
+      term: state.term,
+      rate: state.desiredRate,
+      principalBuydown,
+    });
+
+  let principalBuydown = state.principalBuydown;
+  let result = calculate(principalBuydown);
+  if (principalBuydown > result.purchasePrice) {
+    principalBuydown = Math.max(result.purchasePrice, 0);
+    result = calculate(principalBuydown);
+  }
+
+  const rateBuydown =
+    result.purchasePrice > 0
+      ? calculator.calculateBuydownBreakEven(
+          result.purchasePrice,
+          state.originalRate,
+          state.desiredRate,
+          state.term
+        )
+      : null;
+
+  return { ...state, principalBuydown, result, rateBuydown };
+}
+
+/**
+ * Apply an action to the calculator state. Nothing is read from or written to the
+ * page, so every transition can be tested on its own.
+ *
+ * Actions:
+ * - calculate {inputs, originalRate}: validated inputs; inputs.rate and
+ *   inputs.principalBuydown are the slider values
+ * - setCalcMethod {calcMethod}: clears the result and the principal buydown, which
+ *   can't be larger than a purchase price there no longer is
+ * - selectRate {term, rate}: a new term or rate, with no rate buydown
+ * - setInterestRateBuydown {rate}: the rate to buy down to, capped at 1.5% below the original
+ * - setPrincipalBuydown {amount}: capped at the purchase price once there is one
+ * - reset: back to the initial state, keeping the selected term and rate
+ * - restore {state}: a state from the history, with its inputs and results
+ *
+ * @param {Object} state The current state
+ * @param {{type: string}} action What happened
+ * @param {MortgageCalculator} calculator Does the math; its rounding mode and locale are kept
+ * @returns {Object} The next state
+ */
+function reduceCalculatorState(state, action, calculator) {
+  switch (action.type) {
+    case "calculate": {
+      const { inputs, originalRate } = action;
+      const next = capDesiredRate(
+        {
+          ...state,
+          term: inputs.term,
+          originalRate: originalRate ?? inputs.rate,
+          principalBuydown: inputs.principalBuydown || 0,
+          inputs: getEnteredInputs(inputs),
+        },
+        inputs.rate
+      );
+      return deriveResults(next, calculator);
+    }
+    case "setCalcMethod":
+      return {
+        ...state,
+        calcMethod: action.calcMethod,
+        principalBuydown: 0,
+        inputs: null,
+        result: null,
+        rateBuydown: null,
+      };
+    case "selectRate":
+      return deriveResults(
+        {
+          ...state,
+          term: action.term,
+          originalRate: action.rate,
+          desiredRate: action.rate,
+          capReached: false,
+        },
+        calculator
+      );
+    case "setInterestRateBuydown":
+      return deriveResults(capDesiredRate(state, action.rate), calculator);
+    case "setPrincipalBuydown": {
+      const maxPrincipalBuydown = state.result
+        ? Math.max(state.result.purchasePrice, 0)
+        : Infinity;
+      const amount = Math.min(
+        Math.max(action.amount || 0, 0),
+        maxPrincipalBuydown
+      );
+      return deriveResults({ ...state, principalBuydown: amount }, calculator);
+    }
+    case "restore":
+      return { ...action.state };
+    case "reset":
+      return {
+        ...INITIAL_CALCULATOR_STATE,
+        term: state.term,
+        originalRate: state.originalRate,
+        desiredRate: state.originalRate,
+      };
+    default:
+      return state;
+  }
+}
+
+/**
+ * Hold the calculator state for a page: actions go in, and subscribers are called
+ * with the new state to render it
+ * @param {MortgageCalculator} [calculator] Does the math (defaults to exact rounding)
+ * @param {Object} [initialState] The state to start from
+ * @returns {{getState: function(): Object, dispatch: function({type: string}): void, subscribe: function(function(Object): void): function(): void}}
+ *   subscribe returns a function that unsubscribes
+ */
+function createCalculatorStore(
+  calculator = new MortgageCalculator(),
+  initialState = INITIAL_CALCULATOR_STATE
+) {
+  let state = initialState;
+  const listeners = new Set();
+
+  return {
+    getState: () => state,
+    dispatch(action) {
+      state = reduceCalculatorState(state, action, calculator);
+      listeners.forEach((listener) => listener(state));
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
@@ -1,10 +1,45 @@
 document.addEventListener("DOMContentLoaded", async () => {
   const calculator = new MortgageCalculator();
+  // Match NACA's official calculator to the penny
+  calculator.setRoundingMode("naca");
+  // The results, both buydown sliders and their costs are rendered from this state
+  const calculatorStore = createCalculatorStore(calculator);
+  // Committed calculations, for undo, redo and the recent scenarios list
+  let calculationHistory = EMPTY_HISTORY;
+
+  // Term choices, labelled with the rest of the page by applyTranslations
+  addTermOptions(document.getElementById("term"));
+
+  // Show the page in the language picked last time, or the browser's
+  const languageSelect = document.getElementById("language");
+  let locale = resolveLocale(
+    localStorage.getItem(LANGUAGE_STORAGE_KEY) || navigator.language,
+  );
+  function applyLocale() {
+    languageSelect.value = locale;
+    calculator.setLocale(getNumberLocale(locale));
+    applyTranslations(document, locale);
+  }
+  applyLocale();
+  languageSelect.addEventListener("change", () => {
+    locale = resolveLocale(languageSelect.value);
+    localStorage.setItem(LANGUAGE_STORAGE_KEY, locale);
+    applyLocale();
+    showPricePlaceholder(calculatorStore.getState().calcMethod);
+    labelRateOptions();
+    renderCalculatorState(calculatorStore.getState());
+    renderHistory();
+    renderComparison();
+    renderProperties();
+  });
 
   // Elements
   const calcMethodInputs = document.querySelectorAll(
     'input[name="calcMethod"]',
   );
+  const membershipTypeInputs = document.querySelectorAll(
+    'input[name="membershipType"]',
+  );
   const priceInput = document.getElementById("price");
   const termSelect = document.getElementById("term");
   const rateInput = document.getElementById("rate");
@@ -35,6 +70,28 @@ document.addEventListener("DOMContentLoaded", async () => {
   const principalBuydownCostDisplay = document.getElementById(
     "principalBuydownCost",
   );
+  const extraMonthlyInput = document.getElementById("extraMonthly");
+  const extraAnnualInput = document.getElementById("extraAnnual");
+  const extraOneTimeInput = document.getElementById("extraOneTime");
+  const extraOneTimeMonthInput = document.getElementById("extraOneTimeMonth");
+  const extraPayoffDateDisplay = document.getElementById("extraPayoffDate");
+  const extraTimeSavedDisplay = document.getElementById("extraTimeSaved");
+  const extraInterestSavedDisplay = document.getElementById(
+    "extraInterestSaved",
+  );
+  const scenarioNameInput = document.getElementById("scenarioName");
+  const addScenarioButton = document.getElementById("addScenario");
+  const addScenarioStatus = document.getElementById("addScenarioStatus");
+  const comparisonBaselineSelect = document.getElementById(
+    "comparisonBaseline",
+  );
+  const comparisonStatus = document.getElementById("comparisonStatus");
+  const comparisonTable = document.getElementById("comparisonTable");
+  const clearScenariosButton = document.getElementById("clearScenarios");
+  const undoButton = document.getElementById("undoCalculation");
+  const redoButton = document.getElementById("redoCalculation");
+  const recentScenariosList = document.getElementById("recentScenarios");
+  const recentScenariosEmpty = document.getElementById("recentScenariosEmpty");
 
   // MSA Lookup elements
   const addressInput = document.getElementById("address");
@@ -45,354 +102,985 @@ document.addEventListener("DOMContentLoaded", async () => {
   const tractPercentDisplay = document.getElementById("msaResultTractPercent");
   const yearDisplay = document.getElementById("msaResultYear");
 
-  function updatePrincipalBuydownSliderMax() {
-    const purchasePriceText = purchasePriceDisplay.textContent.replace(
-      /[$,]/g,
-      "",
-    );
-    const maxPrincipalBuydown = parseFloat(purchasePriceText) || 0;
-    principalBuydownSlider.max = maxPrincipalBuydown > 0
-      ? maxPrincipalBuydown
-      : 0;
-    if (parseFloat(principalBuydownSlider.value) > maxPrincipalBuydown) {
-      principalBuydownSlider.value = maxPrincipalBuydown;
-      principalBuydownSlider.dispatchEvent(new Event("input"));
+  // Saved properties elements
+  const propertyAddressInput = document.getElementById("propertyAddress");
+  const propertyListingUrlInput = document.getElementById("propertyListingUrl");
+  const savePropertyButton = document.getElementById("saveProperty");
+  const savePropertyStatus = document.getElementById("savePropertyStatus");
+  const propertySortSelect = document.getElementById("propertySort");
+  const propertySortDirectionSelect = document.getElementById(
+    "propertySortDirection",
+  );
+  const propertyFilterFieldSelect = document.getElementById(
+    "propertyFilterField",
+  );
+  const propertyFilterMinInput = document.getElementById("propertyFilterMin");
+  const propertyFilterMaxInput = document.getElementById("propertyFilterMax");
+  const propertiesStatus = document.getElementById("propertiesStatus");
+  const propertyList = document.getElementById("propertyList");
+
+  // Show the calculator state: the results, both buydown sliders and what they cost
+  function renderCalculatorState(state) {
+    const { result, rateBuydown } = state;
+    [
+      [monthlyPaymentDisplay, result?.monthlyPayment],
+      [purchasePriceDisplay, result?.purchasePrice],
+      [principalInterestDisplay, result?.principalInterest],
+      [taxesDisplay, result?.taxes],
+      [insuranceAmountDisplay, result?.insurance],
+      [hoaFeeDisplay, result?.hoaFee],
+    ].forEach(([display, amount]) => {
+      display.textContent = amount === undefined
+        ? "$0"
+        : calculator.formatNumber(amount);
+    });
+
+    // The rate can be bought down by at most 1.5%
+    interestRateBuydownSlider.max = state.originalRate;
+    interestRateBuydownSlider.min = Math.max(0, state.originalRate - 1.5);
+    interestRateBuydownSlider.step = "0.001";
+    interestRateBuydownSlider.value = state.desiredRate;
+    interestRateBuydownValue.textContent = state.capReached
+      ? translate(locale, "rateCapReached", {
+        rate: state.desiredRate.toFixed(3),
+      })
+      : `${state.desiredRate.toFixed(3)}%`;
+    interestRateBuydownCostDisplay.textContent = rateBuydown?.cost
+      ? calculator.formatNumber(rateBuydown.cost)
+      : "$0";
+
+    // The principal buydown can't be more than the purchase price
+    if (result) {
+      principalBuydownSlider.max = Math.max(result.purchasePrice, 0);
     }
+    principalBuydownSlider.value = state.principalBuydown;
+    const principalBuydownText = state.principalBuydown
+      ? calculator.formatNumber(state.principalBuydown)
+      : "$0";
+    principalBuydownValue.textContent = principalBuydownText;
+    principalBuydownCostDisplay.textContent = principalBuydownText;
+
+    updateExtraPaymentsResults(state);
+  }
+
+  // Read the extra payments panel; a prepayment outside the term is ignored
+  function getExtraPayments(term) {
+    const oneTimeAmount = Math.max(parseFloat(extraOneTimeInput.value) || 0, 0);
+    const oneTimeMonth = parseInt(extraOneTimeMonthInput.value);
+    return {
+      monthly: Math.max(parseFloat(extraMonthlyInput.value) || 0, 0),
+      annual: Math.max(parseFloat(extraAnnualInput.value) || 0, 0),
+      oneTime:
+        oneTimeAmount > 0 && oneTimeMonth >= 1 && oneTimeMonth <= term * 12
+          ? [{ month: oneTimeMonth, amount: oneTimeAmount }]
+          : [],
+    };
+  }
+
+  // Show the effect of extra principal payments on the current loan
+  function updateExtraPaymentsResults(state = calculatorStore.getState()) {
+    const { inputs, result, term } = state;
+    if (!inputs || !result || result.purchasePrice <= 0) {
+      return;
+    }
+
+    const extraPayments = getExtraPayments(term);
+
+    // The schedule is for the purchase price shown, whichever mode produced it
+    const payoffCalculator = new MortgageCalculator();
+    payoffCalculator.setRoundingMode("naca");
+    payoffCalculator.setCalcMethod("price");
+    const payoff = payoffCalculator.calculateEarlyPayoff(
+      {
+        ...inputs,
+        price: result.purchasePrice,
+        term,
+        rate: state.desiredRate,
+        principalBuydown: state.principalBuydown,
+      },
+      extraPayments,
+    );
+
+    extraPayoffDateDisplay.textContent = payoff.payoffDate.toLocaleDateString(
+      getNumberLocale(locale),
+      { month: "long", year: "numeric" },
+    );
+    extraTimeSavedDisplay.textContent = formatMonths(
+      payoff.monthsSaved,
+      locale,
+    );
+    extraInterestSavedDisplay.textContent = calculator.formatNumber(
+      payoff.interestSaved,
+    );
   }
 
   // Fetch latest NACA rates from Railway API
   const interestRates = await getLatestMortgageRates();
 
+  function getMembershipType() {
+    const checked = Array.from(membershipTypeInputs).find(
+      (input) => input.checked,
+    );
+    return checked ? checked.value : "nonPriority";
+  }
+
+  // NACA publishes 15, 20 and 30 year rates; other terms are interpolated from them
+  function getTermRates(term) {
+    if (interestRates[term]) return interestRates[term];
+
+    const ratesFor = (membership) =>
+      calculator.interpolateRate(
+        parseInt(term) || 30,
+        Object.fromEntries(
+          Object.entries(interestRates).map(([knownTerm, rates]) => [
+            knownTerm,
+            rates[membership],
+          ]),
+        ),
+      );
+    return {
+      priority: ratesFor("priority"),
+      nonPriority: ratesFor("nonPriority"),
+    };
+  }
+
+  // Name each rate option with its membership type, e.g. "6.125% (Priority)"
+  function labelRateOptions() {
+    rateInput.querySelectorAll("option").forEach((option) => {
+      const label = translate(
+        locale,
+        MEMBERSHIP_LABEL_KEYS[option.dataset.membership],
+      );
+      option.textContent = `${option.value}% (${label})`;
+    });
+  }
+
   function updateInterestRateOptions(term) {
     rateInput.innerHTML = "";
-    const rates = interestRates[term] || interestRates["30"];
-    rates.forEach((rate) => {
+    const rates = getTermRates(term);
+    Object.keys(MEMBERSHIP_LABEL_KEYS).forEach((membership) => {
       const option = document.createElement("option");
-      option.value = rate;
-      option.textContent = `${rate}%`;
+      option.value = String(rates[membership]);
+      option.dataset.membership = membership;
       rateInput.appendChild(option);
     });
-    if (rates.length > 1) {
-      rateInput.value = rates[1];
-    }
-    setTimeout(() => {
-      const currentRate = parseFloat(rateInput.value);
-      interestRateBuydownSlider.max = currentRate;
-      // Enforce max buydown of 1.5%
-      const minAllowedRate = Math.max(0, currentRate - 1.5);
-      interestRateBuydownSlider.min = minAllowedRate;
-      interestRateBuydownSlider.step = "0.001";
-      interestRateBuydownSlider.value = currentRate;
-      interestRateBuydownValue.textContent = `${currentRate}%`;
-      interestRateBuydownCostDisplay.textContent = "$0";
-    }, 0);
+    labelRateOptions();
+    rateInput.value = String(rates[getMembershipType()]);
+    // A new term or rate recalculates without a rate buydown
+    calculatorStore.dispatch({
+      type: "selectRate",
+      term: parseInt(term) || 30,
+      rate: parseFloat(rateInput.value),
+    });
   }
 
   // Defaults
+  termSelect.value = "30";
   taxInput.value = "15.00";
   insuranceInput.value = "50";
   hoaFeeInput.value = "0";
   downPaymentInput.value = "0";
 
+  calculatorStore.subscribe(renderCalculatorState);
   updateInterestRateOptions(termSelect.value);
 
   termSelect.addEventListener("change", () => {
     updateInterestRateOptions(termSelect.value);
-    interestRateBuydownCostDisplay.textContent = "$0";
-    principalBuydownCostDisplay.textContent = "$0";
-    setTimeout(() => {
-      const inputs = {
-        price: parseFloat(priceInput.value) || 0,
-        term: parseInt(termSelect.value) || 30,
-        rate: parseFloat(interestRateBuydownSlider.value) || 0,
-        tax: parseFloat(taxInput.value) || 0,
-        insurance: parseFloat(insuranceInput.value) || 0,
-        hoaFee: parseFloat(hoaFeeInput.value) || 0,
-        principalBuydown: parseFloat(principalBuydownSlider.value) || 0,
-      };
-      const results = calculator.calculate(inputs);
-      monthlyPaymentDisplay.textContent = results.monthlyPayment;
-      purchasePriceDisplay.textContent = results.purchasePrice;
-      principalInterestDisplay.textContent = results.principalInterest;
-      taxesDisplay.textContent = results.taxes;
-      insuranceAmountDisplay.textContent = results.insuranceAmount;
-      hoaFeeDisplay.textContent = results.hoaFee;
-      updatePrincipalBuydownSliderMax();
-    }, 50);
+  });
+
+  membershipTypeInputs.forEach((input) => {
+    input.addEventListener("change", () => {
+      const rates = getTermRates(termSelect.value);
+      rateInput.value = String(rates[getMembershipType()]);
+      rateInput.dispatchEvent(new Event("change"));
+    });
   });
 
   rateInput.addEventListener("change", () => {
     const newRate = parseFloat(rateInput.value);
-    interestRateBuydownSlider.max = newRate;
-    // Enforce max buydown of 1.5%
-    interestRateBuydownSlider.min = Math.max(0, newRate - 1.5);
-    interestRateBuydownSlider.step = "0.001";
-    interestRateBuydownSlider.value = newRate;
-    interestRateBuydownValue.textContent = `${newRate}%`;
-    interestRateBuydownCostDisplay.textContent = "$0";
-    principalBuydownCostDisplay.textContent = "$0";
-    const inputs = {
-      price: parseFloat(priceInput.value) || 0,
+    const membership = rateInput.selectedOptions[0]?.dataset.membership;
+    membershipTypeInputs.forEach((input) => {
+      input.checked = input.value === membership;
+    });
+    calculatorStore.dispatch({
+      type: "selectRate",
       term: parseInt(termSelect.value) || 30,
       rate: newRate,
-      tax: parseFloat(taxInput.value) || 0,
-      insurance: parseFloat(insuranceInput.value) || 0,
-      hoaFee: parseFloat(hoaFeeInput.value) || 0,
-      principalBuydown: parseFloat(principalBuydownSlider.value) || 0,
-    };
-    const results = calculator.calculate(inputs);
-    monthlyPaymentDisplay.textContent = results.monthlyPayment;
-    purchasePriceDisplay.textContent = results.purchasePrice;
-    principalInterestDisplay.textContent = results.principalInterest;
-    taxesDisplay.textContent = results.taxes;
-    insuranceAmountDisplay.textContent = results.insuranceAmount;
-    hoaFeeDisplay.textContent = results.hoaFee;
-    updatePrincipalBuydownSliderMax();
+    });
   });
 
+  function showPricePlaceholder(calcMethod) {
+    priceInput.placeholder = translate(
+      locale,
+      calcMethod === "payment"
+        ? "placeholderDesiredPayment"
+        : "placeholderPurchasePrice",
+    );
+  }
+
   calcMethodInputs.forEach((input) => {
     input.addEventListener("change", (e) => {
-      calculator.setCalcMethod(e.target.value);
-      priceInput.placeholder = e.target.value === "payment"
-        ? "Enter desired monthly payment"
-        : "Enter purchase price";
-      updatePrincipalBuydownSliderMax();
+      showPricePlaceholder(e.target.value);
+      // The entered price means something else now, so clear the results
+      calculatorStore.dispatch({
+        type: "setCalcMethod",
+        calcMethod: e.target.value,
+      });
     });
   });
 
   calculateButton.addEventListener("click", () => {
-    const inputs = {
-      price: parseFloat(priceInput.value) || 0,
-      term: parseInt(termSelect.value) || 30,
-      rate: parseFloat(interestRateBuydownSlider.value) || 0,
-      tax: parseFloat(taxInput.value) || 0,
-      insurance: parseFloat(insuranceInput.value) || 0,
-      hoaFee: parseFloat(hoaFeeInput.value) || 0,
-      principalBuydown: parseFloat(principalBuydownSlider.value) || 0,
-    };
-    const results = calculator.calculate(inputs);
-    monthlyPaymentDisplay.textContent = results.monthlyPayment;
-    purchasePriceDisplay.textContent = results.purchasePrice;
-    principalInterestDisplay.textContent = results.principalInterest;
-    taxesDisplay.textContent = results.taxes;
-    insuranceAmountDisplay.textContent = results.insuranceAmount;
-    hoaFeeDisplay.textContent = results.hoaFee;
-    updatePrincipalBuydownSliderMax();
+    calculatorStore.dispatch({
+      type: "calculate",
+      inputs: {
+        price: parseFloat(priceInput.value) || 0,
+        term: parseInt(termSelect.value) || 30,
+        rate: parseFloat(interestRateBuydownSlider.value) || 0,
+        tax: parseFloat(taxInput.value) || 0,
+        insurance: parseFloat(insuranceInput.value) || 0,
+        hoaFee: parseFloat(hoaFeeInput.value) || 0,
+        principalBuydown: parseFloat(principalBuydownSlider.value) || 0,
+      },
+      originalRate: parseFloat(rateInput.value) || 0,
+    });
+    commitCalculation();
   });
 
+  // The buydown sliders recalculate from the last calculated inputs
   interestRateBuydownSlider.addEventListener("input", () => {
-    let desiredRate = parseFloat(interestRateBuydownSlider.value);
-    const originalRate = parseFloat(rateInput.value);
-    const term = parseInt(termSelect.value);
-    const purchasePriceText = purchasePriceDisplay.textContent.replace(
-      /[$,]/g,
-      "",
-    );
-    const principal = parseFloat(purchasePriceText) || 0;
-    if (principal > 0) {
-      let buydownCost = 0;
-      const currentPurchasePriceText = purchasePriceDisplay.textContent.replace(
-        /[$,]/g,
-        "",
-      );
-      const currentPrincipal = parseFloat(currentPurchasePriceText) || 0;
-      if (currentPrincipal > 0) {
-        buydownCost = calculator.calculateInterestRateBuydown(
-          currentPrincipal,
-          originalRate,
-          desiredRate,
-          term,
-        );
-        interestRateBuydownCostDisplay.textContent = calculator.formatNumber(
-          buydownCost,
-        );
-      } else {
-        interestRateBuydownCostDisplay.textContent = "$0";
-      }
-      // Apply 1.5% buydown cap and update the displayed percentage
-      const minAllowedRate = Math.max(0, originalRate - 1.5);
-      let capReached = false;
-      if (desiredRate < minAllowedRate) {
-        desiredRate = minAllowedRate;
-        interestRateBuydownSlider.value = String(minAllowedRate);
-        capReached = true;
+    calculatorStore.dispatch({
+      type: "setInterestRateBuydown",
+      rate: parseFloat(interestRateBuydownSlider.value),
+    });
+  });
+
+  principalBuydownSlider.addEventListener("input", () => {
+    calculatorStore.dispatch({
+      type: "setPrincipalBuydown",
+      amount: parseFloat(principalBuydownSlider.value) || 0,
+    });
+  });
+
+  // Letting go of a slider commits its calculation to the history
+  interestRateBuydownSlider.addEventListener("change", () => commitCalculation());
+  principalBuydownSlider.addEventListener("change", () => commitCalculation());
+
+  // Amounts can be typed or pasted as "$425,000", "425k" or "6,5". Show what each was
+  // read as while typing, and write it back plainly once the field is left
+  const numericInputs = [
+    priceInput,
+    insuranceInput,
+    hoaFeeInput,
+    extraMonthlyInput,
+    extraAnnualInput,
+    extraOneTimeInput,
+  ];
+  numericInputs.forEach((input) => {
+    const preview = document.createElement("span");
+    preview.className = "parse-preview";
+    input.insertAdjacentElement("afterend", preview);
+
+    input.addEventListener("input", () => {
+      const parsed = parseLocaleNumber(input.value);
+      preview.textContent =
+        parsed.kind === "success" && parsed.normalized !== input.value.trim()
+          ? `= ${formatParsedNumber(parsed.value, getNumberLocale(locale))}`
+          : "";
+    });
+    input.addEventListener("change", () => {
+      const parsed = parseLocaleNumber(input.value);
+      if (parsed.kind === "success") {
+        input.value = parsed.normalized;
+        // Listeners read the field with parseFloat
+        input.dispatchEvent(new Event("input"));
       }
-      interestRateBuydownValue.textContent = capReached
-        ? `${desiredRate.toFixed(3)}% (1.5% cap reached)`
-        : `${desiredRate.toFixed(3)}%`;
-
-      const tax = parseFloat(taxInput.value) || 0;
-      const insurance = parseFloat(insuranceInput.value) || 0;
-      const hoaFee = parseFloat(hoaFeeInput.value) || 0;
-      const principalBuydown = parseFloat(principalBuydownSlider.value) || 0;
-      const recalculateInputs = {
-        term: term,
-        rate: desiredRate,
-        tax: tax,
-        insurance: insurance,
-        hoaFee: hoaFee,
-        price: parseFloat(priceInput.value) || 0,
-        principalBuydown: principalBuydown,
-      };
-      const recalculatedResults = calculator.calculate(recalculateInputs);
-      if (calculator.calcMethod === "price") {
-        monthlyPaymentDisplay.textContent = recalculatedResults.monthlyPayment;
-        principalInterestDisplay.textContent =
-          recalculatedResults.principalInterest;
-        taxesDisplay.textContent = recalculatedResults.taxes;
-        insuranceAmountDisplay.textContent =
-          recalculatedResults.insuranceAmount;
-        hoaFeeDisplay.textContent = recalculatedResults.hoaFee;
-        purchasePriceDisplay.textContent = calculator.formatNumber(
-          recalculateInputs.price,
-        );
-      } else {
-        purchasePriceDisplay.textContent = recalculatedResults.purchasePrice;
-        principalInterestDisplay.textContent =
-          recalculatedResults.principalInterest;
-        taxesDisplay.textContent = recalculatedResults.taxes;
-        insuranceAmountDisplay.textContent =
-          recalculatedResults.insuranceAmount;
-        hoaFeeDisplay.textContent = recalculatedResults.hoaFee;
-        monthlyPaymentDisplay.textContent = calculator.formatNumber(
-          recalculateInputs.price,
-        );
+      preview.textContent = "";
+    });
+  });
+
+  [
+    extraMonthlyInput,
+    extraAnnualInput,
+    extraOneTimeInput,
+    extraOneTimeMonthInput,
+  ].forEach((input) => {
+    input.addEventListener("input", () => updateExtraPaymentsResults());
+  });
+
+  // --- Calculation History ---
+
+  // List the recent calculations newest first, marking the one shown
+  function renderHistory() {
+    undoButton.disabled = !canUndo(calculationHistory);
+    redoButton.disabled = !canRedo(calculationHistory);
+    recentScenariosEmpty.hidden = calculationHistory.recent.length > 0;
+
+    recentScenariosList.innerHTML = "";
+    calculationHistory.recent.forEach((entry, index) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.dataset.index = String(index);
+      if (isRecentCalculationShown(calculationHistory, index)) {
+        button.setAttribute("aria-current", "true");
       }
-      updatePrincipalBuydownSliderMax();
+
+      const summary = document.createElement("span");
+      summary.textContent = describeCalculation(entry.state);
+      const savedAt = new Date(entry.savedAt);
+      const time = document.createElement("time");
+      time.dateTime = savedAt.toISOString();
+      time.textContent = savedAt.toLocaleString(getNumberLocale(locale), {
+        month: "short",
+        day: "numeric",
+        hour: "numeric",
+        minute: "2-digit",
+      });
+      button.append(summary, time);
+
+      const item = document.createElement("li");
+      item.appendChild(button);
+      recentScenariosList.prepend(item);
+    });
+  }
+
+  function describeCalculation(state) {
+    if (!state.result) return "";
+    return translate(locale, "historySummary", {
+      payment: calculator.formatNumber(state.result.monthlyPayment),
+      price: calculator.formatNumber(state.result.purchasePrice),
+      term: state.term,
+      rate: state.desiredRate.toFixed(3),
+    });
+  }
+
+  // Record the calculation just made; nothing is recorded if it didn't change
+  function commitCalculation() {
+    const next = recordCalculation(
+      calculationHistory,
+      calculatorStore.getState(),
+    );
+    if (next === calculationHistory) return;
+    calculationHistory = next;
+    renderHistory();
+  }
+
+  // Put a calculation's inputs back in the form, then show its results
+  function applyCalculatorState(state) {
+    calcMethodInputs.forEach((input) => {
+      input.checked = input.value === state.calcMethod;
+    });
+    showPricePlaceholder(state.calcMethod);
+    if (state.inputs) {
+      priceInput.value = String(state.inputs.price);
+      taxInput.value = String(state.inputs.tax);
+      insuranceInput.value = String(state.inputs.insurance);
+      hoaFeeInput.value = String(state.inputs.hoaFee);
+    }
+    termSelect.value = String(state.term);
+    updateInterestRateOptions(termSelect.value);
+
+    // Rates may have changed since; the results keep the rate they were calculated at
+    const savedRate = Array.from(rateInput.options).find(
+      (option) => parseFloat(option.value) === state.originalRate,
+    );
+    if (savedRate) {
+      rateInput.value = savedRate.value;
+      membershipTypeInputs.forEach((input) => {
+        input.checked = input.value === savedRate.dataset.membership;
+      });
     }
+
+    calculatorStore.dispatch({ type: "restore", state });
+  }
+
+  function showCalculation(next) {
+    if (next === calculationHistory) return;
+    calculationHistory = next;
+
+    applyCalculatorState(
+      calculationHistory.entries[calculationHistory.index].state,
+    );
+    renderHistory();
+  }
+
+  undoButton.addEventListener("click", () => {
+    showCalculation(undoCalculation(calculationHistory));
+  });
+  redoButton.addEventListener("click", () => {
+    showCalculation(redoCalculation(calculationHistory));
+  });
+  recentScenariosList.addEventListener("click", (e) => {
+    const entryButton = e.target.closest("button[data-index]");
+    if (!entryButton) return;
+    showCalculation(
+      restoreRecentCalculation(
+        calculationHistory,
+        parseInt(entryButton.dataset.index),
+      ),
+    );
   });
 
-  principalBuydownSlider.addEventListener("input", () => {
-    const principalBuydown = parseFloat(principalBuydownSlider.value) || 0;
-    principalBuydownValue.textContent = calculator.formatNumber(
-      principalBuydown,
+  document.addEventListener("keydown", (e) => {
+    const command = getHistoryShortcut(e);
+    // Text fields keep their own undo for typing
+    if (!command || isTextEntry(e.target)) return;
+    e.preventDefault();
+    showCalculation(
+      command === "undo"
+        ? undoCalculation(calculationHistory)
+        : redoCalculation(calculationHistory),
     );
-    principalBuydownCostDisplay.textContent = calculator.formatNumber(
-      principalBuydown,
+  });
+
+  renderHistory();
+
+  // --- Scenario Comparison ---
+  const scenarios = [];
+  let comparisonBaselineIndex = 0;
+
+  function renderComparison() {
+    comparisonBaselineSelect.innerHTML = "";
+    scenarios.forEach((scenario, index) => {
+      const option = document.createElement("option");
+      option.value = String(index);
+      option.textContent = scenario.name;
+      comparisonBaselineSelect.appendChild(option);
+    });
+    comparisonBaselineSelect.value = String(comparisonBaselineIndex);
+    comparisonTable.innerHTML = "";
+
+    if (scenarios.length < 2) {
+      comparisonStatus.textContent = translate(locale, "compareEmpty");
+      return;
+    }
+
+    const comparison = calculator.compareScenarios(
+      scenarios,
+      comparisonBaselineIndex,
     );
+    if (comparison.kind === "failure") {
+      comparisonStatus.textContent = comparison.message;
+      return;
+    }
+    comparisonStatus.textContent = "";
 
-    const term = parseInt(termSelect.value);
-    const desiredRate = parseFloat(interestRateBuydownSlider.value);
-    const tax = parseFloat(taxInput.value) || 0;
-    const insurance = parseFloat(insuranceInput.value) || 0;
-    const hoaFee = parseFloat(hoaFeeInput.value) || 0;
-    const recalculateInputs = {
-      term: term,
-      rate: desiredRate,
-      tax: tax,
-      insurance: insurance,
-      hoaFee: hoaFee,
-      price: parseFloat(priceInput.value) || 0,
-      principalBuydown: principalBuydown,
-    };
-    const recalculatedResults = calculator.calculate(recalculateInputs);
-    if (calculator.calcMethod === "price") {
-      monthlyPaymentDisplay.textContent = recalculatedResults.monthlyPayment;
-      principalInterestDisplay.textContent =
-        recalculatedResults.principalInterest;
-      taxesDisplay.textContent = recalculatedResults.taxes;
-      insuranceAmountDisplay.textContent = recalculatedResults.insuranceAmount;
-      hoaFeeDisplay.textContent = recalculatedResults.hoaFee;
-      purchasePriceDisplay.textContent = calculator.formatNumber(
-        recalculateInputs.price,
-      );
-    } else {
-      purchasePriceDisplay.textContent = recalculatedResults.purchasePrice;
-      principalInterestDisplay.textContent =
-        recalculatedResults.principalInterest;
-      taxesDisplay.textContent = recalculatedResults.taxes;
-      insuranceAmountDisplay.textContent = recalculatedResults.insuranceAmount;
-      hoaFeeDisplay.textContent = recalculatedResults.hoaFee;
-      monthlyPaymentDisplay.textContent = calculator.formatNumber(
-        recalculateInputs.price,
+    const table = document.createElement("table");
+    const headerRow = table.createTHead().insertRow();
+    headerRow.appendChild(document.createElement("th"));
+    comparison.results.forEach((result, index) => {
+      const header = document.createElement("th");
+      header.textContent = result.name;
+      const removeButton = document.createElement("button");
+      removeButton.type = "button";
+      removeButton.className = "remove-scenario";
+      removeButton.dataset.index = String(index);
+      removeButton.textContent = "×";
+      removeButton.setAttribute(
+        "aria-label",
+        translate(locale, "removeScenario", { name: result.name }),
       );
+      header.appendChild(removeButton);
+      headerRow.appendChild(header);
+    });
+
+    const body = table.createTBody();
+    COMPARISON_METRICS.forEach((metric) => {
+      const row = body.insertRow();
+      const label = document.createElement("th");
+      label.textContent = translate(locale, metric.labelKey);
+      row.appendChild(label);
+      comparison.results.forEach((result, index) => {
+        const cell = row.insertCell();
+        cell.textContent = metric.value(result, calculator, locale);
+        if (index !== comparison.baselineIndex) {
+          const delta = document.createElement("span");
+          delta.className = "delta";
+          delta.textContent = metric.delta(result.deltas, calculator, locale);
+          cell.appendChild(delta);
+        }
+      });
+    });
+
+    comparisonTable.appendChild(table);
+  }
+
+  // Snapshot the current calculator inputs as a named scenario
+  addScenarioButton.addEventListener("click", () => {
+    const { calcMethod, result } = calculatorStore.getState();
+    if (!result || result.purchasePrice <= 0) {
+      addScenarioStatus.textContent = translate(locale, "calculateFirst");
+      return;
+    }
+    if (scenarios.length >= MAX_COMPARISON_SCENARIOS) {
+      addScenarioStatus.textContent = translate(locale, "scenarioLimit", {
+        max: MAX_COMPARISON_SCENARIOS,
+      });
+      return;
     }
 
-    const originalInterestRate = parseFloat(rateInput.value);
-    const currentPurchasePriceText = purchasePriceDisplay.textContent.replace(
-      /[$,]/g,
-      "",
-    );
-    const currentPrincipal = parseFloat(currentPurchasePriceText) || 0;
-    if (currentPrincipal > 0) {
-      const interestBuydownCost = calculator.calculateInterestRateBuydown(
-        currentPrincipal,
-        originalInterestRate,
-        desiredRate,
+    const term = parseInt(termSelect.value) || 30;
+    const name = scenarioNameInput.value.trim() ||
+      translate(locale, "scenarioDefaultName", {
+        number: scenarios.length + 1,
+      });
+    scenarios.push({
+      name,
+      inputs: {
+        price: parseFloat(priceInput.value) || 0,
         term,
-      );
-      interestRateBuydownCostDisplay.textContent = calculator.formatNumber(
-        interestBuydownCost,
-      );
-    } else {
-      interestRateBuydownCostDisplay.textContent = "$0";
+        rate: parseFloat(interestRateBuydownSlider.value) || 0,
+        tax: parseFloat(taxInput.value) || 0,
+        insurance: parseFloat(insuranceInput.value) || 0,
+        hoaFee: parseFloat(hoaFeeInput.value) || 0,
+        principalBuydown: parseFloat(principalBuydownSlider.value) || 0,
+      },
+      calcMethod,
+      originalRate: parseFloat(rateInput.value) || 0,
+      extraPayments: getExtraPayments(term),
+    });
+    scenarioNameInput.value = "";
+    addScenarioStatus.textContent = translate(locale, "scenarioAdded", {
+      name,
+      count: scenarios.length,
+      max: MAX_COMPARISON_SCENARIOS,
+    });
+    renderComparison();
+  });
+
+  comparisonBaselineSelect.addEventListener("change", () => {
+    comparisonBaselineIndex = parseInt(comparisonBaselineSelect.value) || 0;
+    renderComparison();
+  });
+
+  comparisonTable.addEventListener("click", (e) => {
+    const removeButton = e.target.closest(".remove-scenario");
+    if (!removeButton) return;
+
+    const index = parseInt(removeButton.dataset.index);
+    scenarios.splice(index, 1);
+    // Keep the same baseline unless it was the scenario removed
+    if (index === comparisonBaselineIndex) {
+      comparisonBaselineIndex = 0;
+    } else if (index < comparisonBaselineIndex) {
+      comparisonBaselineIndex--;
     }
-    updatePrincipalBuydownSliderMax();
+    renderComparison();
   });
 
-  const numericInputs = [
-    priceInput,
-    rateInput,
-    taxInput,
-    insuranceInput,
-    hoaFeeInput,
-  ];
-  numericInputs.forEach((input) => {
-    input.addEventListener("input", (e) => {
-      let value = e.target.value.replace(/[^0-9.]/g, "");
-      const parts = value.split(".");
-      if (parts.length > 2) {
-        value = parts[0] + "." + parts.slice(1).join("");
-      }
-      e.target.value = value;
-    });
+  clearScenariosButton.addEventListener("click", () => {
+    scenarios.length = 0;
+    comparisonBaselineIndex = 0;
+    addScenarioStatus.textContent = "";
+    renderComparison();
   });
 
   // --- MSA Lookup Logic ---
+  // The last successful lookup, saved with a property at the same address
+  let lastMsaLookup = null;
+
+  function clearMsaResult() {
+    msaIncomeDisplay.textContent = "-";
+    tractIncomeDisplay.textContent = "-";
+    tractPercentDisplay.textContent = "-";
+    yearDisplay.textContent = "-";
+  }
+
+  function showMsaResult(result, address) {
+    statusDiv.textContent = translate(locale, "msaDataFound", {
+      address: result.address || address,
+    });
+    msaIncomeDisplay.textContent = `$${
+      result.msaMedianFamilyIncome?.toLocaleString() || "N/A"
+    }`;
+    tractIncomeDisplay.textContent = `$${
+      result.tractMedianFamilyIncome?.toLocaleString() || "N/A"
+    }`;
+    tractPercentDisplay.textContent = `${result.tractPercentOfMsa || "N/A"}%`;
+    yearDisplay.textContent = result.year || "N/A";
+  }
+
   if (lookupButton) {
     lookupButton.addEventListener("click", () => {
       const address = addressInput.value.trim();
       if (!address) {
-        statusDiv.textContent = "Please enter an address.";
+        statusDiv.textContent = translate(locale, "msaEnterAddress");
         return;
       }
 
-      statusDiv.textContent = "Looking up address...";
+      statusDiv.textContent = translate(locale, "msaLookingUp");
 
       // Reset displays
-      msaIncomeDisplay.textContent = "-";
-      tractIncomeDisplay.textContent = "-";
-      tractPercentDisplay.textContent = "-";
-      yearDisplay.textContent = "-";
+      clearMsaResult();
 
-      performMsaLookup(address)
+      performMsaLookup(address, locale)
         .then((result) => {
           if (result) {
-            statusDiv.textContent = `Data found for: ${
-              result.address || address
-            }`;
-            msaIncomeDisplay.textContent = `$${
-              result.msaMedianFamilyIncome?.toLocaleString() || "N/A"
-            }`;
-            tractIncomeDisplay.textContent = `$${
-              result.tractMedianFamilyIncome?.toLocaleString() || "N/A"
-            }`;
-            tractPercentDisplay.textContent = `${
-              result.tractPercentOfMsa || "N/A"
-            }%`;
-            yearDisplay.textContent = result.year || "N/A";
+            showMsaResult(result, address);
+            lastMsaLookup = { address, result };
+            if (!propertyAddressInput.value.trim()) {
+              propertyAddressInput.value = address;
+            }
           } else {
-            statusDiv.textContent = "Could not retrieve data for this address.";
+            statusDiv.textContent = translate(locale, "msaNoData");
           }
         })
         .catch((error) => {
-          statusDiv.textContent = `Error: ${error.message}`;
+          statusDiv.textContent = translate(locale, "msaError", {
+            message: error.message,
+          });
           console.error("MSA lookup error:", error);
         });
     });
   }
+
+  // --- Saved Properties ---
+  let savedProperties = [];
+  // Opened on first use, so the page works where IndexedDB isn't available
+  let propertyDatabase = null;
+
+  function getPropertyDatabase() {
+    propertyDatabase ??= openPropertyDatabase();
+    return propertyDatabase;
+  }
+
+  // List the saved properties that pass the filter, in the chosen order
+  function renderProperties() {
+    const shown = sortProperties(
+      filterProperties(savedProperties, {
+        field: propertyFilterFieldSelect.value,
+        min: readFilterBound(propertyFilterMinInput),
+        max: readFilterBound(propertyFilterMaxInput),
+      }),
+      propertySortSelect.value,
+      propertySortDirectionSelect.value,
+    );
+
+    propertiesStatus.hidden = shown.length > 0;
+    propertiesStatus.textContent = translate(
+      locale,
+      savedProperties.length > 0 ? "propertiesNoMatch" : "propertiesEmpty",
+    );
+
+    propertyList.innerHTML = "";
+    shown.forEach((property) => {
+      const item = document.createElement("li");
+
+      const address = document.createElement("span");
+      address.className = "property-address";
+      address.textContent = property.address || property.listingUrl;
+      item.appendChild(address);
+      const listingUrl = normalizeListingUrl(property.listingUrl);
+      if (listingUrl) {
+        const link = document.createElement("a");
+        link.href = listingUrl;
+        link.target = "_blank";
+        link.rel = "noopener";
+        link.textContent = translate(locale, "openListing");
+        item.appendChild(link);
+      }
+
+      const monthlyPayment = getPropertyValue(property, "monthlyPayment");
+      const tractPercent = getPropertyValue(property, "tractPercent");
+      [
+        monthlyPayment !== null &&
+          translate(locale, "propertySummary", {
+            payment: calculator.formatNumber(monthlyPayment),
+            price: calculator.formatNumber(property.price),
+          }),
+        tractPercent !== null &&
+          translate(locale, "propertyTractPercent", { percent: tractPercent }),
+        translate(locale, "propertyScenarios", {
+          count: property.scenarios.length,
+        }),
+      ].forEach((text) => {
+        if (!text) return;
+        const details = document.createElement("span");
+        details.className = "property-details";
+        details.textContent = text;
+        item.appendChild(details);
+      });
+
+      const actions = document.createElement("div");
+      actions.className = "property-actions";
+      const openButton = document.createElement("button");
+      openButton.type = "button";
+      openButton.className = "btn btn-secondary open-property";
+      openButton.dataset.id = property.id;
+      openButton.textContent = translate(locale, "openProperty");
+      const deleteButton = document.createElement("button");
+      deleteButton.type = "button";
+      deleteButton.className = "btn btn-secondary delete-property";
+      deleteButton.dataset.id = property.id;
+      deleteButton.textContent = translate(locale, "deleteProperty");
+      actions.append(openButton, deleteButton);
+      item.appendChild(actions);
+
+      propertyList.appendChild(item);
+    });
+  }
+
+  async function refreshProperties() {
+    try {
+      savedProperties = await (await getPropertyDatabase()).listProperties();
+    } catch (error) {
+      console.warn("Failed to load saved properties:", error);
+      savedProperties = [];
+    }
+    renderProperties();
+  }
+
+  // Put a saved property's newest calculation and MSA lookup back on the page
+  function openProperty(property) {
+    const scenario = getLatestScenario(property);
+    if (!scenario) return;
+
+    applyCalculatorState(scenario.state);
+    commitCalculation();
+
+    propertyAddressInput.value = property.address;
+    propertyListingUrlInput.value = property.listingUrl;
+    addressInput.value = property.address;
+    if (property.msaLookup) {
+      showMsaResult(property.msaLookup, property.address);
+      lastMsaLookup = { address: property.address, result: property.msaLookup };
+    } else {
+      clearMsaResult();
+      statusDiv.textContent = "";
+      lastMsaLookup = null;
+    }
+
+    savePropertyStatus.textContent = translate(locale, "propertyOpened", {
+      address: property.address || property.listingUrl,
+    });
+    document.getElementById("calculator").scrollIntoView({ behavior: "smooth" });
+  }
+
+  savePropertyButton.addEventListener("click", async () => {
+    const state = calculatorStore.getState();
+    if (!state.result) {
+      savePropertyStatus.textContent = translate(locale, "calculateFirst");
+      return;
+    }
+    const address = propertyAddressInput.value.trim();
+    const listingUrl = normalizeListingUrl(propertyListingUrlInput.value);
+    if (listingUrl === null) {
+      savePropertyStatus.textContent = translate(
+        locale,
+        "propertyInvalidListingUrl",
+      );
+      return;
+    }
+    if (!address && !listingUrl) {
+      savePropertyStatus.textContent = translate(locale, "propertyNeedsAddress");
+      return;
+    }
+
+    // The MSA lookup only belongs to the property if it was for the same address
+    const msaLookup =
+      lastMsaLookup &&
+      lastMsaLookup.address.toLowerCase() === address.toLowerCase()
+        ? lastMsaLookup.result
+        : null;
+
+    try {
+      const database = await getPropertyDatabase();
+      const details = { address, listingUrl, msaLookup };
+      const property = await database.putProperty(
+        savePropertyCalculation(
+          findSavedProperty(await database.listProperties(), details),
+          details,
+          state,
+        ),
+      );
+      savePropertyStatus.textContent = translate(locale, "propertySaved", {
+        address: property.address || property.listingUrl,
+        count: property.scenarios.length,
+      });
+      await refreshProperties();
+    } catch (error) {
+      console.warn("Failed to save property:", error);
+      savePropertyStatus.textContent = translate(locale, "propertySaveFailed");
+    }
+  });
+
+  propertyList.addEventListener("click", async (e) => {
+    const button = e.target.closest("button[data-id]");
+    if (!button) return;
+
+    const property = savedProperties.find(({ id }) => id === button.dataset.id);
+    if (!property) return;
+    if (button.classList.contains("open-property")) {
+      openProperty(property);
+    } else {
+      try {
+        await (await getPropertyDatabase()).deleteProperty(property.id);
+      } catch (error) {
+        console.warn("Failed to delete property:", error);
+      }
+      await refreshProperties();
+    }
+  });
+
+  [
+    propertySortSelect,
+    propertySortDirectionSelect,
+    propertyFilterFieldSelect,
+  ].forEach((select) => select.addEventListener("change", renderProperties));
+  [propertyFilterMinInput, propertyFilterMaxInput].forEach((input) => {
+    input.addEventListener("input", renderProperties);
+  });
+
+  await refreshProperties();
 });
 
+// A filter bound typed in the saved properties list, or null when it's empty
+function readFilterBound(input) {
+  const parsed = parseLocaleNumber(input.value, { allowPercent: true });
+  return parsed.kind === "success" ? parsed.value : null;
+}
+
+// Text fields undo their own typing, so the history shortcuts leave them alone
+function isTextEntry(target) {
+  if (target instanceof HTMLTextAreaElement) return true;
+  return (
+    target instanceof HTMLInputElement &&
+    !["range", "radio", "checkbox", "button"].includes(target.type)
+  );
+}
+
+// Loan terms are whole years from 1 to 40
+const MIN_TERM = 1;
+const MAX_TERM = 40;
+
+// Fill a term select with every term, longest first
+function addTermOptions(select) {
+  for (let term = MAX_TERM; term >= MIN_TERM; term--) {
+    const option = document.createElement("option");
+    option.value = String(term);
+    select.appendChild(option);
+  }
+}
+
+// localStorage key for the language picked in the header
+const LANGUAGE_STORAGE_KEY = "language";
+
+// Replace the page's labels with a locale's from the message catalog.
+// data-i18n sets an element's text, data-i18n-placeholder and data-i18n-title
+// its attributes.
+function applyTranslations(root, locale) {
+  document.documentElement.lang = locale;
+  root.querySelectorAll("[data-i18n]").forEach((element) => {
+    element.textContent = translate(locale, element.dataset.i18n);
+  });
+  root.querySelectorAll("[data-i18n-placeholder]").forEach((element) => {
+    element.placeholder = translate(locale, element.dataset.i18nPlaceholder);
+  });
+  root.querySelectorAll("[data-i18n-title]").forEach((element) => {
+    element.title = translate(locale, element.dataset.i18nTitle);
+  });
+  root.querySelectorAll("#term option").forEach((option) => {
+    option.textContent =
+      option.value === "1"
+        ? translate(locale, "termYear")
+        : translate(locale, "termYears", { years: option.value });
+  });
+}
+
+// Format a number of months as years and months, e.g. "6 years 3 months"
+function formatMonths(totalMonths, locale) {
+  const years = Math.floor(totalMonths / 12);
+  const months = totalMonths % 12;
+  const parts = [];
+  if (years > 0) {
+    parts.push(
+      years === 1
+        ? translate(locale, "yearCountOne")
+        : translate(locale, "yearCount", { count: years }),
+    );
+  }
+  if (months > 0 || years === 0) {
+    parts.push(
+      months === 1
+        ? translate(locale, "monthCountOne")
+        : translate(locale, "monthCount", { count: months }),
+    );
+  }
+  return parts.join(" ");
+}
+
+// Format a change in dollars from the comparison baseline, e.g. "+$1,234.00"
+function formatCurrencyDelta(amount, calculator, locale) {
+  if (Math.abs(amount) < 0.005) return translate(locale, "comparisonSame");
+  return `${amount > 0 ? "+" : "-"}${calculator.formatNumber(Math.abs(amount))}`;
+}
+
+// Format a change in loan length from the comparison baseline, e.g. "-15 years"
+function formatMonthsDelta(months, locale) {
+  if (months === 0) return translate(locale, "comparisonSame");
+  return `${months > 0 ? "+" : "-"}${formatMonths(Math.abs(months), locale)}`;
+}
+
+const MAX_COMPARISON_SCENARIOS = 6;
+
+// Rows of the comparison table, with each scenario's change from the baseline
+const COMPARISON_METRICS = [
+  {
+    labelKey: "metricMonthlyPayment",
+    value: (result, calculator) => calculator.formatNumber(result.monthlyPayment),
+    delta: (deltas, calculator, locale) =>
+      formatCurrencyDelta(deltas.monthlyPayment, calculator, locale),
+  },
+  {
+    labelKey: "metricPurchasePrice",
+    value: (result, calculator) => calculator.formatNumber(result.purchasePrice),
+    delta: (deltas, calculator, locale) =>
+      formatCurrencyDelta(deltas.purchasePrice, calculator, locale),
+  },
+  {
+    labelKey: "metricTotalInterest",
+    value: (result, calculator) => calculator.formatNumber(result.totalInterest),
+    delta: (deltas, calculator, locale) =>
+      formatCurrencyDelta(deltas.totalInterest, calculator, locale),
+  },
+  {
+    labelKey: "metricCashNeeded",
+    value: (result, calculator) => calculator.formatNumber(result.cashNeeded),
+    delta: (deltas, calculator, locale) =>
+      formatCurrencyDelta(deltas.cashNeeded, calculator, locale),
+  },
+  {
+    labelKey: "metricPayoffDate",
+    value: (result, calculator, locale) =>
+      result.payoffDate.toLocaleDateString(getNumberLocale(locale), {
+        month: "short",
+        year: "numeric",
+      }),
+    delta: (deltas, calculator, locale) =>
+      formatMonthsDelta(deltas.numberOfPayments, locale),
+  },
+];
+
+// Messages naming each membership type's rate
+const MEMBERSHIP_LABEL_KEYS = {
+  priority: "membershipLabelPriority",
+  nonPriority: "membershipLabelNonPriority",
+};
+
+// Default to 7% selected across terms if no rates are available
+const DEFAULT_RATES = {
+  "15": { priority: 6, nonPriority: 7 },
+  "20": { priority: 6, nonPriority: 7 },
+  "30": { priority: 6, nonPriority: 7 },
+};
+
+// Older API responses only carry the priority rate; non-priority is 1% higher
+function toTermRates(priorityRate, nonPriorityRate) {
+  return {
+    priority: priorityRate,
+    nonPriority: nonPriorityRate ?? priorityRate + 1,
+  };
+}
+
 // Fetch latest mortgage rates from Railway API
 async function getLatestMortgageRates() {
   try {
@@ -413,23 +1101,30 @@ async function getLatestMortgageRates() {
     }
     const data = await response.json();
     if (!data) {
-      // Default to 7% selected across terms if no data is returned
-      return { "15": [6, 7], "20": [6, 7], "30": [6, 7] };
+      return DEFAULT_RATES;
     }
     return {
-      "15": [data.fifteen_year_rate, data.fifteen_year_rate + 1],
-      "20": [data.twenty_year_rate, data.twenty_year_rate + 1],
-      "30": [data.thirty_year_rate, data.thirty_year_rate + 1],
+      "15": toTermRates(
+        data.fifteen_year_rate,
+        data.fifteen_year_non_priority_rate,
+      ),
+      "20": toTermRates(
+        data.twenty_year_rate,
+        data.twenty_year_non_priority_rate,
+      ),
+      "30": toTermRates(
+        data.thirty_year_rate,
+        data.thirty_year_non_priority_rate,
+      ),
     };
   } catch (error) {
     console.error("Failed to fetch latest mortgage rates:", error);
-    // Default to 7% selected across terms if the request fails
-    return { "15": [6, 7], "20": [6, 7], "30": [6, 7] };
+    return DEFAULT_RATES;
   }
 }
 
-// Look up MSA income data from Railway API
-async function performMsaLookup(address) {
+// Look up MSA income data from Railway API, reporting failures in the page's language
+async function performMsaLookup(address, locale) {
   try {
     const response = await fetch(
       `/api/msa-lookup`,
@@ -453,6 +1148,6 @@ async function performMsaLookup(address) {
     return data;
   } catch (error) {
     console.error("API call failed:", error);
-    throw new Error("Failed to fetch income data from the server.");
+    throw new Error(translate(locale, "msaFetchFailed"));
   }
 }
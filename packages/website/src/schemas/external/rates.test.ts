@@ -12,6 +12,9 @@ describe("Decoding NACA Mortgage Rates", () => {
       thirty_year_rate: "6.5",
       twenty_year_rate: "6.25",
       fifteen_year_rate: "5.75",
+      thirty_year_non_priority_rate: "7.5",
+      twenty_year_non_priority_rate: "7.25",
+      fifteen_year_non_priority_rate: "6.75",
       created_at: "2024-01-15T10:30:00Z",
     };
     const result = decodeNacaMortgageRates(mockRates);
@@ -21,6 +24,9 @@ describe("Decoding NACA Mortgage Rates", () => {
       expect(result.right.thirty_year_rate).toBe(6.5);
       expect(result.right.twenty_year_rate).toBe(6.25);
       expect(result.right.fifteen_year_rate).toBe(5.75);
+      expect(result.right.thirty_year_non_priority_rate).toBe(7.5);
+      expect(result.right.twenty_year_non_priority_rate).toBe(7.25);
+      expect(result.right.fifteen_year_non_priority_rate).toBe(6.75);
       expect(result.right.created_at).toBeInstanceOf(Date);
     }
   });
@@ -30,6 +36,9 @@ describe("Decoding NACA Mortgage Rates", () => {
       thirty_year_rate: "6.5",
       twenty_year_rate: "6.25",
       fifteen_year_rate: "5.75",
+      thirty_year_non_priority_rate: "7.5",
+      twenty_year_non_priority_rate: "7.25",
+      fifteen_year_non_priority_rate: "6.75",
     };
     const result = decodeNacaMortgageRates(mockRates);
 
@@ -47,6 +56,9 @@ describe("Decoding NACA Mortgage Rates", () => {
       thirty_year_rate: "6.5",
       twenty_year_rate: "6.25",
       fifteen_year_rate: "5.75",
+      thirty_year_non_priority_rate: "7.5",
+      twenty_year_non_priority_rate: "7.25",
+      fifteen_year_non_priority_rate: "6.75",
       created_at: "2024-01-15T10:30:00Z",
       extra_field: "some value",
       another_field: 123,
@@ -65,6 +77,19 @@ describe("Decoding NACA Mortgage Rates", () => {
     };
     const result = decodeNacaMortgageRates(mockRates);
 
+    expect(Either.isLeft(result)).toBeTruthy();
+  });
+  it("fails parsing when a non-priority rate is missing", () => {
+    const mockRates = {
+      thirty_year_rate: "6.5",
+      twenty_year_rate: "6.25",
+      fifteen_year_rate: "5.75",
+      thirty_year_non_priority_rate: "7.5",
+      twenty_year_non_priority_rate: "7.25",
+      // fifteen_year_non_priority_rate is missing
+    };
+    const result = decodeNacaMortgageRates(mockRates);
+
     expect(Either.isLeft(result)).toBeTruthy();
   });
 });
@@ -75,6 +100,9 @@ describe("NacaMortgageRates Equivalence", () => {
       thirty_year_rate: 6.5,
       twenty_year_rate: 6.25,
       fifteen_year_rate: 5.75,
+      thirty_year_non_priority_rate: 7.5,
+      twenty_year_non_priority_rate: 7.25,
+      fifteen_year_non_priority_rate: 6.75,
       created_at: new Date("2024-01-15T10:30:00Z"),
     };
 
@@ -82,6 +110,9 @@ describe("NacaMortgageRates Equivalence", () => {
       thirty_year_rate: 6.5,
       twenty_year_rate: 6.25,
       fifteen_year_rate: 5.75,
+      thirty_year_non_priority_rate: 7.5,
+      twenty_year_non_priority_rate: 7.25,
+      fifteen_year_non_priority_rate: 6.75,
       created_at: new Date("2024-02-20T14:45:00Z"), // Different date
     };
 
@@ -93,6 +124,9 @@ describe("NacaMortgageRates Equivalence", () => {
       thirty_year_rate: 6.5,
       twenty_year_rate: 6.25,
       fifteen_year_rate: 5.75,
+      thirty_year_non_priority_rate: 7.5,
+      twenty_year_non_priority_rate: 7.25,
+      fifteen_year_non_priority_rate: 6.75,
       created_at: new Date("2024-01-15T10:30:00Z"),
     };
 
@@ -100,9 +134,30 @@ describe("NacaMortgageRates Equivalence", () => {
       thirty_year_rate: 6.5,
       twenty_year_rate: 6.25,
       fifteen_year_rate: 5.8, // Different rate
+      thirty_year_non_priority_rate: 7.5,
+      twenty_year_non_priority_rate: 7.25,
+      fifteen_year_non_priority_rate: 6.75,
       created_at: new Date("2024-01-15T10:30:00Z"), // Same date
     };
 
     expect(NacaMortgageRatesEquivalence(rate1, rate2)).toBe(false);
   });
+
+  it("considers rates not equal when a non-priority rate differs", () => {
+    const rate1: NacaMortgageRates = {
+      thirty_year_rate: 6.5,
+      twenty_year_rate: 6.25,
+      fifteen_year_rate: 5.75,
+      thirty_year_non_priority_rate: 7.5,
+      twenty_year_non_priority_rate: 7.25,
+      fifteen_year_non_priority_rate: 6.75,
+    };
+
+    const rate2: NacaMortgageRates = {
+      ...rate1,
+      thirty_year_non_priority_rate: 7.625,
+    };
+
+    expect(NacaMortgageRatesEquivalence(rate1, rate2)).toBe(false);
+  });
 });
@@ -1,9 +1,16 @@
 import { Schema } from "effect";
 
+const RateSchema = Schema.Union(Schema.NumberFromString, Schema.Number);
+
+// The *_year_rate fields are the priority member rates; non-priority members pay
+// the *_year_non_priority_rate for the same term
 export const NacaMortgageRatesSchema = Schema.Struct({
-  thirty_year_rate: Schema.Union(Schema.NumberFromString, Schema.Number),
-  twenty_year_rate: Schema.Union(Schema.NumberFromString, Schema.Number),
-  fifteen_year_rate: Schema.Union(Schema.NumberFromString, Schema.Number),
+  thirty_year_rate: RateSchema,
+  twenty_year_rate: RateSchema,
+  fifteen_year_rate: RateSchema,
+  thirty_year_non_priority_rate: RateSchema,
+  twenty_year_non_priority_rate: RateSchema,
+  fifteen_year_non_priority_rate: RateSchema,
   created_at: Schema.optionalWith(
     Schema.Union(Schema.instanceOf(Date), Schema.DateFromString),
     { exact: true }
@@ -13,7 +20,13 @@ export const NacaMortgageRatesSchema = Schema.Struct({
     return (
       rate1.thirty_year_rate === rate2.thirty_year_rate &&
       rate1.twenty_year_rate === rate2.twenty_year_rate &&
-      rate1.fifteen_year_rate === rate2.fifteen_year_rate
+      rate1.fifteen_year_rate === rate2.fifteen_year_rate &&
+      rate1.thirty_year_non_priority_rate ===
+        rate2.thirty_year_non_priority_rate &&
+      rate1.twenty_year_non_priority_rate ===
+        rate2.twenty_year_non_priority_rate &&
+      rate1.fifteen_year_non_priority_rate ===
+        rate2.fifteen_year_non_priority_rate
     );
   },
 });
@@ -8,6 +8,9 @@ describe("Decoding MSA Lookup Schema", () => {
       thirty_year_rate: "6.5",
       twenty_year_rate: "6.25",
       fifteen_year_rate: "5.75",
+      thirty_year_non_priority_rate: "7.5",
+      twenty_year_non_priority_rate: "7.25",
+      fifteen_year_non_priority_rate: "6.75",
       created_at: "2024-01-15T10:30:00Z",
       address: "123 Main St, New York, NY 10001",
       msaMedianFamilyIncome: 75000,
@@ -36,6 +39,9 @@ describe("Decoding MSA Lookup Schema", () => {
       thirty_year_rate: "6.5",
       twenty_year_rate: "6.25",
       fifteen_year_rate: "5.75",
+      thirty_year_non_priority_rate: "7.5",
+      twenty_year_non_priority_rate: "7.25",
+      fifteen_year_non_priority_rate: "6.75",
       address: "123 Main St, New York, NY 10001",
       msaMedianFamilyIncome: 75000,
       tractMedianFamilyIncome: 65000,
@@ -63,6 +69,9 @@ describe("Decoding MSA Lookup Schema", () => {
       thirty_year_rate: "6.5",
       twenty_year_rate: "6.25",
       fifteen_year_rate: "5.75",
+      thirty_year_non_priority_rate: "7.5",
+      twenty_year_non_priority_rate: "7.25",
+      fifteen_year_non_priority_rate: "6.75",
       created_at: "2024-01-15T10:30:00Z",
       address: "123 Main St, New York, NY 10001",
       msaMedianFamilyIncome: 75000,
@@ -82,6 +91,9 @@ describe("Decoding MSA Lookup Schema", () => {
       thirty_year_rate: "6.5",
       twenty_year_rate: "6.25",
       fifteen_year_rate: "5.75",
+      thirty_year_non_priority_rate: "7.5",
+      twenty_year_non_priority_rate: "7.25",
+      fifteen_year_non_priority_rate: "6.75",
       created_at: "2024-01-15T10:30:00Z",
       // address is missing
       msaMedianFamilyIncome: 75000,
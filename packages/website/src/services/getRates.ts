@@ -24,9 +24,22 @@ export const getRatesFromDb = Effect.gen(function* () {
   if (Either.isLeft(parsedRates)) {
     return yield* Effect.fail(parsedRates.left);
   }
-  const { thirty_year_rate, twenty_year_rate, fifteen_year_rate } =
-    parsedRates.right;
-  return { thirty_year_rate, twenty_year_rate, fifteen_year_rate };
+  const {
+    thirty_year_rate,
+    twenty_year_rate,
+    fifteen_year_rate,
+    thirty_year_non_priority_rate,
+    twenty_year_non_priority_rate,
+    fifteen_year_non_priority_rate,
+  } = parsedRates.right;
+  return {
+    thirty_year_rate,
+    twenty_year_rate,
+    fifteen_year_rate,
+    thirty_year_non_priority_rate,
+    twenty_year_non_priority_rate,
+    fifteen_year_non_priority_rate,
+  };
 });
 
 export const getRates = Effect.provideService(
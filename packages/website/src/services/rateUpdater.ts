@@ -48,13 +48,18 @@ export async function saveRatesIfNeeded(ratesFromWebsite: NacaMortgageRates) {
 
   const insertResult = await pool.query(
     `INSERT INTO naca_mortgage_rates
-      (thirty_year_rate, twenty_year_rate, fifteen_year_rate)
-    VALUES ($1, $2, $3)
+      (thirty_year_rate, twenty_year_rate, fifteen_year_rate,
+       thirty_year_non_priority_rate, twenty_year_non_priority_rate,
+       fifteen_year_non_priority_rate)
+    VALUES ($1, $2, $3, $4, $5, $6)
     RETURNING *`,
     [
       ratesFromWebsite.thirty_year_rate,
       ratesFromWebsite.twenty_year_rate,
       ratesFromWebsite.fifteen_year_rate,
+      ratesFromWebsite.thirty_year_non_priority_rate,
+      ratesFromWebsite.twenty_year_non_priority_rate,
+      ratesFromWebsite.fifteen_year_non_priority_rate,
     ]
   );
 
@@ -0,0 +1,54 @@
+import { describe, it, expect } from "vitest";
+import { readFileSync } from "fs";
+import { parseNacaRates } from "./scraper";
+
+// NACA's calculator script, as embedded in https://www.naca.com/mortgage-calculator/
+const nacaCalculatorScript = readFileSync(
+  new URL("../../../../scripts/mortgage-calculator.js", import.meta.url),
+  "utf8"
+);
+
+describe("Parsing NACA rates", () => {
+  it("parses priority rates from fillRate", () => {
+    const rates = parseNacaRates(nacaCalculatorScript);
+
+    expect(rates.thirty_year_rate).toBe(5.625);
+    expect(rates.twenty_year_rate).toBe(5.125);
+    expect(rates.fifteen_year_rate).toBe(5);
+  });
+
+  it("derives non-priority rates from the offset in changeTerm", () => {
+    const rates = parseNacaRates(nacaCalculatorScript);
+
+    expect(rates.thirty_year_non_priority_rate).toBe(6.625);
+    expect(rates.twenty_year_non_priority_rate).toBe(6.125);
+    expect(rates.fifteen_year_non_priority_rate).toBe(6);
+  });
+
+  it("follows a change to the non-priority offset", () => {
+    const html = nacaCalculatorScript.replace(
+      'parseFloat(l_sRate) + 1 + "%"',
+      'parseFloat(l_sRate) + 0.75 + "%"'
+    );
+    const rates = parseNacaRates(html);
+
+    expect(rates.thirty_year_non_priority_rate).toBe(6.375);
+  });
+
+  it("fails when the rates are missing", () => {
+    expect(() => parseNacaRates("<html></html>")).toThrow(
+      "Could not parse rates from NACA page"
+    );
+  });
+
+  it("fails when the non-priority offset is missing", () => {
+    const html = nacaCalculatorScript.replace(
+      'parseFloat(l_sRate) + 1 + "%"',
+      'l_sRate + "%"'
+    );
+
+    expect(() => parseNacaRates(html)).toThrow(
+      "Could not parse non-priority rate offset from NACA page"
+    );
+  });
+});
@@ -8,28 +8,43 @@ import {
 const rateRegex =
   /function\s+fillRate\s*\(\)\s*\{\s*var\s+thirtyYearRate\s*=\s*"([^"]+)";\s*var\s+twentyYearRate\s*=\s*"([^"]+)";\s*var\s+fifteenYearRate\s*=\s*"([^"]+)";/;
 
-const NACA_CALCULATOR_URL = "https://www.naca.com/mortgage-calculator/";
-
-export async function scrapeNacaRates(): Promise<NacaMortgageRates> {
-  console.log("🔍 Fetching rates from NACA website...");
+// NACA's changeTerm() offers the non-priority rate as the priority rate plus a fixed offset
+const nonPriorityOffsetRegex =
+  /l_sRate\s*=\s*parseFloat\(l_sRate\)\s*\+\s*([\d.]+)\s*\+\s*"%"/;
 
-  const response = await fetch(NACA_CALCULATOR_URL);
-
-  if (!response.ok) {
-    throw new Error(`Failed to fetch NACA page: ${response.statusText}`);
-  }
+const NACA_CALCULATOR_URL = "https://www.naca.com/mortgage-calculator/";
 
-  const html = await response.text();
+/**
+ * Parse the priority and non-priority member rates out of the NACA calculator page
+ */
+export function parseNacaRates(html: string): NacaMortgageRates {
   const match = html.match(rateRegex);
 
   if (!match || match.length < 4) {
     throw new Error("Could not parse rates from NACA page");
   }
 
+  const offsetMatch = html.match(nonPriorityOffsetRegex);
+
+  if (!offsetMatch) {
+    throw new Error("Could not parse non-priority rate offset from NACA page");
+  }
+
+  const nonPriorityOffset = parseFloat(offsetMatch[1]);
+  const nonPriorityRate = (rate: string) =>
+    (parseFloat(rate) + nonPriorityOffset).toFixed(3);
+
+  const thirtyYearRate = match[1].replace("%", "");
+  const twentyYearRate = match[2].replace("%", "");
+  const fifteenYearRate = match[3].replace("%", "");
+
   const rates = {
-    thirty_year_rate: match[1].replace("%", ""),
-    twenty_year_rate: match[2].replace("%", ""),
-    fifteen_year_rate: match[3].replace("%", ""),
+    thirty_year_rate: thirtyYearRate,
+    twenty_year_rate: twentyYearRate,
+    fifteen_year_rate: fifteenYearRate,
+    thirty_year_non_priority_rate: nonPriorityRate(thirtyYearRate),
+    twenty_year_non_priority_rate: nonPriorityRate(twentyYearRate),
+    fifteen_year_non_priority_rate: nonPriorityRate(fifteenYearRate),
   };
 
   const parsedRates = decodeNacaMortgageRates(rates);
@@ -38,6 +53,21 @@ export async function scrapeNacaRates(): Promise<NacaMortgageRates> {
     throw new Error("Could not parse rates from NACA page");
   }
 
-  console.log("✅ Scraped rates:", parsedRates.right);
   return parsedRates.right;
 }
+
+export async function scrapeNacaRates(): Promise<NacaMortgageRates> {
+  console.log("🔍 Fetching rates from NACA website...");
+
+  const response = await fetch(NACA_CALCULATOR_URL);
+
+  if (!response.ok) {
+    throw new Error(`Failed to fetch NACA page: ${response.statusText}`);
+  }
+
+  const html = await response.text();
+  const rates = parseNacaRates(html);
+
+  console.log("✅ Scraped rates:", rates);
+  return rates;
+}